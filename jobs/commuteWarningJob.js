@@ -0,0 +1,8 @@
+const { sendCommuteWarnings } = require('../utils/commuteWarningService');
+
+// Employees whose commute would make them late are told to leave, and admins who is likely late
+module.exports = {
+  name: 'commute-warnings',
+  intervalMs: 5 * 60 * 1000,
+  handler: sendCommuteWarnings
+};
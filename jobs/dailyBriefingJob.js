@@ -0,0 +1,74 @@
+const User = require('../models/User');
+const { acquireLock, releaseLock, logger } = require('../utils/jobScheduler');
+const { sendDailyBriefing } = require('../utils/briefingService');
+const { resolveTimeZone, getZonedParts, formatDateKey } = require('../utils/timezone');
+
+// A briefing that was missed (e.g. server restart) is still sent if we are
+// at most this many minutes past the user's briefing time
+const CATCH_UP_MINUTES = parseInt(process.env.BRIEFING_CATCH_UP_MINUTES || '60');
+
+// Per-user claims outlive the day they cover so no instance can send twice
+const CLAIM_TTL_MS = 36 * 60 * 60 * 1000;
+
+/**
+ * Check whether a user's briefing should go out now
+ * @param {string} briefingTime - Briefing time in "HH:mm" format, in the user's time zone
+ * @param {Date} now - Current time
+ * @param {string} timezone - User's IANA time zone
+ * @returns {boolean} True if now is within the catch-up window after briefingTime
+ */
+const isBriefingDue = (briefingTime, now, timezone) => {
+  const match = /^(\d{1,2}):(\d{2})$/.exec(briefingTime || '');
+  if (!match) return false;
+
+  const { hour, minute } = getZonedParts(now, timezone);
+  const briefingMinutes = parseInt(match[1]) * 60 + parseInt(match[2]);
+  const nowMinutes = hour * 60 + minute;
+
+  return nowMinutes >= briefingMinutes && nowMinutes < briefingMinutes + CATCH_UP_MINUTES;
+};
+
+const sendDueBriefings = async () => {
+  const now = new Date();
+  const users = await User.find({ 'notificationPreferences.dailyBriefing': true })
+    .populate('defaultLocation');
+
+  let sentCount = 0;
+
+  for (const user of users) {
+    const timezone = resolveTimeZone(user.timezone);
+    if (!isBriefingDue(user.notificationPreferences.briefingTime, now, timezone)) {
+      continue;
+    }
+
+    // Claim today's briefing for this user; fails if any instance already sent it
+    const claim = `daily-briefing:${user._id}:${formatDateKey(now, timezone)}`;
+    const claimed = await acquireLock(claim, CLAIM_TTL_MS);
+    if (!claimed) {
+      continue;
+    }
+
+    try {
+      const notification = await sendDailyBriefing(user);
+      if (notification.status === 'sent') {
+        sentCount++;
+      }
+    } catch (err) {
+      logger.error('Daily briefing failed', { userId: user._id, error: err.message });
+      // Give the claim back so the next run within the catch-up window tries again
+      await releaseLock(claim).catch(releaseErr =>
+        logger.error('Could not release briefing claim', { userId: user._id, error: releaseErr.message }));
+    }
+  }
+
+  if (sentCount > 0) {
+    logger.info('Daily briefings sent', { count: sentCount });
+  }
+};
+
+module.exports = {
+  name: 'daily-briefing',
+  intervalMs: 60 * 1000,
+  handler: sendDueBriefings,
+  isBriefingDue
+};
@@ -0,0 +1,29 @@
+const { registerJob, startJobs } = require('../utils/jobScheduler');
+const dailyBriefingJob = require('./dailyBriefingJob');
+const shiftReminderJob = require('./shiftReminderJob');
+const replacementOfferJob = require('./replacementOfferJob');
+const staleClockInJob = require('./staleClockInJob');
+const noShowJob = require('./noShowJob');
+const commuteWarningJob = require('./commuteWarningJob');
+
+/**
+ * Register and start all background jobs
+ * Set JOBS_ENABLED=false to run an instance that only serves HTTP traffic
+ */
+const startBackgroundJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('Background jobs disabled');
+    return;
+  }
+
+  registerJob(dailyBriefingJob);
+  registerJob(shiftReminderJob);
+  registerJob(replacementOfferJob);
+  registerJob(staleClockInJob);
+  registerJob(noShowJob);
+  registerJob(commuteWarningJob);
+
+  startJobs();
+};
+
+module.exports = { startBackgroundJobs };
@@ -0,0 +1,8 @@
+const { detectNoShows } = require('../utils/attendanceService');
+
+// Employees who haven't clocked in some time after their shift started are reported
+module.exports = {
+  name: 'no-shows',
+  intervalMs: 2 * 60 * 1000,
+  handler: detectNoShows
+};
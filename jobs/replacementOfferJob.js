@@ -0,0 +1,8 @@
+const { expireOffers } = require('../utils/replacementService');
+
+// Unanswered shift cover offers time out and go to the next candidate
+module.exports = {
+  name: 'replacement-offers',
+  intervalMs: 60 * 1000,
+  handler: expireOffers
+};
@@ -0,0 +1,146 @@
+const Schedule = require('../models/Schedule');
+const Notification = require('../models/Notification');
+const { logger } = require('../utils/jobScheduler');
+const { notifyUser } = require('../utils/notificationService');
+const { findApprovedAbsences } = require('../utils/absenceService');
+const { formatTime } = require('../utils/briefingService');
+const { sendScheduleWhatsApp } = require('../utils/twilioService');
+const { PUBLISHED } = require('../utils/schedulePublication');
+const { resolveTimeZone, formatDateInZone } = require('../utils/timezone');
+
+// Schedules further out than this are never looked at, whatever their reminderTime
+const MAX_REMINDER_HOURS = 7 * 24;
+
+// Failed reminders are tried again on later runs, up to this many times per employee
+const MAX_REMINDER_ATTEMPTS = 3;
+
+/**
+ * Work out which channels a reminder goes out on for an employee
+ * Both the schedule's notificationOptions and the employee's own preferences must allow a channel.
+ * @param {Object} schedule - Schedule object
+ * @param {Object} employee - User object
+ * @returns {string|null} 'email', 'whatsapp', 'both' or null if no channel is allowed
+ */
+const getReminderType = (schedule, employee) => {
+  const options = schedule.notificationOptions || {};
+  const prefs = employee.notificationPreferences || {};
+
+  const email = options.sendEmail !== false && prefs.email && !!employee.email;
+  const whatsapp = !!options.sendWhatsapp && prefs.whatsapp && !!employee.phone;
+
+  if (email && whatsapp) return 'both';
+  if (email) return 'email';
+  if (whatsapp) return 'whatsapp';
+  return null;
+};
+
+const buildReminderMessage = (employee, schedule) => {
+  const location = schedule.location;
+  // Shift times are shown in the location's time zone, where the shift happens
+  const timezone = resolveTimeZone(location && location.timezone, employee.timezone);
+  let message = `Hello ${employee.name}, this is a reminder about your upcoming shift:\n\n`;
+  message += `Title: ${schedule.title}\n`;
+  message += `Date: ${formatDateInZone(schedule.startTime, timezone)}\n`;
+  message += `Time: ${formatTime(schedule.startTime, timezone)} - ${formatTime(schedule.endTime, timezone)}\n`;
+  if (location) {
+    message += `Location: ${location.name}, ${location.address}, ${location.city}\n`;
+  }
+  return message;
+};
+
+const sendDueReminders = async () => {
+  const now = new Date();
+  const horizon = new Date(now.getTime() + MAX_REMINDER_HOURS * 60 * 60 * 1000);
+
+  const schedules = await Schedule.find({
+    status: 'scheduled',
+    startTime: { $gt: now, $lte: horizon },
+    'assignedEmployees.0': { $exists: true },
+    ...PUBLISHED
+  })
+    .populate('location')
+    .populate('assignedEmployees', 'name email phone team timezone notificationPreferences');
+
+  let sentCount = 0;
+
+  for (const schedule of schedules) {
+    const reminderHours = schedule.notificationOptions?.reminderTime ?? 24;
+    if (reminderHours <= 0) {
+      continue;
+    }
+
+    const remindAt = new Date(schedule.startTime.getTime() - reminderHours * 60 * 60 * 1000);
+    if (remindAt > now) {
+      continue;
+    }
+
+    const employeeIds = schedule.assignedEmployees.map(emp => emp._id);
+
+    // Employees on approved leave for this shift are not reminded
+    const absences = await findApprovedAbsences(
+      employeeIds,
+      schedule.startTime,
+      schedule.endTime,
+      schedule._id,
+      resolveTimeZone(schedule.location && schedule.location.timezone)
+    );
+    const absentIds = absences.map(absence => absence.user.toString());
+
+    // Reminders already sent for this schedule, and failed attempts to send them
+    const previousReminders = await Notification.find({
+      relatedTo: 'schedule-reminder',
+      relatedId: schedule._id,
+      recipient: { $in: employeeIds }
+    }).select('recipient status');
+    const remindedIds = previousReminders
+      .filter(reminder => reminder.status !== 'failed')
+      .map(reminder => reminder.recipient.toString());
+    const failedAttempts = (employeeId) => previousReminders
+      .filter(reminder => reminder.status === 'failed' && reminder.recipient.toString() === employeeId).length;
+
+    for (const employee of schedule.assignedEmployees) {
+      const employeeId = employee._id.toString();
+      if (absentIds.includes(employeeId) || remindedIds.includes(employeeId)) {
+        continue;
+      }
+      if (failedAttempts(employeeId) >= MAX_REMINDER_ATTEMPTS) {
+        continue;
+      }
+
+      const type = getReminderType(schedule, employee);
+      if (!type) {
+        continue;
+      }
+
+      try {
+        const reminder = await notifyUser(employee, {
+          type,
+          subject: `Shift Reminder: ${schedule.title}`,
+          content: buildReminderMessage(employee, schedule),
+          relatedTo: 'schedule-reminder',
+          relatedId: schedule._id,
+          team: schedule.team,
+          createdBy: schedule.createdBy,
+          whatsappSender: (user) => sendScheduleWhatsApp(user, schedule, schedule.location, true)
+        });
+        if (reminder.status === 'failed') {
+          logger.warn('Shift reminder not delivered', { scheduleId: schedule._id, userId: employee._id });
+          continue;
+        }
+        sentCount++;
+      } catch (err) {
+        logger.error('Shift reminder failed', { scheduleId: schedule._id, userId: employee._id, error: err.message });
+      }
+    }
+  }
+
+  if (sentCount > 0) {
+    logger.info('Shift reminders sent', { count: sentCount });
+  }
+};
+
+module.exports = {
+  name: 'shift-reminders',
+  intervalMs: 5 * 60 * 1000,
+  handler: sendDueReminders
+};
@@ -0,0 +1,8 @@
+const { closeStaleRecords } = require('../utils/hourCorrectionService');
+
+// Forgotten clock-outs are closed and flagged for an admin to review
+module.exports = {
+  name: 'stale-clock-ins',
+  intervalMs: 15 * 60 * 1000,
+  handler: closeStaleRecords
+};
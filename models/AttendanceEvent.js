@@ -0,0 +1,62 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A late clock-in, early clock-out or missed shift, kept for punctuality statistics
+const AttendanceEventSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'schedule',
+    required: true
+  },
+  // Empty for no-shows until the employee clocks in
+  hourTracking: {
+    type: Schema.Types.ObjectId,
+    ref: 'hourTracking',
+    required: false
+  },
+  type: {
+    type: String,
+    enum: ['late', 'early-departure', 'no-show'],
+    required: true
+  },
+  // How late or early, or how long after the start the no-show was detected
+  minutes: {
+    type: Number,
+    required: true
+  },
+  // Shift start for late arrivals and no-shows, shift end for early departures
+  scheduledAt: {
+    type: Date,
+    required: true
+  },
+  // Clock time, empty for no-shows
+  occurredAt: {
+    type: Date,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// One event of each type per employee and shift
+AttendanceEventSchema.index({ schedule: 1, user: 1, type: 1 }, { unique: true });
+AttendanceEventSchema.index({ user: 1, scheduledAt: -1 });
+AttendanceEventSchema.index({ team: 1, scheduledAt: -1 });
+
+module.exports = AttendanceEvent = mongoose.model('attendanceEvent', AttendanceEventSchema);
@@ -0,0 +1,66 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// When an employee can work: weekly windows, one-off unavailability and preferred locations
+const AvailabilitySchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true,
+    unique: true
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  // Recurring weekly windows in the employee's time zone. No windows means no restriction.
+  weekly: [{
+    weekday: {
+      type: Number, // 0 = Sunday
+      min: 0,
+      max: 6,
+      required: true
+    },
+    startTime: {
+      type: String, // "HH:mm", 24-hour format
+      required: true
+    },
+    endTime: {
+      type: String, // "HH:mm"; at or before startTime means the window ends the next day
+      required: true
+    }
+  }],
+  unavailable: [{
+    startDate: {
+      type: Date,
+      required: true
+    },
+    endDate: {
+      type: Date,
+      required: true
+    },
+    reason: {
+      type: String,
+      required: false
+    }
+  }],
+  preferredLocations: [{
+    type: Schema.Types.ObjectId,
+    ref: 'location'
+  }],
+  notes: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = Availability = mongoose.model('availability', AvailabilitySchema);
@@ -1,6 +1,18 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
 
+const GeofenceCheckSchema = new Schema({
+  latitude: Number,
+  longitude: Number,
+  accuracy: Number, // meters, as reported by the device
+  distanceMeters: Number,
+  radiusMeters: Number,
+  result: {
+    type: String,
+    enum: ['inside', 'outside', 'no-position', 'not-checked']
+  }
+}, { _id: false });
+
 const HourTrackingSchema = new Schema({
   user: {
     type: Schema.Types.ObjectId,
@@ -28,6 +40,43 @@ const HourTrackingSchema = new Schema({
     type: Number,
     required: false
   },
+  // Breaks the employee punched; the one without an end is still running
+  breaks: [{
+    startTime: {
+      type: Date,
+      required: true
+    },
+    endTime: {
+      type: Date,
+      required: false
+    },
+    paid: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  // Breakdown of totalHours by the team's labour rules, filled in at clock-out
+  labour: {
+    grossHours: Number, // rounded clock-out minus clock-in
+    unpaidBreakMinutes: Number,
+    paidBreakMinutes: Number,
+    regularHours: Number,
+    dailyOvertimeHours: Number,
+    weeklyOvertimeHours: Number,
+    overtimeHours: Number,
+    nightHours: Number,
+    weekendHours: Number,
+    payableHours: Number, // hours weighted by the overtime and premium multipliers
+    missedBreakMinutes: Number, // break entitlement not taken, when breaks are punched
+    exceedsMaxShift: Boolean
+  },
+  // Clock times compared with the schedule, filled in at clock-in and clock-out
+  attendance: {
+    lateMinutes: Number,
+    late: Boolean, // later than the team's grace period
+    earlyMinutes: Number,
+    leftEarly: Boolean
+  },
   status: {
     type: String,
     enum: ['active', 'completed', 'adjusted'],
@@ -42,6 +91,61 @@ const HourTrackingSchema = new Schema({
     ref: 'location',
     required: true
   },
+  // Device positions of the punches and how they compare with the location's geofence
+  geofence: {
+    clockIn: GeofenceCheckSchema,
+    clockOut: GeofenceCheckSchema
+  },
+  // Set when a punch was outside the geofence or had no position, for admins to review
+  geofenceFlagged: {
+    type: Boolean,
+    default: false
+  },
+  // Set when the record was closed automatically or otherwise needs an admin to check it
+  needsReview: {
+    type: Boolean,
+    default: false
+  },
+  // Append-only log of admin corrections and automatic changes, oldest first
+  changeLog: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['added', 'edited', 'split', 'auto-closed', 'reviewed'],
+      required: true
+    },
+    // Empty for changes made by the system
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'user',
+      required: false
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    reason: {
+      type: String,
+      required: true
+    },
+    changes: [{
+      _id: false,
+      field: String,
+      from: Schema.Types.Mixed,
+      to: Schema.Types.Mixed
+    }],
+    // The other record of a split
+    relatedRecord: {
+      type: Schema.Types.ObjectId,
+      ref: 'hourTracking',
+      required: false
+    }
+  }],
+  // Set while the record's timesheet period is approved; locked records can't be changed
+  locked: {
+    type: Boolean,
+    default: false
+  },
   trafficConditions: {
     trafficLevel: {
       type: Number,
@@ -73,4 +177,8 @@ const HourTrackingSchema = new Schema({
   }
 });
 
+HourTrackingSchema.index({ geofenceFlagged: 1, date: -1 });
+HourTrackingSchema.index({ needsReview: 1, date: -1 });
+HourTrackingSchema.index({ status: 1, clockInTime: 1 });
+
 module.exports = HourTracking = mongoose.model('hourTracking', HourTrackingSchema);
\ No newline at end of file
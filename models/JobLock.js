@@ -0,0 +1,27 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const JobLockSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    unique: true
+  },
+  owner: {
+    type: String,
+    required: true
+  },
+  lockedUntil: {
+    type: Date,
+    required: true
+  },
+  acquiredAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+// Expired locks are removed automatically so the collection does not grow forever
+JobLockSchema.index({ lockedUntil: 1 }, { expireAfterSeconds: 0 });
+
+module.exports = JobLock = mongoose.model('jobLock', JobLockSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { isValidTimeZone } = require('../utils/timezone');
 
 const LocationSchema = new Schema({
   name: {
@@ -37,6 +38,32 @@ const LocationSchema = new Schema({
       required: true
     }
   },
+  // Clock-in and clock-out positions are checked against a circle around the coordinates
+  geofence: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    radiusMeters: {
+      type: Number,
+      min: 10,
+      required: false
+    },
+    // Punches outside the circle are refused, or accepted and flagged for review
+    mode: {
+      type: String,
+      enum: ['reject', 'flag'],
+      default: 'flag'
+    }
+  },
+  timezone: {
+    type: String, // IANA time zone, e.g. 'Europe/Paris'
+    required: false,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: (props) => `${props.value} is not a valid IANA time zone`
+    }
+  },
   team: {
     type: Schema.Types.ObjectId,
     ref: 'team',
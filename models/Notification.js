@@ -22,7 +22,7 @@ const NotificationSchema = new Schema({
   },
   relatedTo: {
     type: String,
-    enum: ['schedule', 'announcement', 'traffic', 'other'],
+    enum: ['schedule', 'schedule-reminder', 'absence', 'replacement', 'shift-swap', 'open-shift', 'staffing', 'hour-tracking', 'timesheet', 'attendance', 'commute', 'announcement', 'traffic', 'daily-briefing', 'other'],
     default: 'other'
   },
   relatedId: {
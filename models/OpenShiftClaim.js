@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An employee's request to take a place on an open shift
+const OpenShiftClaimSchema = new Schema({
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'schedule',
+    required: true
+  },
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  // First-come claims are approved straight away, the others wait for an admin
+  status: {
+    type: String,
+    enum: ['pending', 'approved', 'rejected', 'cancelled'],
+    default: 'pending'
+  },
+  decidedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: false
+  },
+  decidedAt: {
+    type: Date,
+    required: false
+  },
+  reason: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+OpenShiftClaimSchema.index({ schedule: 1, status: 1 });
+OpenShiftClaimSchema.index({ user: 1, status: 1 });
+OpenShiftClaimSchema.index({ team: 1, status: 1 });
+
+module.exports = OpenShiftClaim = mongoose.model('openShiftClaim', OpenShiftClaimSchema);
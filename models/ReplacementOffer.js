@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An offer to cover an absent employee's shift, sent to one candidate at a time
+const ReplacementOfferSchema = new Schema({
+  absence: {
+    type: Schema.Types.ObjectId,
+    ref: 'absence',
+    required: true
+  },
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'schedule',
+    required: true
+  },
+  candidate: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  // Short code the candidate can reply with on WhatsApp, e.g. "ACCEPT 4F7K"
+  code: {
+    type: String,
+    required: true
+  },
+  rank: {
+    type: Number,
+    required: true
+  },
+  // Hours the candidate already worked in the week of the shift when ranked
+  weeklyHours: {
+    type: Number,
+    default: 0
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'expired', 'cancelled'],
+    default: 'pending'
+  },
+  offeredAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ReplacementOfferSchema.index({ candidate: 1, status: 1 });
+ReplacementOfferSchema.index({ absence: 1, status: 1 });
+ReplacementOfferSchema.index({ status: 1, expiresAt: 1 });
+
+module.exports = ReplacementOffer = mongoose.model('replacementOffer', ReplacementOfferSchema);
@@ -89,6 +89,92 @@ const ScheduleSchema = new Schema({
     type: Boolean,
     default: false
   },
+  // Recurring series this schedule is an occurrence of
+  series: {
+    type: Schema.Types.ObjectId,
+    ref: 'scheduleSeries',
+    required: false
+  },
+  // Calendar day the series generated this occurrence for (midnight UTC of the local date)
+  occurrenceDate: {
+    type: Date,
+    required: false
+  },
+  // Number of people the shift needs, used for coverage reports and understaffing alerts
+  requiredHeadcount: {
+    type: Number,
+    min: 0,
+    required: false
+  },
+  // Part of the headcount that must hold a given position, e.g. 1 supervisor
+  positionRequirements: [{
+    _id: false,
+    position: {
+      type: String,
+      required: true
+    },
+    headcount: {
+      type: Number,
+      min: 1,
+      required: true
+    }
+  }],
+  // Unfilled places employees can claim themselves
+  openShift: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    // Total number of employees the shift needs, including those already assigned
+    capacity: {
+      type: Number,
+      min: 1
+    },
+    // Only employees of this department / position can claim, if set
+    department: {
+      type: String,
+      required: false
+    },
+    position: {
+      type: String,
+      required: false
+    },
+    claimMode: {
+      type: String,
+      enum: ['first-come', 'approval'],
+      default: 'first-come'
+    },
+    // Short code employees can reply with on WhatsApp, e.g. "CLAIM 4F7K"
+    code: {
+      type: String,
+      required: false
+    }
+  },
+  // Drafts are only visible to admins until they are published
+  publicationStatus: {
+    type: String,
+    enum: ['draft', 'published'],
+    default: 'published'
+  },
+  publishedAt: {
+    type: Date,
+    required: false
+  },
+  // What employees were last told about this schedule, to diff later edits against
+  publishedSnapshot: {
+    type: Schema.Types.Mixed,
+    required: false
+  },
+  // Edits saved on a published schedule that employees have not been told about yet
+  hasUnpublishedChanges: {
+    type: Boolean,
+    default: false
+  },
+  // Values of those edits; the fields employees see keep their published values until the next publish
+  pendingChanges: {
+    type: Schema.Types.Mixed,
+    select: false
+  },
   createdAt: {
     type: Date,
     default: Date.now
@@ -99,4 +185,8 @@ const ScheduleSchema = new Schema({
   }
 });
 
+ScheduleSchema.index({ series: 1, occurrenceDate: 1 });
+ScheduleSchema.index({ team: 1, publicationStatus: 1, startTime: 1 });
+ScheduleSchema.index({ 'openShift.enabled': 1, startTime: 1 });
+
 module.exports = Schedule = mongoose.model('schedule', ScheduleSchema);
\ No newline at end of file
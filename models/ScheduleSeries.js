@@ -0,0 +1,120 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A recurring schedule: each occurrence is an ordinary schedule linked back here
+const ScheduleSeriesSchema = new Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  description: {
+    type: String,
+    required: false
+  },
+  // First calendar day of the series (midnight UTC of the local date)
+  startDate: {
+    type: Date,
+    required: true
+  },
+  // Local wall-clock times of every occurrence, e.g. "9:00 AM"
+  startTimeString: {
+    type: String,
+    required: true
+  },
+  endTimeString: {
+    type: String,
+    required: true
+  },
+  recurrence: {
+    frequency: {
+      type: String,
+      enum: ['daily', 'weekly'],
+      required: true
+    },
+    interval: {
+      type: Number,
+      default: 1
+    },
+    // Days of the week for weekly series, 0 = Sunday
+    byWeekday: [{
+      type: Number,
+      min: 0,
+      max: 6
+    }],
+    // Last calendar day of the series (midnight UTC of the local date)
+    until: {
+      type: Date,
+      required: false
+    },
+    count: {
+      type: Number,
+      required: false
+    }
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  location: {
+    type: Schema.Types.ObjectId,
+    ref: 'location',
+    required: true
+  },
+  assignedEmployees: [{
+    type: Schema.Types.ObjectId,
+    ref: 'user'
+  }],
+  // Copied to each occurrence
+  requiredHeadcount: {
+    type: Number,
+    min: 0,
+    required: false
+  },
+  positionRequirements: [{
+    _id: false,
+    position: {
+      type: String,
+      required: true
+    },
+    headcount: {
+      type: Number,
+      min: 1,
+      required: true
+    }
+  }],
+  notificationOptions: {
+    sendEmail: {
+      type: Boolean,
+      default: true
+    },
+    sendWhatsapp: {
+      type: Boolean,
+      default: false
+    },
+    reminderTime: {
+      type: Number, // hours before schedule
+      default: 24
+    }
+  },
+  status: {
+    type: String,
+    enum: ['active', 'cancelled'],
+    default: 'active'
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+module.exports = ScheduleSeries = mongoose.model('scheduleSeries', ScheduleSeriesSchema);
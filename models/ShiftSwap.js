@@ -0,0 +1,91 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// A shift an employee wants to hand over: to a named colleague (offer), in exchange for
+// one of that colleague's shifts (swap), or to anyone qualified in the team (pool)
+const ShiftSwapSchema = new Schema({
+  type: {
+    type: String,
+    enum: ['offer', 'swap', 'pool'],
+    required: true
+  },
+  requester: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  schedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'schedule',
+    required: true
+  },
+  // Colleague an offer or swap is proposed to
+  targetUser: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: false
+  },
+  // Colleague's shift the requester takes in return (swap only)
+  targetSchedule: {
+    type: Schema.Types.ObjectId,
+    ref: 'schedule',
+    required: false
+  },
+  // Colleague who took the shift
+  claimant: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: false
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  note: {
+    type: String,
+    required: false
+  },
+  status: {
+    type: String,
+    enum: ['open', 'pending-approval', 'approved', 'rejected', 'declined', 'cancelled'],
+    default: 'open'
+  },
+  // Nobody can claim the shift once it has started
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  claimedAt: {
+    type: Date,
+    required: false
+  },
+  decidedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: false
+  },
+  decidedAt: {
+    type: Date,
+    required: false
+  },
+  decisionNote: {
+    type: String,
+    required: false
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+ShiftSwapSchema.index({ team: 1, status: 1, expiresAt: 1 });
+ShiftSwapSchema.index({ requester: 1, status: 1 });
+ShiftSwapSchema.index({ targetUser: 1, status: 1 });
+ShiftSwapSchema.index({ schedule: 1, status: 1 });
+
+module.exports = ShiftSwap = mongoose.model('shiftSwap', ShiftSwapSchema);
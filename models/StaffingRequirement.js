@@ -0,0 +1,77 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// How many people a location needs for a recurring shift, e.g. 3 people 08:00-16:00 Mon-Sun
+const StaffingRequirementSchema = new Schema({
+  title: {
+    type: String,
+    required: true
+  },
+  location: {
+    type: Schema.Types.ObjectId,
+    ref: 'location',
+    required: true
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  // Only employees of this department (and position, if set) can fill the shift
+  department: {
+    type: String,
+    required: false
+  },
+  position: {
+    type: String,
+    required: false
+  },
+  // 0 = Sunday ... 6 = Saturday
+  weekdays: {
+    type: [Number],
+    default: [0, 1, 2, 3, 4, 5, 6]
+  },
+  // Local "HH:mm" times at the location; an end at or before the start finishes the next day
+  startTime: {
+    type: String,
+    required: true
+  },
+  endTime: {
+    type: String,
+    required: true
+  },
+  headcount: {
+    type: Number,
+    required: true,
+    min: 1
+  },
+  validFrom: {
+    type: Date,
+    required: false
+  },
+  validUntil: {
+    type: Date,
+    required: false
+  },
+  active: {
+    type: Boolean,
+    default: true
+  },
+  createdBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+StaffingRequirementSchema.index({ team: 1, location: 1, active: 1 });
+
+module.exports = StaffingRequirement = mongoose.model('staffingRequirement', StaffingRequirementSchema);
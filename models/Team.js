@@ -24,6 +24,171 @@ const TeamSchema = new Schema({
   departments: [{
     type: String
   }],
+  // Apply claimed shift swaps straight away instead of waiting for an admin
+  shiftSwapAutoApprove: {
+    type: Boolean,
+    default: false
+  },
+  // How clocked hours are turned into regular, overtime and premium hours (see utils/labourRules.js)
+  labourRules: {
+    // Break entitlements, e.g. 30 unpaid minutes once a shift is longer than 6 hours
+    breaks: [{
+      _id: false,
+      afterHours: {
+        type: Number,
+        min: 0,
+        required: true
+      },
+      minutes: {
+        type: Number,
+        min: 1,
+        required: true
+      },
+      paid: {
+        type: Boolean,
+        default: false
+      }
+    }],
+    // Employees punch their breaks: unpaid time comes only from the punches and missed breaks are reported
+    trackBreaks: {
+      type: Boolean,
+      default: false
+    },
+    dailyOvertime: {
+      threshold: {
+        type: Number, // hours worked in a day before overtime starts
+        min: 0
+      },
+      multiplier: {
+        type: Number,
+        min: 1,
+        default: 1.5
+      }
+    },
+    weeklyOvertime: {
+      threshold: {
+        type: Number, // regular hours in a week before overtime starts
+        min: 0
+      },
+      multiplier: {
+        type: Number,
+        min: 1,
+        default: 1.5
+      }
+    },
+    rounding: {
+      increment: {
+        type: Number, // minutes, 0 to keep exact times
+        min: 0,
+        default: 0
+      },
+      mode: {
+        type: String,
+        enum: ['nearest', 'up', 'down'],
+        default: 'nearest'
+      }
+    },
+    nightPremium: {
+      start: String, // "HH:mm"
+      end: String,
+      multiplier: {
+        type: Number,
+        min: 1
+      }
+    },
+    weekendPremium: {
+      days: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      multiplier: {
+        type: Number,
+        min: 1
+      }
+    },
+    // Longer shifts are flagged for review and reported to the team's admins at clock-out
+    maxShiftHours: {
+      type: Number,
+      min: 0
+    },
+    // 0 for Sunday, 1 for Monday
+    weekStartsOn: {
+      type: Number,
+      min: 0,
+      max: 6,
+      default: 1
+    }
+  },
+  // Pay periods employees submit timesheets for (see utils/timesheetService.js)
+  timesheetPeriod: {
+    frequency: {
+      type: String,
+      enum: ['weekly', 'biweekly'],
+      default: 'weekly'
+    },
+    // A day two-week periods start on; periods also start on labourRules.weekStartsOn
+    anchorDate: {
+      type: Date,
+      required: false
+    }
+  },
+  // When clock times count as late, early or a no-show (see utils/attendanceService.js)
+  attendanceRules: {
+    // Minutes after the shift start before a clock-in is late
+    lateAfterMinutes: {
+      type: Number,
+      min: 0,
+      default: 5
+    },
+    // Minutes before the shift end before a clock-out is early
+    earlyDepartureMinutes: {
+      type: Number,
+      min: 0,
+      default: 5
+    },
+    // Minutes after the shift start without a clock-in before it is a no-show
+    noShowAfterMinutes: {
+      type: Number,
+      min: 1,
+      default: 30
+    },
+    alertEmployee: {
+      type: Boolean,
+      default: true
+    },
+    alertAdmins: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Payroll export settings (see utils/payrollExport.js)
+  payrollExport: {
+    // Cost centre code for each department
+    costCentres: [{
+      _id: false,
+      department: {
+        type: String,
+        required: true
+      },
+      code: {
+        type: String,
+        required: true
+      }
+    }],
+    // Columns in order, with the header the payroll system expects; empty for the default layout
+    columns: [{
+      _id: false,
+      field: {
+        type: String,
+        required: true
+      },
+      header: {
+        type: String,
+        required: false
+      }
+    }]
+  },
   createdAt: {
     type: Date,
     default: Date.now
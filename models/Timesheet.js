@@ -0,0 +1,123 @@
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// An employee's hours for one pay period, submitted for a team admin's approval
+const TimesheetSchema = new Schema({
+  user: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: true
+  },
+  team: {
+    type: Schema.Types.ObjectId,
+    ref: 'team',
+    required: false
+  },
+  frequency: {
+    type: String,
+    enum: ['weekly', 'biweekly'],
+    default: 'weekly'
+  },
+  // First and last calendar day of the period
+  periodStart: {
+    type: Date,
+    required: true
+  },
+  periodEnd: {
+    type: Date,
+    required: true
+  },
+  // The period as instants in the employee's time zone, [startsAt, endsAt)
+  startsAt: {
+    type: Date,
+    required: true
+  },
+  endsAt: {
+    type: Date,
+    required: true
+  },
+  timezone: {
+    type: String,
+    required: false
+  },
+  records: [{
+    type: Schema.Types.ObjectId,
+    ref: 'hourTracking'
+  }],
+  // Hours of the records when the timesheet was last submitted or approved (see summarizeHours)
+  totals: {
+    totalHours: Number,
+    regularHours: Number,
+    overtimeHours: Number,
+    nightHours: Number,
+    weekendHours: Number,
+    payableHours: Number,
+    unpaidBreakMinutes: Number,
+    overMaxShift: Number
+  },
+  // Open again once an admin unlocks an approved period
+  status: {
+    type: String,
+    enum: ['submitted', 'approved', 'rejected', 'open'],
+    default: 'submitted'
+  },
+  // Approved periods are locked: their clock records can't be changed
+  locked: {
+    type: Boolean,
+    default: false
+  },
+  submittedAt: {
+    type: Date,
+    required: false
+  },
+  decidedBy: {
+    type: Schema.Types.ObjectId,
+    ref: 'user',
+    required: false
+  },
+  decidedAt: {
+    type: Date,
+    required: false
+  },
+  // Latest comments from the employee or the admin
+  comments: {
+    type: String,
+    required: false
+  },
+  // Every submission, decision and unlock, oldest first
+  history: [{
+    _id: false,
+    action: {
+      type: String,
+      enum: ['submitted', 'approved', 'rejected', 'unlocked'],
+      required: true
+    },
+    by: {
+      type: Schema.Types.ObjectId,
+      ref: 'user',
+      required: true
+    },
+    at: {
+      type: Date,
+      default: Date.now
+    },
+    comments: {
+      type: String,
+      required: false
+    }
+  }],
+  createdAt: {
+    type: Date,
+    default: Date.now
+  },
+  updatedAt: {
+    type: Date,
+    default: Date.now
+  }
+});
+
+TimesheetSchema.index({ user: 1, periodStart: 1 }, { unique: true });
+TimesheetSchema.index({ user: 1, locked: 1, startsAt: 1 });
+TimesheetSchema.index({ team: 1, status: 1 });
+
+module.exports = Timesheet = mongoose.model('timesheet', TimesheetSchema);
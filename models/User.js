@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
+const { isValidTimeZone } = require('../utils/timezone');
 
 const UserSchema = new Schema({
   name: {
@@ -41,6 +42,11 @@ const UserSchema = new Schema({
     type: String,
     required: false
   },
+  // Employee ID in the payroll or HR system, used in payroll exports
+  externalId: {
+    type: String,
+    required: false
+  },
   notificationPreferences: {
     email: {
       type: Boolean,
@@ -73,6 +79,14 @@ const UserSchema = new Schema({
     ref: 'location',
     required: false
   },
+  timezone: {
+    type: String, // IANA time zone, e.g. 'Europe/Paris'
+    required: false,
+    validate: {
+      validator: (value) => !value || isValidTimeZone(value),
+      message: (props) => `${props.value} is not a valid IANA time zone`
+    }
+  },
   createdAt: {
     type: Date,
     default: Date.now
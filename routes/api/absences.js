@@ -8,148 +8,24 @@ const User = require('../../models/User');
 const Notification = require('../../models/Notification');
 const { sendEmail } = require('../../utils/emailService');
 const { sendWhatsAppMessage, sendWhatsAppTemplate } = require('../../utils/whatsappService');
+const { cancelReplacementOffers } = require('../../utils/replacementService');
+const { alertUnderstaffed } = require('../../utils/coverageService');
+const { reportAbsence } = require('../../utils/absenceService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
 
 // @route   POST api/absences
 // @desc    Report an absence
 // @access  Private
 router.post('/', auth, async (req, res) => {
-  const {
-    scheduleId,
-    startDate,
-    endDate,
-    reason,
-    type,
-    replacementNeeded,
-    notes
-  } = req.body;
-
   try {
-    // Check if schedule exists
-    const schedule = await Schedule.findById(scheduleId);
-    if (!schedule) {
-      return res.status(404).json({ msg: 'Schedule not found' });
-    }
-
-    // Check if user is assigned to this schedule
-    if (!schedule.assignedEmployees.includes(req.user.id)) {
-      return res.status(401).json({ msg: 'User not assigned to this schedule' });
-    }
-
-    // Get user to get team
     const user = await User.findById(req.user.id);
-
-    // Create new absence record
-    const newAbsence = new Absence({
-      user: req.user.id,
-      schedule: scheduleId,
-      team: user.team, // Add team from user
-      startDate,
-      endDate,
-      reason,
-      type: type || 'sick',
-      replacementNeeded: replacementNeeded !== undefined ? replacementNeeded : true,
-      notes
-    });
-
-    const absence = await newAbsence.save();
-
-    // Update schedule with absence reference
-    schedule.absences.push(absence._id);
-    await schedule.save();
-
-    // Notify admin about the absence
-    const admins = await User.find({ role: 'admin' });
-    // const user = await User.findById(req.user.id);
-
-    // Create notifications for admins
-    for (const admin of admins) {
-      const notification = new Notification({
-        type: admin.notificationPreferences.email && admin.notificationPreferences.whatsapp ? 'both' :
-              admin.notificationPreferences.email ? 'email' : 'whatsapp',
-        recipient: admin._id,
-        subject: `Absence Report: ${user.name}`,
-        content: `${user.name} has reported an absence for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Reason: ${reason}`,
-        relatedTo: 'absence',
-        relatedId: absence._id,
-        createdBy: req.user.id
-      });
-
-      await notification.save();
-
-      // Send email notification
-      if (admin.notificationPreferences.email) {
-        await sendEmail(
-          admin.email,
-          `Absence Report: ${user.name}`,
-          `${user.name} has reported an absence for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Reason: ${reason}`
-        );
-        notification.status = 'sent';
-        notification.sentAt = Date.now();
-        await notification.save();
-      }
-
-      // Send WhatsApp notification
-      if (admin.notificationPreferences.whatsapp && admin.phone) {
-        await sendWhatsAppMessage(
-          admin.phone,
-          `Absence Report: ${user.name} has reported an absence for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Reason: ${reason}`
-        );
-        notification.status = 'sent';
-        notification.sentAt = Date.now();
-        await notification.save();
-      }
+    const result = await reportAbsence(user, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ msg: result.error });
     }
 
-    // If replacement is needed and auto-replacement is allowed, find potential replacements
-    if (replacementNeeded && schedule.allowAutoReplacement) {
-      // Find employees in the same department who are not already assigned to this schedule
-      const potentialReplacements = await User.find({
-        _id: { $nin: schedule.assignedEmployees },
-        department: user.department,
-        role: 'employee'
-      });
-
-      // Notify potential replacements
-      for (const replacement of potentialReplacements) {
-        const notification = new Notification({
-          type: replacement.notificationPreferences.email && replacement.notificationPreferences.whatsapp ? 'both' :
-                replacement.notificationPreferences.email ? 'email' : 'whatsapp',
-          recipient: replacement._id,
-          subject: `Replacement Opportunity`,
-          content: `A replacement is needed for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Please contact your administrator if you can cover this schedule.`,
-          relatedTo: 'absence',
-          relatedId: absence._id,
-          createdBy: req.user.id
-        });
-
-        await notification.save();
-
-        // Send email notification
-        if (replacement.notificationPreferences.email) {
-          await sendEmail(
-            replacement.email,
-            `Replacement Opportunity`,
-            `A replacement is needed for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Please contact your administrator if you can cover this schedule.`
-          );
-          notification.status = 'sent';
-          notification.sentAt = Date.now();
-          await notification.save();
-        }
-
-        // Send WhatsApp notification
-        if (replacement.notificationPreferences.whatsapp && replacement.phone) {
-          await sendWhatsAppMessage(
-            replacement.phone,
-            `Replacement Opportunity: A replacement is needed for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Please contact your administrator if you can cover this schedule.`
-          );
-          notification.status = 'sent';
-          notification.sentAt = Date.now();
-          await notification.save();
-        }
-      }
-    }
-
-    res.json(absence);
+    res.json(result.absence);
   } catch (err) {
     console.error(err.message);
     res.status(500).send('Server Error');
@@ -169,6 +45,8 @@ router.put('/:id', [auth, admin], async (req, res) => {
       return res.status(404).json({ msg: 'Absence record not found' });
     }
 
+    const wasApproved = absence.status === 'approved';
+    
     // Update absence record
     if (status) absence.status = status;
     if (notes) absence.notes = notes;
@@ -231,10 +109,35 @@ router.put('/:id', [auth, admin], async (req, res) => {
     absence.updatedAt = Date.now();
     await absence.save();
 
+    // Stop asking other employees once the absence is rejected or covered by hand
+    if (status === 'rejected' || replacementUser) {
+      await cancelReplacementOffers(absence._id);
+    }
+
     // Notify the user who reported the absence about the status update
     const user = await User.findById(absence.user);
     const schedule = await Schedule.findById(absence.schedule);
 
+    // Tell admins about the employee's shifts the approved absence leaves understaffed
+    if (absence.status === 'approved' && !wasApproved) {
+      try {
+        // Absence days are stored at UTC midnight, so look a day either side for other time zones
+        const affected = await Schedule.find({
+          assignedEmployees: absence.user,
+          $or: [
+            { _id: absence.schedule },
+            { startTime: { $gte: new Date(absence.startDate.getTime() - DAY_MS), $lt: new Date(absence.endDate.getTime() + 2 * DAY_MS) } }
+          ]
+        }).select('_id');
+        await alertUnderstaffed(affected.map(item => item._id), {
+          reason: `${user ? user.name : 'An employee'}'s absence was approved`,
+          createdBy: req.user.id
+        });
+      } catch (alertErr) {
+        console.error(`Understaffing alert error for absence ${absence._id}:`, alertErr.message);
+      }
+    }
+
     if (user) {
       const notification = new Notification({
         type: user.notificationPreferences.email && user.notificationPreferences.whatsapp ? 'both' :
@@ -0,0 +1,104 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const AttendanceEvent = require('../../models/AttendanceEvent');
+const User = require('../../models/User');
+const { getPunctualityStats } = require('../../utils/attendanceService');
+
+// Date range from the query, the last 30 days by default
+const getRange = ({ startDate, endDate }) => {
+  const end = endDate ? new Date(endDate) : new Date();
+  const start = startDate ? new Date(startDate) : new Date(end.getTime() - 30 * 24 * 60 * 60 * 1000);
+  return isNaN(start.getTime()) || isNaN(end.getTime()) ? null : { start, end };
+};
+
+// @route   GET api/attendance/events
+// @desc    Get the team's late arrivals, early departures and no-shows, filtered by type, userId and dates
+// @access  Private/Admin
+router.get('/events', [auth, admin], async (req, res) => {
+  try {
+    const range = getRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Invalid date range' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const query = { scheduledAt: { $gte: range.start, $lte: range.end } };
+    if (user.team) query.team = user.team;
+    if (req.query.type) query.type = req.query.type;
+    if (req.query.userId) query.user = req.query.userId;
+
+    const events = await AttendanceEvent.find(query)
+      .populate('user', 'name email department position')
+      .populate('schedule', 'title startTime endTime')
+      .sort({ scheduledAt: -1 });
+
+    res.json(events);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/attendance/stats
+// @desc    Get punctuality statistics for each employee of the team, optionally for one department
+// @access  Private/Admin
+router.get('/stats', [auth, admin], async (req, res) => {
+  try {
+    const range = getRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Invalid date range' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const userQuery = {};
+    if (user.team) userQuery.team = user.team;
+    if (req.query.departmentId) userQuery.department = req.query.departmentId;
+    const userIds = await User.find(userQuery).distinct('_id');
+
+    const stats = await getPunctualityStats(userIds, range.start, range.end);
+
+    res.json({
+      startDate: range.start,
+      endDate: range.end,
+      employees: stats.sort((a, b) => a.user.name.localeCompare(b.user.name))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/attendance/my/stats
+// @desc    Get the logged in user's punctuality statistics and attendance events
+// @access  Private
+router.get('/my/stats', auth, async (req, res) => {
+  try {
+    const range = getRange(req.query);
+    if (!range) {
+      return res.status(400).json({ msg: 'Invalid date range' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const [stats] = await getPunctualityStats([user._id], range.start, range.end);
+    const events = await AttendanceEvent.find({
+      user: user._id,
+      scheduledAt: { $gte: range.start, $lte: range.end }
+    })
+      .populate('schedule', 'title startTime endTime')
+      .sort({ scheduledAt: -1 });
+
+    res.json({
+      startDate: range.start,
+      endDate: range.end,
+      ...stats,
+      events
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
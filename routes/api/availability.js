@@ -0,0 +1,196 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const Availability = require('../../models/Availability');
+const Location = require('../../models/Location');
+const User = require('../../models/User');
+const { resolveTimeZone } = require('../../utils/timezone');
+const { normalizeWeekly, parseUnavailability } = require('../../utils/availabilityService');
+
+// Employees manage their own availability under /me, admins anyone's under /user/:userId
+const getTargetUser = (req) => User.findById(req.params.userId || req.user.id).select('name team timezone');
+
+// Availability document for a user, or an empty one if they never set it
+const findOrCreateAvailability = async (user) => {
+  let availability = await Availability.findOne({ user: user._id });
+  if (!availability) {
+    availability = new Availability({ user: user._id, team: user.team });
+  }
+  return availability;
+};
+
+const getAvailability = async (req, res) => {
+  try {
+    const user = await getTargetUser(req);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const availability = await Availability.findOne({ user: user._id })
+      .populate('preferredLocations', 'name address city');
+
+    res.json(availability || { user: user._id, weekly: [], unavailable: [], preferredLocations: [] });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+const updateAvailability = async (req, res) => {
+  const { weekly, preferredLocations, notes } = req.body;
+
+  try {
+    const user = await getTargetUser(req);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const availability = await findOrCreateAvailability(user);
+
+    if (weekly !== undefined) {
+      const result = normalizeWeekly(weekly);
+      if (result.error) {
+        return res.status(400).json({ msg: result.error });
+      }
+      availability.weekly = result.weekly;
+    }
+
+    if (preferredLocations !== undefined) {
+      if (!Array.isArray(preferredLocations)) {
+        return res.status(400).json({ msg: 'Preferred locations must be a list of location IDs' });
+      }
+      const locations = await Location.find({ _id: { $in: preferredLocations } }).select('_id');
+      if (locations.length !== new Set(preferredLocations.map(String)).size) {
+        return res.status(404).json({ msg: 'Location not found' });
+      }
+      availability.preferredLocations = locations.map(location => location._id);
+    }
+
+    if (notes !== undefined) availability.notes = notes;
+    availability.updatedAt = Date.now();
+    await availability.save();
+
+    res.json(availability);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+const addUnavailability = async (req, res) => {
+  try {
+    const user = await getTargetUser(req);
+    if (!user) {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+
+    const result = parseUnavailability(req.body, resolveTimeZone(user.timezone));
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    const availability = await findOrCreateAvailability(user);
+    availability.unavailable.push(result.entry);
+    availability.unavailable.sort((a, b) => a.startDate - b.startDate);
+    availability.updatedAt = Date.now();
+    await availability.save();
+
+    res.json(availability);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'User not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+const removeUnavailability = async (req, res) => {
+  try {
+    const availability = await Availability.findOne({ user: req.params.userId || req.user.id });
+    const entry = availability && availability.unavailable.id(req.params.entryId);
+    if (!entry) {
+      return res.status(404).json({ msg: 'Unavailability not found' });
+    }
+
+    entry.deleteOne();
+    availability.updatedAt = Date.now();
+    await availability.save();
+
+    res.json(availability);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Unavailability not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+};
+
+// @route   GET api/availability/me
+// @desc    Get the logged in user's availability
+// @access  Private
+router.get('/me', auth, getAvailability);
+
+// @route   PUT api/availability/me
+// @desc    Set the logged in user's weekly windows, preferred locations and notes
+// @access  Private
+router.put('/me', auth, updateAvailability);
+
+// @route   POST api/availability/me/unavailable
+// @desc    Add a one-off period when the logged in user can't work
+// @access  Private
+router.post('/me/unavailable', auth, addUnavailability);
+
+// @route   DELETE api/availability/me/unavailable/:entryId
+// @desc    Remove one of the logged in user's unavailable periods
+// @access  Private
+router.delete('/me/unavailable/:entryId', auth, removeUnavailability);
+
+// @route   GET api/availability
+// @desc    Get availability of every employee in the admin's team
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const query = user.team ? { team: user.team } : {};
+
+    const availabilities = await Availability.find(query)
+      .populate('user', 'name department position')
+      .populate('preferredLocations', 'name');
+
+    res.json(availabilities);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/availability/user/:userId
+// @desc    Get an employee's availability
+// @access  Private/Admin
+router.get('/user/:userId', [auth, admin], getAvailability);
+
+// @route   PUT api/availability/user/:userId
+// @desc    Set an employee's weekly windows, preferred locations and notes
+// @access  Private/Admin
+router.put('/user/:userId', [auth, admin], updateAvailability);
+
+// @route   POST api/availability/user/:userId/unavailable
+// @desc    Add a one-off period when an employee can't work
+// @access  Private/Admin
+router.post('/user/:userId/unavailable', [auth, admin], addUnavailability);
+
+// @route   DELETE api/availability/user/:userId/unavailable/:entryId
+// @desc    Remove one of an employee's unavailable periods
+// @access  Private/Admin
+router.delete('/user/:userId/unavailable/:entryId', [auth, admin], removeUnavailability);
+
+module.exports = router;
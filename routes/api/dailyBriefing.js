@@ -11,30 +11,15 @@ const { sendWhatsAppMessage, sendWhatsAppTemplate } = require('../../utils/whats
 const { getTrafficData, getRouteInformation } = require('../../utils/mapsService');
 const { processMessageWithAI } = require('../../utils/aiService');
 const { convertSpeechToText } = require('../../utils/speechService');
-
-// Helper function to get today's date at midnight
-const getTodayAtMidnight = () => {
-  const today = new Date();
-  today.setHours(0, 0, 0, 0);
-  return today;
-};
-
-// Helper function to get tomorrow's date at midnight
-const getTomorrowAtMidnight = () => {
-  const tomorrow = new Date();
-  tomorrow.setDate(tomorrow.getDate() + 1);
-  tomorrow.setHours(0, 0, 0, 0);
-  return tomorrow;
-};
-
-// Helper function to format time
-const formatTime = (timeString) => {
-  const [hours, minutes] = timeString.split(':');
-  const hour = parseInt(hours);
-  const period = hour >= 12 ? 'PM' : 'AM';
-  const formattedHour = hour % 12 === 0 ? 12 : hour % 12;
-  return `${formattedHour}:${minutes} ${period}`;
-};
+const {
+  getTodayAtMidnight,
+  getTomorrowAtMidnight,
+  formatTime,
+  calculateDepartureTime,
+  sendDailyBriefing
+} = require('../../utils/briefingService');
+const { resolveTimeZone } = require('../../utils/timezone');
+const { PUBLISHED } = require('../../utils/schedulePublication');
 
 // @route   GET api/daily-briefing
 // @desc    Get daily briefing for current user
@@ -50,17 +35,19 @@ router.get('/', auth, async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
 
-    // Get today's date at midnight
-    const today = getTodayAtMidnight();
-    const tomorrow = getTomorrowAtMidnight();
+    // Get today's date at midnight in the user's time zone
+    const timezone = resolveTimeZone(user.timezone);
+    const today = getTodayAtMidnight(timezone);
+    const tomorrow = getTomorrowAtMidnight(timezone);
 
     // Get user's schedules for today
     const schedules = await Schedule.find({
       assignedEmployees: req.user.id,
-      date: {
+      startTime: {
         $gte: today,
         $lt: tomorrow
-      }
+      },
+      ...PUBLISHED
     }).populate('location');
 
     // Get user's absences for today
@@ -101,7 +88,7 @@ router.get('/', auth, async (req, res) => {
               trafficCondition: traffic.trafficCondition,
               estimatedTravelTime: traffic.travelTimeMinutes,
               distance: route.distanceInKilometers,
-              suggestedDepartureTime: calculateDepartureTime(schedule.startTime, traffic.travelTimeMinutes)
+              suggestedDepartureTime: calculateDepartureTime(schedule.startTime, traffic.travelTimeMinutes, timezone)
             });
           } catch (error) {
             console.error(`Error getting traffic data for schedule ${schedule._id}:`, error);
@@ -116,8 +103,8 @@ router.get('/', auth, async (req, res) => {
       title: schedule.title,
       description: schedule.description,
       date: schedule.date,
-      startTime: formatTime(schedule.startTime),
-      endTime: formatTime(schedule.endTime),
+      startTime: formatTime(schedule.startTime, timezone),
+      endTime: formatTime(schedule.endTime, timezone),
       location: schedule.location ? {
         name: schedule.location.name,
         address: schedule.location.address,
@@ -154,27 +141,6 @@ router.get('/', auth, async (req, res) => {
   }
 });
 
-// Helper function to calculate suggested departure time
-function calculateDepartureTime(startTime, travelTimeMinutes) {
-  const [hours, minutes] = startTime.split(':').map(Number);
-  
-  // Create a date object for today with the schedule start time
-  const startDateTime = new Date();
-  startDateTime.setHours(hours, minutes, 0, 0);
-  
-  // Subtract travel time (adding 10 minutes buffer)
-  const departureTime = new Date(startDateTime.getTime() - ((travelTimeMinutes + 10) * 60 * 1000));
-  
-  // Format departure time
-  const departureHours = departureTime.getHours();
-  const departureMinutes = departureTime.getMinutes();
-  const period = departureHours >= 12 ? 'PM' : 'AM';
-  const formattedHour = departureHours % 12 === 0 ? 12 : departureHours % 12;
-  const formattedMinutes = departureMinutes.toString().padStart(2, '0');
-  
-  return `${formattedHour}:${formattedMinutes} ${period}`;
-}
-
 // @route   POST api/daily-briefing/send
 // @desc    Send daily briefing to user
 // @access  Private/Admin
@@ -201,121 +167,12 @@ router.post('/send', auth, async (req, res) => {
       return res.status(400).json({ msg: 'User has not enabled daily briefing' });
     }
     
-    // Get today's date at midnight
-    const today = getTodayAtMidnight();
-    const tomorrow = getTomorrowAtMidnight();
-    
-    // Get user's schedules for today
-    const schedules = await Schedule.find({
-      assignedEmployees: userId,
-      date: {
-        $gte: today,
-        $lt: tomorrow
-      }
-    }).populate('location');
-    
-    // Get user's absences for today
-    const absences = await Absence.find({
-      user: userId,
-      startDate: { $lte: today },
-      endDate: { $gte: today },
-      status: 'approved'
-    }).populate('schedule');
-    
-    // Check if user has any approved absences that conflict with today's schedules
-    const absentScheduleIds = absences.map(absence => absence.schedule._id.toString());
-    const filteredSchedules = schedules.filter(schedule => 
-      !absentScheduleIds.includes(schedule._id.toString())
-    );
-    
-    // Get traffic information if user has a default location and schedules
-    let trafficInfo = [];
-    if (user.defaultLocation && filteredSchedules.length > 0) {
-      for (const schedule of filteredSchedules) {
-        if (schedule.location) {
-          try {
-            const traffic = await getTrafficData(
-              user.defaultLocation.coordinates,
-              schedule.location.coordinates
-            );
-            
-            trafficInfo.push({
-              scheduleTitle: schedule.title,
-              startTime: formatTime(schedule.startTime),
-              location: schedule.location.name,
-              trafficCondition: traffic.trafficCondition,
-              estimatedTravelTime: traffic.travelTimeMinutes,
-              suggestedDepartureTime: calculateDepartureTime(schedule.startTime, traffic.travelTimeMinutes)
-            });
-          } catch (error) {
-            console.error(`Error getting traffic data for schedule ${schedule._id}:`, error);
-          }
-        }
-      }
-    }
-    
-    // Create briefing message
-    let briefingMessage = `Good morning ${user.name}! Here's your daily briefing for ${today.toLocaleDateString()}:\n\n`;
-    
-    if (filteredSchedules.length === 0) {
-      briefingMessage += "You don't have any schedules for today.\n";
-    } else {
-      briefingMessage += `You have ${filteredSchedules.length} schedule(s) today:\n\n`;
-      
-      filteredSchedules.forEach((schedule, index) => {
-        briefingMessage += `${index + 1}. ${schedule.title}\n`;
-        briefingMessage += `   Time: ${formatTime(schedule.startTime)} - ${formatTime(schedule.endTime)}\n`;
-        if (schedule.location) {
-          briefingMessage += `   Location: ${schedule.location.name}, ${schedule.location.address}\n`;
-        }
-        
-        // Add traffic information if available
-        const traffic = trafficInfo.find(t => t.scheduleTitle === schedule.title);
-        if (traffic) {
-          briefingMessage += `   Traffic: ${traffic.trafficCondition}\n`;
-          briefingMessage += `   Estimated travel time: ${traffic.estimatedTravelTime} minutes\n`;
-          briefingMessage += `   Suggested departure time: ${traffic.suggestedDepartureTime}\n`;
-        }
-        
-        briefingMessage += '\n';
-      });
-    }
-    
-    // Create notification
-    const notification = new Notification({
-      type: notificationType || (user.notificationPreferences.email && user.notificationPreferences.whatsapp ? 'both' :
-            user.notificationPreferences.email ? 'email' : 'whatsapp'),
-      recipient: userId,
-      subject: `Daily Briefing - ${today.toLocaleDateString()}`,
-      content: briefingMessage,
-      relatedTo: 'daily-briefing',
+    // Build and deliver the same briefing the background job sends
+    const notification = await sendDailyBriefing(user, {
+      notificationType,
       createdBy: req.user.id
     });
     
-    await notification.save();
-    
-    // Send notifications based on type
-    if ((notification.type === 'email' || notification.type === 'both') && user.email) {
-      await sendEmail(
-        user.email,
-        `Daily Briefing - ${today.toLocaleDateString()}`,
-        briefingMessage.replace(/\n/g, '<br>')
-      );
-      notification.status = 'sent';
-      notification.sentAt = Date.now();
-      await notification.save();
-    }
-    
-    if ((notification.type === 'whatsapp' || notification.type === 'both') && user.phone) {
-      await sendWhatsAppMessage(
-        user.phone,
-        briefingMessage
-      );
-      notification.status = 'sent';
-      notification.sentAt = Date.now();
-      await notification.save();
-    }
-    
     res.json({ msg: 'Daily briefing sent successfully', notification });
   } catch (err) {
     console.error(err.message);
@@ -374,17 +231,19 @@ router.post('/voice-command', auth, async (req, res) => {
     const intent = determineIntent(aiResponse);
     
     if (intent.includes('daily-briefing')) {
-      // Get daily briefing data
-      const today = getTodayAtMidnight();
-      const tomorrow = getTomorrowAtMidnight();
+      // Get daily briefing data for today in the user's time zone
+      const timezone = resolveTimeZone(user.timezone);
+      const today = getTodayAtMidnight(timezone);
+      const tomorrow = getTomorrowAtMidnight(timezone);
       
       // Get user's schedules for today
       const schedules = await Schedule.find({
         assignedEmployees: req.user.id,
-        date: {
+        startTime: {
           $gte: today,
           $lt: tomorrow
-        }
+        },
+        ...PUBLISHED
       }).populate('location');
       
       // Format response
@@ -396,7 +255,7 @@ router.post('/voice-command', auth, async (req, res) => {
         response += `You have ${schedules.length} schedule(s) today. `;
         
         schedules.forEach((schedule, index) => {
-          response += `${index + 1}: ${schedule.title} at ${formatTime(schedule.startTime)}. `;
+          response += `${index + 1}: ${schedule.title} at ${formatTime(schedule.startTime, timezone)}. `;
           if (schedule.location) {
             response += `Location: ${schedule.location.name}. `;
           }
@@ -415,7 +274,7 @@ router.post('/voice-command', auth, async (req, res) => {
             
             response += `Traffic to your first schedule is ${traffic.trafficCondition.toLowerCase()}. `;
             response += `Estimated travel time is ${traffic.travelTimeMinutes} minutes. `;
-            response += `You should leave by ${calculateDepartureTime(firstSchedule.startTime, traffic.travelTimeMinutes)}.`;
+            response += `You should leave by ${calculateDepartureTime(firstSchedule.startTime, traffic.travelTimeMinutes, timezone)}.`;
           } catch (error) {
             console.error('Error getting traffic data:', error);
           }
@@ -492,6 +351,10 @@ router.put('/preferences', auth, async (req, res) => {
     }
     
     if (briefingTime) {
+      // Briefing time is stored in 24-hour "HH:mm" format
+      if (!/^([01]\d|2[0-3]):[0-5]\d$/.test(briefingTime)) {
+        return res.status(400).json({ msg: 'Invalid briefing time. Please use 24-hour format like "08:00"' });
+      }
       user.notificationPreferences.briefingTime = briefingTime;
     }
     
@@ -7,6 +7,18 @@ const Schedule = require('../../models/Schedule');
 const User = require('../../models/User');
 const Location = require('../../models/Location');
 const { getTrafficData } = require('../../utils/mapsService');
+const { resolveTimeZone, startOfDay, formatDateKey } = require('../../utils/timezone');
+const { applyLabourRules, alertMaxShiftExceeded, summarizeHours, WORKED_STATUSES } = require('../../utils/labourRules');
+const { startBreak, endBreak, closeRunningBreak, alertMissedBreaks } = require('../../utils/breakService');
+const { parsePosition, checkPosition } = require('../../utils/geofence');
+const { LOCKED_MESSAGE, isPeriodLocked } = require('../../utils/timesheetService');
+const { findEmployee, editRecord, addRecord, splitRecord, markReviewed } = require('../../utils/hourCorrectionService');
+const { buildPayrollExport } = require('../../utils/payrollExport');
+const { checkClockIn, checkClockOut } = require('../../utils/attendanceService');
+const { sendResult } = require('../../utils/serviceResult');
+
+// Geofence results admins should look at
+const FLAGGED_RESULTS = ['outside', 'no-position'];
 
 
 // @route   GET api/hour-tracking
@@ -34,15 +46,20 @@ router.get('/', auth, async (req, res) => {
 });
 
 // @route   POST api/hour-tracking/clock-in
-// @desc    Clock in for a schedule
+// @desc    Clock in for a schedule. Pass position ({ latitude, longitude, accuracy }) for geofenced locations
 // @access  Private
 router.post('/clock-in', auth, async (req, res) => {
   const { scheduleId, notes } = req.body;
 
   try {
+    const { position, error } = parsePosition(req.body.position);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
     // Check if schedule exists
     const schedule = await Schedule.findById(scheduleId);
-    if (!schedule) {
+    if (!schedule || schedule.publicationStatus === 'draft') {
       return res.status(404).json({ msg: 'Schedule not found' });
     }
 
@@ -51,20 +68,32 @@ router.post('/clock-in', auth, async (req, res) => {
       return res.status(401).json({ msg: 'User not assigned to this schedule' });
     }
 
-    // Check if user already clocked in for this schedule
+    // Check if user already clocked in for this schedule today (in the user's time zone)
+    const user = await User.findById(req.user.id);
     const existingRecord = await HourTracking.findOne({
       user: req.user.id,
       schedule: scheduleId,
-      date: { $gte: new Date(new Date().setHours(0, 0, 0, 0)) }
+      date: { $gte: startOfDay(new Date(), resolveTimeZone(user && user.timezone)) }
     });
 
     if (existingRecord) {
       return res.status(400).json({ msg: 'Already clocked in for this schedule' });
     }
 
+    // No new records in a period whose timesheet is approved
+    if (await isPeriodLocked(req.user.id, new Date())) {
+      return res.status(403).json({ msg: LOCKED_MESSAGE });
+    }
+
     // Get location information
     const location = await Location.findById(schedule.location);
 
+    // Refuse or flag punches outside the location's geofence
+    const geofence = checkPosition(location, position);
+    if (geofence.rejected) {
+      return res.status(403).json({ msg: geofence.message, geofence: geofence.check });
+    }
+
     // Get traffic conditions if location exists
     let trafficConditions = null;
     if (location && location.coordinates) {
@@ -90,6 +119,8 @@ router.post('/clock-in', auth, async (req, res) => {
       notes,
       location: schedule.location,
       trafficConditions,
+      geofence: { clockIn: geofence.check },
+      geofenceFlagged: FLAGGED_RESULTS.includes(geofence.check.result),
       createdBy: req.user.id
     });
 
@@ -99,6 +130,13 @@ router.post('/clock-in', auth, async (req, res) => {
     schedule.hourTracking.push(hourTracking._id);
     await schedule.save();
 
+    // Flag and report a late arrival
+    try {
+      await checkClockIn(hourTracking, schedule, user);
+    } catch (attendanceErr) {
+      console.error(`Attendance check error for record ${hourTracking._id}:`, attendanceErr.message);
+    }
+
     res.json(hourTracking);
   } catch (err) {
     console.error(err.message);
@@ -107,12 +145,17 @@ router.post('/clock-in', auth, async (req, res) => {
 });
 
 // @route   POST api/hour-tracking/clock-out/:id
-// @desc    Clock out for a schedule
+// @desc    Clock out for a schedule. Pass position ({ latitude, longitude, accuracy }) for geofenced locations
 // @access  Private
 router.post('/clock-out/:id', auth, async (req, res) => {
   const { notes } = req.body;
 
   try {
+    const { position, error } = parsePosition(req.body.position);
+    if (error) {
+      return res.status(400).json({ msg: error });
+    }
+
     // Find hour tracking record
     const hourTracking = await HourTracking.findById(req.params.id);
     if (!hourTracking) {
@@ -129,16 +172,29 @@ router.post('/clock-out/:id', auth, async (req, res) => {
       return res.status(400).json({ msg: 'Already clocked out for this schedule' });
     }
 
+    if (hourTracking.locked) {
+      return res.status(403).json({ msg: LOCKED_MESSAGE });
+    }
+
+    // Refuse or flag punches outside the location's geofence
+    const location = await Location.findById(hourTracking.location);
+    const geofence = checkPosition(location, position);
+    if (geofence.rejected) {
+      return res.status(403).json({ msg: geofence.message, geofence: geofence.check });
+    }
+    hourTracking.set('geofence.clockOut', geofence.check);
+    if (FLAGGED_RESULTS.includes(geofence.check.result)) {
+      hourTracking.geofenceFlagged = true;
+    }
+
     // Update hour tracking record
     hourTracking.clockOutTime = new Date();
     hourTracking.status = 'completed';
+    closeRunningBreak(hourTracking, hourTracking.clockOutTime);
     
-    // Calculate total hours
-    const clockInTime = new Date(hourTracking.clockInTime);
-    const clockOutTime = new Date(hourTracking.clockOutTime);
-    const diffMs = clockOutTime - clockInTime;
-    const diffHrs = diffMs / (1000 * 60 * 60);
-    hourTracking.totalHours = parseFloat(diffHrs.toFixed(2));
+    // Calculate worked, overtime and premium hours from the team's labour rules
+    const user = await User.findById(req.user.id);
+    await applyLabourRules(hourTracking, user);
 
     // Add notes if provided
     if (notes) {
@@ -148,6 +204,25 @@ router.post('/clock-out/:id', auth, async (req, res) => {
     }
 
     await hourTracking.save();
+    
+    try {
+      await alertMissedBreaks(hourTracking, user);
+    } catch (alertErr) {
+      console.error(`Missed break alert error for record ${hourTracking._id}:`, alertErr.message);
+    }
+
+    try {
+      await alertMaxShiftExceeded(hourTracking, user);
+    } catch (alertErr) {
+      console.error(`Maximum shift alert error for record ${hourTracking._id}:`, alertErr.message);
+    }
+
+    // Flag and report an early departure
+    try {
+      await checkClockOut(hourTracking, user);
+    } catch (attendanceErr) {
+      console.error(`Attendance check error for record ${hourTracking._id}:`, attendanceErr.message);
+    }
 
     res.json(hourTracking);
   } catch (err) {
@@ -156,6 +231,46 @@ router.post('/clock-out/:id', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/hour-tracking/break-start/:id
+// @desc    Start a break. Pass paid to count it as worked time
+// @access  Private
+router.post('/break-start/:id', auth, async (req, res) => {
+  try {
+    const result = await startBreak(req.params.id, req.user.id, { paid: req.body.paid });
+    if (result.error) {
+      return res.status(result.status || 400).json({ msg: result.error });
+    }
+
+    res.json(result.hourTracking);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/hour-tracking/break-end/:id
+// @desc    End the running break
+// @access  Private
+router.post('/break-end/:id', auth, async (req, res) => {
+  try {
+    const result = await endBreak(req.params.id, req.user.id);
+    if (result.error) {
+      return res.status(result.status || 400).json({ msg: result.error });
+    }
+
+    res.json(result.hourTracking);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
 // @route   GET api/hour-tracking/user
 // @desc    Get all hour tracking records for current user
 // @access  Private
@@ -189,25 +304,22 @@ router.get('/user/summary', auth, async (req, res) => {
     const queryStartDate = startDate ? new Date(startDate) : firstDayOfMonth;
     const queryEndDate = endDate ? new Date(endDate) : lastDayOfMonth;
     
-    // Find all completed hour tracking records in date range
+    // Find all completed and corrected hour tracking records in date range
     const hourTrackings = await HourTracking.find({
       user: req.user.id,
-      status: 'completed',
+      status: { $in: WORKED_STATUSES },
       date: { $gte: queryStartDate, $lte: queryEndDate }
     });
     
-    // Calculate total hours
-    let totalHours = 0;
-    hourTrackings.forEach(record => {
-      if (record.totalHours) {
-        totalHours += record.totalHours;
-      }
-    });
+    // Calculate total, overtime and premium hours
+    const totals = summarizeHours(hourTrackings);
     
-    // Group by day
+    // Group by day in the user's time zone
+    const user = await User.findById(req.user.id);
+    const timezone = resolveTimeZone(user && user.timezone);
     const dailyHours = {};
     hourTrackings.forEach(record => {
-      const dateStr = record.date.toISOString().split('T')[0];
+      const dateStr = formatDateKey(record.date, timezone);
       if (!dailyHours[dateStr]) {
         dailyHours[dateStr] = 0;
       }
@@ -217,7 +329,7 @@ router.get('/user/summary', auth, async (req, res) => {
     });
     
     res.json({
-      totalHours: parseFloat(totalHours.toFixed(2)),
+      ...totals,
       recordCount: hourTrackings.length,
       startDate: queryStartDate,
       endDate: queryEndDate,
@@ -229,6 +341,157 @@ router.get('/user/summary', auth, async (req, res) => {
   }
 });
 
+// @route   GET api/hour-tracking/admin/geofence
+// @desc    Get punches made outside a geofence or without a position, for review
+// @access  Private/Admin
+router.get('/admin/geofence', [auth, admin], async (req, res) => {
+  try {
+    const { startDate, endDate, userId } = req.query;
+    const user = await User.findById(req.user.id);
+    
+    const query = { geofenceFlagged: true };
+    if (startDate || endDate) {
+      query.date = {};
+      if (startDate) query.date.$gte = new Date(startDate);
+      if (endDate) query.date.$lte = new Date(endDate);
+    }
+    if (user.team) {
+      // Only punches of the admin's team, as in /admin/review
+      const teamUserIds = await User.find({ team: user.team }).distinct('_id');
+      query.user = { $in: userId ? teamUserIds.filter(id => id.toString() === userId) : teamUserIds };
+    } else if (userId) {
+      query.user = userId;
+    }
+    
+    const hourTrackings = await HourTracking.find(query)
+      .populate('user', 'name email department')
+      .populate('schedule', 'title startTime endTime')
+      .populate('location', 'name address city coordinates geofence')
+      .sort({ date: -1 });
+    
+    res.json(hourTrackings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/hour-tracking/admin/review
+// @desc    Get records that need an admin to check them, e.g. forgotten clock-outs closed automatically
+// @access  Private/Admin
+router.get('/admin/review', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const query = { needsReview: true };
+    if (user.team) {
+      query.user = { $in: await User.find({ team: user.team }).distinct('_id') };
+    }
+
+    const hourTrackings = await HourTracking.find(query)
+      .populate('user', 'name email department')
+      .populate('schedule', 'title startTime endTime')
+      .populate('location', 'name')
+      .sort({ date: -1 });
+
+    res.json(hourTrackings);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/hour-tracking/admin/records
+// @desc    Add a record for a shift worked without clocking in. A reason is required
+// @access  Private/Admin
+router.post('/admin/records', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await addRecord(user, req.body);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Employee or schedule not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/hour-tracking/admin/:id/history
+// @desc    Get a record's change log
+// @access  Private/Admin
+router.get('/admin/:id/history', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const hourTracking = await HourTracking.findById(req.params.id)
+      .select('user changeLog needsReview status')
+      .populate('changeLog.by', 'name');
+    // Records of other teams are hidden, as in the correction endpoints
+    if (!hourTracking || !(await findEmployee(hourTracking.user, user))) {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+
+    res.json(hourTracking);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/hour-tracking/admin/:id
+// @desc    Correct a record's clockInTime, clockOutTime, breaks or notes. A reason is required
+// @access  Private/Admin
+router.put('/admin/:id', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await editRecord(req.params.id, user, req.body);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/hour-tracking/admin/:id/split
+// @desc    Split a record in two at splitAt, optionally moving the second part to scheduleId. A reason is required
+// @access  Private/Admin
+router.post('/admin/:id/split', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await splitRecord(req.params.id, user, req.body);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/hour-tracking/admin/:id/review
+// @desc    Mark a flagged record as checked without changing it
+// @access  Private/Admin
+router.put('/admin/:id/review', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await markReviewed(req.params.id, user, req.body.reason);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Hour tracking record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
 // @route   GET api/hour-tracking/admin/report
 // @desc    Get hour tracking report for all users (admin only)
 // @access  Private/Admin
@@ -247,7 +510,7 @@ router.get('/admin/report', [auth, admin], async (req, res) => {
     
     // Build query
     const query = {
-      status: 'completed',
+      status: { $in: WORKED_STATUSES },
       date: { $gte: queryStartDate, $lte: queryEndDate }
     };
     
@@ -256,7 +519,7 @@ router.get('/admin/report', [auth, admin], async (req, res) => {
       query.user = userId;
     }
     
-    // Find all completed hour tracking records matching query
+    // Find all completed and corrected hour tracking records matching query
     const hourTrackings = await HourTracking.find(query)
       .populate('user', 'name email department position')
       .populate('schedule', 'title date')
@@ -284,13 +547,11 @@ router.get('/admin/report', [auth, admin], async (req, res) => {
             department: record.user.department,
             position: record.user.position
           },
-          totalHours: 0,
           records: []
         };
       }
       
       if (record.totalHours) {
-        userHours[userId].totalHours += record.totalHours;
         userHours[userId].records.push({
           _id: record._id,
           date: record.date,
@@ -298,7 +559,8 @@ router.get('/admin/report', [auth, admin], async (req, res) => {
           location: record.location,
           clockInTime: record.clockInTime,
           clockOutTime: record.clockOutTime,
-          totalHours: record.totalHours
+          totalHours: record.totalHours,
+          labour: record.labour
         });
       }
     });
@@ -306,10 +568,38 @@ router.get('/admin/report', [auth, admin], async (req, res) => {
     res.json({
       startDate: queryStartDate,
       endDate: queryEndDate,
-      userHours: Object.values(userHours)
+      userHours: Object.values(userHours).map(entry => ({
+        ...entry,
+        ...summarizeHours(entry.records)
+      }))
+    });
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/hour-tracking/admin/export
+// @desc    Download worked hours as a payroll file (format=csv or xlsx), one row per shift or per employee (groupBy)
+// @access  Private/Admin
+router.get('/admin/export', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await buildPayrollExport(user, req.query);
+    if (result.error) {
+      return res.status(result.status || 400).json({ msg: result.error });
+    }
+
+    res.set({
+      'Content-Type': result.contentType,
+      'Content-Disposition': `attachment; filename="${result.filename}"`
     });
+    res.send(result.body);
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Team not found' });
+    }
     res.status(500).send('Server Error');
   }
 });
@@ -4,6 +4,8 @@ const auth = require('../../middleware/auth');
 const admin = require('../../middleware/admin');
 const Location = require('../../models/Location');
 const User = require('../../models/User');
+const { isValidTimeZone } = require('../../utils/timezone');
+const { normalizeGeofence } = require('../../utils/geofence');
 
 // @route   POST api/locations
 // @desc    Create a location
@@ -18,10 +20,20 @@ router.post('/', [auth, admin], async (req, res) => {
     country,
     coordinates,
     description,
-    
+    timezone,
+    geofence
   } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ msg: 'Invalid time zone. Please use an IANA name like "Europe/Paris"' });
+    }
+
+    const fence = geofence === undefined ? {} : normalizeGeofence(geofence);
+    if (fence.error) {
+      return res.status(400).json({ msg: fence.error });
+    }
+
     const user = await User.findById(req.user.id);
     // Create new location
     const newLocation = new Location({
@@ -33,6 +45,8 @@ router.post('/', [auth, admin], async (req, res) => {
       country: country || '',
       coordinates,
       description,
+      timezone,
+      geofence: fence.geofence,
       team: user.team,
       createdBy: req.user.id
     });
@@ -108,10 +122,21 @@ router.put('/:id', [auth, admin], async (req, res) => {
     country,
     coordinates,
     description,
+    timezone,
+    geofence,
     active
   } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ msg: 'Invalid time zone. Please use an IANA name like "Europe/Paris"' });
+    }
+
+    const fence = geofence === undefined ? {} : normalizeGeofence(geofence);
+    if (fence.error) {
+      return res.status(400).json({ msg: fence.error });
+    }
+
     let location = await Location.findById(req.params.id);
     
     if (!location) {
@@ -128,6 +153,8 @@ router.put('/:id', [auth, admin], async (req, res) => {
     if (country) locationFields.country = country;
     if (coordinates) locationFields.coordinates = coordinates;
     if (description !== undefined) locationFields.description = description;
+    if (timezone) locationFields.timezone = timezone;
+    if (fence.geofence) locationFields.geofence = fence.geofence;
     if (active !== undefined) locationFields.active = active;
     locationFields.updatedAt = Date.now();
     
@@ -12,6 +12,8 @@ const { getTrafficData, getRouteInfo } = require('../../utils/mapsService');
 const { sendAnnouncementWhatsApp } = require('../../utils/twilioService');
 const mongoose = require('mongoose');
 const { processWithAzureOpenAI } = require('../../utils/aiService');
+const { resolveTimeZone, startOfDay } = require('../../utils/timezone');
+const { PUBLISHED } = require('../../utils/schedulePublication');
 // @route   POST api/notifications
 // @desc    Create and send a notification
 // @access  Private/Admin
@@ -305,16 +307,16 @@ router.get('/admin', [auth, admin], async (req, res) => {
 // @access  Private/Admin
 router.get('/traffic-alerts', [auth, admin], async (req, res) => {
   try {
-    // Get schedules for today and tomorrow
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const dayAfterTomorrow = new Date(today);
-    dayAfterTomorrow.setDate(dayAfterTomorrow.getDate() + 2);
+    // Get schedules for today and tomorrow in the admin's time zone
+    const adminUser = await User.findById(req.user.id).select('timezone');
+    const timezone = resolveTimeZone(adminUser && adminUser.timezone);
+    const today = startOfDay(new Date(), timezone);
+    const dayAfterTomorrow = startOfDay(new Date(), timezone, 2);
     
     // Find all upcoming schedules with locations
     const schedules = await Schedule.find({
-      date: { $gte: today, $lt: dayAfterTomorrow }
+      startTime: { $gte: today, $lt: dayAfterTomorrow },
+      ...PUBLISHED
     })
       .populate('assignedEmployees', 'name email phone notificationPreferences')
       .populate('location');
@@ -0,0 +1,208 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const Schedule = require('../../models/Schedule');
+const OpenShiftClaim = require('../../models/OpenShiftClaim');
+const User = require('../../models/User');
+const {
+  openSeats,
+  postOpenShift,
+  closeOpenShift,
+  listOpenShifts,
+  claimOpenShift,
+  approveClaim,
+  rejectClaim,
+  cancelClaim
+} = require('../../utils/openShiftService');
+const { sendResult } = require('../../utils/serviceResult');
+const { toId } = require('../../utils/ids');
+
+// Claims and schedules of another team's admin count as not found
+const isOtherTeam = (doc, adminUser) => adminUser.team && doc.team && toId(doc.team) !== toId(adminUser.team);
+
+const SCHEDULE_POPULATE = {
+  select: 'title startTime endTime location status assignedEmployees openShift',
+  populate: { path: 'location', select: 'name address city timezone' }
+};
+
+// @route   GET api/open-shifts
+// @desc    Get open shifts: the ones you can claim, or every open shift of the team for admins
+// @access  Private
+router.get('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const schedules = await listOpenShifts(user);
+
+    res.json(schedules.map(schedule => ({
+      ...schedule.toObject(),
+      openSeats: openSeats(schedule)
+    })));
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/open-shifts/claims
+// @desc    Get the team's open shift claims, optionally filtered by status
+// @access  Private/Admin
+router.get('/claims', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const query = user.team ? { team: user.team } : {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const claims = await OpenShiftClaim.find(query)
+      .populate('user', 'name department position')
+      .populate('decidedBy', 'name')
+      .populate({ path: 'schedule', ...SCHEDULE_POPULATE })
+      .sort({ createdAt: -1 });
+
+    res.json(claims);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/open-shifts/claims/my
+// @desc    Get the logged in user's open shift claims
+// @access  Private
+router.get('/claims/my', auth, async (req, res) => {
+  try {
+    const claims = await OpenShiftClaim.find({ user: req.user.id })
+      .populate({ path: 'schedule', ...SCHEDULE_POPULATE })
+      .sort({ createdAt: -1 });
+
+    res.json(claims);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/open-shifts/claims/:id/approve
+// @desc    Approve a claim and put the employee on the shift
+// @access  Private/Admin
+router.put('/claims/:id/approve', [auth, admin], async (req, res) => {
+  try {
+    const adminUser = await User.findById(req.user.id);
+    const claim = await OpenShiftClaim.findById(req.params.id);
+    if (!claim || isOtherTeam(claim, adminUser)) {
+      return res.status(404).json({ msg: 'Claim not found' });
+    }
+
+    const result = await approveClaim(req.params.id, req.user.id);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Claim not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/open-shifts/claims/:id/reject
+// @desc    Reject a claim
+// @access  Private/Admin
+router.put('/claims/:id/reject', [auth, admin], async (req, res) => {
+  try {
+    const adminUser = await User.findById(req.user.id);
+    const claim = await OpenShiftClaim.findById(req.params.id);
+    if (!claim || isOtherTeam(claim, adminUser)) {
+      return res.status(404).json({ msg: 'Claim not found' });
+    }
+
+    const result = await rejectClaim(req.params.id, req.user.id, req.body.reason);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Claim not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/open-shifts/claims/:id
+// @desc    Withdraw your pending claim
+// @access  Private
+router.delete('/claims/:id', auth, async (req, res) => {
+  try {
+    const result = await cancelClaim(req.params.id, req.user.id);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Claim not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/open-shifts/:scheduleId
+// @desc    Open a schedule's unfilled places, or change the capacity, filter or claim mode
+// @access  Private/Admin
+router.post('/:scheduleId', [auth, admin], async (req, res) => {
+  try {
+    const adminUser = await User.findById(req.user.id);
+    const schedule = await Schedule.findById(req.params.scheduleId);
+    if (!schedule || isOtherTeam(schedule, adminUser)) {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+
+    const result = await postOpenShift(schedule, req.body);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/open-shifts/:scheduleId
+// @desc    Stop offering a shift and reject its pending claims
+// @access  Private/Admin
+router.delete('/:scheduleId', [auth, admin], async (req, res) => {
+  try {
+    const adminUser = await User.findById(req.user.id);
+    const schedule = await Schedule.findById(req.params.scheduleId);
+    if (!schedule || !schedule.openShift || !schedule.openShift.enabled || isOtherTeam(schedule, adminUser)) {
+      return res.status(404).json({ msg: 'Open shift not found' });
+    }
+
+    const result = await closeOpenShift(schedule, req.user.id);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Open shift not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/open-shifts/:scheduleId/claim
+// @desc    Claim a place on an open shift
+// @access  Private
+router.post('/:scheduleId/claim', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await claimOpenShift(req.params.scheduleId, user);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
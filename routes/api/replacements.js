@@ -0,0 +1,124 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const Absence = require('../../models/Absence');
+const ReplacementOffer = require('../../models/ReplacementOffer');
+const {
+  offerNextCandidate,
+  respondToOffer
+} = require('../../utils/replacementService');
+
+// @route   GET api/replacements/my
+// @desc    Get open shift cover requests for the logged in user
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const offers = await ReplacementOffer.find({
+      candidate: req.user.id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate({
+        path: 'schedule',
+        select: 'title startTime endTime location',
+        populate: { path: 'location', select: 'name address city timezone' }
+      })
+      .sort({ expiresAt: 1 });
+
+    res.json(offers);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/replacements/:id/accept
+// @desc    Accept a shift cover request
+// @access  Private
+router.post('/:id/accept', auth, async (req, res) => {
+  try {
+    const result = await respondToOffer(req.params.id, req.user.id, true);
+    if (result.error) {
+      return res.status(409).json({ msg: result.error });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Offer not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/replacements/:id/decline
+// @desc    Decline a shift cover request
+// @access  Private
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const result = await respondToOffer(req.params.id, req.user.id, false);
+    if (result.error) {
+      return res.status(409).json({ msg: result.error });
+    }
+
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Offer not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/replacements/absence/:absenceId
+// @desc    Get the offers made to cover an absence, in the order they were made
+// @access  Private/Admin
+router.get('/absence/:absenceId', [auth, admin], async (req, res) => {
+  try {
+    const offers = await ReplacementOffer.find({ absence: req.params.absenceId })
+      .populate('candidate', 'name email phone')
+      .sort({ rank: 1 });
+
+    res.json(offers);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Absence record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/replacements/absence/:absenceId/start
+// @desc    Start (or resume) looking for cover for an absence
+// @access  Private/Admin
+router.post('/absence/:absenceId/start', [auth, admin], async (req, res) => {
+  try {
+    const absence = await Absence.findById(req.params.absenceId);
+    if (!absence) {
+      return res.status(404).json({ msg: 'Absence record not found' });
+    }
+
+    if (absence.replacementAssigned) {
+      return res.status(400).json({ msg: 'A replacement is already assigned' });
+    }
+
+    const offer = await offerNextCandidate(absence);
+    if (!offer) {
+      return res.status(404).json({ msg: 'No available candidate to offer this shift to' });
+    }
+
+    res.json(offer);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Absence record not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -6,26 +6,74 @@ const Schedule = require('../../models/Schedule');
 const User = require('../../models/User');
 const Absence = require('../../models/Absence');
 const HourTracking = require('../../models/HourTracking');
+const Availability = require('../../models/Availability');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const { solveRota, publishDraft } = require('../../utils/rotaSolver');
+const { PUBLISHED } = require('../../utils/schedulePublication');
+const { checkAvailability, describeDayAvailability } = require('../../utils/availabilityService');
+const { getRequiredHeadcount, getCoverage } = require('../../utils/coverageService');
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  startOfDay,
+  getWeekRange,
+  formatDateKey
+} = require('../../utils/timezone');
 
-// Helper function to get start and end dates for a week
-const getWeekDates = (date, weekOffset = 0) => {
-  const currentDate = new Date(date);
-  currentDate.setDate(currentDate.getDate() + (weekOffset * 7));
+// Helper function to get start and end dates for a week (Monday to Sunday) in a time zone
+const getWeekDates = (date, weekOffset = 0, timezone) => {
+  const { start, end } = getWeekRange(startOfDay(date, timezone, weekOffset * 7), timezone, 1);
   
-  // Get the day of the week (0 = Sunday, 1 = Monday, etc.)
-  const day = currentDate.getDay();
-  
-  // Calculate the date of the Monday of this week
-  const monday = new Date(currentDate);
-  monday.setDate(currentDate.getDate() - day + (day === 0 ? -6 : 1));
-  monday.setHours(0, 0, 0, 0);
-  
-  // Calculate the date of the Sunday of this week
-  const sunday = new Date(monday);
-  sunday.setDate(monday.getDate() + 6);
-  sunday.setHours(23, 59, 59, 999);
-  
-  return { startDate: monday, endDate: sunday };
+  return { startDate: start, endDate: new Date(end.getTime() - 1) };
+};
+
+// Helper function to get the calendar days ("YYYY-MM-DD") of a week in a time zone
+const getWeekDays = (startDate, timezone) => {
+  const days = [];
+  for (let i = 0; i < 7; i++) {
+    days.push(formatDateKey(startOfDay(startDate, timezone, i), timezone));
+  }
+  return days;
+};
+
+// Helper function to pick the time zone a matrix is shown in (query string, or body for POSTs)
+const getMatrixTimeZone = async (req, fallbackUserId) => {
+  const requested = req.query.timezone || (req.body && req.body.timezone);
+  if (requested && isValidTimeZone(requested)) {
+    return requested;
+  }
+  const user = await User.findById(fallbackUserId || req.user.id).select('timezone');
+  return resolveTimeZone(user && user.timezone);
+};
+
+// Helper function to list the names of an employee's preferred locations
+const getPreferredLocations = (availability) =>
+  availability ? availability.preferredLocations.map(location => location.name) : [];
+
+// Helper function to load availability documents keyed by user ID
+const getAvailabilityByUser = async (users) => {
+  const availabilities = await Availability.find({ user: { $in: users.map(user => user._id) } })
+    .populate('preferredLocations', 'name');
+  return new Map(availabilities.map(availability => [availability.user.toString(), availability]));
+};
+
+// Helper function to list the week's shifts that need a headcount, with their gaps, by day
+const getMatrixCoverage = async (schedules, timezone) => {
+  const staffed = schedules.filter(schedule => schedule.status !== 'cancelled' && getRequiredHeadcount(schedule) > 0);
+  const coverage = await getCoverage(staffed);
+  return staffed.map((schedule, i) => ({
+    id: schedule._id,
+    title: schedule.title,
+    date: formatDateKey(schedule.startTime, timezone),
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    location: schedule.location ? schedule.location.name : null,
+    required: coverage[i].required,
+    available: coverage[i].available,
+    shortBy: coverage[i].shortBy,
+    positions: coverage[i].positions,
+    understaffed: coverage[i].understaffed
+  }));
 };
 
 // @route   GET api/schedule-matrix
@@ -36,61 +84,63 @@ router.get('/', [auth, admin], async (req, res) => {
     const { date, weekOffset } = req.query;
     const baseDate = date ? new Date(date) : new Date();
     const offset = weekOffset ? parseInt(weekOffset) : 0;
+    const timezone = await getMatrixTimeZone(req);
     
     // Get start and end dates for the week
-    const { startDate, endDate } = getWeekDates(baseDate, offset);
+    const { startDate, endDate } = getWeekDates(baseDate, offset, timezone);
     
     // Get all schedules for the week
     const schedules = await Schedule.find({
-      date: { $gte: startDate, $lte: endDate }
+      startTime: { $gte: startDate, $lte: endDate }
     })
       .populate('assignedEmployees', 'name department position')
-      .populate('location', 'name address city')
+      .populate('location', 'name address city timezone')
       .populate('absences')
       .populate('hourTracking')
       .sort({ date: 1, startTime: 1 });
     
     // Get all users
     const users = await User.find({ role: 'employee' })
-      .select('name department position')
+      .select('name department position timezone')
       .sort({ department: 1, name: 1 });
     
+    // Absences are calendar dates, so match them against the week's local days
+    const days = getWeekDays(startDate, timezone);
+    const firstDay = new Date(`${days[0]}T00:00:00.000Z`);
+    const lastDay = new Date(`${days[days.length - 1]}T00:00:00.000Z`);
+    
     // Get all absences for the week
     const absences = await Absence.find({
       $or: [
-        { startDate: { $lte: endDate }, endDate: { $gte: startDate } },
-        { startDate: { $gte: startDate, $lte: endDate } },
-        { endDate: { $gte: startDate, $lte: endDate } }
+        { startDate: { $lte: lastDay }, endDate: { $gte: firstDay } },
+        { startDate: { $gte: firstDay, $lte: lastDay } },
+        { endDate: { $gte: firstDay, $lte: lastDay } }
       ]
     })
       .populate('user', 'name')
       .populate('schedule', 'title date')
       .populate('replacementUser', 'name');
     
-    // Create a matrix of days (columns) and users (rows)
-    const days = [];
-    const currentDay = new Date(startDate);
+    const availabilityByUser = await getAvailabilityByUser(users);
+    const coverage = await getMatrixCoverage(schedules, timezone);
+    const coverageById = new Map(coverage.map(item => [item.id.toString(), item]));
     
-    // Generate array of days in the week
-    while (currentDay <= endDate) {
-      days.push(new Date(currentDay));
-      currentDay.setDate(currentDay.getDate() + 1);
-    }
-    
-    // Create the matrix
+    // Create the matrix of days (columns) and users (rows)
     const matrix = {
       startDate,
       endDate,
-      days: days.map(day => day.toISOString().split('T')[0]),
+      timezone,
+      days,
+      coverage,
       users: users.map(user => ({
         id: user._id,
         name: user.name,
         department: user.department,
         position: user.position,
-        schedules: days.map(day => {
-          const dayStr = day.toISOString().split('T')[0];
+        preferredLocations: getPreferredLocations(availabilityByUser.get(user._id.toString())),
+        schedules: days.map(dayStr => {
           const userSchedules = schedules.filter(schedule => {
-            const scheduleDate = new Date(schedule.date).toISOString().split('T')[0];
+            const scheduleDate = formatDateKey(schedule.startTime, timezone);
             return scheduleDate === dayStr && schedule.assignedEmployees.some(emp => emp._id.toString() === user._id.toString());
           });
           
@@ -102,15 +152,24 @@ router.get('/', [auth, admin], async (req, res) => {
                    dayStr >= absenceStart && dayStr <= absenceEnd;
           });
           
+          // Availability is kept in the employee's own time zone
+          const availability = availabilityByUser.get(user._id.toString());
+          const userTimezone = resolveTimeZone(user.timezone, timezone);
+          
           return {
             date: dayStr,
+            availability: describeDayAvailability(availability, dayStr, userTimezone),
             schedules: userSchedules.map(schedule => ({
               id: schedule._id,
               title: schedule.title,
               startTime: schedule.startTime,
               endTime: schedule.endTime,
               location: schedule.location ? schedule.location.name : null,
-              status: schedule.status
+              status: schedule.status,
+              publicationStatus: schedule.publicationStatus || 'published',
+              hasUnpublishedChanges: !!schedule.hasUnpublishedChanges,
+              understaffed: coverageById.has(schedule._id.toString()) && coverageById.get(schedule._id.toString()).understaffed,
+              outsideAvailability: checkAvailability(availability, schedule.startTime, schedule.endTime, userTimezone).length > 0
             })),
             absences: userAbsences.map(absence => ({
               id: absence._id,
@@ -139,66 +198,68 @@ router.get('/department/:department', [auth, admin], async (req, res) => {
     const { date, weekOffset } = req.query;
     const baseDate = date ? new Date(date) : new Date();
     const offset = weekOffset ? parseInt(weekOffset) : 0;
+    const timezone = await getMatrixTimeZone(req);
     
     // Get start and end dates for the week
-    const { startDate, endDate } = getWeekDates(baseDate, offset);
+    const { startDate, endDate } = getWeekDates(baseDate, offset, timezone);
     
     // Get all users in the department
     const users = await User.find({ 
       department: req.params.department,
       role: 'employee'
     })
-      .select('name department position')
+      .select('name department position timezone')
       .sort({ name: 1 });
     
     // Get all schedules for the week with assigned employees in the department
     const schedules = await Schedule.find({
-      date: { $gte: startDate, $lte: endDate },
+      startTime: { $gte: startDate, $lte: endDate },
       assignedEmployees: { $in: users.map(user => user._id) }
     })
       .populate('assignedEmployees', 'name department position')
-      .populate('location', 'name address city')
+      .populate('location', 'name address city timezone')
       .populate('absences')
       .populate('hourTracking')
       .sort({ date: 1, startTime: 1 });
     
+    // Absences are calendar dates, so match them against the week's local days
+    const days = getWeekDays(startDate, timezone);
+    const firstDay = new Date(`${days[0]}T00:00:00.000Z`);
+    const lastDay = new Date(`${days[days.length - 1]}T00:00:00.000Z`);
+    
     // Get all absences for the week for users in the department
     const absences = await Absence.find({
       user: { $in: users.map(user => user._id) },
       $or: [
-        { startDate: { $lte: endDate }, endDate: { $gte: startDate } },
-        { startDate: { $gte: startDate, $lte: endDate } },
-        { endDate: { $gte: startDate, $lte: endDate } }
+        { startDate: { $lte: lastDay }, endDate: { $gte: firstDay } },
+        { startDate: { $gte: firstDay, $lte: lastDay } },
+        { endDate: { $gte: firstDay, $lte: lastDay } }
       ]
     })
       .populate('user', 'name')
       .populate('schedule', 'title date')
       .populate('replacementUser', 'name');
     
-    // Create a matrix of days (columns) and users (rows)
-    const days = [];
-    const currentDay = new Date(startDate);
+    const availabilityByUser = await getAvailabilityByUser(users);
+    const coverage = await getMatrixCoverage(schedules, timezone);
+    const coverageById = new Map(coverage.map(item => [item.id.toString(), item]));
     
-    // Generate array of days in the week
-    while (currentDay <= endDate) {
-      days.push(new Date(currentDay));
-      currentDay.setDate(currentDay.getDate() + 1);
-    }
-    
-    // Create the matrix
+    // Create the matrix of days (columns) and users (rows)
     const matrix = {
       department: req.params.department,
       startDate,
       endDate,
-      days: days.map(day => day.toISOString().split('T')[0]),
+      timezone,
+      days,
+      coverage,
       users: users.map(user => ({
         id: user._id,
         name: user.name,
         position: user.position,
-        schedules: days.map(day => {
-          const dayStr = day.toISOString().split('T')[0];
+        preferredLocations: getPreferredLocations(availabilityByUser.get(user._id.toString())),
+        schedules: days.map(dayStr => {
           const userSchedules = schedules.filter(schedule => {
-            const scheduleDate = new Date(schedule.date).toISOString().split('T')[0];
+            const scheduleDate = formatDateKey(schedule.startTime, timezone);
             return scheduleDate === dayStr && schedule.assignedEmployees.some(emp => emp._id.toString() === user._id.toString());
           });
           
@@ -210,15 +271,24 @@ router.get('/department/:department', [auth, admin], async (req, res) => {
                    dayStr >= absenceStart && dayStr <= absenceEnd;
           });
           
+          // Availability is kept in the employee's own time zone
+          const availability = availabilityByUser.get(user._id.toString());
+          const userTimezone = resolveTimeZone(user.timezone, timezone);
+          
           return {
             date: dayStr,
+            availability: describeDayAvailability(availability, dayStr, userTimezone),
             schedules: userSchedules.map(schedule => ({
               id: schedule._id,
               title: schedule.title,
               startTime: schedule.startTime,
               endTime: schedule.endTime,
               location: schedule.location ? schedule.location.name : null,
-              status: schedule.status
+              status: schedule.status,
+              publicationStatus: schedule.publicationStatus || 'published',
+              hasUnpublishedChanges: !!schedule.hasUnpublishedChanges,
+              understaffed: coverageById.has(schedule._id.toString()) && coverageById.get(schedule._id.toString()).understaffed,
+              outsideAvailability: checkAvailability(availability, schedule.startTime, schedule.endTime, userTimezone).length > 0
             })),
             absences: userAbsences.map(absence => ({
               id: absence._id,
@@ -252,9 +322,10 @@ router.get('/user/:userId', auth, async (req, res) => {
     const { date, weekOffset } = req.query;
     const baseDate = date ? new Date(date) : new Date();
     const offset = weekOffset ? parseInt(weekOffset) : 0;
+    const timezone = await getMatrixTimeZone(req, req.params.userId);
     
     // Get start and end dates for the week
-    const { startDate, endDate } = getWeekDates(baseDate, offset);
+    const { startDate, endDate } = getWeekDates(baseDate, offset, timezone);
     
     // Get user
     const user = await User.findById(req.params.userId)
@@ -264,23 +335,29 @@ router.get('/user/:userId', auth, async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
     
-    // Get all schedules for the week where user is assigned
+    // Get all schedules for the week where user is assigned (employees don't see drafts)
     const schedules = await Schedule.find({
-      date: { $gte: startDate, $lte: endDate },
-      assignedEmployees: req.params.userId
+      startTime: { $gte: startDate, $lte: endDate },
+      assignedEmployees: req.params.userId,
+      ...(req.user.role === 'admin' ? {} : PUBLISHED)
     })
       .populate('location', 'name address city')
       .populate('absences')
       .populate('hourTracking')
       .sort({ date: 1, startTime: 1 });
     
+    // Absences are calendar dates, so match them against the week's local days
+    const days = getWeekDays(startDate, timezone);
+    const firstDay = new Date(`${days[0]}T00:00:00.000Z`);
+    const lastDay = new Date(`${days[days.length - 1]}T00:00:00.000Z`);
+    
     // Get all absences for the week for this user
     const absences = await Absence.find({
       user: req.params.userId,
       $or: [
-        { startDate: { $lte: endDate }, endDate: { $gte: startDate } },
-        { startDate: { $gte: startDate, $lte: endDate } },
-        { endDate: { $gte: startDate, $lte: endDate } }
+        { startDate: { $lte: lastDay }, endDate: { $gte: firstDay } },
+        { startDate: { $gte: firstDay, $lte: lastDay } },
+        { endDate: { $gte: firstDay, $lte: lastDay } }
       ]
     })
       .populate('schedule', 'title date')
@@ -292,16 +369,6 @@ router.get('/user/:userId', auth, async (req, res) => {
       date: { $gte: startDate, $lte: endDate }
     }).populate('schedule', 'title');
     
-    // Create a matrix of days
-    const days = [];
-    const currentDay = new Date(startDate);
-    
-    // Generate array of days in the week
-    while (currentDay <= endDate) {
-      days.push(new Date(currentDay));
-      currentDay.setDate(currentDay.getDate() + 1);
-    }
-    
     // Create the user schedule matrix
     const matrix = {
       user: {
@@ -312,12 +379,12 @@ router.get('/user/:userId', auth, async (req, res) => {
       },
       startDate,
       endDate,
-      days: days.map(day => {
-        const dayStr = day.toISOString().split('T')[0];
+      timezone,
+      days: days.map(dayStr => {
         
         // Get schedules for this day
         const daySchedules = schedules.filter(schedule => {
-          const scheduleDate = new Date(schedule.date).toISOString().split('T')[0];
+          const scheduleDate = formatDateKey(schedule.startTime, timezone);
           return scheduleDate === dayStr;
         });
         
@@ -330,7 +397,7 @@ router.get('/user/:userId', auth, async (req, res) => {
         
         // Get hour tracking for this day
         const dayHourTracking = hourTracking.filter(record => {
-          const recordDate = new Date(record.date).toISOString().split('T')[0];
+          const recordDate = formatDateKey(record.date, timezone);
           return recordDate === dayStr;
         });
         
@@ -370,4 +437,97 @@ router.get('/user/:userId', auth, async (req, res) => {
   }
 });
 
+// @route   POST api/schedule-matrix/solve
+// @desc    Propose a draft rota for a week from the staffing requirements (nothing is saved)
+// @access  Private/Admin
+router.post('/solve', [auth, admin], async (req, res) => {
+  const { date, weekOffset, location, requirements, maxWeeklyHours } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    const baseDate = date ? new Date(date) : new Date();
+    const offset = weekOffset ? parseInt(weekOffset) : 0;
+    const timezone = await getMatrixTimeZone(req);
+    
+    // Get start and end dates for the week
+    const { startDate, endDate } = getWeekDates(baseDate, offset, timezone);
+    const days = getWeekDays(startDate, timezone);
+    
+    // Use the team's active requirements, or just the ones picked by the admin
+    const query = { active: true };
+    if (user.team) query.team = user.team;
+    if (location) query.location = location;
+    if (Array.isArray(requirements) && requirements.length > 0) query._id = { $in: requirements };
+    const staffingRequirements = await StaffingRequirement.find(query);
+    
+    if (staffingRequirements.length === 0) {
+      return res.status(404).json({ msg: 'No staffing requirements found' });
+    }
+    
+    const limit = parseFloat(maxWeeklyHours);
+    const draft = await solveRota({
+      requirements: staffingRequirements,
+      days,
+      startDate,
+      endDate,
+      team: user.team,
+      maxWeeklyHours: limit > 0 ? limit : undefined
+    });
+    
+    // Same layout as the schedule matrix, so the draft can be reviewed the same way
+    const matrix = {
+      startDate,
+      endDate,
+      timezone,
+      days,
+      users: draft.employees.map(employee => ({
+        ...employee,
+        schedules: days.map(dayStr => ({
+          date: dayStr,
+          schedules: draft.shifts
+            .filter(shift => shift.date === dayStr && shift.assignedEmployees.includes(employee.id.toString()))
+            .map(shift => ({
+              title: shift.title,
+              startTime: shift.startTime,
+              endTime: shift.endTime,
+              location: shift.locationName,
+              status: 'draft'
+            }))
+        }))
+      }))
+    };
+    
+    res.json({ ...matrix, shifts: draft.shifts, summary: draft.summary });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Staffing requirement not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/schedule-matrix/publish
+// @desc    Save a reviewed draft rota as schedules and notify the employees (or keep them as drafts with draft)
+// @access  Private/Admin
+router.post('/publish', [auth, admin], async (req, res) => {
+  const { shifts, force, draft } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await publishDraft(shifts, { user, force, draft });
+    if (result.error) {
+      return res.status(result.status || 400).json({ msg: result.error, conflicts: result.conflicts });
+    }
+    
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
 module.exports = router;
\ No newline at end of file
@@ -5,191 +5,188 @@ const admin = require('../../middleware/admin');
 const Schedule = require('../../models/Schedule');
 const User = require('../../models/User');
 const Location = require('../../models/Location');
-const Notification = require('../../models/Notification');
-const { sendScheduleNotification } = require('../../utils/emailService');
-const { sendScheduleWhatsApp, sendScheduleChangeWhatsApp } = require('../../utils/twilioService');
+const ScheduleSeries = require('../../models/ScheduleSeries');
+const {
+  isValidTimeZone,
+  resolveTimeZone,
+  startOfDay,
+  getDayRange,
+  getWeekRange
+} = require('../../utils/timezone');
+const { resolveScheduleTimes } = require('../../utils/scheduleTime');
+const { createSchedule } = require('../../utils/scheduleService');
+const { snapshotSchedule, notifyScheduleChanges } = require('../../utils/scheduleNotifications');
+const { findConflicts } = require('../../utils/conflictService');
+const {
+  normalizeStaffing,
+  getRequiredHeadcount,
+  getCoverage,
+  alertOnRemovals
+} = require('../../utils/coverageService');
+const {
+  PUBLISHED,
+  UNPUBLISHED,
+  withPendingChanges,
+  applyEdit,
+  publishSchedules
+} = require('../../utils/schedulePublication');
+const {
+  SCOPES,
+  createSeries,
+  updateSeriesOccurrences,
+  deleteSeriesOccurrences
+} = require('../../utils/scheduleSeriesService');
 
 // @route   POST api/schedules
 // @desc    Create a schedule
 // @access  Private/Admin
 router.post('/', [auth, admin], async (req, res) => {
+  const { location } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+
+    // Check if location exists
+    const locationDoc = await Location.findById(location);
+    if (!locationDoc) {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+
+    const result = await createSchedule(req.body, { user, location: locationDoc });
+    if (result.error) {
+      return res.status(result.status || 400).json({ msg: result.error, conflicts: result.conflicts });
+    }
+
+    // Forced saves still report the conflicts they overrode
+    const { schedule, conflicts } = result;
+    res.json(conflicts.length > 0 ? { ...schedule.toObject(), conflicts } : schedule);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/schedules/conflicts/check
+// @desc    Dry run: list conflicts for a proposed assignment without saving anything
+// @access  Private/Admin
+router.post('/conflicts/check', [auth, admin], async (req, res) => {
   const {
-    title,
-    description,
+    scheduleId,
     date,
     startTime,
     endTime,
     location,
-    assignedEmployees,
-    notificationOptions,
+    assignedEmployees
   } = req.body;
 
   try {
-    // Check if user has a team
     const user = await User.findById(req.user.id);
-    // Check if location exists
-    const locationDoc = await Location.findById(location);
-    if (!locationDoc) {
+    
+    // When checking an edit, missing values come from the existing schedule
+    let existing = null;
+    if (scheduleId) {
+      existing = await Schedule.findById(scheduleId);
+      if (!existing) {
+        return res.status(404).json({ msg: 'Schedule not found' });
+      }
+    }
+    
+    const locationDoc = await Location.findById(location || (existing && existing.location));
+    if (location && !locationDoc) {
       return res.status(404).json({ msg: 'Location not found' });
     }
     
-    // Parse time strings into Date objects
-    let parsedStartTime, parsedEndTime;
+    const timezone = resolveTimeZone(locationDoc && locationDoc.timezone, user.timezone);
+    const times = resolveScheduleTimes({ date, startTime, endTime }, timezone, existing);
+    if (times.error) {
+      return res.status(400).json({ msg: times.error });
+    }
     
-    try {
-      // Parse date string
-      const scheduleDate = new Date(date);
-      
-      // Parse startTime
-      if (typeof startTime === 'string') {
-        // Remove extra spaces and normalize format
-        const cleanStartTime = startTime.replace(/\s+/g, ' ').trim();
-        // Extract hours, minutes, and period
-        const startMatch = cleanStartTime.match(/^(\d+)[\.:]?(\d*)\s*(AM|PM)$/i);
-        
-        if (startMatch) {
-          let [_, hours, minutes, period] = startMatch;
-          hours = parseInt(hours);
-          minutes = minutes ? parseInt(minutes) : 0;
-          
-          // Adjust hours for PM
-          if (period.toUpperCase() === 'PM' && hours < 12) {
-            hours += 12;
-          } else if (period.toUpperCase() === 'AM' && hours === 12) {
-            hours = 0;
-          }
-          
-          parsedStartTime = new Date(scheduleDate);
-          parsedStartTime.setHours(hours, minutes, 0, 0);
-        } else {
-          return res.status(400).json({ msg: 'Invalid start time format. Please use format like "9:00 AM"' });
-        }
-      } else {
-        parsedStartTime = new Date(startTime);
-      }
-      
-      // Parse endTime
-      if (typeof endTime === 'string') {
-        // Remove extra spaces and normalize format
-        const cleanEndTime = endTime.replace(/\s+/g, ' ').trim();
-        // Extract hours, minutes, and period
-        const endMatch = cleanEndTime.match(/^(\d+)[\.:]?(\d*)\s*(AM|PM)$/i);
-        
-        if (endMatch) {
-          let [_, hours, minutes, period] = endMatch;
-          hours = parseInt(hours);
-          minutes = minutes ? parseInt(minutes) : 0;
-          
-          // Adjust hours for PM
-          if (period.toUpperCase() === 'PM' && hours < 12) {
-            hours += 12;
-          } else if (period.toUpperCase() === 'AM' && hours === 12) {
-            hours = 0;
-          }
-          
-          parsedEndTime = new Date(scheduleDate);
-          parsedEndTime.setHours(hours, minutes, 0, 0);
-        } else {
-          return res.status(400).json({ msg: 'Invalid end time format. Please use format like "5:00 PM"' });
-        }
-      } else {
-        parsedEndTime = new Date(endTime);
-      }
-    } catch (parseError) {
-      console.error('Time parsing error:', parseError);
-      return res.status(400).json({ msg: 'Error parsing date/time values' });
+    const shiftStart = times.startTime || (existing && existing.startTime);
+    const shiftEnd = times.endTime || (existing && existing.endTime);
+    if (!shiftStart || !shiftEnd) {
+      return res.status(400).json({ msg: 'Start time and end time are required' });
     }
-
-    // Create new schedule
-    const newSchedule = new Schedule({
-      title,
-      description,
-      date,
-      startTime: parsedStartTime,
-      endTime: parsedEndTime,
-      startTimeString: startTime,
-      endTimeString: endTime,
-      location,
-      team: user.team,
-      assignedEmployees: assignedEmployees || [],
-      notificationOptions: notificationOptions || {
-        sendEmail: true,
-        sendWhatsapp: true,
-        reminderTime: 24
-      },
-      createdBy: req.user.id
+    
+    const conflicts = await findConflicts([{
+      employeeIds: assignedEmployees || (existing ? existing.assignedEmployees : []),
+      startTime: shiftStart,
+      endTime: shiftEnd,
+      scheduleId: existing && existing._id,
+      title: existing && existing.title,
+      timezone
+    }], { excludeScheduleIds: existing ? [existing._id] : [] });
+    
+    res.json({
+      hasConflicts: conflicts.length > 0,
+      conflicts
     });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
 
-    // Save schedule
-    const schedule = await newSchedule.save();
-
-    // Send notifications to assigned employees
-    if (assignedEmployees && assignedEmployees.length > 0) {
-      const employees = await User.find({
-        _id: { $in: assignedEmployees }
-      });
-
-      // Process each employee for notifications
-      const notificationPromises = employees.map(async (employee) => {
-        try {
-          // Create notification record
-          const notification = new Notification({
-            type: employee.notificationPreferences.email && employee.notificationPreferences.whatsapp ? 'both' :
-                  employee.notificationPreferences.email ? 'email' : 'whatsapp',
-            recipient: employee._id,
-            subject: `New Schedule: ${title}`,
-            content: `You have been assigned to ${title} on ${new Date(date).toLocaleDateString()}`,
-            relatedTo: 'schedule',
-            relatedId: schedule._id,
-            createdBy: req.user.id
-          });
-
-          await notification.save();
-
-          // Send email notification
-          if (employee.notificationPreferences.email) {
-            await sendScheduleNotification(employee, schedule, locationDoc);
-            notification.status = 'sent';
-            notification.sentAt = Date.now();
-            await notification.save();
-          }
-
-          // In POST route (create schedule) - around line 180:
-          // Send WhatsApp notification
-          if (employee.notificationPreferences.whatsapp && employee.phone) {
-            await sendScheduleWhatsApp(employee, schedule, locationDoc, true); // Set isOutsideSession to true
-            notification.status = 'sent';
-            notification.sentAt = Date.now();
-            await notification.save();
-          }
-
-          // In PUT route (update schedule) - around line 470:
-          // Send WhatsApp notification
-          console.log('Whatsapp sending started:', info.messageId);
-          if (employee.notificationPreferences.whatsapp && employee.phone) {
-            await sendScheduleChangeWhatsApp(employee, schedule, locationDoc, true); // Set isOutsideSession to true
-            notification.status = 'sent';
-            notification.sentAt = Date.now();
-            await notification.save();
-          }
-
-          return notification;
-        } catch (notificationErr) {
-          console.error(`Notification error for employee ${employee._id}:`, notificationErr.message);
-          return null;
-        }
-      });
-
-      await Promise.all(notificationPromises);
+// @route   POST api/schedules/series
+// @desc    Create a recurring schedule series, e.g. every Mon-Fri 9:00-17:00 until a date
+// @access  Private/Admin
+router.post('/series', [auth, admin], async (req, res) => {
+  const { location } = req.body;
 
-      // Update schedule with notification sent status
-      schedule.notificationSent = true;
-      await schedule.save();
+  try {
+    const user = await User.findById(req.user.id);
+    
+    if (!req.body.title) {
+      return res.status(400).json({ msg: 'Title is required' });
+    }
+    
+    // Check if location exists
+    const locationDoc = await Location.findById(location);
+    if (!locationDoc) {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    
+    const result = await createSeries(req.body, { user, location: locationDoc });
+    if (result.error) {
+      return res.status(result.status || 400).json({ msg: result.error, conflicts: result.conflicts });
+    }
+    
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
     }
+    res.status(500).send('Server Error');
+  }
+});
 
-    res.json(schedule);
+// @route   GET api/schedules/series/:id
+// @desc    Get a schedule series with its occurrences
+// @access  Private/Admin
+router.get('/series/:id', [auth, admin], async (req, res) => {
+  try {
+    const series = await ScheduleSeries.findById(req.params.id)
+      .populate('location', 'name address city state')
+      .populate('assignedEmployees', 'name email');
+    
+    if (!series) {
+      return res.status(404).json({ msg: 'Schedule series not found' });
+    }
+    
+    const schedules = await Schedule.find({ series: series._id })
+      .populate('assignedEmployees', 'name email')
+      .sort({ startTime: 1 });
+    
+    res.json({ series, schedules });
   } catch (err) {
     console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Schedule series not found' });
+    }
     res.status(500).send('Server Error');
   }
 });
@@ -226,7 +223,8 @@ router.get('/', auth, async (req, res) => {
       // If employee, get only schedules assigned to them and in their team
       schedules = await Schedule.find({ 
         assignedEmployees: req.user.id,
-        team: user.team
+        team: user.team,
+        ...PUBLISHED
       })
         .populate('location', 'name address city state')
         .populate('assignedEmployees', 'name email')
@@ -271,7 +269,8 @@ router.get('/upcoming', auth, async (req, res) => {
       schedules = await Schedule.find({
         assignedEmployees: req.user.id,
         date: { $gte: now },
-        status: { $ne: 'cancelled' }
+        status: { $ne: 'cancelled' },
+        ...PUBLISHED
       })
         .populate('location', 'name address city state')
         .populate('assignedEmployees', 'name email')
@@ -287,6 +286,149 @@ router.get('/upcoming', auth, async (req, res) => {
   }
 });
 
+// Helper function to find the week (Monday to Sunday) an admin wants to publish or review
+const getAdminWeek = async (req, source) => {
+  const user = await User.findById(req.user.id);
+  const timezone = isValidTimeZone(source.timezone) ? source.timezone : resolveTimeZone(user.timezone);
+  const baseDate = source.date ? new Date(source.date) : new Date();
+  const offset = source.weekOffset ? parseInt(source.weekOffset) : 0;
+  const { start, end } = getWeekRange(startOfDay(baseDate, timezone, offset * 7), timezone, 1);
+
+  const query = { startTime: { $gte: start, $lt: end } };
+  if (user.team) query.team = user.team;
+  if (source.location) query.location = source.location;
+
+  return { user, timezone, start, end, query };
+};
+
+// @route   GET api/schedules/coverage
+// @desc    Coverage report for a week: required, available and missing people per shift.
+//          Pass understaffed=true to only list shifts that are short.
+// @access  Private/Admin
+router.get('/coverage', [auth, admin], async (req, res) => {
+  try {
+    const { timezone, start, end, query } = await getAdminWeek(req, req.query);
+    
+    const schedules = (await Schedule.find({ ...query, status: { $ne: 'cancelled' } })
+      .populate('location', 'name timezone')
+      .sort({ startTime: 1 }))
+      .filter(schedule => getRequiredHeadcount(schedule) > 0);
+    
+    const coverage = await getCoverage(schedules);
+    const shifts = schedules
+      .map((schedule, i) => ({
+        id: schedule._id,
+        title: schedule.title,
+        startTime: schedule.startTime,
+        endTime: schedule.endTime,
+        location: schedule.location ? schedule.location.name : null,
+        publicationStatus: schedule.publicationStatus || 'published',
+        ...coverage[i]
+      }))
+      .filter(shift => req.query.understaffed !== 'true' || shift.understaffed);
+    
+    res.json({
+      startDate: start,
+      endDate: end,
+      timezone,
+      summary: {
+        shifts: coverage.length,
+        understaffed: coverage.filter(item => item.understaffed).length,
+        missing: coverage.reduce((total, item) => total + item.shortBy, 0)
+      },
+      shifts
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/schedules/unpublished
+// @desc    List drafts and staged edits for a week, with what employees were last told
+// @access  Private/Admin
+router.get('/unpublished', [auth, admin], async (req, res) => {
+  try {
+    const { timezone, start, end, query } = await getAdminWeek(req, req.query);
+    
+    const schedules = await Schedule.find({ ...query, ...UNPUBLISHED })
+      .select('+pendingChanges')
+      .sort({ startTime: 1 });
+    
+    // Show each schedule as it will be once published, next to what employees see now
+    const proposed = await Schedule.populate(schedules.map(withPendingChanges), [
+      { path: 'location', select: 'name address city state' },
+      { path: 'assignedEmployees', select: 'name email' }
+    ]);
+    
+    res.json({
+      startDate: start,
+      endDate: end,
+      timezone,
+      schedules: schedules.map((schedule, index) => ({
+        schedule: proposed[index],
+        published: schedule.publicationStatus === 'draft' ? null : snapshotSchedule(schedule)
+      }))
+    });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/schedules/publish
+// @desc    Publish a week's drafts and staged edits, sending each employee one message
+// @access  Private/Admin
+router.post('/publish', [auth, admin], async (req, res) => {
+  try {
+    const { start, end, query } = await getAdminWeek(req, req.body);
+    
+    const schedules = await Schedule.find({ ...query, ...UNPUBLISHED }).select('+pendingChanges').sort({ startTime: 1 });
+    const result = await publishSchedules(schedules, { createdBy: req.user.id, summary: 'this week' });
+    
+    res.json({ startDate: start, endDate: end, ...result });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/schedules/:id/publish
+// @desc    Publish a single draft or staged edit
+// @access  Private/Admin
+router.post('/:id/publish', [auth, admin], async (req, res) => {
+  try {
+    const schedule = await Schedule.findById(req.params.id).select('+pendingChanges');
+    
+    if (!schedule) {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    
+    if (schedule.publicationStatus !== 'draft' && !schedule.hasUnpublishedChanges) {
+      return res.status(400).json({ msg: 'Schedule has no unpublished changes' });
+    }
+    
+    const result = await publishSchedules([schedule], { createdBy: req.user.id });
+    
+    res.json(result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
 // @route   GET api/schedules/:id
 // @desc    Get schedule by ID
 // @access  Private
@@ -308,6 +450,11 @@ router.get('/:id', auth, async (req, res) => {
       return res.status(403).json({ msg: 'Not authorized to view this schedule' });
     }
     
+    // Employees can't see drafts
+    if (user.role !== 'admin' && schedule.publicationStatus === 'draft') {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    
     res.json(schedule);
   } catch (err) {
     console.error(err.message);
@@ -319,7 +466,8 @@ router.get('/:id', auth, async (req, res) => {
 });
 
 // @route   PUT api/schedules/:id
-// @desc    Update schedule
+// @desc    Update schedule. For series occurrences, scope is 'this' (default), 'following' or 'series'.
+//          Pass draft to stage an edit of a published schedule until the next publish.
 // @access  Private/Admin
 router.put('/:id', [auth, admin], async (req, res) => {
   const {
@@ -331,170 +479,107 @@ router.put('/:id', [auth, admin], async (req, res) => {
     location,
     assignedEmployees,
     notificationOptions,
-    status
+    status,
+    scope = 'this',
+    force,
+    draft
   } = req.body;
 
   try {
-    let schedule = await Schedule.findById(req.params.id);
+    const schedule = await Schedule.findById(req.params.id).select('+pendingChanges');
     
     if (!schedule) {
       return res.status(404).json({ msg: 'Schedule not found' });
     }
     
-    // Check if location exists if provided
-    if (location) {
-      const locationDoc = await Location.findById(location);
-      if (!locationDoc) {
-        return res.status(404).json({ msg: 'Location not found' });
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ msg: `Scope must be one of: ${SCOPES.join(', ')}` });
+    }
+    
+    // Edits to following occurrences or the whole series are handled by the series service
+    if (schedule.series && scope !== 'this') {
+      const user = await User.findById(req.user.id);
+      const result = await updateSeriesOccurrences(schedule, scope, req.body, { user });
+      if (result.error) {
+        return res.status(result.status || 400).json({ msg: result.error, conflicts: result.conflicts });
       }
+      return res.json(result);
+    }
+    
+    // Edits build on earlier staged edits, if any
+    const current = withPendingChanges(schedule);
+    const before = snapshotSchedule(current);
+    
+    const staffing = normalizeStaffing(req.body, schedule);
+    if (staffing.error) {
+      return res.status(400).json({ msg: staffing.error });
+    }
+    
+    // Check if location exists if provided
+    const locationDoc = await Location.findById(location || current.location);
+    if (location && !locationDoc) {
+      return res.status(404).json({ msg: 'Location not found' });
     }
     
     // Build schedule object
     const scheduleFields = {};
     if (title) scheduleFields.title = title;
     if (description !== undefined) scheduleFields.description = description;
-    if (date) scheduleFields.date = date;
-    
-    // Parse time strings if provided
-    let scheduleDate = date ? new Date(date) : new Date(schedule.date);
-    
-    // Handle startTime
-    if (startTime) {
-      if (typeof startTime === 'string') {
-        // Remove extra spaces and normalize format
-        const cleanStartTime = startTime.replace(/\s+/g, ' ').trim();
-        // Extract hours, minutes, and period
-        const startMatch = cleanStartTime.match(/^(\d+)[\.:]?(\d*)\s*(AM|PM)$/i);
-        
-        if (startMatch) {
-          let [_, hours, minutes, period] = startMatch;
-          hours = parseInt(hours);
-          minutes = minutes ? parseInt(minutes) : 0;
-          
-          // Adjust hours for PM
-          if (period.toUpperCase() === 'PM' && hours < 12) {
-            hours += 12;
-          } else if (period.toUpperCase() === 'AM' && hours === 12) {
-            hours = 0;
-          }
-          
-          const parsedStartTime = new Date(scheduleDate);
-          parsedStartTime.setHours(hours, minutes, 0, 0);
-          scheduleFields.startTime = parsedStartTime;
-          scheduleFields.startTimeString = startTime;
-        } else {
-          return res.status(400).json({ msg: 'Invalid start time format. Please use format like "9:00 AM"' });
-        }
-      } else {
-        scheduleFields.startTime = new Date(startTime);
-        scheduleFields.startTimeString = startTime;
-      }
-    }
     
-    // Handle endTime
-    if (endTime) {
-      if (typeof endTime === 'string') {
-        // Remove extra spaces and normalize format
-        const cleanEndTime = endTime.replace(/\s+/g, ' ').trim();
-        // Extract hours, minutes, and period
-        const endMatch = cleanEndTime.match(/^(\d+)[\.:]?(\d*)\s*(AM|PM)$/i);
-        
-        if (endMatch) {
-          let [_, hours, minutes, period] = endMatch;
-          hours = parseInt(hours);
-          minutes = minutes ? parseInt(minutes) : 0;
-          
-          // Adjust hours for PM
-          if (period.toUpperCase() === 'PM' && hours < 12) {
-            hours += 12;
-          } else if (period.toUpperCase() === 'AM' && hours === 12) {
-            hours = 0;
-          }
-          
-          const parsedEndTime = new Date(scheduleDate);
-          parsedEndTime.setHours(hours, minutes, 0, 0);
-          scheduleFields.endTime = parsedEndTime;
-          scheduleFields.endTimeString = endTime;
-        } else {
-          return res.status(400).json({ msg: 'Invalid end time format. Please use format like "5:00 PM"' });
-        }
-      } else {
-        scheduleFields.endTime = new Date(endTime);
-        scheduleFields.endTimeString = endTime;
+    // Parse date and times in the location's time zone
+    const user = await User.findById(req.user.id);
+    const timezone = resolveTimeZone(locationDoc && locationDoc.timezone, user.timezone);
+    if (date || startTime || endTime) {
+      const times = resolveScheduleTimes({ date, startTime, endTime }, timezone, current);
+      if (times.error) {
+        return res.status(400).json({ msg: times.error });
       }
+      
+      if (date) scheduleFields.date = times.date;
+      if (times.startTime) scheduleFields.startTime = times.startTime;
+      if (times.endTime) scheduleFields.endTime = times.endTime;
+      if (startTime) scheduleFields.startTimeString = startTime;
+      if (endTime) scheduleFields.endTimeString = endTime;
     }
     
     if (location) scheduleFields.location = location;
     if (assignedEmployees) scheduleFields.assignedEmployees = assignedEmployees;
+    Object.assign(scheduleFields, staffing.fields);
     if (notificationOptions) scheduleFields.notificationOptions = notificationOptions;
     if (status) scheduleFields.status = status;
     scheduleFields.updatedAt = Date.now();
     
-    // Update schedule
-    schedule = await Schedule.findByIdAndUpdate(
-      req.params.id,
-      { $set: scheduleFields },
-      { new: true }
-    )
-      .populate('location', 'name address city state')
-      .populate('assignedEmployees', 'name email')
-      .populate('createdBy', 'name');
-    
-    // Check if employees were added and send notifications
-    const oldEmployeeIds = schedule.assignedEmployees.map(emp => emp._id.toString());
-    const newEmployeeIds = assignedEmployees || [];
-    
-    // Find newly added employees
-    const addedEmployeeIds = newEmployeeIds.filter(id => !oldEmployeeIds.includes(id));
+    // Check for conflicts: everyone if the times moved, otherwise only newly assigned employees
+    const timesChanged = !!(scheduleFields.startTime || scheduleFields.endTime);
+    const employeeIds = (assignedEmployees || current.assignedEmployees).map(id => id.toString());
+    const conflicts = (status || current.status) === 'cancelled' ? [] : await findConflicts([{
+      employeeIds: timesChanged ? employeeIds : employeeIds.filter(id => !before.assignedEmployees.includes(id)),
+      startTime: scheduleFields.startTime || current.startTime,
+      endTime: scheduleFields.endTime || current.endTime,
+      scheduleId: schedule._id,
+      title: title || current.title,
+      timezone
+    }], { excludeScheduleIds: [schedule._id] });
+    if (conflicts.length > 0 && !force) {
+      return res.status(409).json({ msg: 'Scheduling conflicts found. Pass force to save anyway.', conflicts });
+    }
     
-    if (addedEmployeeIds.length > 0) {
-      const locationDoc = await Location.findById(schedule.location);
-      const addedEmployees = await User.find({ _id: { $in: addedEmployeeIds } });
-      
-      // Send notifications to newly added employees
-      const notificationPromises = addedEmployees.map(async (employee) => {
-        try {
-          // Create notification record
-          const notification = new Notification({
-            type: employee.notificationPreferences.email && employee.notificationPreferences.whatsapp ? 'both' :
-                  employee.notificationPreferences.email ? 'email' : 'whatsapp',
-            recipient: employee._id,
-            subject: `Schedule Update: ${schedule.title}`,
-            content: `You have been assigned to ${schedule.title} on ${new Date(schedule.date).toLocaleDateString()}`,
-            relatedTo: 'schedule',
-            relatedId: schedule._id,
-            createdBy: req.user.id
-          });
-
-          await notification.save();
-
-          // Send email notification
-          if (employee.notificationPreferences.email) {
-            await sendScheduleNotification(employee, schedule, locationDoc);
-            notification.status = 'sent';
-            notification.sentAt = Date.now();
-            await notification.save();
-          }
-
-          // Send WhatsApp notification
-          if (employee.notificationPreferences.whatsapp && employee.phone) {
-            await sendScheduleWhatsApp(employee, schedule, locationDoc);
-            notification.status = 'sent';
-            notification.sentAt = Date.now();
-            await notification.save();
-          }
-
-          return notification;
-        } catch (notificationErr) {
-          console.error(`Notification error for employee ${employee._id}:`, notificationErr.message);
-          return null;
-        }
-      });
-
-      await Promise.all(notificationPromises);
+    // Update schedule; a staged edit leaves what employees see as it is until it is published
+    const change = applyEdit(schedule, scheduleFields, !!draft);
+    await schedule.save();
+    await schedule.populate([
+      { path: 'location', select: 'name address city state' },
+      { path: 'assignedEmployees', select: 'name email' },
+      { path: 'createdBy', select: 'name' }
+    ]);
+    
+    // Notify added, removed and affected employees, unless the edit is staged or a draft
+    if (change) {
+      await notifyScheduleChanges([change], { createdBy: req.user.id });
+      await alertOnRemovals([change], { createdBy: req.user.id });
     }
     
-    res.json(schedule);
+    res.json(conflicts.length > 0 ? { ...schedule.toObject(), conflicts } : schedule);
   } catch (err) {
     console.error(err.message);
     if (err.kind === 'ObjectId') {
@@ -505,9 +590,11 @@ router.put('/:id', [auth, admin], async (req, res) => {
 });
 
 // @route   DELETE api/schedules/:id
-// @desc    Delete schedule
+// @desc    Delete schedule. For series occurrences, ?scope= is 'this' (default), 'following' or 'series'
 // @access  Private/Admin
 router.delete('/:id', [auth, admin], async (req, res) => {
+  const scope = req.query.scope || 'this';
+
   try {
     const schedule = await Schedule.findById(req.params.id);
     
@@ -515,6 +602,19 @@ router.delete('/:id', [auth, admin], async (req, res) => {
       return res.status(404).json({ msg: 'Schedule not found' });
     }
     
+    if (!SCOPES.includes(scope)) {
+      return res.status(400).json({ msg: `Scope must be one of: ${SCOPES.join(', ')}` });
+    }
+    
+    if (schedule.series && scope !== 'this') {
+      const user = await User.findById(req.user.id);
+      const result = await deleteSeriesOccurrences(schedule, scope, { user });
+      if (result.error) {
+        return res.status(result.status || 400).json({ msg: result.error });
+      }
+      return res.json({ msg: `${result.deleted} schedule(s) removed` });
+    }
+    
     await Schedule.findByIdAndRemove(req.params.id);
     
     res.json({ msg: 'Schedule removed' });
@@ -559,17 +659,15 @@ router.get('/employee/:id', [auth, admin], async (req, res) => {
 // @access  Private
 router.get('/user/today', auth, async (req, res) => {
   try {
-    // Get today's date range (start of day to end of day)
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Get today's date range in the user's time zone
+    const user = await User.findById(req.user.id);
+    const { start: today, end: tomorrow } = getDayRange(new Date(), resolveTimeZone(user && user.timezone));
     
     // Find schedules for today where user is assigned
     const schedules = await Schedule.find({
       assignedEmployees: req.user.id,
-      date: { $gte: today, $lt: tomorrow }
+      startTime: { $gte: today, $lt: tomorrow },
+      ...PUBLISHED
     })
       .populate('location', 'name address city state coordinates')
       .populate('assignedEmployees', 'name email')
@@ -588,23 +686,15 @@ router.get('/user/today', auth, async (req, res) => {
 // @access  Private
 router.get('/user/week', auth, async (req, res) => {
   try {
-    // Get this week's date range (start of week to end of week)
-    const today = new Date();
-    const day = today.getDay(); // 0 = Sunday, 1 = Monday, etc.
-    
-    // Calculate start of week (Sunday)
-    const startOfWeek = new Date(today);
-    startOfWeek.setDate(today.getDate() - day);
-    startOfWeek.setHours(0, 0, 0, 0);
-    
-    // Calculate end of week (Saturday)
-    const endOfWeek = new Date(startOfWeek);
-    endOfWeek.setDate(startOfWeek.getDate() + 7);
+    // Get this week's date range (Sunday to Saturday) in the user's time zone
+    const user = await User.findById(req.user.id);
+    const { start: startOfWeek, end: endOfWeek } = getWeekRange(new Date(), resolveTimeZone(user && user.timezone), 0);
     
     // Find schedules for this week where user is assigned
     const schedules = await Schedule.find({
       assignedEmployees: req.user.id,
-      date: { $gte: startOfWeek, $lt: endOfWeek }
+      startTime: { $gte: startOfWeek, $lt: endOfWeek },
+      ...PUBLISHED
     })
       .populate('location', 'name address city state coordinates')
       .populate('assignedEmployees', 'name email')
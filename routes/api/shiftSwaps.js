@@ -0,0 +1,203 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const ShiftSwap = require('../../models/ShiftSwap');
+const User = require('../../models/User');
+const {
+  createSwap,
+  listClaimable,
+  claimSwap,
+  declineSwap,
+  cancelSwap,
+  approveSwap,
+  rejectSwap
+} = require('../../utils/shiftSwapService');
+const { sendResult } = require('../../utils/serviceResult');
+const { toId } = require('../../utils/ids');
+
+// Swaps another team's admin can't see count as not found
+const isOtherTeam = (swap, adminUser) => adminUser.team && swap.team && toId(swap.team) !== toId(adminUser.team);
+
+const SCHEDULE_POPULATE = {
+  select: 'title startTime endTime location status',
+  populate: { path: 'location', select: 'name address city timezone' }
+};
+
+// @route   POST api/shift-swaps
+// @desc    Offer one of your shifts to a colleague, propose a swap, or release it to the pool
+// @access  Private
+router.post('/', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await createSwap(req.body, { user });
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Schedule not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/shift-swaps/my
+// @desc    Get swaps the logged in user created or took part in
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const swaps = await ShiftSwap.find({
+      $or: [{ requester: req.user.id }, { targetUser: req.user.id }, { claimant: req.user.id }]
+    })
+      .populate('requester', 'name')
+      .populate('targetUser', 'name')
+      .populate('claimant', 'name')
+      .populate({ path: 'schedule', ...SCHEDULE_POPULATE })
+      .populate({ path: 'targetSchedule', ...SCHEDULE_POPULATE })
+      .sort({ createdAt: -1 });
+
+    res.json(swaps);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/shift-swaps/available
+// @desc    Get open shifts the logged in user can claim
+// @access  Private
+router.get('/available', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const swaps = await listClaimable(user);
+
+    res.json(swaps);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/shift-swaps
+// @desc    Get the team's shift swaps, optionally filtered by status
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const query = user.team ? { team: user.team } : {};
+    if (req.query.status) {
+      query.status = req.query.status;
+    }
+
+    const swaps = await ShiftSwap.find(query)
+      .populate('requester', 'name department')
+      .populate('targetUser', 'name department')
+      .populate('claimant', 'name department')
+      .populate('decidedBy', 'name')
+      .populate({ path: 'schedule', ...SCHEDULE_POPULATE })
+      .populate({ path: 'targetSchedule', ...SCHEDULE_POPULATE })
+      .sort({ createdAt: -1 });
+
+    res.json(swaps);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/shift-swaps/:id/claim
+// @desc    Take a pool shift, or accept an offer or swap made to you
+// @access  Private
+router.post('/:id/claim', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await claimSwap(req.params.id, user);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/shift-swaps/:id/decline
+// @desc    Decline an offer or swap made to you
+// @access  Private
+router.post('/:id/decline', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await declineSwap(req.params.id, user);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/shift-swaps/:id/cancel
+// @desc    Withdraw a swap you created before it is approved
+// @access  Private
+router.post('/:id/cancel', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await cancelSwap(req.params.id, user);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/shift-swaps/:id/approve
+// @desc    Approve a claimed swap and update both schedules
+// @access  Private/Admin
+router.put('/:id/approve', [auth, admin], async (req, res) => {
+  try {
+    const adminUser = await User.findById(req.user.id);
+    const swap = await ShiftSwap.findById(req.params.id);
+    if (!swap || isOtherTeam(swap, adminUser)) {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+
+    const result = await approveSwap(req.params.id, req.user.id);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/shift-swaps/:id/reject
+// @desc    Reject a claimed swap
+// @access  Private/Admin
+router.put('/:id/reject', [auth, admin], async (req, res) => {
+  try {
+    const adminUser = await User.findById(req.user.id);
+    const swap = await ShiftSwap.findById(req.params.id);
+    if (!swap || isOtherTeam(swap, adminUser)) {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+
+    const result = await rejectSwap(req.params.id, req.user.id, req.body.reason);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Shift swap not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,131 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const StaffingRequirement = require('../../models/StaffingRequirement');
+const Location = require('../../models/Location');
+const User = require('../../models/User');
+const { normalizeRequirement } = require('../../utils/rotaSolver');
+
+// @route   GET api/staffing-requirements
+// @desc    Get the team's staffing requirements, optionally for one location
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const query = user.team ? { team: user.team } : {};
+    if (req.query.location) {
+      query.location = req.query.location;
+    }
+
+    const requirements = await StaffingRequirement.find(query)
+      .populate('location', 'name address city timezone')
+      .sort({ location: 1, startTime: 1 });
+
+    res.json(requirements);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/staffing-requirements
+// @desc    Create a staffing requirement, e.g. 3 people 08:00-16:00 Mon-Sun at a location
+// @access  Private/Admin
+router.post('/', [auth, admin], async (req, res) => {
+  try {
+    const result = normalizeRequirement(req.body);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    const { title, location, startTime, endTime, headcount } = result.requirement;
+    if (!title || !location || !startTime || !endTime || !headcount) {
+      return res.status(400).json({ msg: 'Title, location, start time, end time and headcount are required' });
+    }
+
+    const locationDoc = await Location.findById(location);
+    if (!locationDoc) {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+
+    const user = await User.findById(req.user.id);
+    const requirement = new StaffingRequirement({
+      ...result.requirement,
+      team: user.team,
+      createdBy: req.user.id
+    });
+    await requirement.save();
+
+    res.json(requirement);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Location not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/staffing-requirements/:id
+// @desc    Update a staffing requirement
+// @access  Private/Admin
+router.put('/:id', [auth, admin], async (req, res) => {
+  try {
+    const requirement = await StaffingRequirement.findById(req.params.id);
+    if (!requirement) {
+      return res.status(404).json({ msg: 'Staffing requirement not found' });
+    }
+
+    const result = normalizeRequirement(req.body);
+    if (result.error) {
+      return res.status(400).json({ msg: result.error });
+    }
+
+    if (result.requirement.location) {
+      const locationDoc = await Location.findById(result.requirement.location);
+      if (!locationDoc) {
+        return res.status(404).json({ msg: 'Location not found' });
+      }
+    }
+
+    Object.assign(requirement, result.requirement);
+    requirement.updatedAt = Date.now();
+    await requirement.save();
+
+    res.json(requirement);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Staffing requirement not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   DELETE api/staffing-requirements/:id
+// @desc    Delete a staffing requirement
+// @access  Private/Admin
+router.delete('/:id', [auth, admin], async (req, res) => {
+  try {
+    const requirement = await StaffingRequirement.findById(req.params.id);
+    if (!requirement) {
+      return res.status(404).json({ msg: 'Staffing requirement not found' });
+    }
+
+    await requirement.deleteOne();
+
+    res.json({ msg: 'Staffing requirement removed' });
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Staffing requirement not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
@@ -4,6 +4,10 @@ const auth = require('../../middleware/auth');
 const { teamMember, teamOwner } = require('../../middleware/team');
 const Team = require('../../models/Team');
 const User = require('../../models/User');
+const { normalizeLabourRules } = require('../../utils/labourRules');
+const { normalizeTimesheetPeriod } = require('../../utils/timesheetService');
+const { normalizePayrollExport } = require('../../utils/payrollExport');
+const { normalizeAttendanceRules } = require('../../utils/attendanceService');
 
 // @route   POST api/teams
 // @desc    Create a team
@@ -66,15 +70,50 @@ router.get('/my-team', [auth, teamMember], async (req, res) => {
 // @desc    Update team
 // @access  Private/Team Owner
 router.put('/', [auth, teamOwner], async (req, res) => {
-  const { name, description, departments } = req.body;
+  const { name, description, departments, shiftSwapAutoApprove, labourRules, timesheetPeriod, payrollExport, attendanceRules } = req.body;
 
   try {
     const team = req.team;
     
+    // Labour rules replace the previous ones as a whole
+    if (labourRules !== undefined) {
+      const result = normalizeLabourRules(labourRules);
+      if (result.error) {
+        return res.status(400).json({ msg: result.error });
+      }
+      team.labourRules = result.rules;
+    }
+
+    if (timesheetPeriod !== undefined) {
+      const result = normalizeTimesheetPeriod(timesheetPeriod);
+      if (result.error) {
+        return res.status(400).json({ msg: result.error });
+      }
+      team.timesheetPeriod = result.period;
+    }
+
+    // Cost centres and export columns replace the previous ones as a whole
+    if (payrollExport !== undefined) {
+      const result = normalizePayrollExport(payrollExport);
+      if (result.error) {
+        return res.status(400).json({ msg: result.error });
+      }
+      team.payrollExport = result.settings;
+    }
+
+    if (attendanceRules !== undefined) {
+      const result = normalizeAttendanceRules(attendanceRules);
+      if (result.error) {
+        return res.status(400).json({ msg: result.error });
+      }
+      team.attendanceRules = result.rules;
+    }
+    
     // Update fields
     if (name) team.name = name;
     if (description !== undefined) team.description = description;
     if (departments) team.departments = departments;
+    if (shiftSwapAutoApprove !== undefined) team.shiftSwapAutoApprove = Boolean(shiftSwapAutoApprove);
     
     team.updatedAt = Date.now();
     
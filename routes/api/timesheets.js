@@ -0,0 +1,188 @@
+const express = require('express');
+const router = express.Router();
+const auth = require('../../middleware/auth');
+const admin = require('../../middleware/admin');
+const Timesheet = require('../../models/Timesheet');
+const User = require('../../models/User');
+const {
+  previewTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  rejectTimesheet,
+  unlockTimesheet
+} = require('../../utils/timesheetService');
+const { sendResult } = require('../../utils/serviceResult');
+
+const RECORD_POPULATE = {
+  select: 'date clockInTime clockOutTime totalHours labour status breaks schedule location',
+  populate: [
+    { path: 'schedule', select: 'title startTime endTime' },
+    { path: 'location', select: 'name' }
+  ]
+};
+
+// @route   GET api/timesheets
+// @desc    Get the team's timesheets, filtered by status, userId or a day in the period (date)
+// @access  Private/Admin
+router.get('/', [auth, admin], async (req, res) => {
+  try {
+    const { status, userId, date } = req.query;
+    const user = await User.findById(req.user.id);
+
+    const query = user.team ? { team: user.team } : {};
+    if (status) query.status = status;
+    if (userId) query.user = userId;
+    if (date) {
+      const day = new Date(date);
+      if (isNaN(day.getTime())) {
+        return res.status(400).json({ msg: 'Invalid date' });
+      }
+      query.startsAt = { $lte: day };
+      query.endsAt = { $gt: day };
+    }
+
+    const timesheets = await Timesheet.find(query)
+      .populate('user', 'name email department position')
+      .populate('decidedBy', 'name')
+      .sort({ periodStart: -1, createdAt: -1 });
+
+    res.json(timesheets);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/timesheets/my
+// @desc    Get the logged in user's timesheets
+// @access  Private
+router.get('/my', auth, async (req, res) => {
+  try {
+    const timesheets = await Timesheet.find({ user: req.user.id })
+      .populate('decidedBy', 'name')
+      .sort({ periodStart: -1 });
+
+    res.json(timesheets);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/timesheets/period
+// @desc    Preview the logged in user's pay period containing date ("YYYY-MM-DD", today by default)
+// @access  Private
+router.get('/period', auth, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await previewTimesheet(user, req.query.date);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   POST api/timesheets/submit
+// @desc    Submit the pay period containing date ("YYYY-MM-DD", today by default) for approval
+// @access  Private
+router.post('/submit', auth, async (req, res) => {
+  const { date, comments } = req.body;
+
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await submitTimesheet(user, { date, comments });
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   GET api/timesheets/:id
+// @desc    Get a timesheet with its clock records and history
+// @access  Private
+router.get('/:id', auth, async (req, res) => {
+  try {
+    const timesheet = await Timesheet.findById(req.params.id)
+      .populate('user', 'name email department position team')
+      .populate('decidedBy', 'name')
+      .populate('history.by', 'name')
+      .populate({ path: 'records', ...RECORD_POPULATE });
+
+    if (!timesheet) {
+      return res.status(404).json({ msg: 'Timesheet not found' });
+    }
+
+    // Employees see their own timesheets, admins those of their team
+    const isOwner = timesheet.user && timesheet.user._id.toString() === req.user.id;
+    if (!isOwner) {
+      const viewer = await User.findById(req.user.id);
+      const sameTeam = !viewer.team || (timesheet.team && timesheet.team.toString() === viewer.team.toString());
+      if (viewer.role !== 'admin' || !sameTeam) {
+        return res.status(401).json({ msg: 'User not authorized' });
+      }
+    }
+
+    res.json(timesheet);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Timesheet not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/timesheets/:id/approve
+// @desc    Approve a submitted timesheet and lock its period
+// @access  Private/Admin
+router.put('/:id/approve', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await approveTimesheet(req.params.id, user, req.body.comments);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Timesheet not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/timesheets/:id/reject
+// @desc    Send a submitted timesheet back to the employee with comments
+// @access  Private/Admin
+router.put('/:id/reject', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await rejectTimesheet(req.params.id, user, req.body.comments);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Timesheet not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+// @route   PUT api/timesheets/:id/unlock
+// @desc    Unlock an approved period so its clock records can be changed. A reason is required
+// @access  Private/Admin
+router.put('/:id/unlock', [auth, admin], async (req, res) => {
+  try {
+    const user = await User.findById(req.user.id);
+    const result = await unlockTimesheet(req.params.id, user, req.body.reason);
+    sendResult(res, result);
+  } catch (err) {
+    console.error(err.message);
+    if (err.kind === 'ObjectId') {
+      return res.status(404).json({ msg: 'Timesheet not found' });
+    }
+    res.status(500).send('Server Error');
+  }
+});
+
+module.exports = router;
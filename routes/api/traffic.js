@@ -5,6 +5,8 @@ const User = require('../../models/User');
 const Schedule = require('../../models/Schedule');
 const Location = require('../../models/Location');
 const { getTrafficData, getRouteInformation } = require('../../utils/mapsService');
+const { resolveTimeZone, getDayRange } = require('../../utils/timezone');
+const { PUBLISHED } = require('../../utils/schedulePublication');
 
 // @route   GET api/traffic/commute
 // @desc    Get traffic information for user's commute to scheduled locations
@@ -26,21 +28,17 @@ router.get('/commute', auth, async (req, res) => {
       });
     }
     
-    // Get today's date at midnight
-    const today = new Date();
-    today.setHours(0, 0, 0, 0);
-    
-    // Get tomorrow's date at midnight
-    const tomorrow = new Date(today);
-    tomorrow.setDate(tomorrow.getDate() + 1);
+    // Get today's range in the user's time zone
+    const { start: today, end: tomorrow } = getDayRange(new Date(), resolveTimeZone(user.timezone));
     
     // Get user's schedules for today
     const schedules = await Schedule.find({
       assignedEmployees: req.user.id,
-      date: {
+      startTime: {
         $gte: today,
         $lt: tomorrow
-      }
+      },
+      ...PUBLISHED
     }).populate('location');
     
     if (schedules.length === 0) {
@@ -5,9 +5,13 @@ const jwt = require('jsonwebtoken');
 const auth = require('../../middleware/auth');
 const admin = require('../../middleware/admin');
 const User = require('../../models/User');
+const Schedule = require('../../models/Schedule');
 const { sendWelcomeEmail } = require('../../utils/emailService');
 const { sendWhatsAppMessage, sendWelcomeWhatsApp } = require('../../utils/twilioService');
 const WhatsAppSettings = require('../../models/WhatsAppSettings');
+const { isValidTimeZone } = require('../../utils/timezone');
+const { alertUnderstaffed } = require('../../utils/coverageService');
+const { removeStagedAssignee } = require('../../utils/stagedAssignments');
 
 // @route   POST api/users
 // @desc    Register a user (Admin creates employee)
@@ -22,11 +26,17 @@ router.post('/', [auth, admin], async (req, res) => {
     team,
     department, 
     position,
+    externalId,
     notificationPreferences,
-    defaultLocation
+    defaultLocation,
+    timezone
   } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ msg: 'Invalid time zone. Please use an IANA name like "Europe/Paris"' });
+    }
+
     // Check if user exists
     let user = await User.findOne({ email });
 
@@ -44,7 +54,9 @@ router.post('/', [auth, admin], async (req, res) => {
       role: role || 'employee',
       department,
       position,
+      externalId,
       defaultLocation,
+      timezone,
       notificationPreferences: notificationPreferences || {
         email: true,
         whatsapp: phone ? true : false
@@ -101,9 +113,13 @@ router.post('/', [auth, admin], async (req, res) => {
 // @desc    Register a user (Public registration - for demo purposes)
 // @access  Public
 router.post('/register', async (req, res) => {
-  const { name, email, password, phone, defaultLocation } = req.body;
+  const { name, email, password, phone, defaultLocation, timezone } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ msg: 'Invalid time zone. Please use an IANA name like "Europe/Paris"' });
+    }
+
     // Check if user exists
     let user = await User.findOne({ email });
 
@@ -118,6 +134,7 @@ router.post('/register', async (req, res) => {
       password,
       phone,
       defaultLocation,
+      timezone,
       role: 'employee', // Default role for public registration
       notificationPreferences: {
         email: true,
@@ -227,12 +244,18 @@ router.put('/:id', [auth, admin], async (req, res) => {
     role, 
     department, 
     position, 
+    externalId,
     notificationPreferences,
     defaultLocation,
+    timezone,
     password
   } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ msg: 'Invalid time zone. Please use an IANA name like "Europe/Paris"' });
+    }
+
     let user = await User.findById(req.params.id);
     
     if (!user) {
@@ -247,8 +270,10 @@ router.put('/:id', [auth, admin], async (req, res) => {
     if (role) userFields.role = role;
     if (department) userFields.department = department;
     if (position) userFields.position = position;
+    if (externalId !== undefined) userFields.externalId = externalId;
     if (notificationPreferences) userFields.notificationPreferences = notificationPreferences;
     if (defaultLocation) userFields.defaultLocation = defaultLocation;
+    if (timezone) userFields.timezone = timezone;
     userFields.updatedAt = Date.now();
     
     // Update password if provided
@@ -292,6 +317,21 @@ router.delete('/:id', [auth, admin], async (req, res) => {
     
     await User.findByIdAndRemove(req.params.id);
     
+    // Take them off their upcoming shifts and tell admins about any that are now short
+    const upcoming = await Schedule.find({
+      $or: [{ assignedEmployees: user._id }, { 'pendingChanges.assignedEmployees': user._id }],
+      startTime: { $gt: new Date() }
+    }).select('_id');
+    if (upcoming.length > 0) {
+      const scheduleIds = upcoming.map(schedule => schedule._id);
+      await Schedule.updateMany(
+        { _id: { $in: scheduleIds } },
+        { $pull: { assignedEmployees: user._id }, $set: { updatedAt: Date.now() } }
+      );
+      await removeStagedAssignee({ _id: { $in: scheduleIds } }, user._id);
+      await alertUnderstaffed(scheduleIds, { reason: `${user.name} was deleted`, createdBy: req.user.id });
+    }
+    
     res.json({ msg: 'User removed' });
   } catch (err) {
     console.error(err.message);
@@ -312,10 +352,15 @@ router.put('/profile', auth, async (req, res) => {
     phone, 
     department, 
     position, 
-    notificationPreferences 
+    notificationPreferences,
+    timezone
   } = req.body;
 
   try {
+    if (timezone && !isValidTimeZone(timezone)) {
+      return res.status(400).json({ msg: 'Invalid time zone. Please use an IANA name like "Europe/Paris"' });
+    }
+
     let user = await User.findById(req.user.id);
     
     if (!user) {
@@ -330,6 +375,7 @@ router.put('/profile', auth, async (req, res) => {
     if (department) userFields.department = department;
     if (position) userFields.position = position;
     if (notificationPreferences) userFields.notificationPreferences = notificationPreferences;
+    if (timezone) userFields.timezone = timezone;
     userFields.updatedAt = Date.now();
     
     // Update user
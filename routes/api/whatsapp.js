@@ -16,6 +16,12 @@ const WhatsAppSettings = require('../../models/WhatsAppSettings');
 const { sendWhatsAppMessage, sendWhatsAppTemplate, sendAnnouncementWhatsApp } = require('../../utils/twilioService');
 const { processWithAzureOpenAI, generateMongoDBQuery } = require('../../utils/aiService');
 const { convertSpeechToText } = require('../../utils/speechService');
+const { handleWhatsAppCommand } = require('../../utils/whatsappCommands');
+const { routeMessage, runConfirmedIntent } = require('../../utils/intentRouter');
+const { applyQueryPolicy, sanitizeResults } = require('../../utils/queryPolicy');
+const { CONFIRM_REPLY, CANCEL_REPLY, describeAction, setPendingAction, takePendingAction } = require('../../utils/pendingActions');
+const { startForm, continueForm } = require('../../utils/assistantForms');
+const { escapeRegExp } = require('../../utils/slotExtractor');
 
 // Logger setup
 const logger = winston.createLogger({
@@ -41,6 +47,12 @@ const modelSchemas = {
   whatsappSettings: WhatsAppSettings.schema
 };
 
+// Help contexts the assistant can fill in over several messages
+const FORM_CONTEXTS = {
+  create_absence: 'absence',
+  create_schedule: 'schedule'
+};
+
 // @route   GET api/whatsapp/webhook
 // @desc    Handle Meta webhook verification
 // @access  Public
@@ -169,13 +181,51 @@ router.post('/webhook', async (req, res) => {
       // Check for greeting messages
       const greetings = ['hi', 'hello', 'hey', 'good morning', 'good evening'];
       const isGreeting = greetings.some(g => messageContent.toLowerCase().startsWith(g));
-      if (isGreeting) {
+
+      // Any reply other than YES drops an action waiting for confirmation
+      const pending = takePendingAction(conversation);
+      const reply = messageContent.trim();
+      const answersPending = pending && (CONFIRM_REPLY.test(reply) || CANCEL_REPLY.test(reply));
+
+      // Answers to questions the system asked (e.g. shift cover requests) skip the AI
+      const commandResponse = answersPending ? null : await handleWhatsAppCommand(user, messageContent);
+
+      // Answers to the questions of an absence or schedule being filled in
+      const formResponse = answersPending || commandResponse
+        ? null
+        : await continueForm(user, messageContent, conversation);
+
+      // Schedules, traffic, routes, absences and who's working are answered by the intent handlers
+      const intentResponse = answersPending || commandResponse || formResponse || isGreeting
+        ? null
+        : await routeMessage(user, messageContent, conversation);
+
+      if (answersPending && CONFIRM_REPLY.test(reply)) {
+        if (pending.expired) {
+          response = `${user.name}, that request expired before you confirmed it. Please send it again.`;
+          logger.info('Pending action expired', { userId: user._id, model: pending.model, operation: pending.operation });
+        } else {
+          response = await runPendingAction(user, pending, conversation.messages.slice(-5));
+        }
+      } else if (answersPending) {
+        response = `${user.name}, okay, nothing was changed.`;
+        logger.info('Pending action cancelled', { userId: user._id, model: pending.model, operation: pending.operation });
+      } else if (commandResponse) {
+        response = commandResponse;
+        logger.info('Handled WhatsApp command', { userId: user._id });
+      } else if (formResponse) {
+        response = formResponse;
+        logger.info('Continued assistant form', { userId: user._id });
+      } else if (isGreeting) {
         response = await processWithAzureOpenAI(
           `Greet ${user.name} and explain what the Employee Scheduling System can do for a ${user.role}.`,
           conversation.messages.slice(-5),
           user
         );
         logger.info('Sending welcome message', { userId: user._id });
+      } else if (intentResponse) {
+        response = intentResponse;
+        logger.info('Handled WhatsApp intent', { userId: user._id });
       } else {
         // Generate MongoDB query
         const queryResult = await generateMongoDBQuery(messageContent, user, modelSchemas, conversation.messages.slice(-5));
@@ -188,6 +238,10 @@ router.post('/webhook', async (req, res) => {
             user
           );
           logger.error('Query generation error', { error: queryResult.message });
+        } else if (queryResult.unclear && queryResult.help && FORM_CONTEXTS[queryResult.context]) {
+          // "I want to create a schedule": ask for the details one by one instead of listing them
+          response = await startForm(user, FORM_CONTEXTS[queryResult.context], messageContent, conversation);
+          logger.info('Started assistant form', { userId: user._id, context: queryResult.context });
         } else if (queryResult.unclear && queryResult.help && queryResult.context) {
           response = await generateHelpMessageForContext(user, queryResult.context, conversation.messages.slice(-5));
           logger.info('Providing help message for context', { messageContent, context: queryResult.context });
@@ -215,8 +269,12 @@ router.post('/webhook', async (req, res) => {
             const template = settings.templates.general_announcement_update ;
             const announcementText = queryResult.parameters?.message || 'No message provided';
         
+            // Announcements only reach the admin's own team, whatever the model returned
+            const recipients = { phone: { $ne: null }, 'notificationPreferences.whatsapp': true };
+            if (user.team) recipients.team = user.team;
+
             if (queryResult.parameters?.toAll) {
-              const users = await User.find({ phone: { $ne: null }, 'notificationPreferences.whatsapp': true });
+              const users = await User.find(recipients);
               let sentCount = 0;
         
               for (const notifyUser of users) {
@@ -233,10 +291,9 @@ router.post('/webhook', async (req, res) => {
               response = `${user.name}, announcement sent to ${sentCount} user(s)!`;
         
             } else if (queryResult.parameters?.targetUser) {
-              const targetUser = await User.findOne({ 
-                name: new RegExp(`^${queryResult.parameters.targetUser}$`, 'i'),
-                phone: { $ne: null },
-                'notificationPreferences.whatsapp': true 
+              const targetUser = await User.findOne({
+                ...recipients,
+                name: new RegExp(`^${escapeRegExp(String(queryResult.parameters.targetUser))}$`, 'i')
               });
         
               if (!targetUser) {
@@ -257,133 +314,35 @@ router.post('/webhook', async (req, res) => {
           }
         }
          else {
-          const { model, operation, query } = queryResult;
-          logger.info('Executing query', { model, operation, query });
-
-          let Model;
-          switch (model) {
-            case 'user': Model = User; break;
-            case 'schedule': Model = Schedule; break;
-            case 'location': Model = Location; break;
-            case 'conversation': Model = Conversation; break;
-            case 'absence': Model = Absence; break;
-            case 'hourTracking': Model = HourTracking; break;
-            case 'whatsappSettings': Model = WhatsAppSettings; break;
-            default:
-              response = await processWithAzureOpenAI(
-                `Tell ${user.name} that the model ${model} is invalid and suggest checking their request.`,
-                conversation.messages.slice(-5),
-                user
-              );
-              logger.error('Invalid model', { model });
-              await sendWhatsAppMessage(phoneNumber, response);
-              return;
-          }
+          const { model, operation } = queryResult;
+          logger.info('Executing query', { model, operation, query: queryResult.query });
 
-          if (operation === 'read') {
-            let results;
-            if (query.pipeline && query.pipeline.length > 0) {
-              results = await Model.aggregate(query.pipeline).exec();
-            } else {
-              results = await Model.find(query.filter || {}).populate(query.populate || []);
-            }
-            logger.debug('Query results', { count: results.length });
+          // Whatever the model returned, only scoped, allow-listed queries reach the database
+          const policy = await applyQueryPolicy(user, queryResult);
 
-            if (results.length === 0) {
-              response = await processWithAzureOpenAI(
-                `Tell ${user.name} that no ${model} records were found and ask if they want to try a different query.`,
-                conversation.messages.slice(-5),
-                user
-              );
-            } else {
-              const formattedResults = formatResults(model, results);
-              response = await processWithAzureOpenAI(
-                `Share these ${model} results with ${user.name} in a friendly, natural way and ask if they need anything else: ${formattedResults}`,
-                conversation.messages.slice(-5),
-                user
-              );
-            }
-          } else if (operation === 'write') {
-            if (user.role !== 'admin' && !['absence'].includes(model)) {
-              response = await processWithAzureOpenAI(
-                `Tell ${user.name} that only admins can create ${model} records, and suggest contacting an admin.`,
-                conversation.messages.slice(-5),
-                user
-              );
-            } else {
-              const result = await Model.create(query.data);
-              response = await processWithAzureOpenAI(
-                `Tell ${user.name} that a ${model} was created successfully with ID ${result._id} and ask if they need anything else.`,
-                conversation.messages.slice(-5),
-                user
-              );
-              logger.info('Write operation successful', { model, id: result._id });
-            }
-          } else if (operation === 'update') {
-            if (user.role !== 'admin' && !['absence'].includes(model)) {
-              response = await processWithAzureOpenAI(
-                `Tell ${user.name} that only admins can update ${model} records, and suggest contacting an admin.`,
-                conversation.messages.slice(-5),
-                user
-              );
-            } else {
-              const result = await Model.findOneAndUpdate(query.filter, query.update, { new: true });
-              if (!result) {
-                response = await processWithAzureOpenAI(
-                  `Tell ${user.name} that no ${model} record was found to update and ask if they want to try again.`,
-                  conversation.messages.slice(-5),
-                  user
-                );
-              } else {
-                if (model === 'absence') {
-                  const targetUser = await User.findById(result.user);
-                  const status = query.update.$set.status || 'updated';
-                  response = await processWithAzureOpenAI(
-                    `Tell ${user.name} that ${targetUser.name}'s absence request for ${result.startDate.toLocaleDateString()} was ${status} successfully and ask if they need anything else.`,
-                    conversation.messages.slice(-5),
-                    user
-                  );
-                } else {
-                  response = await processWithAzureOpenAI(
-                    `Tell ${user.name} that the ${model} was updated successfully and ask if they need anything else.`,
-                    conversation.messages.slice(-5),
-                    user
-                  );
-                }
-                logger.info('Update operation successful', { model });
-              }
-            }
-          } else if (operation === 'delete') {
-            if (user.role !== 'admin') {
+          if (policy.error) {
+            response = await processWithAzureOpenAI(
+              `Tell ${user.name} that their request isn't allowed (${policy.error}) and suggest checking it or contacting an admin.`,
+              conversation.messages.slice(-5),
+              user
+            );
+            logger.warn('Query rejected by policy', { userId: user._id, model, operation, reason: policy.error });
+          } else if (operation === 'read') {
+            response = await executeQuery(user, model, policy, conversation.messages.slice(-5));
+          } else {
+            // Changes wait for the user's YES
+            const description = await describeAction(model, policy);
+            if (!description) {
               response = await processWithAzureOpenAI(
-                `Tell ${user.name} that only admins can delete ${model} records, and suggest contacting an admin.`,
+                `Tell ${user.name} that no ${model} record was found to ${operation} and ask if they want to try again.`,
                 conversation.messages.slice(-5),
                 user
               );
             } else {
-              const result = await Model.findOneAndDelete(query.filter);
-              if (!result) {
-                response = await processWithAzureOpenAI(
-                  `Tell ${user.name} that no ${model} record was found to delete and ask if they want to try again.`,
-                  conversation.messages.slice(-5),
-                  user
-                );
-              } else {
-                response = await processWithAzureOpenAI(
-                  `Tell ${user.name} that the ${model} was deleted successfully and ask if they need anything else.`,
-                  conversation.messages.slice(-5),
-                  user
-                );
-                logger.info('Delete operation successful', { model });
-              }
+              setPendingAction(conversation, { model, operation, query: queryResult.query }, description);
+              response = description.summary;
+              logger.info('Action awaiting confirmation', { userId: user._id, model, operation });
             }
-          } else {
-            response = await processWithAzureOpenAI(
-              `Tell ${user.name} that the operation isn't supported and suggest trying something like "list schedules" or "create absence".`,
-              conversation.messages.slice(-5),
-              user
-            );
-            logger.error('Unsupported operation', { operation });
           }
         }
       }
@@ -596,6 +555,87 @@ const generateHelpMessageForContext = async (user, context, conversationHistory)
   );
 };
 
+// Helper to run a query checked by applyQueryPolicy and word the reply
+const executeQuery = async (user, model, policy, conversationHistory) => {
+  const { Model, operation } = policy;
+
+  if (operation === 'read') {
+    const results = sanitizeResults(policy.pipeline
+      ? await Model.aggregate(policy.pipeline).exec()
+      : await Model.find(policy.filter).select('-password').populate(policy.populate));
+    logger.debug('Query results', { count: results.length });
+
+    if (results.length === 0) {
+      return processWithAzureOpenAI(
+        `Tell ${user.name} that no ${model} records were found and ask if they want to try a different query.`,
+        conversationHistory,
+        user
+      );
+    }
+    const formattedResults = formatResults(model, results);
+    return processWithAzureOpenAI(
+      `Share these ${model} results with ${user.name} in a friendly, natural way and ask if they need anything else: ${formattedResults}`,
+      conversationHistory,
+      user
+    );
+  }
+
+  if (operation === 'write') {
+    const result = await Model.create(policy.data);
+    logger.info('Write operation successful', { model, id: result._id });
+    return processWithAzureOpenAI(
+      `Tell ${user.name} that a ${model} was created successfully with ID ${result._id} and ask if they need anything else.`,
+      conversationHistory,
+      user
+    );
+  }
+
+  const result = operation === 'update'
+    ? await Model.findOneAndUpdate(policy.filter, policy.update, { new: true, runValidators: true })
+    : await Model.findOneAndDelete(policy.filter);
+  if (!result) {
+    return processWithAzureOpenAI(
+      `Tell ${user.name} that no ${model} record was found to ${operation} and ask if they want to try again.`,
+      conversationHistory,
+      user
+    );
+  }
+  logger.info(`${operation === 'update' ? 'Update' : 'Delete'} operation successful`, { model, id: result._id });
+
+  if (operation === 'update' && model === 'absence') {
+    const targetUser = await User.findById(result.user);
+    const status = (policy.update.$set && policy.update.$set.status) || 'updated';
+    return processWithAzureOpenAI(
+      `Tell ${user.name} that ${targetUser.name}'s absence request for ${result.startDate.toLocaleDateString()} was ${status} successfully and ask if they need anything else.`,
+      conversationHistory,
+      user
+    );
+  }
+  return processWithAzureOpenAI(
+    `Tell ${user.name} that the ${model} was ${operation}d successfully and ask if they need anything else.`,
+    conversationHistory,
+    user
+  );
+};
+
+// Helper to run an action the user confirmed, checked again in case their access changed
+const runPendingAction = async (user, pending, conversationHistory) => {
+  if (pending.intent) {
+    return runConfirmedIntent(user, pending);
+  }
+
+  const policy = await applyQueryPolicy(user, pending);
+  if (policy.error) {
+    logger.warn('Confirmed action rejected by policy', { userId: user._id, model: pending.model, reason: policy.error });
+    return `${user.name}, that can no longer be done: ${policy.error}.`;
+  }
+  // Only the record the user was shown
+  if (pending.targetId) {
+    policy.filter = { $and: [policy.filter, { _id: pending.targetId }] };
+  }
+  return executeQuery(user, pending.model, policy, conversationHistory);
+};
+
 // Helper to format query results (used for raw formatting before adding)
 const formatResults = (model, results) => {
   let response = `${model.charAt(0).toUpperCase() + model.slice(1)} Details:\n\n`;
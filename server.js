@@ -3,6 +3,7 @@ const mongoose = require('mongoose');
 const cors = require('cors');
 const dotenv = require('dotenv');
 const path = require('path');
+const { startBackgroundJobs } = require('./jobs');
 
 // Load environment variables
 dotenv.config();
@@ -72,7 +73,10 @@ mongoose
     useNewUrlParser: true,
     useUnifiedTopology: true,
   })
-  .then(() => console.log('MongoDB Connected'))
+  .then(() => {
+    console.log('MongoDB Connected');
+    startBackgroundJobs();
+  })
   .catch((err) => {
     console.error('MongoDB Connection Error:', err.message);
     process.exit(1);
@@ -87,10 +91,17 @@ app.use('/api/notifications', require('./routes/api/notifications'));
 app.use('/api/whatsapp', require('./routes/api/whatsapp'));
 app.use('/api/dashboard', require('./routes/api/dashboard'));
 app.use('/api/absences', require('./routes/api/absences'));
+app.use('/api/replacements', require('./routes/api/replacements'));
+app.use('/api/availability', require('./routes/api/availability'));
+app.use('/api/shift-swaps', require('./routes/api/shiftSwaps'));
+app.use('/api/open-shifts', require('./routes/api/openShifts'));
 app.use('/api/hour-tracking', require('./routes/api/hourTracking'));
+app.use('/api/timesheets', require('./routes/api/timesheets'));
+app.use('/api/attendance', require('./routes/api/attendance'));
 app.use('/api/language-settings', require('./routes/api/languageSettings'));
 app.use('/api/daily-briefing', require('./routes/api/dailyBriefing'));
 app.use('/api/schedule-matrix', require('./routes/api/scheduleMatrix'));
+app.use('/api/staffing-requirements', require('./routes/api/staffingRequirements'));
 app.use('/api/traffic', require('./routes/api/traffic'));
 app.use('/api/teams', require('./routes/api/teams'));
 
@@ -0,0 +1,147 @@
+const Absence = require('../models/Absence');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const { sendEmail } = require('./emailService');
+const { sendWhatsAppMessage } = require('./whatsappService');
+const { startReplacement } = require('./replacementService');
+const { formatDateKey } = require('./timezone');
+
+// Absence dates are calendar days stored at UTC midnight, so compare against
+// the local calendar days the window falls on
+const getWindowDays = (startTime, endTime, timezone) => ({
+  firstDay: new Date(`${formatDateKey(startTime, timezone)}T00:00:00.000Z`),
+  lastDay: new Date(`${formatDateKey(endTime, timezone)}T00:00:00.000Z`)
+});
+
+/**
+ * Find approved absences that cover a time window for the given users
+ * An absence covers the window if it was filed against the schedule itself or
+ * its date range overlaps the day(s) of the window.
+ * @param {Array<ObjectId>} userIds - Users to check
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @param {ObjectId} [scheduleId] - Schedule the window belongs to, if any
+ * @param {string} [timezone] - Time zone whose calendar days the window is compared in
+ * @returns {Promise<Array<Object>>} Matching absences
+ */
+const findApprovedAbsences = async (userIds, startTime, endTime, scheduleId, timezone) => {
+  const { firstDay, lastDay } = getWindowDays(startTime, endTime, timezone);
+
+  const overlap = [
+    { startDate: { $lte: lastDay }, endDate: { $gte: firstDay } }
+  ];
+  if (scheduleId) {
+    overlap.push({ schedule: scheduleId });
+  }
+
+  return Absence.find({
+    user: { $in: userIds },
+    status: 'approved',
+    $or: overlap
+  });
+};
+
+/**
+ * Whether an absence covers a time window, by the same rule as findApprovedAbsences
+ * @param {Object} absence - Absence
+ * @param {Date} startTime - Window start
+ * @param {Date} endTime - Window end
+ * @param {ObjectId} [scheduleId] - Schedule the window belongs to, if any
+ * @param {string} [timezone] - Time zone whose calendar days the window is compared in
+ * @returns {boolean} True if the absence covers the window
+ */
+const absenceCoversWindow = (absence, startTime, endTime, scheduleId, timezone) => {
+  if (scheduleId && absence.schedule && (absence.schedule._id || absence.schedule).toString() === scheduleId.toString()) {
+    return true;
+  }
+  const { firstDay, lastDay } = getWindowDays(startTime, endTime, timezone);
+  return absence.startDate <= lastDay && absence.endDate >= firstDay;
+};
+
+/**
+ * Report an employee's absence from one of their schedules
+ * Admins are told by email and WhatsApp, and if a replacement is needed and the
+ * schedule allows it, the shift is offered to the best candidate.
+ * @param {Object} user - Employee reporting the absence
+ * @param {Object} details - scheduleId, startDate, endDate, reason, and optional type, replacementNeeded and notes
+ * @returns {Promise<Object>} absence, or error and status
+ */
+const reportAbsence = async (user, { scheduleId, startDate, endDate, reason, type, replacementNeeded, notes }) => {
+  // Check if schedule exists
+  const schedule = await Schedule.findById(scheduleId);
+  if (!schedule || schedule.publicationStatus === 'draft') {
+    return { error: 'Schedule not found', status: 404 };
+  }
+
+  // Check if user is assigned to this schedule
+  if (!schedule.assignedEmployees.some(id => id.toString() === user._id.toString())) {
+    return { error: 'User not assigned to this schedule', status: 401 };
+  }
+
+  const absence = await new Absence({
+    user: user._id,
+    schedule: scheduleId,
+    team: user.team,
+    startDate,
+    endDate,
+    reason,
+    type: type || 'sick',
+    replacementNeeded: replacementNeeded !== undefined ? replacementNeeded : true,
+    notes
+  }).save();
+
+  // Update schedule with absence reference
+  schedule.absences.push(absence._id);
+  await schedule.save();
+
+  // Notify admins about the absence
+  const admins = await User.find({ role: 'admin' });
+  const content = `${user.name} has reported an absence for ${schedule.title} on ${new Date(startDate).toLocaleDateString()}. Reason: ${reason}`;
+
+  for (const admin of admins) {
+    const notification = new Notification({
+      type: admin.notificationPreferences.email && admin.notificationPreferences.whatsapp ? 'both' :
+            admin.notificationPreferences.email ? 'email' : 'whatsapp',
+      recipient: admin._id,
+      subject: `Absence Report: ${user.name}`,
+      content,
+      relatedTo: 'absence',
+      relatedId: absence._id,
+      createdBy: user._id
+    });
+
+    await notification.save();
+
+    if (admin.notificationPreferences.email) {
+      await sendEmail(admin.email, `Absence Report: ${user.name}`, content);
+      notification.status = 'sent';
+      notification.sentAt = Date.now();
+      await notification.save();
+    }
+
+    if (admin.notificationPreferences.whatsapp && admin.phone) {
+      await sendWhatsAppMessage(admin.phone, `Absence Report: ${content}`);
+      notification.status = 'sent';
+      notification.sentAt = Date.now();
+      await notification.save();
+    }
+  }
+
+  // If replacement is needed and auto-replacement is allowed, offer the shift to the best candidate
+  if (absence.replacementNeeded && schedule.allowAutoReplacement) {
+    try {
+      await startReplacement(absence);
+    } catch (replacementErr) {
+      console.error(`Auto-replacement error for absence ${absence._id}:`, replacementErr.message);
+    }
+  }
+
+  return { absence };
+};
+
+module.exports = {
+  findApprovedAbsences,
+  absenceCoversWindow,
+  reportAbsence
+};
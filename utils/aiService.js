@@ -472,3 +472,59 @@ For absence approve/reject, set status to 'approved' or 'rejected', approvedBy t
     return { error: true, message: 'Error generating query' };
   }
 };
+
+// Shape of the parts detectMultipleIntents asks the model for
+const intentPartsSchema = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    properties: {
+      intent: { type: 'string' },
+      text: { type: 'string', minLength: 1 }
+    },
+    required: ['intent', 'text']
+  }
+};
+
+/**
+ * Split a message that asks for several things into one part per request
+ * @param {string} message - User message, e.g. "what's my shift tomorrow and how's traffic to it"
+ * @param {Array<string>} intents - Intent names the parts may be classified as
+ * @returns {Promise<Array<Object>>} Parts with intent and text, in the order they are asked
+ */
+exports.detectMultipleIntents = async (message, intents) => {
+  const client = createOpenAIClient();
+  const deploymentId = process.env.AZURE_OPENAI_DEPLOYMENT_ID || 'gpt-4o';
+  logger.debug('Detecting multiple intents', { message });
+
+  const systemMessage = {
+    role: 'system',
+    content: `You split messages sent to an Employee Scheduling System into the separate requests they contain.
+      Classify each request as one of: ${intents.join(', ')}.
+
+      Return ONLY a JSON array of { "intent": "<intent>", "text": "<request>" } in the order the requests are made.
+      Each "text" must make sense on its own: repeat the dates, places and names it refers to back
+      (e.g. "what's my shift tomorrow and how's traffic to it" becomes
+      [{ "intent": "schedule_query", "text": "what's my shift tomorrow" }, { "intent": "traffic_query", "text": "how's traffic to my shift tomorrow" }]).
+      A message with a single request returns an array with one item. Keep the user's language.`
+  };
+
+  const response = await client.chat.completions.create({
+    model: deploymentId,
+    messages: [systemMessage, { role: 'user', content: message }],
+    temperature: 0.2,
+    max_tokens: 300
+  });
+
+  const content = (response.choices?.[0]?.message?.content || '').replace(/^```(?:json)?\s*|\s*```$/g, '');
+  const parts = JSON.parse(content);
+  const validate = ajv.compile(intentPartsSchema);
+  if (!validate(parts)) {
+    logger.warn('Invalid intent parts', { errors: validate.errors });
+    throw new Error('Invalid intent parts returned');
+  }
+
+  logger.info('Multiple intents detected', { intents: parts.map(part => part.intent) });
+  return parts.map(({ intent, text }) => ({ intent: intent.trim().toLowerCase(), text: text.trim() }));
+};
@@ -0,0 +1,317 @@
+const Schedule = require('../models/Schedule');
+const Absence = require('../models/Absence');
+const Location = require('../models/Location');
+const { logger } = require('./jobScheduler');
+const {
+  extractDates,
+  extractLocations,
+  extractEmployees,
+  extractAbsenceType,
+  extractTimes,
+  toInstantRange,
+  formatDay
+} = require('./slotExtractor');
+const { describeSchedule } = require('./scheduleNotifications');
+const { findConflicts } = require('./conflictService');
+const { resolveScheduleTimes } = require('./scheduleTime');
+const { setPendingAction, CANCEL_REPLY } = require('./pendingActions');
+const { PUBLISHED } = require('./schedulePublication');
+const { resolveTimeZone, formatDateKey, formatDateInZone, formatTimeInZone } = require('./timezone');
+
+// Minutes a half-filled form waits for the next answer
+const FORM_MINUTES = parseFloat(process.env.WHATSAPP_FORM_MINUTES) || 30;
+
+// Answers in a row that fill nothing before the message is treated as a new request
+const MAX_MISSED_ANSWERS = 2;
+
+// 'Create "Inventory" at ...'
+const QUOTED_TITLE = /["“]([^"”]{2,60})["”]/;
+
+// Calendar days are kept as "YYYY-MM-DD" so the form can be stored in the conversation
+const parseDay = (key) => {
+  const [year, month, day] = key.split('-').map(Number);
+  return { year, month, day };
+};
+
+const formatCalendarDay = (key) => formatDateInZone(new Date(`${key}T00:00:00.000Z`), 'UTC');
+
+const describeDays = ({ start, end }) => (start === end
+  ? `on ${formatCalendarDay(start)}`
+  : `from ${formatCalendarDay(start)} to ${formatCalendarDay(end)}`);
+
+// The user's shifts in a range of days, and those they haven't reported an absence for yet
+const findOpenShifts = async (user, dates, timezone) => {
+  const range = toInstantRange({ start: parseDay(dates.start), end: parseDay(dates.end) }, timezone);
+  const schedules = await Schedule.find({
+    assignedEmployees: user._id,
+    status: { $ne: 'cancelled' },
+    startTime: { $gte: range.start, $lt: range.end },
+    ...PUBLISHED
+  }).populate('location', 'name timezone').sort({ startTime: 1 });
+
+  const reported = await Absence.find({ user: user._id, schedule: { $in: schedules.map(s => s._id) } }).distinct('schedule');
+  const open = schedules.filter(schedule => !reported.some(id => id.toString() === schedule._id.toString()));
+  return { schedules, open };
+};
+
+const completeAbsence = async (user, values, conversation, timezone) => {
+  const { open } = await findOpenShifts(user, values.dates, timezone);
+  if (open.length === 0) {
+    return `${user.name}, you no longer have any shifts to report ${describeDays(values.dates)}.`;
+  }
+
+  const lines = open.map(schedule => `- ${describeSchedule(schedule)}`);
+  // Each absence covers the day of its own shift
+  setPendingAction(conversation, {
+    intent: 'absence_request',
+    shifts: open.map(schedule => ({
+      scheduleId: schedule._id.toString(),
+      day: formatDateKey(schedule.startTime, resolveTimeZone(schedule.location && schedule.location.timezone, timezone))
+    })),
+    type: values.type,
+    reason: values.reason
+  }, {
+    summary: `About to report you absent (${values.type}) from:\n${lines.join('\n')}\nReply YES to confirm or NO to cancel.`
+  });
+  return conversation.context.pendingAction.summary;
+};
+
+const completeSchedule = async (user, values, conversation) => {
+  const location = await Location.findById(values.location.id);
+  if (!location) {
+    return `${user.name}, ${values.location.name} no longer exists.`;
+  }
+
+  const timezone = resolveTimeZone(location.timezone, user.timezone);
+  const times = resolveScheduleTimes({ date: values.date, ...values.times }, timezone);
+  if (times.error) {
+    return `${user.name}, ${times.error.charAt(0).toLowerCase()}${times.error.slice(1)}.`;
+  }
+
+  const title = values.title || `${location.name} shift`;
+  const employeeIds = values.employees.map(employee => employee.id);
+  const conflicts = await findConflicts([{ employeeIds, startTime: times.startTime, endTime: times.endTime, title, timezone }]);
+
+  let summary = `About to create "${title}" on ${formatDateInZone(times.startTime, timezone)} from ` +
+    `${formatTimeInZone(times.startTime, timezone)} to ${formatTimeInZone(times.endTime, timezone)} at ${location.name} ` +
+    `for ${values.employees.map(employee => employee.name).join(', ')}.`;
+  if (conflicts.length > 0) {
+    summary += `\nConflicts:\n${conflicts.map(conflict => `- ${conflict.message}`).join('\n')}\nReplying YES saves it anyway.`;
+  }
+
+  // Confirming with conflicts listed is the chat's equivalent of passing force
+  setPendingAction(conversation, {
+    intent: 'schedule_create',
+    title,
+    date: values.date,
+    startTime: values.times.startTime,
+    endTime: values.times.endTime,
+    locationId: location._id.toString(),
+    employeeIds,
+    force: conflicts.length > 0
+  }, {
+    summary: `${summary}\nReply YES to confirm or NO to cancel.`
+  });
+  return conversation.context.pendingAction.summary;
+};
+
+/**
+ * Forms the assistant fills in over several messages
+ * Each field reads its answer from a message and checks it against the database:
+ * fill returns null if the message doesn't answer it, error if the answer can't be used, or value.
+ */
+const FORMS = {
+  absence: {
+    label: 'absence',
+    fields: [
+      {
+        name: 'dates',
+        question: 'which day(s) will you be absent? For example "tomorrow" or "from Monday to Wednesday".',
+        fill: async (message, user, timezone) => {
+          const dates = extractDates(message, timezone);
+          if (!dates) return null;
+
+          const value = { start: formatDay(dates.start), end: formatDay(dates.end) };
+          const { schedules, open } = await findOpenShifts(user, value, timezone);
+          if (open.length === 0) {
+            return {
+              error: schedules.length > 0
+                ? `you have already reported an absence for your shifts ${describeDays(value)}`
+                : `you have no shifts ${describeDays(value)}`
+            };
+          }
+          return { value };
+        }
+      },
+      {
+        name: 'type',
+        question: 'is it sick leave, vacation or personal?',
+        fill: async (message) => {
+          const type = extractAbsenceType(message) || (/\bother\b/i.test(message) ? 'other' : null);
+          return type ? { value: type } : null;
+        }
+      }
+    ],
+    complete: completeAbsence
+  },
+  schedule: {
+    label: 'schedule',
+    adminOnly: true,
+    fields: [
+      {
+        name: 'employees',
+        question: 'who should work this shift?',
+        fill: async (message, user) => {
+          const employees = await extractEmployees(message, user);
+          return employees.length > 0
+            ? { value: employees.map(employee => ({ id: employee._id.toString(), name: employee.name })) }
+            : null;
+        }
+      },
+      {
+        name: 'location',
+        question: 'which location?',
+        fill: async (message, user) => {
+          const [location] = await extractLocations(message, user);
+          return location ? { value: { id: location._id.toString(), name: location.name } } : null;
+        }
+      },
+      {
+        name: 'date',
+        question: 'which date? For example "tomorrow", "Friday" or "2025-06-30".',
+        fill: async (message, user, timezone) => {
+          const dates = extractDates(message, timezone);
+          if (!dates) return null;
+
+          const value = formatDay(dates.start);
+          return value < formatDateKey(new Date(), timezone)
+            ? { error: `${formatCalendarDay(value)} is in the past` }
+            : { value };
+        }
+      },
+      {
+        name: 'times',
+        question: 'what time does it start and end? For example "9am to 5pm" or "09:00-17:00".',
+        fill: async (message) => {
+          const times = extractTimes(message);
+          return times ? { value: times } : null;
+        }
+      }
+    ],
+    complete: completeSchedule
+  }
+};
+
+const nextField = (definition, form) => definition.fields.find(field => form.values[field.name] === undefined);
+
+const saveForm = (conversation, form) => {
+  conversation.context = {
+    ...conversation.context,
+    form: { ...form, expiresAt: new Date(Date.now() + FORM_MINUTES * 60 * 1000).toISOString() }
+  };
+};
+
+const dropForm = (conversation) => {
+  const { form, ...context } = conversation.context || {};
+  conversation.context = context;
+};
+
+// Fill every field the message answers, then ask for the next missing one or finish the form
+const advanceForm = async (user, form, message, conversation) => {
+  const definition = FORMS[form.type];
+  const timezone = resolveTimeZone(user.timezone);
+  let filled = false;
+  let error = null;
+
+  for (const field of definition.fields) {
+    if (form.values[field.name] !== undefined) continue;
+    const result = await field.fill(message, user, timezone);
+    if (!result) continue;
+    if (result.error) {
+      error = error || result.error;
+    } else {
+      form.values[field.name] = result.value;
+      filled = true;
+    }
+  }
+
+  const field = nextField(definition, form);
+  if (!field) {
+    dropForm(conversation);
+    logger.info('Assistant form complete', { userId: user._id, form: form.type });
+    return definition.complete(user, form.values, conversation, timezone);
+  }
+
+  // The request that opened the form isn't an answer to anything yet
+  form.missed = filled || error || !form.asking ? 0 : form.missed + 1;
+  form.asking = field.name;
+  saveForm(conversation, form);
+  return error ? `${user.name}, ${error}. ${field.question.charAt(0).toUpperCase()}${field.question.slice(1)}` : `${user.name}, ${field.question}`;
+};
+
+/**
+ * Start filling in a form from the message that asked for it
+ * Whatever the message already says is kept, and only the missing fields are asked for.
+ * @param {Object} user - User who sent the message
+ * @param {string} type - absence or schedule
+ * @param {string} message - Message text
+ * @param {Object} conversation - Conversation document the form is kept in
+ * @returns {Promise<string>} Question for the first missing field, or the confirmation summary
+ */
+const startForm = async (user, type, message, conversation) => {
+  const definition = FORMS[type];
+  if (definition.adminOnly && user.role !== 'admin') {
+    return `${user.name}, only admins can create a ${definition.label}.`;
+  }
+
+  // The request itself is the absence's reason, and a quoted name the schedule's title
+  const values = {};
+  if (type === 'absence') {
+    values.reason = message;
+  } else {
+    const title = QUOTED_TITLE.exec(message);
+    if (title) values.title = title[1].trim();
+  }
+
+  return advanceForm(user, { type, values, missed: 0 }, message, conversation);
+};
+
+/**
+ * Take a message as the answer to the form the assistant is filling in, if there is one
+ * "cancel" drops the form. After a few answers that fill nothing, or once the form has expired,
+ * the form is dropped and the message is handled as a new request.
+ * @param {Object} user - User who sent the message
+ * @param {string} message - Message text
+ * @param {Object} conversation - Conversation document
+ * @returns {Promise<string|null>} Reply, or null if the message isn't a form answer
+ */
+const continueForm = async (user, message, conversation) => {
+  const form = conversation.context && conversation.context.form;
+  if (!form) {
+    return null;
+  }
+  if (new Date(form.expiresAt) <= new Date()) {
+    dropForm(conversation);
+    return null;
+  }
+
+  const definition = FORMS[form.type];
+  if (CANCEL_REPLY.test(message.trim())) {
+    dropForm(conversation);
+    return `${user.name}, okay, I've stopped creating the ${definition.label}.`;
+  }
+
+  const reply = await advanceForm(user, form, message, conversation);
+  if (conversation.context.form && conversation.context.form.missed >= MAX_MISSED_ANSWERS) {
+    dropForm(conversation);
+    logger.info('Assistant form abandoned', { userId: user._id, form: form.type });
+    return null;
+  }
+  return reply;
+};
+
+module.exports = {
+  FORM_MINUTES,
+  startForm,
+  continueForm
+};
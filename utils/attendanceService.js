@@ -0,0 +1,367 @@
+const AttendanceEvent = require('../models/AttendanceEvent');
+const HourTracking = require('../models/HourTracking');
+const Schedule = require('../models/Schedule');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { findApprovedAbsences } = require('./absenceService');
+const { PUBLISHED } = require('./schedulePublication');
+const { resolveTimeZone, formatDateInZone, formatTimeInZone } = require('./timezone');
+const { toId } = require('./ids');
+
+const MINUTE_MS = 60 * 1000;
+
+// Shifts that started longer ago than this are not checked for no-shows
+const NO_SHOW_LOOKBACK_HOURS = 12;
+
+const DEFAULT_RULES = {
+  lateAfterMinutes: 5,
+  earlyDepartureMinutes: 5,
+  noShowAfterMinutes: 30,
+  alertEmployee: true,
+  alertAdmins: true
+};
+
+/**
+ * Validate attendance rules from a request
+ * Thresholds left out fall back to the defaults.
+ * @param {Object} input - lateAfterMinutes, earlyDepartureMinutes, noShowAfterMinutes, alertEmployee and alertAdmins
+ * @returns {Object} rules, or error with a message
+ */
+const normalizeAttendanceRules = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Attendance rules must be an object' };
+  }
+
+  const rules = { ...DEFAULT_RULES };
+  for (const field of ['lateAfterMinutes', 'earlyDepartureMinutes', 'noShowAfterMinutes']) {
+    if (input[field] === undefined || input[field] === null) continue;
+    const minutes = Number(input[field]);
+    if (!isFinite(minutes) || minutes < (field === 'noShowAfterMinutes' ? 1 : 0)) {
+      return { error: `${field} must be a number of minutes${field === 'noShowAfterMinutes' ? ' of at least 1' : ''}` };
+    }
+    rules[field] = minutes;
+  }
+  for (const field of ['alertEmployee', 'alertAdmins']) {
+    if (input[field] !== undefined) rules[field] = !!input[field];
+  }
+
+  return { rules };
+};
+
+/**
+ * Get a team's attendance rules, with the defaults for anything not set
+ * @param {ObjectId} [teamId] - Team
+ * @returns {Promise<Object>} Attendance rules
+ */
+const getAttendanceRules = async (teamId) => {
+  const team = teamId ? await Team.findById(teamId).select('attendanceRules') : null;
+  const rules = team && team.attendanceRules ? team.toObject().attendanceRules : {};
+  return { ...DEFAULT_RULES, ...rules };
+};
+
+const buildMessages = (event, employee, schedule) => {
+  const timezone = resolveTimeZone(schedule.location && schedule.location.timezone, employee.timezone);
+  const shift = `${schedule.title} on ${formatDateInZone(schedule.startTime, timezone)}`;
+  const start = formatTimeInZone(schedule.startTime, timezone);
+  const end = formatTimeInZone(schedule.endTime, timezone);
+
+  switch (event.type) {
+    case 'late':
+      return {
+        subject: `Late arrival: ${employee.name}`,
+        employee: `Hello ${employee.name}, you clocked in ${event.minutes} minutes late for ${shift} (start ${start}).`,
+        admin: `${employee.name} clocked in ${event.minutes} minutes late for ${shift} (start ${start}).`
+      };
+    case 'early-departure':
+      return {
+        subject: `Early departure: ${employee.name}`,
+        employee: `Hello ${employee.name}, you clocked out ${event.minutes} minutes early from ${shift} (end ${end}).`,
+        admin: `${employee.name} clocked out ${event.minutes} minutes early from ${shift} (end ${end}).`
+      };
+    default:
+      return {
+        subject: `No-show: ${employee.name}`,
+        employee: `Hello ${employee.name}, your shift ${shift} started at ${start} and you haven't clocked in. ` +
+          'If you are on your way, please clock in as soon as you arrive.',
+        admin: `${employee.name} hasn't clocked in for ${shift}, which started at ${start} (${event.minutes} minutes ago).`
+      };
+  }
+};
+
+/**
+ * Tell the employee and their team admins about an attendance event, on WhatsApp where they have a phone
+ * @param {Object} event - AttendanceEvent
+ * @param {Object} employee - Employee the event is about
+ * @param {Object} schedule - Schedule, with location populated for its time zone
+ * @param {Object} rules - Team's attendance rules
+ */
+const alertAttendance = async (event, employee, schedule, rules) => {
+  const messages = buildMessages(event, employee, schedule);
+  const recipients = [];
+  if (rules.alertEmployee) {
+    recipients.push({ user: employee, content: messages.employee });
+  }
+  if (rules.alertAdmins) {
+    const adminQuery = { role: 'admin' };
+    if (employee.team) adminQuery.team = employee.team;
+    const admins = await User.find(adminQuery);
+    admins
+      .filter(adminUser => toId(adminUser) !== toId(employee))
+      .forEach(adminUser => recipients.push({ user: adminUser, content: messages.admin }));
+  }
+
+  for (const { user, content } of recipients) {
+    try {
+      await notifyUser(user, {
+        type: user.phone ? 'whatsapp' : undefined,
+        subject: messages.subject,
+        content,
+        relatedTo: 'attendance',
+        relatedId: schedule._id,
+        team: employee.team,
+        createdBy: employee._id
+      });
+    } catch (err) {
+      logger.error('Attendance alert failed', { eventId: event._id, userId: user._id, error: err.message });
+    }
+  }
+};
+
+// Save an event once per employee, shift and type; null if it was already recorded
+const recordEvent = async (fields) => {
+  try {
+    return await new AttendanceEvent(fields).save();
+  } catch (err) {
+    if (err.code === 11000) return null;
+    throw err;
+  }
+};
+
+/**
+ * Compare a clock-in with the shift start, and alert if it is late
+ * An employee already reported as a no-show has that event turned into a late arrival.
+ * @param {Object} hourTracking - Saved HourTracking record
+ * @param {Object} schedule - Schedule clocked in for
+ * @param {Object} employee - Employee clocking in
+ * @returns {Promise<Object|null>} The late arrival event, or null if on time
+ */
+const checkClockIn = async (hourTracking, schedule, employee) => {
+  const rules = await getAttendanceRules(employee.team);
+  const lateMinutes = Math.max(0, Math.round((hourTracking.clockInTime - schedule.startTime) / MINUTE_MS));
+  const late = lateMinutes > rules.lateAfterMinutes;
+
+  hourTracking.set('attendance.lateMinutes', lateMinutes);
+  hourTracking.set('attendance.late', late);
+  await HourTracking.updateOne(
+    { _id: hourTracking._id },
+    { $set: { 'attendance.lateMinutes': lateMinutes, 'attendance.late': late } }
+  );
+  if (!late) {
+    return null;
+  }
+
+  const fields = {
+    hourTracking: hourTracking._id,
+    minutes: lateMinutes,
+    occurredAt: hourTracking.clockInTime,
+    updatedAt: new Date()
+  };
+  const event = await AttendanceEvent.findOneAndUpdate(
+    { schedule: schedule._id, user: employee._id, type: 'no-show' },
+    { $set: { ...fields, type: 'late' } },
+    { new: true }
+  ) || await recordEvent({
+    ...fields,
+    user: employee._id,
+    team: employee.team,
+    schedule: schedule._id,
+    type: 'late',
+    scheduledAt: schedule.startTime
+  });
+
+  if (event) {
+    await schedule.populate('location', 'name timezone');
+    await alertAttendance(event, employee, schedule, rules);
+  }
+  return event;
+};
+
+/**
+ * Compare a clock-out with the shift end, and alert if it is early
+ * @param {Object} hourTracking - Clocked-out HourTracking record
+ * @param {Object} employee - Employee clocking out
+ * @returns {Promise<Object|null>} The early departure event, or null if not early
+ */
+const checkClockOut = async (hourTracking, employee) => {
+  const schedule = await Schedule.findById(hourTracking.schedule).populate('location', 'name timezone');
+  if (!schedule) {
+    return null;
+  }
+
+  const rules = await getAttendanceRules(employee.team);
+  const earlyMinutes = Math.max(0, Math.round((schedule.endTime - hourTracking.clockOutTime) / MINUTE_MS));
+  const leftEarly = earlyMinutes > rules.earlyDepartureMinutes;
+
+  hourTracking.set('attendance.earlyMinutes', earlyMinutes);
+  hourTracking.set('attendance.leftEarly', leftEarly);
+  await HourTracking.updateOne(
+    { _id: hourTracking._id },
+    { $set: { 'attendance.earlyMinutes': earlyMinutes, 'attendance.leftEarly': leftEarly } }
+  );
+  if (!leftEarly) {
+    return null;
+  }
+
+  const event = await recordEvent({
+    user: employee._id,
+    team: employee.team,
+    schedule: schedule._id,
+    hourTracking: hourTracking._id,
+    type: 'early-departure',
+    minutes: earlyMinutes,
+    scheduledAt: schedule.endTime,
+    occurredAt: hourTracking.clockOutTime
+  });
+  if (event) {
+    await alertAttendance(event, employee, schedule, rules);
+  }
+  return event;
+};
+
+/**
+ * Find employees who haven't clocked in for shifts that started more than the no-show threshold ago
+ * Employees on approved leave and shifts already reported are skipped.
+ * @returns {Promise<number>} Number of no-shows reported
+ */
+const detectNoShows = async () => {
+  const now = new Date();
+  const schedules = await Schedule.find({
+    status: 'scheduled',
+    startTime: { $lte: now, $gt: new Date(now.getTime() - NO_SHOW_LOOKBACK_HOURS * 60 * MINUTE_MS) },
+    'assignedEmployees.0': { $exists: true },
+    ...PUBLISHED
+  }).populate('location', 'name timezone');
+
+  const rulesByTeam = new Map();
+  let reported = 0;
+
+  for (const schedule of schedules) {
+    const teamKey = schedule.team ? toId(schedule.team) : '';
+    if (!rulesByTeam.has(teamKey)) {
+      rulesByTeam.set(teamKey, await getAttendanceRules(schedule.team));
+    }
+    const rules = rulesByTeam.get(teamKey);
+
+    const minutesSinceStart = Math.floor((now - schedule.startTime) / MINUTE_MS);
+    if (minutesSinceStart < rules.noShowAfterMinutes || schedule.endTime <= schedule.startTime) {
+      continue;
+    }
+
+    const employeeIds = schedule.assignedEmployees.map(toId);
+    const [clockedIn, reportedIds, absences] = await Promise.all([
+      HourTracking.find({ schedule: schedule._id, user: { $in: employeeIds } }).distinct('user'),
+      AttendanceEvent.find({ schedule: schedule._id, type: { $in: ['no-show', 'late'] } }).distinct('user'),
+      findApprovedAbsences(employeeIds, schedule.startTime, schedule.endTime, schedule._id,
+        resolveTimeZone(schedule.location && schedule.location.timezone))
+    ]);
+    const skip = new Set([...clockedIn, ...reportedIds, ...absences.map(absence => absence.user)].map(toId));
+    const missing = employeeIds.filter(id => !skip.has(id));
+    if (missing.length === 0) continue;
+
+    const employees = await User.find({ _id: { $in: missing } });
+    for (const employee of employees) {
+      try {
+        const event = await recordEvent({
+          user: employee._id,
+          team: employee.team,
+          schedule: schedule._id,
+          type: 'no-show',
+          minutes: minutesSinceStart,
+          scheduledAt: schedule.startTime
+        });
+        if (!event) continue;
+
+        reported++;
+        await alertAttendance(event, employee, schedule, rules);
+      } catch (err) {
+        logger.error('No-show check failed', { scheduleId: schedule._id, userId: employee._id, error: err.message });
+      }
+    }
+  }
+
+  if (reported > 0) {
+    logger.info('No-shows reported', { count: reported });
+  }
+  return reported;
+};
+
+/**
+ * Punctuality statistics per employee over a date range
+ * Only shifts that have ended count, so a shift in progress is never a no-show yet.
+ * @param {Array<ObjectId>} userIds - Employees
+ * @param {Date} start - Range start
+ * @param {Date} end - Range end
+ * @returns {Promise<Array<Object>>} user, shifts, late, noShows, earlyDepartures, averageLateMinutes,
+ *   averageEarlyMinutes and punctualityRate (percent of shifts started on time), per employee
+ */
+const getPunctualityStats = async (userIds, start, end) => {
+  const until = end < new Date() ? end : new Date();
+  const [shiftCounts, events, users] = await Promise.all([
+    Schedule.aggregate([
+      {
+        $match: {
+          assignedEmployees: { $in: userIds },
+          status: { $in: ['scheduled', 'completed'] },
+          publicationStatus: { $ne: 'draft' },
+          startTime: { $gte: start },
+          endTime: { $lte: until }
+        }
+      },
+      { $unwind: '$assignedEmployees' },
+      { $match: { assignedEmployees: { $in: userIds } } },
+      { $group: { _id: '$assignedEmployees', shifts: { $sum: 1 } } }
+    ]),
+    AttendanceEvent.find({ user: { $in: userIds }, scheduledAt: { $gte: start, $lte: until } }),
+    User.find({ _id: { $in: userIds } }).select('name email department position')
+  ]);
+
+  const shiftsByUser = new Map(shiftCounts.map(entry => [toId(entry._id), entry.shifts]));
+
+  return users.map(user => {
+    const userEvents = events.filter(event => toId(event.user) === toId(user));
+    const ofType = (type) => userEvents.filter(event => event.type === type);
+    const average = (list) => list.length > 0
+      ? Math.round(list.reduce((total, event) => total + event.minutes, 0) / list.length)
+      : 0;
+
+    const late = ofType('late');
+    const noShows = ofType('no-show');
+    const earlyDepartures = ofType('early-departure');
+    const shifts = shiftsByUser.get(toId(user)) || 0;
+
+    return {
+      user,
+      shifts,
+      late: late.length,
+      noShows: noShows.length,
+      earlyDepartures: earlyDepartures.length,
+      averageLateMinutes: average(late),
+      averageEarlyMinutes: average(earlyDepartures),
+      punctualityRate: shifts > 0
+        ? Math.max(0, Math.round((shifts - late.length - noShows.length) / shifts * 100))
+        : null
+    };
+  });
+};
+
+module.exports = {
+  DEFAULT_RULES,
+  normalizeAttendanceRules,
+  getAttendanceRules,
+  checkClockIn,
+  checkClockOut,
+  detectNoShows,
+  getPunctualityStats
+};
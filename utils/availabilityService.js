@@ -0,0 +1,201 @@
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  parseCalendarDate,
+  parseTimeOfDay,
+  formatTimeInZone,
+  formatDateInZone
+} = require('./timezone');
+
+const DAY_MINUTES = 24 * 60;
+const DAY_NAMES = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+};
+
+const toTimeString = ({ hours, minutes }) =>
+  `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+/**
+ * Validate weekly availability windows from a request
+ * Times may be "17:00" or "5:00 PM" and are stored as "HH:mm".
+ * @param {Array<Object>} windows - { weekday (0 = Sunday), startTime, endTime }
+ * @returns {Object} weekly windows, or error with a message
+ */
+const normalizeWeekly = (windows) => {
+  if (!Array.isArray(windows)) {
+    return { error: 'Weekly availability must be a list of { weekday, startTime, endTime }' };
+  }
+
+  const weekly = [];
+  for (const window of windows) {
+    const weekday = parseInt(window.weekday);
+    if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+      return { error: 'Weekday must be a number from 0 (Sunday) to 6 (Saturday)' };
+    }
+
+    const start = parseTimeOfDay(window.startTime || '');
+    const end = parseTimeOfDay(window.endTime || '');
+    if (!start || !end) {
+      return { error: 'Availability times must look like "09:00" or "5:00 PM"' };
+    }
+
+    weekly.push({ weekday, startTime: toTimeString(start), endTime: toTimeString(end) });
+  }
+
+  return { weekly };
+};
+
+/**
+ * Parse a one-off unavailability from a request
+ * Plain dates ("2025-07-14") cover whole days in the employee's time zone.
+ * @param {Object} input - startDate, endDate and optional reason
+ * @param {string} timezone - Employee's time zone
+ * @returns {Object} entry with startDate, endDate and reason, or error with a message
+ */
+const parseUnavailability = ({ startDate, endDate, reason }, timezone) => {
+  const isDay = (value) => typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value.trim());
+
+  const parseBoundary = (value, isEnd) => {
+    if (isDay(value)) {
+      const day = parseCalendarDate(value, timezone);
+      return zonedTimeToUtc({ ...day, day: day.day + (isEnd ? 1 : 0) }, timezone);
+    }
+    const instant = new Date(value);
+    return isNaN(instant.getTime()) ? null : instant;
+  };
+
+  if (!startDate) {
+    return { error: 'Start date is required' };
+  }
+
+  const start = parseBoundary(startDate, false);
+  const end = parseBoundary(endDate || startDate, true);
+  if (!start || !end) {
+    return { error: 'Invalid date. Please use format like "2025-06-30" or a full date and time' };
+  }
+  if (end <= start) {
+    return { error: 'End date must be after start date' };
+  }
+
+  return { entry: { startDate: start, endDate: end, reason } };
+};
+
+/**
+ * Check whether a shift fits inside weekly availability windows
+ * Overnight windows (end at or before start) continue into the next day.
+ * @param {Array<Object>} weekly - Weekly windows; empty means no restriction
+ * @param {Date} startTime - Shift start
+ * @param {Date} endTime - Shift end
+ * @param {string} timezone - Employee's time zone
+ * @returns {boolean} True if the shift fits in one window
+ */
+const fitsWeeklyWindows = (weekly, startTime, endTime, timezone) => {
+  if (!weekly || weekly.length === 0) {
+    return true;
+  }
+
+  const { weekday, hour, minute } = getZonedParts(startTime, timezone);
+  const shiftStart = hour * 60 + minute;
+  const shiftEnd = shiftStart + Math.round((new Date(endTime) - new Date(startTime)) / 60000);
+
+  return weekly.some(window => {
+    const windowStart = toMinutes(window.startTime);
+    let windowEnd = toMinutes(window.endTime);
+    if (windowEnd <= windowStart) {
+      windowEnd += DAY_MINUTES;
+    }
+
+    if (window.weekday === weekday) {
+      return windowStart <= shiftStart && shiftEnd <= windowEnd;
+    }
+    // Overnight window that started the day before
+    if (window.weekday === (weekday + 6) % 7) {
+      return windowStart - DAY_MINUTES <= shiftStart && shiftEnd <= windowEnd - DAY_MINUTES;
+    }
+    return false;
+  });
+};
+
+/**
+ * Check a shift against an employee's availability
+ * @param {Object} availability - Availability document (may be null)
+ * @param {Date} startTime - Shift start
+ * @param {Date} endTime - Shift end
+ * @param {string} timezone - Employee's time zone
+ * @returns {Array<Object>} Problems: { type: 'unavailable' | 'availability', description, entryId }
+ */
+const checkAvailability = (availability, startTime, endTime, timezone) => {
+  if (!availability) {
+    return [];
+  }
+
+  const start = new Date(startTime);
+  const end = new Date(endTime);
+  const issues = [];
+
+  for (const entry of availability.unavailable || []) {
+    if (entry.startDate < end && entry.endDate > start) {
+      issues.push({
+        type: 'unavailable',
+        entryId: entry._id,
+        description: `is unavailable from ${formatDateInZone(entry.startDate, timezone)} ${formatTimeInZone(entry.startDate, timezone)} ` +
+          `to ${formatDateInZone(entry.endDate, timezone)} ${formatTimeInZone(entry.endDate, timezone)}` +
+          (entry.reason ? ` (${entry.reason})` : '')
+      });
+    }
+  }
+
+  if (!fitsWeeklyWindows(availability.weekly, start, end, timezone)) {
+    const { weekday } = getZonedParts(start, timezone);
+    const windows = availability.weekly
+      .filter(window => window.weekday === weekday)
+      .map(window => `${window.startTime}-${window.endTime}`);
+    issues.push({
+      type: 'availability',
+      description: `is not available ${DAY_NAMES[weekday]} ${formatTimeInZone(start, timezone)} - ${formatTimeInZone(end, timezone)} ` +
+        `(available ${windows.length > 0 ? windows.join(', ') : 'no hours'} on ${DAY_NAMES[weekday]}s)`
+    });
+  }
+
+  return issues;
+};
+
+/**
+ * Describe an employee's availability on one calendar day, for the schedule matrix
+ * @param {Object} availability - Availability document (may be null)
+ * @param {string} dayKey - Calendar day ("YYYY-MM-DD")
+ * @param {string} timezone - Employee's time zone
+ * @returns {Object} windows (null when unrestricted) and unavailable entries touching the day
+ */
+const describeDayAvailability = (availability, dayKey, timezone) => {
+  if (!availability) {
+    return { windows: null, unavailable: [] };
+  }
+
+  const day = parseCalendarDate(dayKey, timezone);
+  const dayStart = zonedTimeToUtc(day, timezone);
+  const dayEnd = zonedTimeToUtc({ ...day, day: day.day + 1 }, timezone);
+  const { weekday } = getZonedParts(dayStart, timezone);
+
+  return {
+    windows: availability.weekly && availability.weekly.length > 0
+      ? availability.weekly
+        .filter(window => window.weekday === weekday)
+        .map(({ startTime, endTime }) => ({ startTime, endTime }))
+      : null,
+    unavailable: (availability.unavailable || [])
+      .filter(entry => entry.startDate < dayEnd && entry.endDate > dayStart)
+      .map(({ _id, startDate, endDate, reason }) => ({ id: _id, startDate, endDate, reason }))
+  };
+};
+
+module.exports = {
+  normalizeWeekly,
+  parseUnavailability,
+  fitsWeeklyWindows,
+  checkAvailability,
+  describeDayAvailability
+};
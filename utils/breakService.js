@@ -0,0 +1,133 @@
+const HourTracking = require('../models/HourTracking');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { resolveTimeZone, formatDateInZone } = require('./timezone');
+const { LOCKED_MESSAGE } = require('./timesheetService');
+
+// A break that is still running has no end yet
+const RUNNING_BREAK = { $elemMatch: { endTime: null } };
+
+/**
+ * Find the record an employee is currently clocked in on
+ * @param {ObjectId} userId - Employee
+ * @returns {Promise<Object|null>} Active HourTracking record, latest first
+ */
+const findActiveRecord = (userId) => HourTracking.findOne({
+  user: userId,
+  status: 'active',
+  clockOutTime: null
+}).sort({ clockInTime: -1 });
+
+/**
+ * Start a break on a clocked-in record
+ * @param {ObjectId} recordId - HourTracking record
+ * @param {ObjectId} userId - Employee punching
+ * @param {Object} [options] - Break options
+ * @param {boolean} [options.paid=false] - Count the break as worked time
+ * @returns {Promise<Object>} hourTracking, or error with a message and status
+ */
+const startBreak = async (recordId, userId, { paid = false } = {}) => {
+  const hourTracking = await HourTracking.findOneAndUpdate(
+    { _id: recordId, user: userId, status: 'active', clockOutTime: null, locked: { $ne: true }, breaks: { $not: RUNNING_BREAK } },
+    { $push: { breaks: { startTime: new Date(), paid: !!paid } }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+  if (hourTracking) {
+    return { hourTracking };
+  }
+
+  const existing = await HourTracking.findOne({ _id: recordId, user: userId });
+  if (!existing) {
+    return { error: 'Hour tracking record not found', status: 404 };
+  }
+  if (existing.clockOutTime) {
+    return { error: 'Already clocked out for this schedule', status: 400 };
+  }
+  if (existing.locked) {
+    return { error: LOCKED_MESSAGE, status: 403 };
+  }
+  return { error: 'You are already on a break', status: 400 };
+};
+
+/**
+ * End the running break on a record
+ * @param {ObjectId} recordId - HourTracking record
+ * @param {ObjectId} userId - Employee punching
+ * @returns {Promise<Object>} hourTracking and the break's length in minutes, or error with a message and status
+ */
+const endBreak = async (recordId, userId) => {
+  const now = new Date();
+  const hourTracking = await HourTracking.findOneAndUpdate(
+    { _id: recordId, user: userId, locked: { $ne: true }, breaks: RUNNING_BREAK },
+    { $set: { 'breaks.$.endTime': now, updatedAt: now } },
+    { new: true }
+  );
+  if (!hourTracking) {
+    const existing = await HourTracking.findOne({ _id: recordId, user: userId });
+    if (!existing) {
+      return { error: 'Hour tracking record not found', status: 404 };
+    }
+    return existing.locked
+      ? { error: LOCKED_MESSAGE, status: 403 }
+      : { error: 'You are not on a break', status: 400 };
+  }
+
+  const ended = hourTracking.breaks.find(item => item.endTime && item.endTime.getTime() === now.getTime());
+  const minutes = ended ? Math.round((ended.endTime - ended.startTime) / 60000) : 0;
+  return { hourTracking, minutes };
+};
+
+/**
+ * End a break that is still running when the employee clocks out
+ * @param {Object} hourTracking - HourTracking document
+ * @param {Date} endTime - Clock-out time
+ */
+const closeRunningBreak = (hourTracking, endTime) => {
+  for (const item of hourTracking.breaks) {
+    if (!item.endTime) item.endTime = endTime;
+  }
+};
+
+/**
+ * Tell team admins when a clocked-out shift is missing some of its required break
+ * @param {Object} hourTracking - Clocked-out HourTracking record with its labour breakdown
+ * @param {Object} user - Employee the record belongs to
+ * @returns {Promise<boolean>} True if admins were alerted
+ */
+const alertMissedBreaks = async (hourTracking, user) => {
+  const missed = hourTracking.labour && hourTracking.labour.missedBreakMinutes;
+  if (!missed) {
+    return false;
+  }
+
+  const adminQuery = { role: 'admin' };
+  if (user.team) adminQuery.team = user.team;
+  const admins = await User.find(adminQuery);
+  const day = formatDateInZone(hourTracking.clockInTime, resolveTimeZone(user.timezone));
+
+  for (const adminUser of admins) {
+    try {
+      await notifyUser(adminUser, {
+        subject: `Missed break: ${user.name}`,
+        content: `${user.name} worked ${hourTracking.labour.grossHours} hours on ${day} and took ` +
+          `${missed} minutes less break than required.`,
+        relatedTo: 'hour-tracking',
+        relatedId: hourTracking._id,
+        team: user.team,
+        createdBy: user._id
+      });
+    } catch (err) {
+      logger.error('Missed break alert failed', { hourTrackingId: hourTracking._id, adminId: adminUser._id, error: err.message });
+    }
+  }
+  return true;
+};
+
+module.exports = {
+  findActiveRecord,
+  startBreak,
+  endBreak,
+  closeRunningBreak,
+  alertMissedBreaks
+};
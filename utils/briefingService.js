@@ -0,0 +1,152 @@
+const Schedule = require('../models/Schedule');
+const { getCommuteEstimate } = require('./mapsService');
+const { notifyUser } = require('./notificationService');
+const { findApprovedAbsences } = require('./absenceService');
+const { PUBLISHED } = require('./schedulePublication');
+const {
+  resolveTimeZone,
+  startOfDay,
+  formatTimeInZone,
+  formatDateInZone
+} = require('./timezone');
+
+// Helper function to get today's date at midnight in a time zone
+const getTodayAtMidnight = (timezone) => startOfDay(new Date(), timezone);
+
+// Helper function to get tomorrow's date at midnight in a time zone
+const getTomorrowAtMidnight = (timezone) => startOfDay(new Date(), timezone, 1);
+
+/**
+ * Format a Date or "HH:mm" string as a 12-hour time
+ * @param {Date|string} value - Time to format
+ * @param {string} [timezone] - Time zone a Date is shown in
+ * @returns {string} Time like "9:00 AM"
+ */
+const formatTime = (value, timezone) => {
+  if (value instanceof Date) {
+    return formatTimeInZone(value, timezone);
+  }
+
+  const [hours, minutes] = String(value).split(':');
+  const hour = parseInt(hours);
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const formattedHour = hour % 12 === 0 ? 12 : hour % 12;
+  return `${formattedHour}:${minutes} ${period}`;
+};
+
+/**
+ * Calculate when to leave to reach a schedule on time (with a 10 minute buffer)
+ * @param {Date} startTime - Schedule start time
+ * @param {number} travelTimeMinutes - Expected travel time
+ * @param {string} [timezone] - Time zone the departure time is shown in
+ * @returns {string} Suggested departure time like "8:20 AM"
+ */
+const calculateDepartureTime = (startTime, travelTimeMinutes, timezone) => {
+  const departureTime = new Date(new Date(startTime).getTime() - ((travelTimeMinutes + 10) * 60 * 1000));
+  return formatTime(departureTime, timezone);
+};
+
+/**
+ * Build the daily briefing for a user
+ * @param {Object} user - User object with defaultLocation populated
+ * @returns {Promise<Object>} Briefing subject, message and the schedules it covers
+ */
+const buildDailyBriefing = async (user) => {
+  const timezone = resolveTimeZone(user.timezone);
+  const today = getTodayAtMidnight(timezone);
+  const tomorrow = getTomorrowAtMidnight(timezone);
+
+  // Get user's schedules for today
+  const schedules = await Schedule.find({
+    assignedEmployees: user._id,
+    startTime: {
+      $gte: today,
+      $lt: tomorrow
+    },
+    status: { $ne: 'cancelled' },
+    ...PUBLISHED
+  })
+    .populate('location')
+    .sort({ startTime: 1 });
+
+  // Drop schedules the user has an approved absence for
+  const absences = await findApprovedAbsences([user._id], today, new Date(tomorrow.getTime() - 1), null, timezone);
+  const absentScheduleIds = absences.map(absence => absence.schedule.toString());
+  const filteredSchedules = schedules.filter(schedule =>
+    !absentScheduleIds.includes(schedule._id.toString())
+  );
+
+  const todayLabel = formatDateInZone(today, timezone);
+  let message = `Good morning ${user.name}! Here's your daily briefing for ${todayLabel}:\n\n`;
+
+  if (filteredSchedules.length === 0) {
+    message += "You don't have any schedules for today.\n";
+  } else {
+    message += `You have ${filteredSchedules.length} schedule(s) today:\n\n`;
+
+    for (const [index, schedule] of filteredSchedules.entries()) {
+      message += `${index + 1}. ${schedule.title}\n`;
+      message += `   Time: ${formatTime(schedule.startTime, timezone)} - ${formatTime(schedule.endTime, timezone)}\n`;
+      if (schedule.location) {
+        message += `   Location: ${schedule.location.name}, ${schedule.location.address}\n`;
+      }
+
+      // Add traffic information if the user has a default location
+      if (user.defaultLocation && user.defaultLocation.coordinates && schedule.location) {
+        try {
+          const commute = await getCommuteEstimate(
+            user.defaultLocation.coordinates,
+            schedule.location.coordinates
+          );
+          message += `   Traffic: ${commute.trafficCondition}\n`;
+          message += `   Estimated travel time: ${commute.travelTimeMinutes} minutes\n`;
+          message += `   Suggested departure time: ${calculateDepartureTime(schedule.startTime, commute.travelTimeMinutes, timezone)}\n`;
+        } catch (error) {
+          console.error(`Error getting traffic data for schedule ${schedule._id}:`, error.message);
+        }
+      }
+
+      message += '\n';
+    }
+  }
+
+  return {
+    date: today,
+    subject: `Daily Briefing - ${todayLabel}`,
+    message,
+    schedules: filteredSchedules
+  };
+};
+
+/**
+ * Build and deliver the daily briefing to a user
+ * @param {Object} user - User object
+ * @param {Object} options - Delivery options
+ * @param {ObjectId} options.createdBy - User the notification is attributed to
+ * @param {string} [options.notificationType] - Force 'email', 'whatsapp' or 'both'
+ * @returns {Promise<Object>} Saved notification
+ */
+const sendDailyBriefing = async (user, { createdBy, notificationType } = {}) => {
+  if (user.defaultLocation && !user.populated('defaultLocation')) {
+    await user.populate('defaultLocation');
+  }
+
+  const briefing = await buildDailyBriefing(user);
+
+  return notifyUser(user, {
+    subject: briefing.subject,
+    content: briefing.message,
+    type: notificationType,
+    relatedTo: 'daily-briefing',
+    createdBy: createdBy || user._id
+  });
+};
+
+module.exports = {
+  getTodayAtMidnight,
+  getTomorrowAtMidnight,
+  formatTime,
+  calculateDepartureTime,
+  buildDailyBriefing,
+  sendDailyBriefing
+};
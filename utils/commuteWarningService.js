@@ -0,0 +1,198 @@
+const Schedule = require('../models/Schedule');
+const HourTracking = require('../models/HourTracking');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { getCommuteEstimate } = require('./mapsService');
+const { findApprovedAbsences } = require('./absenceService');
+const { PUBLISHED } = require('./schedulePublication');
+const { resolveTimeZone, formatTimeInZone } = require('./timezone');
+const { toId } = require('./ids');
+
+const MINUTE_MS = 60 * 1000;
+
+// Shifts starting within this many hours are checked; live traffic says little about later ones
+const COMMUTE_CHECK_HOURS = parseFloat(process.env.COMMUTE_CHECK_HOURS) || 2;
+
+// Employees are told to leave once arriving on time needs less than this much slack
+const LEAVE_MARGIN_MINUTES = parseFloat(process.env.COMMUTE_LEAVE_MARGIN_MINUTES) || 10;
+
+// Clock-ins this recent are used for the employee's usual travel time
+const HISTORY_DAYS = 30;
+
+const hasCoordinates = (place) => place && place.coordinates &&
+  typeof place.coordinates.latitude === 'number' && typeof place.coordinates.longitude === 'number';
+
+/**
+ * Average travel time stored with an employee's recent clock-ins at a location
+ * @param {ObjectId} userId - Employee
+ * @param {ObjectId} locationId - Location
+ * @returns {Promise<number|null>} Minutes, or null without history
+ */
+const getUsualTravelMinutes = async (userId, locationId) => {
+  const records = await HourTracking.find({
+    user: userId,
+    location: locationId,
+    'trafficConditions.travelTime': { $gt: 0 },
+    clockInTime: { $gte: new Date(Date.now() - HISTORY_DAYS * 24 * 60 * MINUTE_MS) }
+  })
+    .select('trafficConditions')
+    .sort({ clockInTime: -1 })
+    .limit(20);
+
+  if (records.length === 0) {
+    return null;
+  }
+  return Math.round(records.reduce((total, record) => total + record.trafficConditions.travelTime, 0) / records.length);
+};
+
+/**
+ * Predict when an employee would reach a shift if they left now
+ * Live routing needs Azure Maps and the employee's default location; the travel times stored at
+ * earlier clock-ins cover the rest. With both, the slower one is used, since live routing can miss
+ * the delays this employee usually meets.
+ * @param {Object} employee - Employee with defaultLocation populated
+ * @param {Object} schedule - Schedule with location populated
+ * @param {Date} [now] - Departure time
+ * @returns {Promise<Object|null>} eta, travelMinutes, lateMinutes, trafficCondition and source, or null without an estimate
+ */
+const predictArrival = async (employee, schedule, now = new Date()) => {
+  let live = null;
+  if (process.env.AZURE_MAPS_KEY && hasCoordinates(employee.defaultLocation) && hasCoordinates(schedule.location)) {
+    try {
+      live = await getCommuteEstimate(employee.defaultLocation.coordinates, schedule.location.coordinates);
+    } catch (err) {
+      logger.warn('Commute estimate failed', { userId: employee._id, scheduleId: schedule._id, error: err.message });
+    }
+  }
+  const usual = await getUsualTravelMinutes(employee._id, schedule.location._id);
+
+  if (!live && usual === null) {
+    return null;
+  }
+
+  const travelMinutes = Math.max(live ? live.travelTimeMinutes : 0, usual || 0);
+  const eta = new Date(now.getTime() + travelMinutes * MINUTE_MS);
+  return {
+    eta,
+    travelMinutes,
+    lateMinutes: Math.max(0, Math.ceil((eta - schedule.startTime) / MINUTE_MS)),
+    trafficCondition: live ? live.trafficCondition : null,
+    source: live && usual !== null ? 'live+history' : live ? 'live' : 'history'
+  };
+};
+
+const buildEmployeeMessage = (employee, schedule, prediction, timezone) => {
+  const start = formatTimeInZone(schedule.startTime, timezone);
+  const traffic = prediction.trafficCondition ? ` (${prediction.trafficCondition.toLowerCase()} traffic)` : '';
+  const commute = `The trip to ${schedule.location.name} takes about ${prediction.travelMinutes} minutes${traffic}.`;
+
+  return prediction.lateMinutes > 0
+    ? `Hello ${employee.name}, you are likely to be late for ${schedule.title} at ${start}. ${commute} ` +
+      `Leaving now you would arrive around ${formatTimeInZone(prediction.eta, timezone)}, ` +
+      `${prediction.lateMinutes} minutes late. Please leave as soon as you can.`
+    : `Hello ${employee.name}, leave now to reach ${schedule.title} by ${start}. ${commute}`;
+};
+
+/**
+ * Warn employees whose commute would make them late for a shift starting soon
+ * Each employee is warned once per shift; team admins hear about the ones predicted to arrive late.
+ * @returns {Promise<number>} Number of employees warned
+ */
+const sendCommuteWarnings = async () => {
+  // Without Azure Maps, routes and the travel times stored at clock-in are demo data
+  if (!process.env.AZURE_MAPS_KEY) {
+    return 0;
+  }
+
+  const now = new Date();
+  const schedules = await Schedule.find({
+    status: 'scheduled',
+    startTime: { $gt: now, $lte: new Date(now.getTime() + COMMUTE_CHECK_HOURS * 60 * MINUTE_MS) },
+    'assignedEmployees.0': { $exists: true },
+    ...PUBLISHED
+  }).populate('location', 'name coordinates timezone');
+
+  let warned = 0;
+
+  for (const schedule of schedules) {
+    if (!schedule.location) continue;
+
+    const employeeIds = schedule.assignedEmployees.map(toId);
+    const timezone = resolveTimeZone(schedule.location.timezone);
+    const [clockedIn, alreadyWarned, absences] = await Promise.all([
+      HourTracking.find({ schedule: schedule._id, user: { $in: employeeIds } }).distinct('user'),
+      Notification.find({ relatedTo: 'commute', relatedId: schedule._id, recipient: { $in: employeeIds } }).distinct('recipient'),
+      findApprovedAbsences(employeeIds, schedule.startTime, schedule.endTime, schedule._id, timezone)
+    ]);
+    const skip = new Set([...clockedIn, ...alreadyWarned, ...absences.map(absence => absence.user)].map(toId));
+    const candidates = employeeIds.filter(id => !skip.has(id));
+    if (candidates.length === 0) continue;
+
+    const employees = await User.find({ _id: { $in: candidates } }).populate('defaultLocation', 'coordinates');
+    const likelyLate = [];
+
+    for (const employee of employees) {
+      try {
+        const prediction = await predictArrival(employee, schedule, now);
+        if (!prediction) continue;
+
+        const slackMinutes = (schedule.startTime - prediction.eta) / MINUTE_MS;
+        if (slackMinutes > LEAVE_MARGIN_MINUTES) continue;
+
+        await notifyUser(employee, {
+          type: employee.phone ? 'whatsapp' : undefined,
+          subject: `Leave now for ${schedule.title}`,
+          content: buildEmployeeMessage(employee, schedule, prediction, timezone),
+          relatedTo: 'commute',
+          relatedId: schedule._id,
+          team: schedule.team,
+          createdBy: schedule.createdBy
+        });
+        warned++;
+
+        if (prediction.lateMinutes > 0) {
+          likelyLate.push({ employee, prediction });
+        }
+      } catch (err) {
+        logger.error('Commute warning failed', { scheduleId: schedule._id, userId: employee._id, error: err.message });
+      }
+    }
+
+    if (likelyLate.length === 0) continue;
+
+    const adminQuery = { role: 'admin' };
+    if (schedule.team) adminQuery.team = schedule.team;
+    const admins = await User.find(adminQuery);
+    const lines = likelyLate.map(({ employee, prediction }) =>
+      `- ${employee.name}: ETA ${formatTimeInZone(prediction.eta, timezone)} (${prediction.lateMinutes} minutes late, ` +
+      `${prediction.travelMinutes} minute commute)`);
+
+    for (const adminUser of admins) {
+      try {
+        await notifyUser(adminUser, {
+          subject: `Likely late: ${schedule.title}`,
+          content: `These employees are likely to be late for ${schedule.title} at ` +
+            `${formatTimeInZone(schedule.startTime, timezone)}:\n${lines.join('\n')}`,
+          relatedTo: 'commute',
+          relatedId: schedule._id,
+          team: schedule.team,
+          createdBy: schedule.createdBy
+        });
+      } catch (err) {
+        logger.error('Likely late alert failed', { scheduleId: schedule._id, adminId: adminUser._id, error: err.message });
+      }
+    }
+  }
+
+  if (warned > 0) {
+    logger.info('Commute warnings sent', { count: warned });
+  }
+  return warned;
+};
+
+module.exports = {
+  predictArrival,
+  sendCommuteWarnings
+};
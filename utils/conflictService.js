@@ -0,0 +1,168 @@
+const Schedule = require('../models/Schedule');
+const Absence = require('../models/Absence');
+const User = require('../models/User');
+const Availability = require('../models/Availability');
+const { checkAvailability } = require('./availabilityService');
+const { resolveTimeZone, formatDateKey, formatDateInZone, formatTimeInZone } = require('./timezone');
+const { toId } = require('./ids');
+
+// Minimum rest between two shifts of the same employee, in hours (0 turns the check off)
+const parsedRestHours = parseFloat(process.env.MIN_REST_HOURS);
+const MIN_REST_HOURS = Number.isFinite(parsedRestHours) ? parsedRestHours : 11;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Conflicts that make an employee unable to take a shift at all (rest conflicts only rank lower)
+const BLOCKING_CONFLICTS = ['overlap', 'absence', 'unavailable', 'availability'];
+
+const formatRange = (startTime, endTime, timezone) =>
+  `${formatDateInZone(startTime, timezone)} ${formatTimeInZone(startTime, timezone)} - ${formatTimeInZone(endTime, timezone)}`;
+
+/**
+ * Find scheduling conflicts for proposed shifts
+ * These kinds of conflict are reported for each employee on a shift:
+ * - overlap: the employee already works another shift at the same time
+ * - absence: the employee has approved leave on that day
+ * - rest: less than MIN_REST_HOURS between this shift and another one
+ * - unavailable: the employee marked themselves unavailable for that time
+ * - availability: the shift falls outside the employee's weekly availability
+ * @param {Array<Object>} shifts - Proposed shifts: { employeeIds, startTime, endTime, scheduleId, title, timezone }
+ * @param {Object} [options] - Check options
+ * @param {Array<ObjectId>} [options.excludeScheduleIds] - Existing schedules being replaced by the proposal
+ * @returns {Promise<Array<Object>>} Conflicts with type, employee, message and the conflicting schedule or absence
+ */
+const findConflicts = async (shifts, { excludeScheduleIds = [] } = {}) => {
+  const proposals = shifts.filter(shift => shift.employeeIds && shift.employeeIds.length > 0);
+  if (proposals.length === 0) {
+    return [];
+  }
+
+  const restMs = MIN_REST_HOURS * HOUR_MS;
+  const employeeIds = [...new Set(proposals.flatMap(shift => shift.employeeIds.map(toId)))];
+  const excluded = excludeScheduleIds.map(toId);
+  const windowStart = new Date(Math.min(...proposals.map(shift => new Date(shift.startTime).getTime())) - restMs);
+  const windowEnd = new Date(Math.max(...proposals.map(shift => new Date(shift.endTime).getTime())) + restMs);
+
+  const existing = await Schedule.find({
+    _id: { $nin: excluded },
+    assignedEmployees: { $in: employeeIds },
+    status: { $ne: 'cancelled' },
+    startTime: { $lt: windowEnd },
+    endTime: { $gt: windowStart }
+  }).select('title startTime endTime assignedEmployees');
+
+  // Absence dates are calendar days at UTC midnight
+  const firstDay = new Date(`${formatDateKey(windowStart, 'UTC')}T00:00:00.000Z`);
+  const absences = await Absence.find({
+    user: { $in: employeeIds },
+    status: 'approved',
+    startDate: { $lte: windowEnd },
+    endDate: { $gte: firstDay }
+  });
+
+  const users = await User.find({ _id: { $in: employeeIds } }).select('name timezone');
+  const usersById = new Map(users.map(user => [user._id.toString(), user]));
+
+  const availabilities = await Availability.find({ user: { $in: employeeIds } });
+  const availabilityByUser = new Map(availabilities.map(availability => [availability.user.toString(), availability]));
+
+  // Other proposed shifts count as well, so a new series cannot conflict with itself
+  const others = [
+    ...existing.map(schedule => ({
+      id: schedule._id.toString(),
+      title: schedule.title,
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      employeeIds: schedule.assignedEmployees.map(toId)
+    })),
+    ...proposals.map((shift, index) => ({
+      proposal: index,
+      id: shift.scheduleId ? toId(shift.scheduleId) : null,
+      title: shift.title || 'another proposed shift',
+      startTime: new Date(shift.startTime),
+      endTime: new Date(shift.endTime),
+      employeeIds: shift.employeeIds.map(toId)
+    }))
+  ];
+
+  const conflicts = [];
+
+  proposals.forEach((shift, index) => {
+    const start = new Date(shift.startTime);
+    const end = new Date(shift.endTime);
+    const timezone = resolveTimeZone(shift.timezone);
+    const firstKey = formatDateKey(start, timezone);
+    const lastKey = formatDateKey(end, timezone);
+
+    for (const employeeId of shift.employeeIds.map(toId)) {
+      const user = usersById.get(employeeId);
+      const employee = { id: employeeId, name: user ? user.name : 'Employee' };
+      const base = { employee, startTime: start, endTime: end };
+
+      for (const other of others) {
+        if (other.proposal === index || !other.employeeIds.includes(employeeId)) continue;
+        // Report a clash between two proposed shifts only once
+        if (other.proposal !== undefined && other.proposal < index) continue;
+
+        if (other.startTime < end && other.endTime > start) {
+          conflicts.push({
+            ...base,
+            type: 'overlap',
+            scheduleId: other.id,
+            message: `${employee.name} is already assigned to "${other.title}" (${formatRange(other.startTime, other.endTime, timezone)})`
+          });
+          continue;
+        }
+
+        const gapMs = other.startTime >= end ? other.startTime - end : start - other.endTime;
+        if (gapMs < restMs) {
+          const gapHours = Math.round((gapMs / HOUR_MS) * 10) / 10;
+          conflicts.push({
+            ...base,
+            type: 'rest',
+            scheduleId: other.id,
+            restHours: gapHours,
+            message: `${employee.name} would only have ${gapHours}h rest next to "${other.title}" ` +
+              `(${formatRange(other.startTime, other.endTime, timezone)}), minimum is ${MIN_REST_HOURS}h`
+          });
+        }
+      }
+
+      for (const absence of absences) {
+        if (absence.user.toString() !== employeeId) continue;
+        // Leave filed against this very schedule is already handled by the absence workflow
+        if (shift.scheduleId && absence.schedule && absence.schedule.toString() === toId(shift.scheduleId)) continue;
+
+        const absenceStart = formatDateKey(absence.startDate, 'UTC');
+        const absenceEnd = formatDateKey(absence.endDate, 'UTC');
+        if (absenceStart <= lastKey && absenceEnd >= firstKey) {
+          conflicts.push({
+            ...base,
+            type: 'absence',
+            absenceId: absence._id,
+            message: `${employee.name} has approved ${absence.type} leave from ${absenceStart} to ${absenceEnd}`
+          });
+        }
+      }
+
+      // Weekly windows and unavailability are in the employee's own time zone
+      const employeeTimezone = resolveTimeZone(user && user.timezone, shift.timezone);
+      for (const issue of checkAvailability(availabilityByUser.get(employeeId), start, end, employeeTimezone)) {
+        conflicts.push({
+          ...base,
+          type: issue.type,
+          unavailabilityId: issue.entryId,
+          message: `${employee.name} ${issue.description}`
+        });
+      }
+    }
+  });
+
+  return conflicts;
+};
+
+module.exports = {
+  MIN_REST_HOURS,
+  BLOCKING_CONFLICTS,
+  findConflicts
+};
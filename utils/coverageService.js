@@ -0,0 +1,228 @@
+const Schedule = require('../models/Schedule');
+const Absence = require('../models/Absence');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { describeSchedule } = require('./scheduleNotifications');
+const { absenceCoversWindow } = require('./absenceService');
+const { resolveTimeZone } = require('./timezone');
+const { toId } = require('./ids');
+
+/**
+ * Validate headcount settings from a request
+ * @param {Object} input - requiredHeadcount and positionRequirements ([{ position, headcount }]); null clears either
+ * @param {Object} [current] - Schedule being edited, for the settings not in the input
+ * @returns {Object} fields to set, or error with a message
+ */
+const normalizeStaffing = ({ requiredHeadcount, positionRequirements }, current = {}) => {
+  const fields = {};
+
+  if (requiredHeadcount !== undefined) {
+    const headcount = requiredHeadcount === null || requiredHeadcount === '' ? null : Number(requiredHeadcount);
+    if (headcount !== null && (!Number.isInteger(headcount) || headcount < 0)) {
+      return { error: 'Required headcount must be a whole number of 0 or more' };
+    }
+    fields.requiredHeadcount = headcount;
+  }
+
+  if (positionRequirements !== undefined) {
+    if (positionRequirements !== null && !Array.isArray(positionRequirements)) {
+      return { error: 'Position requirements must be an array' };
+    }
+
+    const seen = new Set();
+    fields.positionRequirements = [];
+    for (const requirement of positionRequirements || []) {
+      const position = requirement && typeof requirement.position === 'string' ? requirement.position.trim() : '';
+      const headcount = Number(requirement && requirement.headcount);
+      if (!position) {
+        return { error: 'Each position requirement needs a position' };
+      }
+      if (!Number.isInteger(headcount) || headcount < 1) {
+        return { error: `Headcount for ${position} must be at least 1` };
+      }
+      if (seen.has(position)) {
+        return { error: `Position ${position} is listed more than once` };
+      }
+      seen.add(position);
+      fields.positionRequirements.push({ position, headcount });
+    }
+  }
+
+  const required = fields.requiredHeadcount !== undefined ? fields.requiredHeadcount : current.requiredHeadcount;
+  const positions = fields.positionRequirements || current.positionRequirements || [];
+  const positionTotal = positions.reduce((total, requirement) => total + requirement.headcount, 0);
+  if (required && positionTotal > required) {
+    return { error: `Position headcounts add up to ${positionTotal}, more than the required headcount of ${required}` };
+  }
+
+  return { fields };
+};
+
+/**
+ * Number of people a schedule needs
+ * Without a required headcount the position requirements add up to it, and an open shift's
+ * capacity counts as one.
+ * @param {Object} schedule - Schedule
+ * @returns {number} Required headcount (0 when the schedule has no requirement)
+ */
+const getRequiredHeadcount = (schedule) => {
+  const positionTotal = (schedule.positionRequirements || [])
+    .reduce((total, requirement) => total + requirement.headcount, 0);
+  const openCapacity = schedule.openShift && schedule.openShift.enabled ? schedule.openShift.capacity || 0 : 0;
+  return Math.max(schedule.requiredHeadcount || openCapacity, positionTotal);
+};
+
+/**
+ * Compare schedules' staffing with what they need
+ * Employees with approved leave on a shift's day don't count towards it.
+ * @param {Array<Object>} schedules - Schedules, with location populated for its time zone
+ * @returns {Promise<Array<Object>>} Coverage per schedule: required, assigned, absent, available,
+ *   shortBy and positions ({ position, required, filled, shortBy }), in the order given
+ */
+const getCoverage = async (schedules) => {
+  if (schedules.length === 0) {
+    return [];
+  }
+
+  const employeeIds = [...new Set(schedules.flatMap(schedule => schedule.assignedEmployees.map(toId)))];
+
+  const times = schedules.flatMap(schedule => [schedule.startTime.getTime(), schedule.endTime.getTime()]);
+  // Pad by a day either side so calendar days in any time zone are included
+  const firstDay = new Date(Math.min(...times) - 24 * 60 * 60 * 1000);
+  const lastDay = new Date(Math.max(...times) + 24 * 60 * 60 * 1000);
+
+  const [employees, absences] = employeeIds.length === 0 ? [[], []] : await Promise.all([
+    User.find({ _id: { $in: employeeIds } }).select('name position'),
+    Absence.find({
+      user: { $in: employeeIds },
+      status: 'approved',
+      $or: [
+        { schedule: { $in: schedules.map(schedule => schedule._id) } },
+        { startDate: { $lte: lastDay }, endDate: { $gte: firstDay } }
+      ]
+    })
+  ]);
+  const employeesById = new Map(employees.map(employee => [toId(employee), employee]));
+
+  return schedules.map(schedule => {
+    const timezone = resolveTimeZone(schedule.location && schedule.location.timezone);
+    const assigned = schedule.assignedEmployees.map(toId).filter(id => employeesById.has(id));
+    const absent = assigned.filter(id => absences.some(absence =>
+      toId(absence.user) === id &&
+      absenceCoversWindow(absence, schedule.startTime, schedule.endTime, schedule._id, timezone)));
+    const available = assigned.filter(id => !absent.includes(id));
+    const required = getRequiredHeadcount(schedule);
+
+    const positions = (schedule.positionRequirements || []).map(requirement => {
+      const filled = available.filter(id => employeesById.get(id).position === requirement.position).length;
+      return {
+        position: requirement.position,
+        required: requirement.headcount,
+        filled,
+        shortBy: Math.max(0, requirement.headcount - filled)
+      };
+    });
+
+    return {
+      schedule: schedule._id,
+      required,
+      assigned: assigned.length,
+      absent: absent.map(id => ({ id, name: employeesById.get(id).name })),
+      available: available.length,
+      shortBy: Math.max(0, required - available.length),
+      positions,
+      understaffed: available.length < required || positions.some(position => position.shortBy > 0)
+    };
+  });
+};
+
+const describeShortfall = (coverage) => {
+  const lines = [coverage.shortBy > 0
+    ? `${coverage.available} of the ${coverage.required} people it needs are available.`
+    : 'It has enough people, but not for every position it needs.'];
+  coverage.positions
+    .filter(position => position.shortBy > 0)
+    .forEach(position => lines.push(`${position.position}: ${position.filled} of ${position.required}.`));
+  if (coverage.absent.length > 0) {
+    lines.push(`On approved leave: ${coverage.absent.map(employee => employee.name).join(', ')}.`);
+  }
+  return lines.join('\n');
+};
+
+/**
+ * Tell team admins about upcoming shifts that are below their required headcount
+ * Drafts, past and cancelled shifts and shifts without a requirement are left out.
+ * @param {Array<ObjectId>} scheduleIds - Schedules whose staffing just went down
+ * @param {Object} options - Alert options
+ * @param {string} options.reason - What happened, e.g. "Ana's absence was approved"
+ * @param {ObjectId} [options.createdBy] - User whose action caused the alert
+ * @returns {Promise<number>} Number of understaffed shifts admins were told about
+ */
+const alertUnderstaffed = async (scheduleIds, { reason, createdBy }) => {
+  if (scheduleIds.length === 0) {
+    return 0;
+  }
+
+  const schedules = (await Schedule.find({
+    _id: { $in: scheduleIds },
+    status: 'scheduled',
+    startTime: { $gt: new Date() }
+  }).populate('location', 'name timezone'))
+    .filter(schedule => schedule.publicationStatus !== 'draft' && getRequiredHeadcount(schedule) > 0);
+
+  const coverage = await getCoverage(schedules);
+  let alerted = 0;
+
+  for (let i = 0; i < schedules.length; i++) {
+    if (!coverage[i].understaffed) continue;
+    const schedule = schedules[i];
+
+    const adminQuery = { role: 'admin' };
+    if (schedule.team) adminQuery.team = schedule.team;
+    const admins = await User.find(adminQuery);
+
+    for (const adminUser of admins) {
+      try {
+        await notifyUser(adminUser, {
+          subject: `Understaffed shift: ${schedule.title}`,
+          content: `${describeSchedule(schedule)} is understaffed. ${reason}.\n\n${describeShortfall(coverage[i])}`,
+          relatedTo: 'staffing',
+          relatedId: schedule._id,
+          team: schedule.team,
+          createdBy: createdBy || schedule.createdBy
+        });
+      } catch (err) {
+        logger.error('Understaffing alert failed', { scheduleId: schedule._id, adminId: adminUser._id, error: err.message });
+      }
+    }
+    alerted++;
+  }
+
+  return alerted;
+};
+
+/**
+ * Alert admins about schedules that lost employees in a set of changes
+ * @param {Array<Object>} changes - { before, after } snapshots, as passed to notifyScheduleChanges
+ * @param {Object} options - Alert options
+ * @param {string} [options.reason] - What happened
+ * @param {ObjectId} [options.createdBy] - User who made the changes
+ * @returns {Promise<number>} Number of understaffed shifts admins were told about
+ */
+const alertOnRemovals = async (changes, { reason = 'Employees were removed from it', createdBy } = {}) => {
+  const scheduleIds = changes
+    .filter(({ before, after }) => before && after &&
+      before.assignedEmployees.some(id => !after.assignedEmployees.includes(id)))
+    .map(({ after }) => after._id);
+
+  return alertUnderstaffed(scheduleIds, { reason, createdBy });
+};
+
+module.exports = {
+  normalizeStaffing,
+  getRequiredHeadcount,
+  getCoverage,
+  alertUnderstaffed,
+  alertOnRemovals
+};
@@ -0,0 +1,128 @@
+// Radius for locations that switch the geofence on without choosing one
+const DEFAULT_RADIUS_METERS = parseFloat(process.env.GEOFENCE_RADIUS_METERS) || 150;
+
+const GEOFENCE_MODES = ['reject', 'flag'];
+
+const EARTH_RADIUS_METERS = 6371000;
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+
+/**
+ * Great-circle distance between two points
+ * @param {Object} from - latitude and longitude in degrees
+ * @param {Object} to - latitude and longitude in degrees
+ * @returns {number} Distance in meters
+ */
+const distanceMeters = (from, to) => {
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(a)));
+};
+
+/**
+ * Validate a device position from a request
+ * @param {Object} [position] - latitude, longitude and optional accuracy in meters
+ * @returns {Object} position (null when none was sent), or error with a message
+ */
+const parsePosition = (position) => {
+  if (position === undefined || position === null) {
+    return { position: null };
+  }
+
+  const latitude = Number(position.latitude);
+  const longitude = Number(position.longitude);
+  if (!isFinite(latitude) || !isFinite(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180 ||
+      position.latitude === '' || position.longitude === '') {
+    return { error: 'Position needs a latitude between -90 and 90 and a longitude between -180 and 180' };
+  }
+
+  const accuracy = position.accuracy === undefined || position.accuracy === null ? undefined : Number(position.accuracy);
+  if (accuracy !== undefined && (!isFinite(accuracy) || accuracy < 0)) {
+    return { error: 'Position accuracy must be a number of meters' };
+  }
+
+  return { position: { latitude, longitude, accuracy } };
+};
+
+/**
+ * Validate geofence settings from a request
+ * @param {Object} input - enabled, radiusMeters and mode ('reject' or 'flag')
+ * @returns {Object} geofence settings, or error with a message
+ */
+const normalizeGeofence = (input) => {
+  if (!input || typeof input !== 'object') {
+    return { error: 'Geofence must be an object' };
+  }
+
+  const geofence = { enabled: !!input.enabled, mode: input.mode || 'flag' };
+  if (!GEOFENCE_MODES.includes(geofence.mode)) {
+    return { error: `Geofence mode must be one of: ${GEOFENCE_MODES.join(', ')}` };
+  }
+  if (input.radiusMeters !== undefined && input.radiusMeters !== null) {
+    const radiusMeters = Number(input.radiusMeters);
+    if (!isFinite(radiusMeters) || radiusMeters < 10) {
+      return { error: 'Geofence radius must be at least 10 meters' };
+    }
+    geofence.radiusMeters = radiusMeters;
+  }
+
+  return { geofence };
+};
+
+/**
+ * Check a punch's position against a location's geofence
+ * Locations without a geofence accept every punch; the position is still recorded.
+ * @param {Object} location - Location with coordinates and geofence settings
+ * @param {Object|null} position - Parsed device position
+ * @returns {Object} check (stored on the record), rejected when the punch must be refused and a message
+ */
+const checkPosition = (location, position) => {
+  const geofence = location && location.geofence && location.geofence.enabled ? location.geofence : null;
+  const hasCoordinates = location && location.coordinates &&
+    typeof location.coordinates.latitude === 'number' && typeof location.coordinates.longitude === 'number';
+  const radiusMeters = geofence ? geofence.radiusMeters || DEFAULT_RADIUS_METERS : undefined;
+
+  const check = { radiusMeters };
+  if (position) {
+    Object.assign(check, position);
+    if (hasCoordinates) {
+      check.distanceMeters = Math.round(distanceMeters(location.coordinates, position));
+    }
+  }
+
+  if (!geofence || !hasCoordinates) {
+    check.result = 'not-checked';
+    return { check, rejected: false };
+  }
+
+  if (!position) {
+    check.result = 'no-position';
+    return {
+      check,
+      rejected: geofence.mode === 'reject',
+      message: `Your position is needed to clock in or out at ${location.name}`
+    };
+  }
+
+  if (check.distanceMeters <= radiusMeters) {
+    check.result = 'inside';
+    return { check, rejected: false };
+  }
+
+  check.result = 'outside';
+  return {
+    check,
+    rejected: geofence.mode === 'reject',
+    message: `You are ${check.distanceMeters} m from ${location.name}, outside its ${radiusMeters} m clock-in area`
+  };
+};
+
+module.exports = {
+  DEFAULT_RADIUS_METERS,
+  distanceMeters,
+  parsePosition,
+  normalizeGeofence,
+  checkPosition
+};
@@ -0,0 +1,492 @@
+const HourTracking = require('../models/HourTracking');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { applyLabourRules } = require('./labourRules');
+const { closeRunningBreak } = require('./breakService');
+const { LOCKED_MESSAGE, isPeriodLocked } = require('./timesheetService');
+const { resolveTimeZone, formatDateInZone, formatTimeInZone } = require('./timezone');
+const { toId } = require('./ids');
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Records still clocked in this long after clock-in are closed by the sweeper
+const STALE_CLOCK_IN_HOURS = parseFloat(process.env.STALE_CLOCK_IN_HOURS) || 16;
+
+// Fields compared for the change log
+const LOGGED_FIELDS = ['schedule', 'clockInTime', 'clockOutTime', 'breaks', 'notes', 'status', 'totalHours'];
+
+// Plain copy of the logged fields, so before and after can be compared and stored
+const snapshot = (record) => ({
+  schedule: record.schedule ? toId(record.schedule) : undefined,
+  clockInTime: record.clockInTime ? record.clockInTime.toISOString() : undefined,
+  clockOutTime: record.clockOutTime ? record.clockOutTime.toISOString() : undefined,
+  breaks: (record.breaks || []).map(item => ({
+    startTime: item.startTime.toISOString(),
+    endTime: item.endTime ? item.endTime.toISOString() : null,
+    paid: !!item.paid
+  })),
+  notes: record.notes,
+  status: record.status,
+  totalHours: record.totalHours
+});
+
+const diff = (before, after) => LOGGED_FIELDS
+  .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+  .map(field => ({ field, from: before[field], to: after[field] }));
+
+const parseTime = (value, label) => {
+  const date = value ? new Date(value) : null;
+  if (!date || isNaN(date.getTime())) {
+    return { error: `Invalid ${label}` };
+  }
+  if (date > new Date()) {
+    return { error: `The ${label} can't be in the future` };
+  }
+  return { date };
+};
+
+/**
+ * Validate breaks from a request against a record's clock times
+ * @param {Array<Object>} input - Breaks with startTime, endTime and paid
+ * @param {Date} clockInTime - Record's clock-in
+ * @param {Date} [clockOutTime] - Record's clock-out; without one the last break may still be running
+ * @returns {Object} breaks sorted by start, or error with a message
+ */
+const normalizeBreaks = (input, clockInTime, clockOutTime) => {
+  if (!Array.isArray(input)) {
+    return { error: 'Breaks must be an array' };
+  }
+
+  const breaks = [];
+  for (const item of input) {
+    const startTime = new Date(item && item.startTime);
+    const endTime = item && item.endTime ? new Date(item.endTime) : null;
+    if (isNaN(startTime.getTime()) || (endTime && isNaN(endTime.getTime()))) {
+      return { error: 'Each break needs a valid start and end time' };
+    }
+    if (!endTime && clockOutTime) {
+      return { error: 'Breaks of a clocked-out record need an end time' };
+    }
+    if ((endTime && endTime <= startTime) || startTime < clockInTime || (clockOutTime && endTime > clockOutTime)) {
+      return { error: 'Breaks must end after they start and fall within the clock-in and clock-out times' };
+    }
+    breaks.push({ startTime, endTime, paid: !!(item && item.paid) });
+  }
+
+  breaks.sort((a, b) => a.startTime - b.startTime);
+  for (let i = 1; i < breaks.length; i++) {
+    if (!breaks[i - 1].endTime || breaks[i - 1].endTime > breaks[i].startTime) {
+      return { error: 'Breaks must not overlap' };
+    }
+  }
+
+  return { breaks };
+};
+
+// The employee a record belongs to, or null when it is outside the admin's team
+const findEmployee = async (userId, adminUser) => {
+  const employee = await User.findById(userId);
+  if (!employee || (adminUser.team && (!employee.team || toId(employee.team) !== toId(adminUser.team)))) {
+    return null;
+  }
+  return employee;
+};
+
+// Another record of the employee that overlaps [start, end), or null
+const findOverlap = (userId, start, end, excludeIds = []) => HourTracking.findOne({
+  _id: { $nin: excludeIds },
+  user: userId,
+  clockInTime: { $lt: end || new Date() },
+  $or: [{ clockOutTime: { $gt: start } }, { clockOutTime: null }]
+});
+
+// Everything that stops a record from having these times, or null if it can
+const checkTimes = async (userId, clockInTime, clockOutTime, excludeIds) => {
+  if (clockOutTime && clockOutTime <= clockInTime) {
+    return { error: 'Clock-out must be after clock-in', status: 400 };
+  }
+  if (await isPeriodLocked(userId, clockInTime)) {
+    return { error: LOCKED_MESSAGE, status: 403 };
+  }
+
+  const overlap = await findOverlap(userId, clockInTime, clockOutTime, excludeIds);
+  if (overlap) {
+    return {
+      error: `This overlaps the employee's record clocked in at ${overlap.clockInTime.toISOString()}`,
+      status: 409
+    };
+  }
+  return null;
+};
+
+const requireReason = (reason) => (!reason || !String(reason).trim())
+  ? { error: 'Please give a reason for the correction', status: 400 }
+  : null;
+
+/**
+ * Correct a record's punches, breaks or notes
+ * Adding a clock-out closes a forgotten shift. Corrected records are marked adjusted and
+ * their hours recalculated.
+ * @param {ObjectId} recordId - HourTracking record
+ * @param {Object} adminUser - Admin making the correction
+ * @param {Object} input - clockInTime, clockOutTime, breaks, notes and the required reason
+ * @returns {Promise<Object>} hourTracking, or error with a message and status
+ */
+const editRecord = async (recordId, adminUser, input) => {
+  const missingReason = requireReason(input.reason);
+  if (missingReason) {
+    return missingReason;
+  }
+
+  const record = await HourTracking.findById(recordId);
+  const employee = record ? await findEmployee(record.user, adminUser) : null;
+  if (!employee) {
+    return { error: 'Hour tracking record not found', status: 404 };
+  }
+  if (record.locked) {
+    return { error: LOCKED_MESSAGE, status: 403 };
+  }
+
+  let clockInTime = record.clockInTime;
+  let clockOutTime = record.clockOutTime;
+  if (input.clockInTime !== undefined) {
+    const parsed = parseTime(input.clockInTime, 'clock-in time');
+    if (parsed.error) return { error: parsed.error, status: 400 };
+    clockInTime = parsed.date;
+  }
+  if (input.clockOutTime !== undefined) {
+    if (input.clockOutTime === null) {
+      return { error: 'A clock-out can be moved but not removed', status: 400 };
+    }
+    const parsed = parseTime(input.clockOutTime, 'clock-out time');
+    if (parsed.error) return { error: parsed.error, status: 400 };
+    clockOutTime = parsed.date;
+  }
+
+  const problem = await checkTimes(record.user, clockInTime, clockOutTime, [record._id]);
+  if (problem) {
+    return problem;
+  }
+
+  // Moved punches must still hold the existing breaks, unless new ones are sent.
+  // A break still running on a forgotten clock-out ends with it.
+  const currentBreaks = snapshot(record).breaks.map(item => ({ ...item, endTime: item.endTime || clockOutTime }));
+  const { breaks, error } = normalizeBreaks(
+    input.breaks !== undefined ? input.breaks : currentBreaks,
+    clockInTime,
+    clockOutTime
+  );
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  const before = snapshot(record);
+  record.clockInTime = clockInTime;
+  record.date = clockInTime;
+  record.breaks = breaks;
+  if (input.notes !== undefined) record.notes = input.notes;
+  if (clockOutTime) {
+    record.clockOutTime = clockOutTime;
+    record.status = 'adjusted';
+    await applyLabourRules(record, employee);
+  }
+
+  const changes = diff(before, snapshot(record));
+  if (changes.length === 0) {
+    return { error: 'Nothing to change', status: 400 };
+  }
+
+  const now = new Date();
+  record.needsReview = false;
+  record.changeLog.push({ action: 'edited', by: adminUser._id, at: now, reason: input.reason, changes });
+  record.updatedAt = now;
+  await record.save();
+
+  logger.info('Hour tracking record corrected', { hourTrackingId: record._id, by: adminUser._id, fields: changes.map(change => change.field) });
+  return { hourTracking: record };
+};
+
+/**
+ * Add a record for a shift the employee worked without clocking in
+ * @param {Object} adminUser - Admin adding the record
+ * @param {Object} input - userId, scheduleId, clockInTime, clockOutTime, breaks, notes and the required reason
+ * @returns {Promise<Object>} hourTracking, or error with a message and status
+ */
+const addRecord = async (adminUser, input) => {
+  const missingReason = requireReason(input.reason);
+  if (missingReason) {
+    return missingReason;
+  }
+
+  const employee = input.userId ? await findEmployee(input.userId, adminUser) : null;
+  if (!employee) {
+    return { error: 'Employee not found', status: 404 };
+  }
+  const schedule = input.scheduleId ? await Schedule.findById(input.scheduleId) : null;
+  if (!schedule || (adminUser.team && schedule.team && toId(schedule.team) !== toId(adminUser.team))) {
+    return { error: 'Schedule not found', status: 404 };
+  }
+
+  const clockIn = parseTime(input.clockInTime, 'clock-in time');
+  const clockOut = parseTime(input.clockOutTime, 'clock-out time');
+  if (clockIn.error || clockOut.error) {
+    return { error: clockIn.error || clockOut.error, status: 400 };
+  }
+
+  const problem = await checkTimes(employee._id, clockIn.date, clockOut.date);
+  if (problem) {
+    return problem;
+  }
+
+  const { breaks, error } = normalizeBreaks(input.breaks || [], clockIn.date, clockOut.date);
+  if (error) {
+    return { error, status: 400 };
+  }
+
+  const record = new HourTracking({
+    user: employee._id,
+    schedule: schedule._id,
+    date: clockIn.date,
+    clockInTime: clockIn.date,
+    clockOutTime: clockOut.date,
+    breaks,
+    notes: input.notes,
+    status: 'adjusted',
+    location: schedule.location,
+    createdBy: adminUser._id
+  });
+  await applyLabourRules(record, employee);
+  record.changeLog.push({
+    action: 'added',
+    by: adminUser._id,
+    reason: input.reason,
+    changes: diff({}, snapshot(record))
+  });
+  await record.save();
+
+  await Schedule.updateOne({ _id: schedule._id }, { $addToSet: { hourTracking: record._id } });
+
+  logger.info('Hour tracking record added', { hourTrackingId: record._id, userId: employee._id, by: adminUser._id });
+  return { hourTracking: record };
+};
+
+/**
+ * Split a clocked-out record in two, e.g. when one punch covered two shifts
+ * Breaks go with the part they fall in; a break across the split is cut in two.
+ * @param {ObjectId} recordId - HourTracking record
+ * @param {Object} adminUser - Admin splitting the record
+ * @param {Object} input - splitAt, the required reason and an optional scheduleId for the second part
+ * @returns {Promise<Object>} the two records (first and second), or error with a message and status
+ */
+const splitRecord = async (recordId, adminUser, input) => {
+  const missingReason = requireReason(input.reason);
+  if (missingReason) {
+    return missingReason;
+  }
+
+  const record = await HourTracking.findById(recordId);
+  const employee = record ? await findEmployee(record.user, adminUser) : null;
+  if (!employee) {
+    return { error: 'Hour tracking record not found', status: 404 };
+  }
+  if (record.locked) {
+    return { error: LOCKED_MESSAGE, status: 403 };
+  }
+  if (!record.clockOutTime) {
+    return { error: 'Clock the record out before splitting it', status: 400 };
+  }
+
+  const splitAt = new Date(input.splitAt);
+  if (isNaN(splitAt.getTime()) || splitAt <= record.clockInTime || splitAt >= record.clockOutTime) {
+    return { error: 'The split time must be between the clock-in and clock-out times', status: 400 };
+  }
+
+  let schedule = null;
+  if (input.scheduleId) {
+    schedule = await Schedule.findById(input.scheduleId);
+    if (!schedule || (adminUser.team && schedule.team && toId(schedule.team) !== toId(adminUser.team))) {
+      return { error: 'Schedule not found', status: 404 };
+    }
+  }
+
+  const firstBreaks = [];
+  const secondBreaks = [];
+  for (const item of record.breaks) {
+    if (item.endTime <= splitAt) {
+      firstBreaks.push({ startTime: item.startTime, endTime: item.endTime, paid: item.paid });
+    } else if (item.startTime >= splitAt) {
+      secondBreaks.push({ startTime: item.startTime, endTime: item.endTime, paid: item.paid });
+    } else {
+      firstBreaks.push({ startTime: item.startTime, endTime: splitAt, paid: item.paid });
+      secondBreaks.push({ startTime: splitAt, endTime: item.endTime, paid: item.paid });
+    }
+  }
+
+  const now = new Date();
+  const before = snapshot(record);
+  const second = new HourTracking({
+    user: record.user,
+    schedule: schedule ? schedule._id : record.schedule,
+    date: splitAt,
+    clockInTime: splitAt,
+    clockOutTime: record.clockOutTime,
+    breaks: secondBreaks,
+    status: 'adjusted',
+    location: schedule ? schedule.location : record.location,
+    geofence: { clockOut: record.geofence && record.geofence.clockOut },
+    geofenceFlagged: record.geofenceFlagged,
+    createdBy: adminUser._id
+  });
+
+  record.clockOutTime = splitAt;
+  record.breaks = firstBreaks;
+  record.status = 'adjusted';
+  record.needsReview = false;
+  record.set('geofence.clockOut', undefined);
+  await applyLabourRules(record, employee);
+  record.changeLog.push({
+    action: 'split',
+    by: adminUser._id,
+    at: now,
+    reason: input.reason,
+    changes: diff(before, snapshot(record)),
+    relatedRecord: second._id
+  });
+  record.updatedAt = now;
+  await record.save();
+
+  // Worked out after the first part is saved, so it counts towards the second part's overtime
+  await applyLabourRules(second, employee);
+  second.changeLog.push({
+    action: 'split',
+    by: adminUser._id,
+    at: now,
+    reason: input.reason,
+    changes: diff({}, snapshot(second)),
+    relatedRecord: record._id
+  });
+  await second.save();
+
+  await Schedule.updateOne({ _id: second.schedule }, { $addToSet: { hourTracking: second._id } });
+
+  logger.info('Hour tracking record split', { hourTrackingId: record._id, newRecordId: second._id, by: adminUser._id });
+  return { first: record, second };
+};
+
+/**
+ * Clear a record's review flag once an admin has checked it
+ * @param {ObjectId} recordId - HourTracking record
+ * @param {Object} adminUser - Admin reviewing
+ * @param {string} [reason] - Note kept in the change log
+ * @returns {Promise<Object>} hourTracking, or error with a message and status
+ */
+const markReviewed = async (recordId, adminUser, reason) => {
+  const existing = await HourTracking.findById(recordId);
+  if (!existing || !(await findEmployee(existing.user, adminUser))) {
+    return { error: 'Hour tracking record not found', status: 404 };
+  }
+
+  const now = new Date();
+  const hourTracking = await HourTracking.findOneAndUpdate(
+    { _id: existing._id, needsReview: true },
+    {
+      $set: { needsReview: false, updatedAt: now },
+      $push: { changeLog: { action: 'reviewed', by: adminUser._id, at: now, reason: reason || 'Checked without changes' } }
+    },
+    { new: true }
+  );
+  if (!hourTracking) {
+    return { error: 'This record is not waiting for review', status: 409 };
+  }
+  return { hourTracking };
+};
+
+/**
+ * Close records that are still clocked in long after clock-in and flag them for review
+ * They are closed at the schedule's end when that is known, or at clock-in (no hours) otherwise,
+ * so nothing unverified is paid until an admin corrects it.
+ * @returns {Promise<number>} Number of records closed
+ */
+const closeStaleRecords = async () => {
+  const cutoff = new Date(Date.now() - STALE_CLOCK_IN_HOURS * HOUR_MS);
+  const stale = await HourTracking.find({
+    status: 'active',
+    clockOutTime: null,
+    clockInTime: { $lt: cutoff },
+    locked: { $ne: true }
+  }).populate('schedule', 'title endTime');
+
+  let closed = 0;
+  for (const record of stale) {
+    try {
+      const now = new Date();
+      const scheduledEnd = record.schedule && record.schedule.endTime > record.clockInTime && record.schedule.endTime < now
+        ? record.schedule.endTime
+        : null;
+      const clockOutTime = scheduledEnd || record.clockInTime;
+
+      // The employee may have clocked out in the meantime
+      const hourTracking = await HourTracking.findOneAndUpdate(
+        { _id: record._id, status: 'active', clockOutTime: null },
+        { $set: { clockOutTime, status: 'completed', needsReview: true, updatedAt: now } },
+        { new: true }
+      );
+      if (!hourTracking) continue;
+
+      const before = snapshot(record);
+      const employee = await User.findById(hourTracking.user);
+      closeRunningBreak(hourTracking, clockOutTime);
+      if (employee) {
+        await applyLabourRules(hourTracking, employee);
+      }
+      hourTracking.changeLog.push({
+        action: 'auto-closed',
+        at: now,
+        reason: scheduledEnd
+          ? `Still clocked in after ${STALE_CLOCK_IN_HOURS} hours; closed at the scheduled end`
+          : `Still clocked in after ${STALE_CLOCK_IN_HOURS} hours; closed without hours as the shift end is unknown`,
+        changes: diff(before, snapshot(hourTracking))
+      });
+      await hourTracking.save();
+      closed++;
+
+      if (employee) {
+        const timezone = resolveTimeZone(employee.timezone);
+        try {
+          await notifyUser(employee, {
+            subject: 'Forgotten clock-out',
+            content: `Hello ${employee.name},\n\nYou were still clocked in for ` +
+              `${record.schedule ? record.schedule.title : 'your shift'} on ${formatDateInZone(hourTracking.clockInTime, timezone)}, ` +
+              `so it was closed at ${formatTimeInZone(clockOutTime, timezone)}. An admin will review your hours.`,
+            relatedTo: 'hour-tracking',
+            relatedId: hourTracking._id,
+            team: employee.team,
+            createdBy: employee._id
+          });
+        } catch (err) {
+          logger.error('Forgotten clock-out notification failed', { hourTrackingId: hourTracking._id, error: err.message });
+        }
+      }
+    } catch (err) {
+      logger.error('Closing stale clock-in failed', { hourTrackingId: record._id, error: err.message });
+    }
+  }
+
+  if (closed > 0) {
+    logger.info('Stale clock-ins closed', { closed });
+  }
+  return closed;
+};
+
+module.exports = {
+  STALE_CLOCK_IN_HOURS,
+  normalizeBreaks,
+  findEmployee,
+  editRecord,
+  addRecord,
+  splitRecord,
+  markReviewed,
+  closeStaleRecords
+};
@@ -0,0 +1,10 @@
+/**
+ * String form of a document's id, whether it is populated or a bare ObjectId
+ * @param {Object} value - Document or ObjectId
+ * @returns {string} The id as a string
+ */
+const toId = (value) => (value && value._id ? value._id : value).toString();
+
+module.exports = {
+  toId
+};
@@ -1,5 +1,43 @@
-import { AzureOpenAI } from "openai";
-import { detectMultipleIntents } from "./aiService.js";
+const { AzureOpenAI } = require("openai");
+const { detectMultipleIntents } = require("./aiService");
+
+const INTENTS = [
+  "schedule_query",
+  "traffic_query",
+  "route_query",
+  "absence_request",
+  "schedule_create",
+  "general_question",
+  "admin_command",
+  "employee_query"
+];
+
+// Messages that say what they want plainly don't need the model; checked in order
+const INTENT_RULES = [
+  { intent: "employee_query", pattern: /\bwho(?:'s|\s+is|\s+are)?\b.*\b(working|on duty|on shift|absent|off|on leave|sick|in today)\b/i },
+  { intent: "traffic_query", pattern: /\b(traffic|commute|congestion|travel time|trafic)\b/i },
+  { intent: "route_query", pattern: /\b(route|routes|directions|itin[eé]raire|how (?:do|can|should) i get|best way to)\b/i },
+  {
+    intent: "absence_request",
+    // Only the sender saying they won't work: "I'm sick", "I need Friday off", "I can't come tomorrow"
+    pattern: new RegExp([
+      "\\bi(?:'m| am|'ll be| will be) (?:sick|ill|unwell|absent|off|on (?:leave|vacation|holiday))\\b",
+      "\\bi(?:'m| am|'d| would|'ll| will)? (?:need|want|like|take|taking|going to take)\\b.*\\b(?:off|on leave|(?:a|some|sick|annual) leave|vacation|holidays?)\\b",
+      "\\bi (?:can'?t|cannot|won'?t|will not) (?:come|make it|work|be (?:in|there|at work))\\b",
+      "\\bje (?:suis malade|serai absente?)\\b"
+    ].join("|"), "i"),
+    // Questions about days off and admins acting on other people's absences go to other intents
+    unless: /^\s*(?:\/admin|approve|reject|list|show|who|delete|cancel|do|does|is|are|how|what|when)\b|\?\s*$/i
+  },
+  // 'Create a shift for Marie at Downtown tomorrow 9am-5pm', 'add a new "Inventory" schedule'
+  { intent: "schedule_create", pattern: /^\s*(?:\/admin\s+)?(?:create|add|make|set up)\s+(?:(?:a|an|new|another)\s+)*(?:["“][^"”]*["”]\s+)?(?:schedule|shift)\b/i },
+  {
+    intent: "schedule_query",
+    pattern: /\b(schedule|schedules|shift|shifts|rota|planning|when (?:am i|do i) work|am i working|horaire)\b/i,
+    // Changes to schedules are admin commands
+    unless: /^\s*(?:\/admin|create|add|make|update|change|edit|move|delete|remove|cancel|publish|assign)\b/i
+  }
+];
 
 // Create Azure OpenAI client using the modern SDK
 const createOpenAIClient = () => {
@@ -20,11 +58,27 @@ const createOpenAIClient = () => {
 };
 
 /**
- * Classify user message intent using Azure OpenAI
+ * Classify a message by the deterministic rules alone
+ * @param {string} message - User message to classify
+ * @returns {string|null} - Intent, or null if no rule matches
+ */
+const matchIntent = (message) => {
+  const text = (message || "").trim();
+  const rule = INTENT_RULES.find(({ pattern, unless }) => pattern.test(text) && !(unless && unless.test(text)));
+  return rule ? rule.intent : null;
+};
+
+/**
+ * Classify user message intent, by the rules first and Azure OpenAI for the rest
  * @param {string} message - User message to classify
  * @returns {Promise<string>} - Classified intent
  */
-export const classifyIntent = async (message) => {
+const classifyIntent = async (message) => {
+  const matched = matchIntent(message);
+  if (matched) {
+    return matched;
+  }
+
   try {
     const client = createOpenAIClient();
     const deploymentId = process.env.AZURE_OPENAI_DEPLOYMENT_ID || "gpt-4o";
@@ -43,9 +97,13 @@ export const classifyIntent = async (message) => {
       - route_query: Questions about route options, directions, or best ways to travel
         Examples: "What's the best way to get to work?", "Show me alternative routes", "How do I get to the client site?"
       
-      - absence_request: Requests for time off, sick leave, or absence notifications
+      - absence_request: The user reporting their own absence or asking for their own time off (not questions about leave)
         Examples: "I need to take tomorrow off", "I'm sick and can't come in", "Request vacation for next week"
+        Not: "Do I have a day off this week?" (schedule_query), "What is the policy on time off?" (general_question)
       
+      - schedule_create: An admin creating a new schedule or shift for employees
+        Examples: "Create a shift for Marie at Downtown tomorrow 9am-5pm", "Add a new schedule on Friday"
+
       - admin_command: Administrative actions like managing users, schedules, or sending notifications
         Examples: "Show me all users", "List today's schedules", "Send a message to everyone", "Show pending absences"
         Note: Classify as admin_command even WITHOUT the /admin prefix if the intent is administrative in nature
@@ -74,17 +132,7 @@ export const classifyIntent = async (message) => {
     const intent = response.choices?.[0]?.message?.content?.trim().toLowerCase() || "general_question";
     
     // Validate that the response is one of our expected intents
-    const validIntents = [
-      "schedule_query", 
-      "traffic_query", 
-      "route_query", 
-      "absence_request", 
-      "general_question", 
-      "admin_command",
-      "employee_query"
-    ];
-    
-    return validIntents.includes(intent) ? intent : "general_question";
+    return INTENTS.includes(intent) ? intent : "general_question";
   } catch (error) {
     console.error("Intent classification error:", error.message);
     // Default to general_question if classification fails
@@ -92,35 +140,89 @@ export const classifyIntent = async (message) => {
   }
 };
 
+// Words that join separate requests: "what's my shift tomorrow and how's traffic to it"
+const JOINING_WORDS = "(?:and(?:\\s+then)?|then|also|plus|et|puis)\\b";
+const JOINER = new RegExp(`\\s*(?:[;?]+\\s*(?:${JOINING_WORDS}\\s*)?|,?\\s+${JOINING_WORDS}\\s*)`, "gi");
+
+// Shorter pieces belong to the request before them ("who is working and absent")
+const MIN_PART_WORDS = 3;
+
+// The requests a message seems to make, split at joining words
+const splitMessage = (message) => {
+  const pieces = [];
+  for (const piece of message.split(JOINER).map(piece => piece.trim()).filter(Boolean)) {
+    if (pieces.length > 0 && piece.split(/\s+/).length < MIN_PART_WORDS) {
+      pieces[pieces.length - 1] += ` and ${piece}`;
+    } else {
+      pieces.push(piece);
+    }
+  }
+  return pieces;
+};
+
 /**
- * Classify user message for multiple intents using Azure OpenAI
+ * Classify the pieces of a message by the deterministic rules alone
+ * @param {Array<string>} pieces - Pieces of the message from splitMessage
+ * @returns {Array<Object>|null} - Parts with intent and text, or null unless every piece matches a rule
+ *   and there are at least two different intents
+ */
+const matchIntents = (pieces) => {
+  const parts = [];
+  for (const text of pieces) {
+    const intent = matchIntent(text);
+    if (!intent) {
+      return null;
+    }
+    const previous = parts[parts.length - 1];
+    if (previous && previous.intent === intent) {
+      previous.text += ` and ${text}`;
+    } else {
+      parts.push({ intent, text });
+    }
+  }
+  return parts.length > 1 ? parts : null;
+};
+
+/**
+ * Classify a message that may ask for several things, one intent per request
+ * Messages without joining words are classified whole. Otherwise the rules split it if they can,
+ * a message a rule matches whole stays whole, and Azure OpenAI splits the rest.
  * @param {string} message - User message to classify
- * @returns {Promise<Array<string>>} - Array of classified intents
+ * @returns {Promise<Array<Object>>} - Parts with intent and text, in the order they are asked
  */
-export const classifyMultipleIntents = async (message) => {
+const classifyMultipleIntents = async (message) => {
+  const text = (message || "").trim();
+  const pieces = splitMessage(text);
+  if (pieces.length < 2) {
+    return [{ intent: await classifyIntent(text), text }];
+  }
+
+  const ruleParts = matchIntents(pieces);
+  if (ruleParts) {
+    return ruleParts;
+  }
+  const matched = matchIntent(text);
+  if (matched) {
+    return [{ intent: matched, text }];
+  }
+
   try {
-    // Use the detectMultipleIntents function from aiService.js
-    const intents = await detectMultipleIntents(message);
-    
-    // Validate that all returned intents are expected
-    const validIntents = [
-      "schedule_query", 
-      "traffic_query", 
-      "route_query", 
-      "absence_request", 
-      "general_question", 
-      "admin_command",
-      "employee_query"
-    ];
-    
-    // Filter out any invalid intents
-    const validatedIntents = intents.filter(intent => validIntents.includes(intent));
-    
-    // If no valid intents remain, default to general_question
-    return validatedIntents.length > 0 ? validatedIntents : ["general_question"];
+    const parts = await detectMultipleIntents(text, INTENTS);
+
+    // Parts the model classified as something we don't know are dropped
+    const validParts = parts.filter(part => INTENTS.includes(part.intent));
+    if (validParts.length > 0) {
+      return validParts;
+    }
   } catch (error) {
     console.error("Multiple intent classification error:", error.message);
-    // Default to general_question if classification fails
-    return ["general_question"];
   }
-};
\ No newline at end of file
+  return [{ intent: await classifyIntent(text), text }];
+};
+
+module.exports = {
+  INTENTS,
+  matchIntent,
+  classifyIntent,
+  classifyMultipleIntents
+};
@@ -0,0 +1,340 @@
+const Schedule = require('../models/Schedule');
+const Absence = require('../models/Absence');
+const User = require('../models/User');
+const Location = require('../models/Location');
+const { logger } = require('./jobScheduler');
+const { classifyMultipleIntents } = require('./intentClassifier');
+const { extractSlots, toInstantRange, formatDay } = require('./slotExtractor');
+const { reportAbsence } = require('./absenceService');
+const { getCommuteEstimate, getRouteInfo } = require('./mapsService');
+const { describeSchedule } = require('./scheduleNotifications');
+const { startForm } = require('./assistantForms');
+const { createSchedule } = require('./scheduleService');
+const { PUBLISHED } = require('./schedulePublication');
+const { resolveTimeZone, getDayRange, formatDateKey, formatDateInZone, formatTimeInZone } = require('./timezone');
+
+// Minutes added to the commute when suggesting a departure time, as in GET /api/traffic/commute
+const DEPARTURE_BUFFER_MINUTES = 10;
+
+// "Who is absent", "who's off tomorrow"
+const ABSENT_QUESTION = /\b(absent|off|on leave|sick|not working)\b/i;
+
+// Calendar days in the same format as describeSchedule
+const formatCalendarDay = (day) => formatDateInZone(new Date(`${formatDay(day)}T00:00:00.000Z`), 'UTC');
+
+const describeDays = (dates) => (formatDay(dates.start) === formatDay(dates.end)
+  ? `on ${formatCalendarDay(dates.start)}`
+  : `from ${formatCalendarDay(dates.start)} to ${formatCalendarDay(dates.end)}`);
+
+// The user's next shift that hasn't ended, for questions about getting to work
+// With a range of days ("traffic to my shift tomorrow"), the first shift starting in it
+const findNextSchedule = (user, range) => Schedule.find({
+  assignedEmployees: user._id,
+  status: 'scheduled',
+  endTime: { $gt: new Date() },
+  ...(range ? { startTime: { $gte: range.start, $lt: range.end } } : {}),
+  ...PUBLISHED
+})
+  .populate('location', 'name coordinates timezone')
+  .sort({ startTime: 1 })
+  .limit(1)
+  .then(([schedule]) => schedule || null);
+
+// Where the user wants to go: a location they named, or their next shift's location
+const resolveDestination = async (user, slots, timezone) => {
+  if (slots.locations.length > 0) {
+    return { location: slots.locations[slots.locations.length - 1], schedule: null };
+  }
+  const schedule = await findNextSchedule(user, slots.dates && toInstantRange(slots.dates, timezone));
+  return schedule && schedule.location ? { location: schedule.location, schedule } : null;
+};
+
+const handleScheduleQuery = async (user, slots, timezone) => {
+  // Admins may ask about someone in their team
+  const target = user.role === 'admin' && slots.employees.length > 0 ? slots.employees[0] : user;
+  const targetTimezone = resolveTimeZone(target.timezone, timezone);
+  const whose = target === user ? 'you have' : `${target.name} has`;
+
+  const query = { assignedEmployees: target._id, status: { $ne: 'cancelled' } };
+  if (user.role !== 'admin') Object.assign(query, PUBLISHED);
+
+  let schedules;
+  let when;
+  if (slots.dates) {
+    const range = toInstantRange(slots.dates, targetTimezone);
+    query.startTime = { $gte: range.start, $lt: range.end };
+    schedules = await Schedule.find(query).populate('location', 'name timezone').sort({ startTime: 1 });
+    when = describeDays(slots.dates);
+  } else {
+    // Like GET /api/schedules/upcoming
+    query.endTime = { $gt: new Date() };
+    schedules = await Schedule.find(query).populate('location', 'name timezone').sort({ startTime: 1 }).limit(10);
+    when = 'coming up';
+  }
+
+  if (schedules.length === 0) {
+    return `${user.name}, ${whose} no shifts ${when}.`;
+  }
+  const lines = schedules.map(schedule => `- ${describeSchedule(schedule)}`);
+  return `${user.name}, ${whose} these shifts ${when}:\n${lines.join('\n')}`;
+};
+
+const handleTrafficQuery = async (user, slots, timezone) => {
+  const home = await User.findById(user._id).populate('defaultLocation', 'name coordinates');
+  if (!home.defaultLocation) {
+    return `${user.name}, please set your default location in the app so I can check your commute.`;
+  }
+
+  const destination = await resolveDestination(user, slots, timezone);
+  if (!destination) {
+    return `${user.name}, you have no ${slots.dates ? `shifts ${describeDays(slots.dates)}` : 'upcoming shifts'}. Tell me which location you are going to, e.g. "traffic to ${slots.locations[0] ? slots.locations[0].name : 'the office'}".`;
+  }
+
+  const { location, schedule } = destination;
+  const estimate = await getCommuteEstimate(home.defaultLocation.coordinates, location.coordinates);
+  let reply = `${user.name}, traffic to ${location.name} is ${estimate.trafficCondition.toLowerCase()}: ` +
+    `about ${estimate.travelTimeMinutes} minutes for ${estimate.distanceInKilometers} km`;
+  if (estimate.trafficDelayMinutes > 0) {
+    reply += `, including ${estimate.trafficDelayMinutes} minutes of delays`;
+  }
+  reply += '.';
+
+  if (schedule && schedule.startTime > new Date()) {
+    const timezone = resolveTimeZone(location.timezone, user.timezone);
+    const leaveAt = new Date(schedule.startTime.getTime() - (estimate.travelTimeMinutes + DEPARTURE_BUFFER_MINUTES) * 60 * 1000);
+    reply += ` Leave by ${formatTimeInZone(leaveAt, timezone)} to reach ${schedule.title} at ${formatTimeInZone(schedule.startTime, timezone)}.`;
+  }
+  return reply;
+};
+
+const handleRouteQuery = async (user, slots, timezone) => {
+  // "from A to B" names both ends, as GET /api/traffic/route takes both
+  let origin;
+  if (slots.locations.length >= 2) {
+    origin = slots.locations[0];
+  } else {
+    const home = await User.findById(user._id).populate('defaultLocation', 'name coordinates');
+    origin = home.defaultLocation;
+  }
+  if (!origin) {
+    return `${user.name}, please set your default location in the app, or ask for a route "from <location> to <location>".`;
+  }
+
+  const destination = await resolveDestination(user, slots, timezone);
+  if (!destination) {
+    return `${user.name}, which location do you want directions to?`;
+  }
+
+  const routeData = await getRouteInfo(origin.coordinates, destination.location.coordinates);
+  const routes = (routeData.routes || []).slice(0, 3);
+  if (routes.length === 0) {
+    return `${user.name}, I couldn't find a route to ${destination.location.name}.`;
+  }
+
+  const lines = routes.map(({ summary }, index) => {
+    const delay = Math.round((summary.trafficDelayInSeconds || 0) / 60);
+    return `${index + 1}. ${(summary.lengthInMeters / 1000).toFixed(1)} km, about ${Math.round(summary.travelTimeInSeconds / 60)} minutes` +
+      (delay > 0 ? ` (${delay} minutes of delays)` : '');
+  });
+  return `${user.name}, routes from ${origin.name || 'your default location'} to ${destination.location.name}:\n${lines.join('\n')}`;
+};
+
+// Absences and new schedules are filled in over as many messages as it takes
+const handleAbsenceRequest = (user, slots, timezone, message, conversation) =>
+  startForm(user, 'absence', message, conversation);
+
+const handleScheduleCreate = (user, slots, timezone, message, conversation) =>
+  startForm(user, 'schedule', message, conversation);
+
+const handleEmployeeQuery = async (user, slots, timezone, message) => {
+  if (user.role !== 'admin') {
+    return `${user.name}, only admins can see who is working or absent.`;
+  }
+
+  const range = slots.dates ? toInstantRange(slots.dates, timezone) : getDayRange(new Date(), timezone);
+  const when = slots.dates ? describeDays(slots.dates) : 'today';
+
+  if (ABSENT_QUESTION.test(message)) {
+    // Absence dates are calendar days stored at UTC midnight
+    const today = formatDateKey(new Date(), timezone);
+    const query = {
+      status: { $in: ['pending', 'approved'] },
+      startDate: { $lte: new Date(`${slots.dates ? formatDay(slots.dates.end) : today}T00:00:00.000Z`) },
+      endDate: { $gte: new Date(`${slots.dates ? formatDay(slots.dates.start) : today}T00:00:00.000Z`) }
+    };
+    if (user.team) query.team = user.team;
+    const absences = await Absence.find(query).populate('user', 'name').sort({ startDate: 1 });
+
+    if (absences.length === 0) {
+      return `${user.name}, no one is absent ${when}.`;
+    }
+    const lines = absences.map(absence => `- ${absence.user ? absence.user.name : 'Unknown'} (${absence.type}, ${absence.status})`);
+    return `${user.name}, absent ${when}:\n${lines.join('\n')}`;
+  }
+
+  const query = { status: { $ne: 'cancelled' }, startTime: { $gte: range.start, $lt: range.end } };
+  if (user.team) query.team = user.team;
+  const schedules = await Schedule.find(query)
+    .populate('assignedEmployees', 'name')
+    .populate('location', 'name timezone')
+    .sort({ startTime: 1 });
+
+  const lines = schedules
+    .filter(schedule => schedule.assignedEmployees.length > 0)
+    .map(schedule => `- ${describeSchedule(schedule)}: ${schedule.assignedEmployees.map(employee => employee.name).join(', ')}`);
+  if (lines.length === 0) {
+    return `${user.name}, no one is scheduled ${when}.`;
+  }
+  return `${user.name}, working ${when}:\n${lines.join('\n')}`;
+};
+
+const HANDLERS = {
+  schedule_query: handleScheduleQuery,
+  traffic_query: handleTrafficQuery,
+  route_query: handleRouteQuery,
+  absence_request: handleAbsenceRequest,
+  schedule_create: handleScheduleCreate,
+  employee_query: handleEmployeeQuery
+};
+
+// Intents that change something; a message may start only one of them
+const ACTION_INTENTS = ['absence_request', 'schedule_create'];
+
+/**
+ * Answer a WhatsApp message through the intent handlers
+ * The message is classified, its dates, locations and names are extracted, and the handler for
+ * the intent answers it with the same logic as the REST routes. A message asking several things
+ * ("what's my shift tomorrow and how's traffic to it") is answered part by part in one reply, each
+ * part reusing the dates, locations and names of the one before when it doesn't give its own.
+ * Admin commands and general questions have no handler and are left to the assistant's query generation.
+ * @param {Object} user - User who sent the message
+ * @param {string} message - Message text
+ * @param {Object} conversation - Conversation document, for actions that need confirming
+ * @returns {Promise<string|null>} Reply to send, or null if no handler takes the message
+ */
+const routeMessage = async (user, message, conversation) => {
+  const parts = await classifyMultipleIntents(message);
+  if (!parts.some(({ intent }) => HANDLERS[intent])) {
+    return null;
+  }
+
+  const timezone = resolveTimeZone(user.timezone);
+  const replies = [];
+  let previous = null;
+  let actionStarted = false;
+  for (const { intent, text } of parts) {
+    const handler = HANDLERS[intent];
+    if (!handler) {
+      replies.push(`${user.name}, I couldn't answer "${text}" together with the rest. Please send it on its own.`);
+      continue;
+    }
+    if (ACTION_INTENTS.includes(intent) && actionStarted) {
+      replies.push(`${user.name}, I can only make one change at a time. Please send "${text}" once this one is done.`);
+      continue;
+    }
+    actionStarted = actionStarted || ACTION_INTENTS.includes(intent);
+
+    const slots = await extractSlots(text, user, timezone);
+    if (previous) {
+      slots.dates = slots.dates || previous.dates;
+      if (slots.locations.length === 0) slots.locations = previous.locations;
+      if (slots.employees.length === 0) slots.employees = previous.employees;
+    }
+    previous = slots;
+
+    logger.info('Routing WhatsApp message', {
+      userId: user._id,
+      intent,
+      part: parts.length > 1 ? text : undefined,
+      dates: slots.dates && `${formatDay(slots.dates.start)}..${formatDay(slots.dates.end)}`,
+      locations: slots.locations.map(location => location.name),
+      employees: slots.employees.map(employee => employee.name)
+    });
+
+    try {
+      replies.push(await handler(user, slots, timezone, text, conversation));
+    } catch (err) {
+      logger.error('Intent handler failed', { userId: user._id, intent, error: err.message });
+      replies.push(`Sorry ${user.name}, I couldn't complete that right now. Please try again later.`);
+    }
+  }
+  return replies.join('\n\n');
+};
+
+const confirmAbsence = async (user, pending) => {
+  const reported = [];
+  const failed = [];
+  for (const { scheduleId, day } of pending.shifts) {
+    // Absence dates are calendar days stored at UTC midnight
+    const result = await reportAbsence(user, {
+      scheduleId,
+      startDate: new Date(`${day}T00:00:00.000Z`),
+      endDate: new Date(`${day}T00:00:00.000Z`),
+      reason: pending.reason,
+      type: pending.type
+    });
+    if (result.error) {
+      failed.push(result.error);
+    } else {
+      reported.push(result.absence);
+    }
+  }
+
+  logger.info('Absence reported on WhatsApp', { userId: user._id, count: reported.length, failed: failed.length });
+  if (reported.length === 0) {
+    return `${user.name}, your absence couldn't be reported: ${failed[0]}.`;
+  }
+  return `Thanks ${user.name}, your absence for ${reported.length} shift(s) has been sent to your manager.` +
+    (failed.length > 0 ? ` ${failed.length} shift(s) couldn't be reported: ${failed[0]}.` : '');
+};
+
+const confirmScheduleCreate = async (user, pending) => {
+  // Same checks as POST /api/schedules, since the user's role or the location may have changed
+  if (user.role !== 'admin') {
+    return `${user.name}, only admins can create a schedule.`;
+  }
+  const location = await Location.findById(pending.locationId);
+  if (!location || (user.team && location.team && location.team.toString() !== user.team.toString())) {
+    return `${user.name}, that location no longer exists.`;
+  }
+
+  const result = await createSchedule({
+    title: pending.title,
+    date: pending.date,
+    startTime: pending.startTime,
+    endTime: pending.endTime,
+    assignedEmployees: pending.employeeIds,
+    force: pending.force
+  }, { user, location });
+  if (result.error) {
+    return `${user.name}, the schedule wasn't created: ${result.error}`;
+  }
+
+  await result.schedule.populate('location', 'name timezone');
+  logger.info('Schedule created on WhatsApp', { userId: user._id, scheduleId: result.schedule._id });
+  return `${user.name}, I've created ${describeSchedule(result.schedule)} and let the employees know.`;
+};
+
+const CONFIRMATIONS = {
+  absence_request: confirmAbsence,
+  schedule_create: confirmScheduleCreate
+};
+
+/**
+ * Run an intent action the user confirmed with YES
+ * @param {Object} user - User who confirmed
+ * @param {Object} pending - Pending action stored by the handler
+ * @returns {Promise<string>} Reply to send
+ */
+const runConfirmedIntent = async (user, pending) => {
+  const confirm = CONFIRMATIONS[pending.intent];
+  if (!confirm) {
+    return `${user.name}, that request can no longer be completed. Please send it again.`;
+  }
+  return confirm(user, pending);
+};
+
+module.exports = {
+  routeMessage,
+  runConfirmedIntent
+};
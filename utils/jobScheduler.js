@@ -0,0 +1,149 @@
+const os = require('os');
+const winston = require('winston');
+const JobLock = require('../models/JobLock');
+
+// Logger setup
+const logger = winston.createLogger({
+  level: 'debug',
+  format: winston.format.combine(
+    winston.format.timestamp(),
+    winston.format.json()
+  ),
+  transports: [
+    new winston.transports.File({ filename: 'logs/jobs.log' }),
+    new winston.transports.Console()
+  ]
+});
+
+// Identifies this server process as the owner of any lock it takes
+const instanceId = `${os.hostname()}:${process.pid}`;
+
+const jobs = new Map();
+
+/**
+ * Try to take a named lock shared by every server instance
+ * @param {string} name - Lock name
+ * @param {number} ttlMs - How long the lock is held before it expires on its own
+ * @returns {Promise<boolean>} True if this instance now holds the lock
+ */
+const acquireLock = async (name, ttlMs) => {
+  const now = new Date();
+
+  try {
+    const lock = await JobLock.findOneAndUpdate(
+      { name, lockedUntil: { $lte: now } },
+      {
+        $set: {
+          owner: instanceId,
+          lockedUntil: new Date(now.getTime() + ttlMs),
+          acquiredAt: now
+        }
+      },
+      { upsert: true, new: true }
+    );
+
+    return !!lock;
+  } catch (err) {
+    // Duplicate key: another instance holds an unexpired lock with this name
+    if (err.code === 11000) {
+      return false;
+    }
+    throw err;
+  }
+};
+
+/**
+ * Release a lock held by this instance
+ * @param {string} name - Lock name
+ */
+const releaseLock = async (name) => {
+  await JobLock.updateOne(
+    { name, owner: instanceId },
+    { $set: { lockedUntil: new Date() } }
+  );
+};
+
+/**
+ * Register a background job
+ * @param {Object} job - Job definition
+ * @param {string} job.name - Unique job name, also used as its lock name
+ * @param {number} job.intervalMs - How often the job runs
+ * @param {Function} job.handler - Async function doing the work
+ * @param {number} [job.lockTtlMs] - Upper bound on a single run (defaults to 5 minutes)
+ */
+const registerJob = (job) => {
+  if (jobs.has(job.name)) {
+    throw new Error(`Job ${job.name} is already registered`);
+  }
+
+  jobs.set(job.name, {
+    lockTtlMs: 5 * 60 * 1000,
+    ...job,
+    running: false,
+    timer: null
+  });
+};
+
+const runJob = async (job) => {
+  // Never overlap runs of the same job inside one process
+  if (job.running) {
+    return;
+  }
+
+  job.running = true;
+  const lockName = `job:${job.name}`;
+
+  try {
+    const acquired = await acquireLock(lockName, job.lockTtlMs);
+    if (!acquired) {
+      logger.debug('Job skipped, lock held by another instance', { job: job.name });
+      return;
+    }
+
+    const startedAt = Date.now();
+    try {
+      await job.handler();
+      logger.debug('Job finished', { job: job.name, durationMs: Date.now() - startedAt });
+    } finally {
+      await releaseLock(lockName);
+    }
+  } catch (err) {
+    logger.error('Job failed', { job: job.name, error: err.message, stack: err.stack });
+  } finally {
+    job.running = false;
+  }
+};
+
+/**
+ * Start running every registered job on its interval
+ */
+const startJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) continue;
+
+    job.timer = setInterval(() => runJob(job), job.intervalMs);
+    job.timer.unref();
+    logger.info('Job scheduled', { job: job.name, intervalMs: job.intervalMs, instanceId });
+  }
+};
+
+/**
+ * Stop all running job timers
+ */
+const stopJobs = () => {
+  for (const job of jobs.values()) {
+    if (job.timer) {
+      clearInterval(job.timer);
+      job.timer = null;
+    }
+  }
+};
+
+module.exports = {
+  acquireLock,
+  releaseLock,
+  registerJob,
+  startJobs,
+  stopJobs,
+  logger
+};
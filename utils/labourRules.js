@@ -0,0 +1,426 @@
+const HourTracking = require('../models/HourTracking');
+const Team = require('../models/Team');
+const Location = require('../models/Location');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const {
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfDay,
+  getDayRange,
+  getWeekRange,
+  parseTimeOfDay,
+  formatDateInZone
+} = require('./timezone');
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+const ROUNDING_MODES = ['nearest', 'up', 'down'];
+
+// Records whose hours count towards daily and weekly totals
+const WORKED_STATUSES = ['completed', 'adjusted'];
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+const isNonNegative = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+const isMultiplier = (value) => typeof value === 'number' && isFinite(value) && value >= 1;
+
+/**
+ * Validate labour rules from a request
+ * Every block is optional; a threshold, max shift or premium left out (or null) is switched off.
+ * @param {Object} input - breaks, trackBreaks, dailyOvertime, weeklyOvertime, rounding, nightPremium,
+ *   weekendPremium, maxShiftHours and weekStartsOn
+ * @returns {Object} rules, or error with a message
+ */
+const normalizeLabourRules = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Labour rules must be an object' };
+  }
+
+  const rules = {};
+
+  if (input.trackBreaks !== undefined) {
+    rules.trackBreaks = !!input.trackBreaks;
+  }
+
+  if (input.breaks !== undefined) {
+    if (!Array.isArray(input.breaks)) {
+      return { error: 'Breaks must be an array' };
+    }
+    rules.breaks = [];
+    for (const item of input.breaks) {
+      const afterHours = Number(item && item.afterHours);
+      const minutes = Number(item && item.minutes);
+      if (!isNonNegative(afterHours) || !Number.isInteger(minutes) || minutes < 1) {
+        return { error: 'Each break needs afterHours (0 or more) and minutes (at least 1)' };
+      }
+      rules.breaks.push({ afterHours, minutes, paid: !!item.paid });
+    }
+  }
+
+  for (const key of ['dailyOvertime', 'weeklyOvertime']) {
+    const block = input[key];
+    if (!block) continue;
+    const threshold = Number(block.threshold);
+    const multiplier = block.multiplier === undefined ? 1.5 : Number(block.multiplier);
+    if (!isNonNegative(threshold)) {
+      return { error: `${key} threshold must be a number of hours` };
+    }
+    if (!isMultiplier(multiplier)) {
+      return { error: `${key} multiplier must be 1 or more` };
+    }
+    rules[key] = { threshold, multiplier };
+  }
+
+  if (input.rounding) {
+    const increment = Number(input.rounding.increment || 0);
+    const mode = input.rounding.mode || 'nearest';
+    if (!Number.isInteger(increment) || increment < 0 || increment > 60) {
+      return { error: 'Rounding increment must be a whole number of minutes between 0 and 60' };
+    }
+    if (!ROUNDING_MODES.includes(mode)) {
+      return { error: `Rounding mode must be one of: ${ROUNDING_MODES.join(', ')}` };
+    }
+    rules.rounding = { increment, mode };
+  }
+
+  if (input.nightPremium) {
+    const { start, end } = input.nightPremium;
+    const multiplier = Number(input.nightPremium.multiplier);
+    if (!parseTimeOfDay(start) || !parseTimeOfDay(end)) {
+      return { error: 'Night premium needs a start and end time like "22:00" and "06:00"' };
+    }
+    if (!isMultiplier(multiplier)) {
+      return { error: 'Night premium multiplier must be 1 or more' };
+    }
+    rules.nightPremium = { start, end, multiplier };
+  }
+
+  if (input.weekendPremium) {
+    const days = input.weekendPremium.days === undefined ? [0, 6] : input.weekendPremium.days;
+    const multiplier = Number(input.weekendPremium.multiplier);
+    if (!Array.isArray(days) || days.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Weekend premium days must be weekdays from 0 (Sunday) to 6 (Saturday)' };
+    }
+    if (!isMultiplier(multiplier)) {
+      return { error: 'Weekend premium multiplier must be 1 or more' };
+    }
+    rules.weekendPremium = { days: [...new Set(days)], multiplier };
+  }
+
+  if (input.maxShiftHours !== undefined && input.maxShiftHours !== null) {
+    const maxShiftHours = Number(input.maxShiftHours);
+    if (!isNonNegative(maxShiftHours) || maxShiftHours === 0) {
+      return { error: 'Maximum shift length must be a positive number of hours' };
+    }
+    rules.maxShiftHours = maxShiftHours;
+  }
+
+  if (input.weekStartsOn !== undefined) {
+    const weekStartsOn = Number(input.weekStartsOn);
+    if (!Number.isInteger(weekStartsOn) || weekStartsOn < 0 || weekStartsOn > 6) {
+      return { error: 'Week start must be a weekday from 0 (Sunday) to 6 (Saturday)' };
+    }
+    rules.weekStartsOn = weekStartsOn;
+  }
+
+  return { rules };
+};
+
+/**
+ * Round a clock time to the team's increment
+ * @param {Date} date - Clock time
+ * @param {Object} [rounding] - increment (minutes) and mode
+ * @returns {Date} Rounded time
+ */
+const roundClockTime = (date, rounding) => {
+  const increment = rounding && rounding.increment ? rounding.increment * MINUTE_MS : 0;
+  if (!increment) {
+    return new Date(date);
+  }
+  const round = { up: Math.ceil, down: Math.floor }[rounding.mode] || Math.round;
+  return new Date(round(new Date(date).getTime() / increment) * increment);
+};
+
+// Total length of the overlap between intervals and a [start, end) window, in milliseconds
+const overlapMs = (intervals, start, end) => intervals.reduce((total, [from, to]) =>
+  total + Math.max(0, Math.min(to, end) - Math.max(from, start)), 0);
+
+// Remove break intervals from work intervals
+const subtractIntervals = (intervals, breaks) => breaks.reduce((remaining, [breakStart, breakEnd]) =>
+  remaining.flatMap(([from, to]) => {
+    if (breakEnd <= from || breakStart >= to) return [[from, to]];
+    return [[from, breakStart], [breakEnd, to]].filter(([a, b]) => b > a);
+  }), intervals);
+
+// Local calendar days touched by a time range, as [start, end) instants
+const getLocalDays = (startTime, endTime, timezone) => {
+  const days = [];
+  for (let offset = 0; ; offset++) {
+    const start = startOfDay(startTime, timezone, offset);
+    if (start >= endTime) break;
+    days.push({ start, end: startOfDay(startTime, timezone, offset + 1) });
+  }
+  return days;
+};
+
+// Milliseconds of the intervals inside the night window, which may run past midnight
+const getNightMs = (intervals, startTime, endTime, nightPremium, timezone) => {
+  const from = parseTimeOfDay(nightPremium.start);
+  const to = parseTimeOfDay(nightPremium.end);
+  const crossesMidnight = to.hours * 60 + to.minutes <= from.hours * 60 + from.minutes;
+
+  // Start from the day before so a window that began yesterday evening is included
+  return getLocalDays(startOfDay(startTime, timezone, -1), endTime, timezone).reduce((total, day) => {
+    const { year, month, day: date } = getZonedParts(day.start, timezone);
+    const windowStart = zonedTimeToUtc({ year, month, day: date, hour: from.hours, minute: from.minutes }, timezone);
+    const windowEnd = zonedTimeToUtc({
+      year,
+      month,
+      day: crossesMidnight ? date + 1 : date,
+      hour: to.hours,
+      minute: to.minutes
+    }, timezone);
+    return total + overlapMs(intervals, windowStart, windowEnd);
+  }, 0);
+};
+
+/**
+ * Work out regular, overtime and premium hours for one clocked shift
+ * Unpaid breaks come off the worked hours: the breaks actually punched when there are any or
+ * the team tracks breaks, otherwise every break entitlement the shift length reaches.
+ * Daily overtime counts hours beyond the daily threshold on the day the shift started; weekly
+ * overtime counts the remaining regular hours beyond the weekly threshold. Night and weekend
+ * hours are paid on top of regular or overtime pay.
+ * @param {Object} record - clockInTime, clockOutTime and optional breaks ([{ startTime, endTime, paid }])
+ * @param {Object} rules - Team labour rules
+ * @param {Object} context - Totals from the employee's earlier shifts
+ * @param {string} context.timezone - Time zone days and weeks are counted in
+ * @param {number} [context.priorDayHours=0] - Hours already worked that day
+ * @param {number} [context.priorWeekRegularHours=0] - Regular hours already worked that week
+ * @returns {Object} workedHours and the labour breakdown stored on the record
+ */
+const calculateHours = (record, rules = {}, { timezone, priorDayHours = 0, priorWeekRegularHours = 0 }) => {
+  const clockIn = roundClockTime(record.clockInTime, rules.rounding).getTime();
+  const clockOut = Math.max(clockIn, roundClockTime(record.clockOutTime, rules.rounding).getTime());
+  const grossMs = clockOut - clockIn;
+
+  // Break entitlements the shift length reaches
+  const entitlements = (rules.breaks || []).filter(entitlement => grossMs > entitlement.afterHours * HOUR_MS);
+
+  // Breaks the employee punched, or the entitlements when breaks are not punched
+  const takenBreaks = (record.breaks || []).filter(item => item.startTime && item.endTime);
+  const punched = takenBreaks.length > 0 || !!rules.trackBreaks;
+  let unpaidMs = 0;
+  let paidMs = 0;
+  let intervals = [[clockIn, clockOut]];
+
+  if (punched) {
+    const unpaid = takenBreaks
+      .filter(item => !item.paid)
+      .map(item => [new Date(item.startTime).getTime(), new Date(item.endTime).getTime()]);
+    const worked = subtractIntervals(intervals, unpaid);
+    unpaidMs = grossMs - overlapMs(worked, clockIn, clockOut);
+    paidMs = takenBreaks
+      .filter(item => item.paid)
+      .reduce((total, item) => total + overlapMs(intervals, new Date(item.startTime).getTime(), new Date(item.endTime).getTime()), 0);
+    intervals = worked;
+  } else {
+    for (const entitlement of entitlements) {
+      if (entitlement.paid) {
+        paidMs += entitlement.minutes * MINUTE_MS;
+      } else {
+        unpaidMs += entitlement.minutes * MINUTE_MS;
+      }
+    }
+    unpaidMs = Math.min(unpaidMs, grossMs);
+  }
+
+  const requiredBreakMs = entitlements.reduce((total, entitlement) => total + entitlement.minutes * MINUTE_MS, 0);
+  const missedBreakMs = punched ? Math.max(0, requiredBreakMs - unpaidMs - paidMs) : 0;
+
+  const workedMs = grossMs - unpaidMs;
+  const workedHours = workedMs / HOUR_MS;
+  // Breaks without times are taken evenly out of the premium windows
+  const scale = punched || grossMs === 0 ? 1 : workedMs / grossMs;
+
+  const overtimeBeyond = (prior, hours, threshold) =>
+    Math.max(0, prior + hours - threshold) - Math.max(0, prior - threshold);
+
+  const dailyOvertimeHours = rules.dailyOvertime && isNonNegative(rules.dailyOvertime.threshold)
+    ? overtimeBeyond(priorDayHours, workedHours, rules.dailyOvertime.threshold)
+    : 0;
+  const weeklyOvertimeHours = rules.weeklyOvertime && isNonNegative(rules.weeklyOvertime.threshold)
+    ? overtimeBeyond(priorWeekRegularHours, workedHours - dailyOvertimeHours, rules.weeklyOvertime.threshold)
+    : 0;
+  const overtimeHours = dailyOvertimeHours + weeklyOvertimeHours;
+  const regularHours = workedHours - overtimeHours;
+
+  const nightHours = rules.nightPremium && rules.nightPremium.multiplier
+    ? getNightMs(intervals, clockIn, clockOut, rules.nightPremium, timezone) * scale / HOUR_MS
+    : 0;
+
+  const weekendDays = rules.weekendPremium && rules.weekendPremium.multiplier ? rules.weekendPremium.days || [] : [];
+  const weekendHours = getLocalDays(new Date(clockIn), new Date(clockOut), timezone)
+    .filter(day => weekendDays.includes(getZonedParts(day.start, timezone).weekday))
+    .reduce((total, day) => total + overlapMs(intervals, day.start.getTime(), day.end.getTime()), 0) * scale / HOUR_MS;
+
+  const payableHours = regularHours +
+    dailyOvertimeHours * (dailyOvertimeHours ? rules.dailyOvertime.multiplier : 1) +
+    weeklyOvertimeHours * (weeklyOvertimeHours ? rules.weeklyOvertime.multiplier : 1) +
+    nightHours * (nightHours ? rules.nightPremium.multiplier - 1 : 0) +
+    weekendHours * (weekendHours ? rules.weekendPremium.multiplier - 1 : 0);
+
+  return {
+    workedHours: round2(workedHours),
+    labour: {
+      grossHours: round2(grossMs / HOUR_MS),
+      unpaidBreakMinutes: Math.round(unpaidMs / MINUTE_MS),
+      paidBreakMinutes: Math.round(paidMs / MINUTE_MS),
+      regularHours: round2(regularHours),
+      dailyOvertimeHours: round2(dailyOvertimeHours),
+      weeklyOvertimeHours: round2(weeklyOvertimeHours),
+      overtimeHours: round2(overtimeHours),
+      nightHours: round2(nightHours),
+      weekendHours: round2(weekendHours),
+      payableHours: round2(payableHours),
+      missedBreakMinutes: Math.round(missedBreakMs / MINUTE_MS),
+      exceedsMaxShift: !!rules.maxShiftHours && grossMs > rules.maxShiftHours * HOUR_MS
+    }
+  };
+};
+
+/**
+ * Load a team's labour rules
+ * @param {ObjectId} teamId - Team ID
+ * @returns {Promise<Object>} Rules as a plain object (empty when there is no team)
+ */
+const getLabourRules = async (teamId) => {
+  const team = teamId ? await Team.findById(teamId).select('labourRules') : null;
+  return team && team.labourRules ? team.toObject().labourRules : {};
+};
+
+/**
+ * Fill in a clocked-out record's totalHours and labour breakdown from the team's rules
+ * Earlier shifts the same day and week (by clock-in time) count towards the overtime thresholds.
+ * @param {Object} hourTracking - HourTracking document with clockOutTime set
+ * @param {Object} user - Employee the record belongs to
+ * @returns {Promise<Object>} The same document, not yet saved
+ */
+const applyLabourRules = async (hourTracking, user) => {
+  const rules = await getLabourRules(user.team);
+  const location = hourTracking.location ? await Location.findById(hourTracking.location).select('timezone') : null;
+  const timezone = resolveTimeZone(location && location.timezone, user.timezone);
+
+  const day = getDayRange(hourTracking.clockInTime, timezone);
+  const week = getWeekRange(hourTracking.clockInTime, timezone, rules.weekStartsOn === undefined ? 1 : rules.weekStartsOn);
+  const earlier = await HourTracking.find({
+    _id: { $ne: hourTracking._id },
+    user: hourTracking.user,
+    status: { $in: WORKED_STATUSES },
+    clockInTime: { $gte: week.start < day.start ? week.start : day.start, $lt: hourTracking.clockInTime }
+  }).select('clockInTime totalHours labour');
+
+  const workedOf = (record) => record.totalHours || 0;
+  const regularOf = (record) => record.labour && typeof record.labour.regularHours === 'number'
+    ? record.labour.regularHours
+    : workedOf(record);
+
+  const { workedHours, labour } = calculateHours(hourTracking, rules, {
+    timezone,
+    priorDayHours: earlier.filter(record => record.clockInTime >= day.start).reduce((sum, record) => sum + workedOf(record), 0),
+    priorWeekRegularHours: earlier.filter(record => record.clockInTime >= week.start).reduce((sum, record) => sum + regularOf(record), 0)
+  });
+
+  hourTracking.totalHours = workedHours;
+  hourTracking.labour = labour;
+  return hourTracking;
+};
+
+/**
+ * Add up hours of several records for a report
+ * Records from before labour rules existed count as regular hours.
+ * @param {Array<Object>} records - HourTracking records
+ * @returns {Object} totalHours, regularHours, overtimeHours, nightHours, weekendHours, payableHours
+ *   and the number of shifts over the maximum length
+ */
+const summarizeHours = (records) => {
+  const totals = {
+    totalHours: 0,
+    regularHours: 0,
+    overtimeHours: 0,
+    nightHours: 0,
+    weekendHours: 0,
+    payableHours: 0,
+    unpaidBreakMinutes: 0,
+    overMaxShift: 0
+  };
+
+  for (const record of records) {
+    const hours = record.totalHours || 0;
+    const labour = record.labour && typeof record.labour.regularHours === 'number' ? record.labour : null;
+    totals.totalHours += hours;
+    totals.regularHours += labour ? labour.regularHours : hours;
+    totals.overtimeHours += labour ? labour.overtimeHours : 0;
+    totals.nightHours += labour ? labour.nightHours : 0;
+    totals.weekendHours += labour ? labour.weekendHours : 0;
+    totals.payableHours += labour ? labour.payableHours : hours;
+    totals.unpaidBreakMinutes += labour ? labour.unpaidBreakMinutes : 0;
+    if (labour && labour.exceedsMaxShift) totals.overMaxShift++;
+  }
+
+  for (const key of ['totalHours', 'regularHours', 'overtimeHours', 'nightHours', 'weekendHours', 'payableHours']) {
+    totals[key] = round2(totals[key]);
+  }
+  return totals;
+};
+
+/**
+ * Tell team admins when a clocked-out shift ran past the team's maximum shift length
+ * @param {Object} hourTracking - Clocked-out HourTracking record with its labour breakdown
+ * @param {Object} user - Employee the record belongs to
+ * @returns {Promise<boolean>} True if admins were alerted
+ */
+const alertMaxShiftExceeded = async (hourTracking, user) => {
+  if (!hourTracking.labour || !hourTracking.labour.exceedsMaxShift) {
+    return false;
+  }
+
+  const rules = await getLabourRules(user.team);
+  const adminQuery = { role: 'admin' };
+  if (user.team) adminQuery.team = user.team;
+  const admins = await User.find(adminQuery);
+  const day = formatDateInZone(hourTracking.clockInTime, resolveTimeZone(user.timezone));
+
+  for (const adminUser of admins) {
+    try {
+      await notifyUser(adminUser, {
+        subject: `Shift over the maximum length: ${user.name}`,
+        content: `${user.name} was clocked in for ${hourTracking.labour.grossHours} hours on ${day}, ` +
+          `more than the ${rules.maxShiftHours} hours a shift may last.`,
+        relatedTo: 'hour-tracking',
+        relatedId: hourTracking._id,
+        team: user.team,
+        createdBy: user._id
+      });
+    } catch (err) {
+      logger.error('Maximum shift alert failed', { hourTrackingId: hourTracking._id, adminId: adminUser._id, error: err.message });
+    }
+  }
+  return true;
+};
+
+module.exports = {
+  WORKED_STATUSES,
+  normalizeLabourRules,
+  roundClockTime,
+  calculateHours,
+  getLabourRules,
+  applyLabourRules,
+  alertMaxShiftExceeded,
+  summarizeHours
+};
@@ -89,6 +89,39 @@ const getRouteInfo = async (origin, destination) => {
   }
 };
 
+/**
+ * Estimate the commute between two points using current traffic
+ * @param {Object} origin - Origin coordinates
+ * @param {Object} destination - Destination coordinates
+ * @returns {Promise<Object>} Travel time, traffic delay and distance of the fastest route
+ */
+const getCommuteEstimate = async (origin, destination) => {
+  const routeData = await getRouteInfo(origin, destination);
+  const summary = routeData.routes?.[0]?.summary;
+
+  if (!summary) {
+    throw new Error('No route found');
+  }
+
+  const travelTimeMinutes = Math.round(summary.travelTimeInSeconds / 60);
+  const trafficDelayMinutes = Math.round((summary.trafficDelayInSeconds || 0) / 60);
+  const delayRatio = travelTimeMinutes > 0 ? trafficDelayMinutes / travelTimeMinutes : 0;
+
+  let trafficCondition = 'Light';
+  if (delayRatio >= 0.5) {
+    trafficCondition = 'Heavy';
+  } else if (delayRatio >= 0.2) {
+    trafficCondition = 'Moderate';
+  }
+
+  return {
+    travelTimeMinutes,
+    trafficDelayMinutes,
+    distanceInKilometers: parseFloat((summary.lengthInMeters / 1000).toFixed(1)),
+    trafficCondition
+  };
+};
+
 /**
  * Generate mock traffic data for development/demo purposes
  * @returns {Object} Mock traffic data
@@ -168,5 +201,6 @@ const generateMockRouteData = (origin, destination) => {
 
 module.exports = {
   getTrafficData,
-  getRouteInfo
+  getRouteInfo,
+  getCommuteEstimate
 };
\ No newline at end of file
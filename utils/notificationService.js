@@ -0,0 +1,90 @@
+const Notification = require('../models/Notification');
+const { sendEmail } = require('./emailService');
+const { sendWhatsAppMessage } = require('./twilioService');
+
+/**
+ * Pick the notification type from a user's preferences
+ * @param {Object} user - User object
+ * @returns {string} 'email', 'whatsapp' or 'both'
+ */
+const getPreferredType = (user) => {
+  const prefs = user.notificationPreferences || {};
+  if (prefs.email && prefs.whatsapp) return 'both';
+  return prefs.email ? 'email' : 'whatsapp';
+};
+
+/**
+ * Record a notification for a user and deliver it by email and/or WhatsApp
+ * @param {Object} user - Recipient user object
+ * @param {Object} options - Notification options
+ * @param {string} options.subject - Subject line
+ * @param {string} options.content - Plain text message body
+ * @param {ObjectId} options.createdBy - User the notification is attributed to
+ * @param {string} [options.type] - Force 'email', 'whatsapp' or 'both' instead of the user's preferences
+ * @param {string} [options.relatedTo] - Notification.relatedTo value
+ * @param {ObjectId} [options.relatedId] - Related document ID
+ * @param {ObjectId} [options.team] - Team the notification belongs to
+ * @param {Function} [options.whatsappSender] - Async (user) => sends a WhatsApp template instead of plain text
+ * @returns {Promise<Object>} Saved notification
+ */
+const notifyUser = async (user, options) => {
+  const {
+    subject,
+    content,
+    createdBy,
+    type,
+    relatedTo,
+    relatedId,
+    team,
+    whatsappSender
+  } = options;
+
+  const notification = new Notification({
+    type: type || getPreferredType(user),
+    recipient: user._id,
+    subject,
+    content,
+    relatedTo: relatedTo || 'other',
+    relatedId,
+    createdBy,
+    team: team || user.team || null
+  });
+
+  await notification.save();
+
+  let delivered = false;
+
+  if ((notification.type === 'email' || notification.type === 'both') && user.email) {
+    try {
+      await sendEmail(user.email, subject, content, content.replace(/\n/g, '<br>'));
+      delivered = true;
+    } catch (emailErr) {
+      console.error(`Email error for user ${user._id}:`, emailErr.message);
+    }
+  }
+
+  if ((notification.type === 'whatsapp' || notification.type === 'both') && user.phone) {
+    try {
+      if (whatsappSender) {
+        await whatsappSender(user);
+      } else {
+        await sendWhatsAppMessage(user.phone, content);
+      }
+      delivered = true;
+    } catch (whatsappErr) {
+      console.error(`WhatsApp error for user ${user._id}:`, whatsappErr.message);
+    }
+  }
+
+  notification.status = delivered ? 'sent' : 'failed';
+  notification.sentAt = delivered ? Date.now() : null;
+  notification.updatedAt = Date.now();
+  await notification.save();
+
+  return notification;
+};
+
+module.exports = {
+  getPreferredType,
+  notifyUser
+};
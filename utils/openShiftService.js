@@ -0,0 +1,391 @@
+const crypto = require('crypto');
+const Schedule = require('../models/Schedule');
+const OpenShiftClaim = require('../models/OpenShiftClaim');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { snapshotSchedule, describeSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const { findConflicts } = require('./conflictService');
+const { PUBLISHED } = require('./schedulePublication');
+const { addStagedAssignee } = require('./stagedAssignments');
+const { resolveTimeZone } = require('./timezone');
+const { toId } = require('./ids');
+
+const CLAIM_MODES = ['first-come', 'approval'];
+
+// Open shifts employees can still see and claim
+const OPEN_SHIFT = { 'openShift.enabled': true, status: 'scheduled', ...PUBLISHED };
+
+const generateCode = () => crypto.randomBytes(2).toString('hex').toUpperCase();
+
+/**
+ * Number of places still free on an open shift
+ * @param {Object} schedule - Schedule
+ * @returns {number} Free places (0 when full or not open)
+ */
+const openSeats = (schedule) => {
+  if (!schedule.openShift || !schedule.openShift.enabled) return 0;
+  return Math.max(0, (schedule.openShift.capacity || 0) - schedule.assignedEmployees.length);
+};
+
+/**
+ * Whether an employee may claim an open shift
+ * They must be in the schedule's team, match its department and position filter and not already be on it.
+ * @param {Object} user - Employee
+ * @param {Object} schedule - Open shift
+ * @returns {boolean} True if the employee is eligible
+ */
+const isEligible = (user, schedule) => {
+  const { department, position } = schedule.openShift || {};
+  if (schedule.team && (!user.team || toId(user.team) !== toId(schedule.team))) return false;
+  if (department && user.department !== department) return false;
+  if (position && user.position !== position) return false;
+  return !schedule.assignedEmployees.some(id => toId(id) === toId(user));
+};
+
+/**
+ * Validate open shift settings from a request
+ * @param {Object} input - capacity, department, position, claimMode
+ * @param {Object} schedule - Schedule being opened
+ * @returns {Object} openShift settings, or error with a message
+ */
+const normalizeOpenShift = ({ capacity, department, position, claimMode = 'first-come' }, schedule) => {
+  const places = parseInt(capacity);
+  if (!Number.isInteger(places) || places < 1) {
+    return { error: 'Capacity must be at least 1' };
+  }
+  if (places <= schedule.assignedEmployees.length) {
+    return { error: `Capacity must be more than the ${schedule.assignedEmployees.length} employee(s) already assigned` };
+  }
+  if (!CLAIM_MODES.includes(claimMode)) {
+    return { error: `Claim mode must be one of: ${CLAIM_MODES.join(', ')}` };
+  }
+
+  return {
+    openShift: {
+      enabled: true,
+      capacity: places,
+      department: department || undefined,
+      position: position || undefined,
+      claimMode
+    }
+  };
+};
+
+/**
+ * Open a schedule's unfilled places for employees to claim
+ * @param {Object} schedule - Schedule document
+ * @param {Object} input - capacity, department, position, claimMode
+ * @returns {Promise<Object>} schedule, or error with a message
+ */
+const postOpenShift = async (schedule, input) => {
+  if (schedule.status !== 'scheduled' || schedule.startTime <= new Date()) {
+    return { error: 'Only upcoming scheduled shifts can be opened' };
+  }
+
+  const { openShift, error } = normalizeOpenShift(input, schedule);
+  if (error) {
+    return { error };
+  }
+
+  // Keep the code while the shift stays open so earlier messages still work
+  let code = schedule.openShift && schedule.openShift.enabled ? schedule.openShift.code : null;
+  for (let attempt = 0; !code && attempt < 10; attempt++) {
+    const candidate = generateCode();
+    if (!(await Schedule.exists({ ...OPEN_SHIFT, 'openShift.code': candidate, startTime: { $gt: new Date() } }))) {
+      code = candidate;
+    }
+  }
+
+  schedule.openShift = { ...openShift, code };
+  schedule.updatedAt = Date.now();
+  await schedule.save();
+
+  return { schedule };
+};
+
+/**
+ * Stop offering a shift's places; pending claims are rejected
+ * @param {Object} schedule - Schedule document
+ * @param {ObjectId} decidedBy - Admin closing the shift
+ * @returns {Promise<Object>} schedule
+ */
+const closeOpenShift = async (schedule, decidedBy) => {
+  schedule.openShift.enabled = false;
+  schedule.updatedAt = Date.now();
+  await schedule.save();
+
+  await rejectPendingClaims(schedule, decidedBy, 'The shift is no longer open');
+  return { schedule };
+};
+
+/**
+ * List open shifts with free places
+ * Employees only get the ones they are eligible for; admins get every open shift of their team.
+ * @param {Object} user - User asking
+ * @returns {Promise<Array<Object>>} Open shifts with location populated, soonest first
+ */
+const listOpenShifts = async (user) => {
+  const query = { ...OPEN_SHIFT, startTime: { $gt: new Date() } };
+  if (user.team) {
+    query.team = user.team;
+  }
+
+  const schedules = await Schedule.find(query)
+    .populate('location', 'name address city timezone')
+    .sort({ startTime: 1 });
+
+  if (user.role === 'admin') {
+    return schedules;
+  }
+  return schedules.filter(schedule => openSeats(schedule) > 0 && isEligible(user, schedule));
+};
+
+const notify = async (user, schedule, subject, content) => {
+  try {
+    await notifyUser(user, {
+      subject,
+      content,
+      relatedTo: 'open-shift',
+      relatedId: schedule._id,
+      team: schedule.team,
+      createdBy: schedule.createdBy
+    });
+  } catch (err) {
+    logger.error('Open shift notification failed', { scheduleId: schedule._id, userId: user._id, error: err.message });
+  }
+};
+
+// Everything that stops an employee from taking a place, or null if they can
+const checkClaim = async (schedule, user) => {
+  if (!schedule) {
+    return { error: 'Schedule not found', status: 404 };
+  }
+  if (!schedule.openShift || !schedule.openShift.enabled ||
+      schedule.status !== 'scheduled' || schedule.publicationStatus === 'draft' || schedule.startTime <= new Date()) {
+    return { error: 'This shift is no longer open', status: 409 };
+  }
+  if (schedule.assignedEmployees.some(id => toId(id) === toId(user))) {
+    return { error: 'You are already assigned to this shift', status: 400 };
+  }
+  if (!isEligible(user, schedule)) {
+    return { error: 'This shift is not open to your department or position', status: 403 };
+  }
+  if (openSeats(schedule) === 0) {
+    return { error: 'This shift is already full', status: 409 };
+  }
+
+  // Any clash with their other shifts, including too little rest, stops a self-claim
+  const conflicts = await findConflicts([{
+    employeeIds: [user._id],
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    scheduleId: schedule._id,
+    title: schedule.title,
+    timezone: resolveTimeZone(schedule.location && schedule.location.timezone)
+  }], { excludeScheduleIds: [schedule._id] });
+  if (conflicts.length > 0) {
+    return { error: `This shift clashes with your schedule: ${conflicts[0].message}`, status: 409, conflicts };
+  }
+
+  return null;
+};
+
+// Add an employee to an open shift, only while a place is free
+const takeSeat = async (scheduleId, userId) => {
+  const updated = await Schedule.findOneAndUpdate(
+    {
+      _id: scheduleId,
+      ...OPEN_SHIFT,
+      assignedEmployees: { $ne: userId },
+      $expr: { $lt: [{ $size: '$assignedEmployees' }, '$openShift.capacity'] }
+    },
+    { $push: { assignedEmployees: userId }, $set: { updatedAt: new Date() } },
+    { new: true }
+  );
+  if (updated) {
+    await addStagedAssignee({ _id: scheduleId }, userId);
+  }
+  return updated;
+};
+
+const rejectPendingClaims = async (schedule, decidedBy, reason) => {
+  const claims = await OpenShiftClaim.find({ schedule: schedule._id, status: 'pending' }).populate('user');
+  const now = new Date();
+
+  for (const claim of claims) {
+    const result = await OpenShiftClaim.updateOne(
+      { _id: claim._id, status: 'pending' },
+      { $set: { status: 'rejected', decidedBy, decidedAt: now, reason, updatedAt: now } }
+    );
+    if (result.modifiedCount > 0 && claim.user) {
+      await notify(claim.user, schedule, `Open shift request declined: ${schedule.title}`,
+        `Hello ${claim.user.name},\n\nYour request for ${describeSchedule(schedule)} was declined: ${reason}.`);
+    }
+  }
+};
+
+// Put the employee on the shift, tell them, and close the remaining requests once it is full
+const assignClaimant = async (schedule, user, decidedBy) => {
+  const before = snapshotSchedule(schedule);
+  const updated = await takeSeat(schedule._id, user._id);
+  if (!updated) {
+    return null;
+  }
+
+  await notifyScheduleChanges([{ before, after: snapshotSchedule(updated) }], { createdBy: decidedBy });
+  if (openSeats(updated) === 0) {
+    await rejectPendingClaims(schedule, decidedBy, 'The shift is full');
+  }
+  return updated;
+};
+
+/**
+ * Claim a place on an open shift
+ * First-come shifts are assigned at once while places are free; approval shifts create a
+ * pending claim for a team admin.
+ * @param {ObjectId} scheduleId - Open shift
+ * @param {Object} user - Employee claiming
+ * @returns {Promise<Object>} claim (and schedule when assigned), or error with a message, status and conflicts
+ */
+const claimOpenShift = async (scheduleId, user) => {
+  const schedule = await Schedule.findById(scheduleId).populate('location');
+  const problem = await checkClaim(schedule, user);
+  if (problem) {
+    return problem;
+  }
+
+  const pending = await OpenShiftClaim.findOne({ schedule: schedule._id, user: user._id, status: 'pending' });
+  if (pending) {
+    return { error: 'You have already asked for this shift', status: 400 };
+  }
+
+  const claim = new OpenShiftClaim({
+    schedule: schedule._id,
+    user: user._id,
+    team: schedule.team
+  });
+
+  if (schedule.openShift.claimMode === 'approval') {
+    await claim.save();
+
+    const adminQuery = { role: 'admin' };
+    if (schedule.team) adminQuery.team = schedule.team;
+    const admins = await User.find(adminQuery);
+    for (const adminUser of admins) {
+      await notify(adminUser, schedule, `Open shift request: ${schedule.title}`,
+        `${user.name} would like to work ${describeSchedule(schedule)}. Please approve or reject the request in the app.`);
+    }
+    return { claim };
+  }
+
+  const updated = await assignClaimant(schedule, user, user._id);
+  if (!updated) {
+    return { error: 'Someone else took the last place on this shift', status: 409 };
+  }
+
+  claim.status = 'approved';
+  claim.decidedAt = Date.now();
+  await claim.save();
+
+  logger.info('Open shift claimed', { scheduleId: schedule._id, userId: user._id });
+  return { claim, schedule: updated };
+};
+
+/**
+ * Approve a pending claim and put the employee on the shift
+ * The shift is checked again, since places or the employee's schedule may have changed.
+ * @param {ObjectId} claimId - Claim ID
+ * @param {ObjectId} decidedBy - Admin approving
+ * @returns {Promise<Object>} claim and schedule, or error with a message, status and conflicts
+ */
+const approveClaim = async (claimId, decidedBy) => {
+  const now = new Date();
+  const claim = await OpenShiftClaim.findOneAndUpdate(
+    { _id: claimId, status: 'pending' },
+    { $set: { status: 'approved', decidedBy, decidedAt: now, updatedAt: now } },
+    { new: true }
+  );
+  if (!claim) {
+    return { error: 'This request is no longer pending', status: 409 };
+  }
+
+  const schedule = await Schedule.findById(claim.schedule).populate('location');
+  const user = await User.findById(claim.user);
+  const problem = user ? await checkClaim(schedule, user) : { error: 'Employee not found', status: 404 };
+  const updated = problem ? null : await assignClaimant(schedule, user, decidedBy);
+
+  if (!updated) {
+    const failure = problem || { error: 'The shift is full', status: 409 };
+    claim.status = 'rejected';
+    claim.reason = failure.error;
+    claim.updatedAt = Date.now();
+    await claim.save();
+
+    if (user && schedule) {
+      await notify(user, schedule, `Open shift request declined: ${schedule.title}`,
+        `Hello ${user.name},\n\nYour request for ${describeSchedule(schedule)} could not be approved: ${failure.error}.`);
+    }
+    return failure;
+  }
+
+  logger.info('Open shift claim approved', { scheduleId: schedule._id, userId: user._id });
+  return { claim, schedule: updated };
+};
+
+/**
+ * Reject a pending claim
+ * @param {ObjectId} claimId - Claim ID
+ * @param {ObjectId} decidedBy - Admin rejecting
+ * @param {string} [reason] - Reason shown to the employee
+ * @returns {Promise<Object>} claim, or error with a message and status
+ */
+const rejectClaim = async (claimId, decidedBy, reason) => {
+  const now = new Date();
+  const claim = await OpenShiftClaim.findOneAndUpdate(
+    { _id: claimId, status: 'pending' },
+    { $set: { status: 'rejected', decidedBy, decidedAt: now, reason, updatedAt: now } },
+    { new: true }
+  ).populate('user');
+  if (!claim) {
+    return { error: 'This request is no longer pending', status: 409 };
+  }
+
+  const schedule = await Schedule.findById(claim.schedule).populate('location');
+  if (schedule && claim.user) {
+    await notify(claim.user, schedule, `Open shift request declined: ${schedule.title}`,
+      `Hello ${claim.user.name},\n\nYour request for ${describeSchedule(schedule)} was declined${reason ? `: ${reason}` : ''}.`);
+  }
+  return { claim };
+};
+
+/**
+ * Withdraw your own pending claim
+ * @param {ObjectId} claimId - Claim ID
+ * @param {ObjectId} userId - Employee withdrawing
+ * @returns {Promise<Object>} claim, or error with a message and status
+ */
+const cancelClaim = async (claimId, userId) => {
+  const claim = await OpenShiftClaim.findOneAndUpdate(
+    { _id: claimId, user: userId, status: 'pending' },
+    { $set: { status: 'cancelled', updatedAt: new Date() } },
+    { new: true }
+  );
+  if (!claim) {
+    return { error: 'This request is no longer pending', status: 409 };
+  }
+  return { claim };
+};
+
+module.exports = {
+  CLAIM_MODES,
+  openSeats,
+  isEligible,
+  postOpenShift,
+  closeOpenShift,
+  listOpenShifts,
+  claimOpenShift,
+  approveClaim,
+  rejectClaim,
+  cancelClaim
+};
@@ -0,0 +1,349 @@
+const ExcelJS = require('exceljs');
+const HourTracking = require('../models/HourTracking');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { WORKED_STATUSES } = require('./labourRules');
+const {
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseCalendarDate,
+  formatDateKey
+} = require('./timezone');
+
+const FORMATS = {
+  csv: { contentType: 'text/csv; charset=utf-8', extension: 'csv' },
+  xlsx: { contentType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', extension: 'xlsx' }
+};
+
+const GROUP_BY = ['record', 'employee'];
+
+const HOUR_FIELDS = [
+  'totalHours',
+  'regularHours',
+  'dailyOvertimeHours',
+  'weeklyOvertimeHours',
+  'overtimeHours',
+  'nightHours',
+  'weekendHours',
+  'payableHours',
+  'unpaidBreakMinutes'
+];
+
+// Every column a payroll file can have, with its default header
+const FIELDS = {
+  externalId: 'Employee ID',
+  employeeName: 'Employee',
+  email: 'Email',
+  department: 'Department',
+  costCentre: 'Cost Centre',
+  position: 'Position',
+  location: 'Location',
+  schedule: 'Shift',
+  date: 'Date',
+  clockIn: 'Clock In',
+  clockOut: 'Clock Out',
+  status: 'Status',
+  periodStart: 'Period Start',
+  periodEnd: 'Period End',
+  recordCount: 'Shifts',
+  totalHours: 'Total Hours',
+  regularHours: 'Regular Hours',
+  dailyOvertimeHours: 'Daily Overtime Hours',
+  weeklyOvertimeHours: 'Weekly Overtime Hours',
+  overtimeHours: 'Overtime Hours',
+  nightHours: 'Night Hours',
+  weekendHours: 'Weekend Hours',
+  payableHours: 'Payable Hours',
+  unpaidBreakMinutes: 'Unpaid Break Minutes'
+};
+
+// Columns used when neither the team nor the request chooses them
+const DEFAULT_COLUMNS = {
+  record: ['externalId', 'employeeName', 'department', 'costCentre', 'location', 'date', 'clockIn', 'clockOut',
+    'regularHours', 'dailyOvertimeHours', 'weeklyOvertimeHours', 'overtimeHours', 'nightHours', 'weekendHours',
+    'unpaidBreakMinutes', 'totalHours', 'payableHours'],
+  employee: ['externalId', 'employeeName', 'department', 'costCentre', 'location', 'periodStart', 'periodEnd',
+    'recordCount', 'regularHours', 'dailyOvertimeHours', 'weeklyOvertimeHours', 'overtimeHours', 'nightHours',
+    'weekendHours', 'unpaidBreakMinutes', 'totalHours', 'payableHours']
+};
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Validate a team's payroll export settings from a request
+ * @param {Object} input - costCentres ([{ department, code }]) and columns ([{ field, header }])
+ * @returns {Object} settings, or error with a message
+ */
+const normalizePayrollExport = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Payroll export settings must be an object' };
+  }
+
+  const settings = { costCentres: [], columns: [] };
+  for (const entry of input.costCentres || []) {
+    const department = entry && typeof entry.department === 'string' ? entry.department.trim() : '';
+    const code = entry && entry.code !== undefined && entry.code !== null ? String(entry.code).trim() : '';
+    if (!department || !code) {
+      return { error: 'Each cost centre needs a department and a code' };
+    }
+    if (settings.costCentres.some(existing => existing.department === department)) {
+      return { error: `Department ${department} has more than one cost centre` };
+    }
+    settings.costCentres.push({ department, code });
+  }
+
+  for (const column of input.columns || []) {
+    const field = column && (typeof column === 'string' ? column : column.field);
+    if (!FIELDS[field]) {
+      return { error: `Unknown export column ${field}. Available columns: ${Object.keys(FIELDS).join(', ')}` };
+    }
+    settings.columns.push({ field, header: (column.header && String(column.header).trim()) || FIELDS[field] });
+  }
+
+  return { settings };
+};
+
+/**
+ * Pick the columns of an export
+ * @param {Object} settings - Team's payroll export settings
+ * @param {string} groupBy - 'record' or 'employee'
+ * @param {string} [requested] - Comma-separated fields from the request, in order
+ * @returns {Object} columns ([{ field, header }]), or error with a message
+ */
+const resolveColumns = (settings, groupBy, requested) => {
+  const teamColumns = (settings && settings.columns) || [];
+  const headerOf = (field) => {
+    const mapped = teamColumns.find(column => column.field === field);
+    return mapped && mapped.header ? mapped.header : FIELDS[field];
+  };
+
+  if (requested) {
+    const fields = requested.split(',').map(field => field.trim()).filter(Boolean);
+    const unknown = fields.find(field => !FIELDS[field]);
+    if (unknown) {
+      return { error: `Unknown export column ${unknown}. Available columns: ${Object.keys(FIELDS).join(', ')}` };
+    }
+    return { columns: fields.map(field => ({ field, header: headerOf(field) })) };
+  }
+
+  const fields = teamColumns.length > 0 ? teamColumns.map(column => column.field) : DEFAULT_COLUMNS[groupBy];
+  return { columns: fields.map(field => ({ field, header: headerOf(field) })) };
+};
+
+// Local "YYYY-MM-DD HH:mm" of an instant
+const formatLocalDateTime = (date, timezone) => {
+  if (!date) return '';
+  const { hour, minute } = getZonedParts(date, timezone);
+  return `${formatDateKey(date, timezone)} ${String(hour).padStart(2, '0')}:${String(minute).padStart(2, '0')}`;
+};
+
+// One row per clock record, with every field filled in
+const toLine = (record, costCentres, period) => {
+  const user = record.user;
+  const timezone = resolveTimeZone(record.location && record.location.timezone, user.timezone);
+  const hours = record.totalHours || 0;
+  const labour = record.labour && typeof record.labour.regularHours === 'number' ? record.labour : null;
+  const costCentre = costCentres.find(entry => entry.department === user.department);
+
+  return {
+    userId: user._id.toString(),
+    locationId: record.location ? record.location._id.toString() : '',
+    externalId: user.externalId || '',
+    employeeName: user.name,
+    email: user.email,
+    department: user.department || '',
+    costCentre: costCentre ? costCentre.code : '',
+    position: user.position || '',
+    location: record.location ? record.location.name : '',
+    schedule: record.schedule ? record.schedule.title : '',
+    date: formatDateKey(record.clockInTime, timezone),
+    clockIn: formatLocalDateTime(record.clockInTime, timezone),
+    clockOut: formatLocalDateTime(record.clockOutTime, timezone),
+    status: record.status,
+    periodStart: period.startKey,
+    periodEnd: period.endKey,
+    recordCount: 1,
+    totalHours: hours,
+    regularHours: labour ? labour.regularHours : hours,
+    dailyOvertimeHours: labour ? labour.dailyOvertimeHours || 0 : 0,
+    weeklyOvertimeHours: labour ? labour.weeklyOvertimeHours || 0 : 0,
+    overtimeHours: labour ? labour.overtimeHours || 0 : 0,
+    nightHours: labour ? labour.nightHours || 0 : 0,
+    weekendHours: labour ? labour.weekendHours || 0 : 0,
+    payableHours: labour ? labour.payableHours : hours,
+    unpaidBreakMinutes: labour ? labour.unpaidBreakMinutes || 0 : 0
+  };
+};
+
+// One row per employee and location, with the hours added up
+const groupByEmployee = (lines) => {
+  const groups = new Map();
+  for (const line of lines) {
+    const key = `${line.userId}:${line.locationId}`;
+    const group = groups.get(key);
+    if (!group) {
+      groups.set(key, { ...line, schedule: '', date: '', clockIn: '', clockOut: '', status: '' });
+      continue;
+    }
+    group.recordCount++;
+    for (const field of HOUR_FIELDS) {
+      group[field] += line[field];
+    }
+  }
+
+  return [...groups.values()]
+    .map(group => {
+      HOUR_FIELDS.forEach(field => { group[field] = round2(group[field]); });
+      return group;
+    })
+    .sort((a, b) => a.employeeName.localeCompare(b.employeeName) || a.location.localeCompare(b.location));
+};
+
+// Quote a CSV value, and stop spreadsheets reading text as a formula
+const escapeCsv = (value) => {
+  if (value === undefined || value === null) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write rows as CSV
+ * @param {Array<Object>} columns - field and header of each column
+ * @param {Array<Object>} rows - Rows keyed by field
+ * @returns {string} CSV with a header line, starting with a BOM so spreadsheets read it as UTF-8
+ */
+const toCsv = (columns, rows) => {
+  const lines = [columns.map(column => escapeCsv(column.header)).join(',')];
+  rows.forEach(row => lines.push(columns.map(column => escapeCsv(row[column.field])).join(',')));
+  return `\ufeff${lines.join('\r\n')}\r\n`;
+};
+
+/**
+ * Write rows as an XLSX workbook with one sheet
+ * @param {Array<Object>} columns - field and header of each column
+ * @param {Array<Object>} rows - Rows keyed by field
+ * @returns {Promise<Buffer>} XLSX file
+ */
+const toXlsx = async (columns, rows) => {
+  const workbook = new ExcelJS.Workbook();
+  const sheet = workbook.addWorksheet('Payroll');
+  sheet.columns = columns.map(column => ({
+    header: column.header,
+    key: column.field,
+    width: Math.max(12, column.header.length + 2)
+  }));
+  sheet.getRow(1).font = { bold: true };
+  sheet.views = [{ state: 'frozen', ySplit: 1 }];
+  rows.forEach(row => sheet.addRow(columns.reduce((values, column) => {
+    values[column.field] = row[column.field];
+    return values;
+  }, {})));
+
+  return Buffer.from(await workbook.xlsx.writeBuffer());
+};
+
+// [start, end) of the requested days in the admin's time zone, the current month by default
+const getExportRange = (startDate, endDate, timezone) => {
+  const today = getZonedParts(new Date(), timezone);
+  const first = startDate ? parseCalendarDate(startDate, timezone) : { year: today.year, month: today.month, day: 1 };
+  const last = endDate ? parseCalendarDate(endDate, timezone) : { year: today.year, month: today.month + 1, day: 0 };
+  if (!first || !last) {
+    return null;
+  }
+
+  const start = zonedTimeToUtc(first, timezone);
+  const end = zonedTimeToUtc({ ...last, day: last.day + 1 }, timezone);
+  return {
+    start,
+    end,
+    startKey: formatDateKey(start, timezone),
+    endKey: formatDateKey(zonedTimeToUtc(last, timezone), timezone)
+  };
+};
+
+/**
+ * Build a payroll file from clocked hours
+ * @param {Object} adminUser - Admin exporting; admins in a team only export their team
+ * @param {Object} options - Export options from the request
+ * @param {string} [options.format='csv'] - 'csv' or 'xlsx'
+ * @param {string} [options.startDate] - First day ("YYYY-MM-DD"), the 1st of this month by default
+ * @param {string} [options.endDate] - Last day, the end of this month by default
+ * @param {string} [options.teamId] - Team, for admins without one
+ * @param {string} [options.departmentId] - Department name
+ * @param {string} [options.groupBy='record'] - 'record' for one row per shift, 'employee' for totals
+ * @param {string} [options.columns] - Comma-separated fields, overriding the team's columns
+ * @returns {Promise<Object>} filename, contentType and body, or error with a message and status
+ */
+const buildPayrollExport = async (adminUser, {
+  format = 'csv',
+  startDate,
+  endDate,
+  teamId,
+  departmentId,
+  groupBy = 'record',
+  columns
+} = {}) => {
+  if (!FORMATS[format]) {
+    return { error: `Format must be one of: ${Object.keys(FORMATS).join(', ')}`, status: 400 };
+  }
+  if (!GROUP_BY.includes(groupBy)) {
+    return { error: `groupBy must be one of: ${GROUP_BY.join(', ')}`, status: 400 };
+  }
+  if (adminUser.team && teamId && teamId !== adminUser.team.toString()) {
+    return { error: 'You can only export hours of your own team', status: 403 };
+  }
+
+  const timezone = resolveTimeZone(adminUser.timezone);
+  const period = getExportRange(startDate, endDate, timezone);
+  if (!period || period.end <= period.start) {
+    return { error: 'Invalid date range', status: 400 };
+  }
+
+  const team = adminUser.team || teamId;
+  const settings = team ? await Team.findById(team).select('payrollExport') : null;
+  const payroll = settings && settings.payrollExport ? settings.payrollExport : {};
+  const resolved = resolveColumns(payroll, groupBy, columns);
+  if (resolved.error) {
+    return { error: resolved.error, status: 400 };
+  }
+
+  const userQuery = {};
+  if (team) userQuery.team = team;
+  if (departmentId) userQuery.department = departmentId;
+  const userIds = await User.find(userQuery).distinct('_id');
+
+  const records = await HourTracking.find({
+    user: { $in: userIds },
+    status: { $in: WORKED_STATUSES },
+    clockInTime: { $gte: period.start, $lt: period.end }
+  })
+    .populate('user', 'name email department position externalId timezone')
+    .populate('location', 'name timezone')
+    .populate('schedule', 'title')
+    .sort({ clockInTime: 1 });
+
+  const lines = records
+    .filter(record => record.user)
+    .map(record => toLine(record, payroll.costCentres || [], period));
+  const rows = groupBy === 'employee' ? groupByEmployee(lines) : lines;
+
+  const { contentType, extension } = FORMATS[format];
+  return {
+    filename: `payroll-${period.startKey}-to-${period.endKey}.${extension}`,
+    contentType,
+    rowCount: rows.length,
+    body: format === 'xlsx' ? await toXlsx(resolved.columns, rows) : toCsv(resolved.columns, rows)
+  };
+};
+
+module.exports = {
+  FIELDS,
+  normalizePayrollExport,
+  resolveColumns,
+  toCsv,
+  toXlsx,
+  buildPayrollExport
+};
@@ -0,0 +1,125 @@
+const { describeSchedule } = require('./scheduleNotifications');
+const { formatDateInZone } = require('./timezone');
+
+// Minutes a WhatsApp assistant action waits for the user's YES
+const CONFIRMATION_MINUTES = parseFloat(process.env.WHATSAPP_CONFIRMATION_MINUTES) || 5;
+
+// "YES", "y", "yes!"
+const CONFIRM_REPLY = /^y(?:es)?[\s.!]*$/i;
+
+// "NO", "cancel"
+const CANCEL_REPLY = /^(?:no|cancel)[\s.!]*$/i;
+
+const VERBS = { write: 'create', update: 'update', delete: 'delete' };
+
+// References shown by name in summaries
+const POPULATE = {
+  schedule: { path: 'location', select: 'name timezone' },
+  absence: { path: 'user', select: 'name' },
+  hourTracking: { path: 'user', select: 'name' }
+};
+
+const describeRecord = (model, record) => {
+  const owner = record.user && record.user.name ? `${record.user.name}'s` : 'the';
+
+  switch (model) {
+    case 'schedule':
+      return record.startTime && record.endTime ? `the schedule "${describeSchedule(record)}"` : `the schedule "${record.title}"`;
+    case 'absence':
+      // Absence dates are calendar days stored at UTC midnight
+      return `${owner} absence from ${formatDateInZone(record.startDate, 'UTC')} to ${formatDateInZone(record.endDate, 'UTC')}`;
+    case 'hourTracking':
+      return `${owner} clock record for ${formatDateInZone(record.clockInTime || record.date)}`;
+    default:
+      return `the ${model} "${record.title || record.name || record._id}"`;
+  }
+};
+
+const formatValue = (value) => (typeof value === 'string' ? `"${value}"` : JSON.stringify(value));
+
+const describeUpdate = (update) => {
+  const changes = [];
+  for (const [operator, values] of Object.entries(update)) {
+    for (const [field, value] of Object.entries(values)) {
+      if (operator === '$set' && field !== 'updatedAt') changes.push(`${field} to ${formatValue(value)}`);
+      if (operator === '$unset') changes.push(`${field} cleared`);
+      if (operator === '$inc') changes.push(`${field} changed by ${value}`);
+      if (operator === '$push' || operator === '$addToSet') changes.push(`${field} added to`);
+      if (operator === '$pull') changes.push(`${field} removed from`);
+    }
+  }
+  return changes.join(', ');
+};
+
+/**
+ * Find the record a checked write, update or delete would affect and describe the action
+ * @param {string} model - Model name from the assistant
+ * @param {Object} policy - Result of applyQueryPolicy
+ * @returns {Promise<Object|null>} summary and targetId (update and delete), or null if no record matches
+ */
+const describeAction = async (model, policy) => {
+  const { Model, operation } = policy;
+  const record = operation === 'write' ? new Model(policy.data) : await Model.findOne(policy.filter);
+  if (!record) {
+    return null;
+  }
+  if (POPULATE[model]) {
+    await record.populate(POPULATE[model]);
+  }
+
+  let summary = `About to ${VERBS[operation]} ${describeRecord(model, record)}`;
+  if (operation === 'update') {
+    const changes = describeUpdate(policy.update);
+    summary += changes ? ` (${changes})` : '';
+  }
+
+  return {
+    summary: `${summary}. Reply YES to confirm or NO to cancel.`,
+    targetId: operation === 'write' ? null : record._id.toString()
+  };
+};
+
+/**
+ * Keep an assistant action in the conversation until the user confirms it
+ * Queries are stored as the assistant returned them and checked again when confirmed;
+ * intent handlers store what they need to finish the action.
+ * @param {Object} conversation - Conversation document
+ * @param {Object} action - model, operation and query from generateMongoDBQuery, or intent and its details
+ * @param {Object} description - summary and optional targetId, as returned by describeAction
+ */
+const setPendingAction = (conversation, action, { summary, targetId }) => {
+  conversation.context = {
+    ...conversation.context,
+    pendingAction: {
+      ...action,
+      targetId: targetId || null,
+      summary,
+      expiresAt: new Date(Date.now() + CONFIRMATION_MINUTES * 60 * 1000).toISOString()
+    }
+  };
+};
+
+/**
+ * Remove the conversation's pending action, if any
+ * @param {Object} conversation - Conversation document
+ * @returns {Object|null} The pending action with an expired flag, or null
+ */
+const takePendingAction = (conversation) => {
+  const pending = conversation.context && conversation.context.pendingAction;
+  if (!pending) {
+    return null;
+  }
+
+  const { pendingAction, ...context } = conversation.context;
+  conversation.context = context;
+  return { ...pending, expired: new Date(pending.expiresAt) <= new Date() };
+};
+
+module.exports = {
+  CONFIRMATION_MINUTES,
+  CONFIRM_REPLY,
+  CANCEL_REPLY,
+  describeAction,
+  setPendingAction,
+  takePendingAction
+};
@@ -0,0 +1,446 @@
+const User = require('../models/User');
+const Schedule = require('../models/Schedule');
+const Location = require('../models/Location');
+const Conversation = require('../models/Conversation');
+const Absence = require('../models/Absence');
+const HourTracking = require('../models/HourTracking');
+const WhatsAppSettings = require('../models/WhatsAppSettings');
+const { PUBLISHED } = require('./schedulePublication');
+
+// Never returned, filtered on or written from a chat, whatever the model asked for
+// (staged schedule edits stay with the admin's tools until they are published)
+const HIDDEN_FIELDS = new Set(['password', 'pendingChanges']);
+
+// Set by the server, never by the model
+const TIMESTAMP_FIELDS = ['createdAt', 'updatedAt'];
+
+const QUERY_OPERATORS = [
+  '$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$and', '$or', '$nor', '$not',
+  '$exists', '$type', '$regex', '$options', '$elemMatch', '$size', '$all', '$expr'
+];
+
+// Operators inside $expr, $project, $addFields and $group
+const EXPRESSION_OPERATORS = [
+  '$cond', '$ifNull', '$add', '$subtract', '$multiply', '$divide', '$round', '$abs',
+  '$sum', '$avg', '$min', '$max', '$first', '$last', '$push', '$addToSet', '$count',
+  '$concat', '$toLower', '$toUpper', '$toString', '$dateToString', '$year', '$month',
+  '$dayOfMonth', '$dayOfWeek', '$hour', '$minute', '$filter', '$map', '$arrayElemAt', '$literal'
+];
+
+const READ_OPERATORS = new Set([...QUERY_OPERATORS, ...EXPRESSION_OPERATORS]);
+
+const UPDATE_OPERATORS = new Set(['$set', '$unset', '$inc', '$push', '$addToSet', '$pull']);
+
+const PIPELINE_STAGES = new Set([
+  '$match', '$project', '$addFields', '$set', '$unset', '$group', '$sort', '$limit', '$skip',
+  '$count', '$unwind', '$lookup'
+]);
+
+// After these stages documents no longer have the model's shape, so only operators are checked
+const RESHAPING_STAGES = new Set(['$project', '$addFields', '$set', '$unset', '$group', '$count', '$lookup']);
+
+const ADMIN = ['admin'];
+const EVERYONE = ['admin', 'user'];
+
+/**
+ * What the assistant may do with each model
+ * - roles: who may run each operation
+ * - readOnly: fields no one may write from a chat
+ * - employeeWritable: the only fields employees may write, where they may write at all
+ * - userRefs: fields holding user ids, which must belong to the caller's team
+ * - defaults(user): fields the server sets on create
+ * - scope(user, operation, teamUserIds): filter added to every query
+ */
+const POLICIES = {
+  user: {
+    Model: User,
+    // Accounts need a hashed password, so they are created from the dashboard
+    roles: { read: EVERYONE, write: [], update: ADMIN, delete: ADMIN },
+    readOnly: ['team', 'isTeamAdmin'],
+    scope: (user) => (user.role !== 'admin' ? { _id: user._id } : user.team ? { team: user.team } : {})
+  },
+  schedule: {
+    Model: Schedule,
+    roles: { read: EVERYONE, write: ADMIN, update: ADMIN, delete: ADMIN },
+    readOnly: ['team', 'createdBy', 'publishedAt', 'publishedSnapshot', 'hasUnpublishedChanges'],
+    userRefs: ['assignedEmployees'],
+    defaults: (user) => ({ team: user.team, createdBy: user._id }),
+    // Employees can't see draft schedules
+    scope: (user) => (user.role !== 'admin'
+      ? { assignedEmployees: user._id, ...PUBLISHED }
+      : user.team ? { team: user.team } : {})
+  },
+  location: {
+    Model: Location,
+    roles: { read: EVERYONE, write: ADMIN, update: ADMIN, delete: ADMIN },
+    readOnly: ['team', 'createdBy'],
+    defaults: (user) => ({ team: user.team, createdBy: user._id }),
+    scope: (user) => (user.team ? { team: user.team } : {})
+  },
+  conversation: {
+    Model: Conversation,
+    roles: { read: EVERYONE, write: [], update: [], delete: [] },
+    readOnly: [],
+    scope: (user, operation, teamUserIds) => (user.role !== 'admin'
+      ? { user: user._id }
+      : teamUserIds ? { user: { $in: teamUserIds } } : {})
+  },
+  absence: {
+    Model: Absence,
+    roles: { read: EVERYONE, write: EVERYONE, update: EVERYONE, delete: ADMIN },
+    readOnly: ['team'],
+    employeeWritable: ['schedule', 'startDate', 'endDate', 'reason', 'type', 'notes'],
+    userRefs: ['user', 'replacementUser'],
+    defaults: (user) => (user.role !== 'admin'
+      ? { team: user.team, user: user._id, status: 'pending' }
+      : { team: user.team }),
+    // Employees may only change their own requests while they are pending
+    scope: (user, operation) => {
+      if (user.role !== 'admin') {
+        return operation === 'read' ? { user: user._id } : { user: user._id, status: 'pending' };
+      }
+      return user.team ? { team: user.team } : {};
+    }
+  },
+  hourTracking: {
+    Model: HourTracking,
+    roles: { read: EVERYONE, write: ADMIN, update: ADMIN, delete: ADMIN },
+    readOnly: ['locked', 'changeLog'],
+    userRefs: ['user'],
+    // Records in an approved timesheet stay as they were approved
+    scope: (user, operation, teamUserIds) => {
+      const scope = user.role !== 'admin'
+        ? { user: user._id }
+        : teamUserIds ? { user: { $in: teamUserIds } } : {};
+      return operation === 'read' ? scope : { ...scope, locked: { $ne: true } };
+    }
+  },
+  whatsappSettings: {
+    Model: WhatsAppSettings,
+    // Shared by every team, so changed from the dashboard only
+    roles: { read: ADMIN, write: [], update: [], delete: [] },
+    readOnly: [],
+    scope: () => ({})
+  }
+};
+
+const COLLECTIONS = new Set(Object.values(POLICIES).map(policy => policy.Model.collection.name));
+
+const isPlainObject = (value) => value !== null && typeof value === 'object' && value.constructor === Object;
+
+const isHidden = (path) => path.split('.').some(segment => HIDDEN_FIELDS.has(segment.replace(/^\$+/, '')));
+
+// Top-level fields of a model, from its schema
+const getFields = (Model) => new Set(Object.keys(Model.schema.paths).map(path => path.split('.')[0]));
+
+/**
+ * Check every operator and field name in a query, expression or update
+ * @param {*} value - Value to check
+ * @param {Set<string>} operators - Operators allowed
+ * @returns {string|null} Error message, or null if allowed
+ */
+const checkOperators = (value, operators) => {
+  if (Array.isArray(value)) {
+    for (const item of value) {
+      const error = checkOperators(item, operators);
+      if (error) return error;
+    }
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value.startsWith('$') && isHidden(value) ? `${value} can't be used` : null;
+  }
+  if (!isPlainObject(value)) {
+    return null;
+  }
+
+  for (const [key, child] of Object.entries(value)) {
+    if (key.startsWith('$') && !operators.has(key)) {
+      return `${key} is not allowed`;
+    }
+    if (isHidden(key)) {
+      return `${key} can't be used`;
+    }
+    const error = checkOperators(child, operators);
+    if (error) return error;
+  }
+  return null;
+};
+
+// Fields a filter matches on, through $and, $or and $nor
+const checkFilterFields = (filter, fields) => {
+  for (const [key, value] of Object.entries(filter)) {
+    if (['$and', '$or', '$nor'].includes(key)) {
+      if (!Array.isArray(value)) {
+        return `${key} needs a list of conditions`;
+      }
+      for (const condition of value) {
+        const error = isPlainObject(condition) ? checkFilterFields(condition, fields) : `${key} needs a list of conditions`;
+        if (error) return error;
+      }
+    } else if (!key.startsWith('$') && !fields.has(key.split('.')[0])) {
+      return `Unknown field ${key}`;
+    }
+  }
+  return null;
+};
+
+const checkFilter = (filter, fields) => {
+  if (!isPlainObject(filter)) {
+    return 'The filter must be an object';
+  }
+  return checkOperators(filter, READ_OPERATORS) || checkFilterFields(filter, fields);
+};
+
+// Only joins on a referenced _id, so documents can't be joined by a field both sides lack
+const checkLookup = (lookup) => {
+  if (!isPlainObject(lookup)) {
+    return '$lookup must be an object';
+  }
+  const keys = Object.keys(lookup);
+  if (keys.some(key => !['from', 'localField', 'foreignField', 'as'].includes(key))) {
+    return '$lookup only supports from, localField, foreignField and as';
+  }
+  if (!COLLECTIONS.has(lookup.from)) {
+    return `$lookup from ${lookup.from} is not allowed`;
+  }
+  if (lookup.foreignField !== '_id' || typeof lookup.localField !== 'string' || typeof lookup.as !== 'string') {
+    return '$lookup must join a reference to _id';
+  }
+  return isHidden(lookup.localField) || isHidden(lookup.as) ? `${lookup.localField} can't be used` : null;
+};
+
+const checkPipeline = (pipeline, fields) => {
+  let reshaped = false;
+
+  for (const stage of pipeline) {
+    const keys = isPlainObject(stage) ? Object.keys(stage) : [];
+    if (keys.length !== 1) {
+      return 'Each pipeline stage must have exactly one operator';
+    }
+    const [name] = keys;
+    if (!PIPELINE_STAGES.has(name)) {
+      return `${name} is not allowed`;
+    }
+
+    const error = name === '$lookup'
+      ? checkLookup(stage.$lookup)
+      : name === '$match' && !reshaped
+        ? checkFilter(stage.$match, fields)
+        : checkOperators(stage[name], READ_OPERATORS);
+    if (error) return error;
+
+    if (RESHAPING_STAGES.has(name)) {
+      reshaped = true;
+    }
+  }
+  return null;
+};
+
+// Populate paths must be references on the model; user passwords are left out either way
+const normalizePopulate = (populate, Model) => {
+  const paths = (Array.isArray(populate) ? populate : [populate])
+    .map(item => (typeof item === 'string' ? item : item && item.path))
+    .filter(Boolean);
+
+  for (const path of paths) {
+    const schemaType = Model.schema.path(path);
+    const ref = schemaType && (schemaType.options.ref || (schemaType.caster && schemaType.caster.options.ref));
+    if (!ref) {
+      return { error: `${path} can't be populated` };
+    }
+  }
+  return { populate: paths.map(path => ({ path, select: '-password' })) };
+};
+
+// Fields a write sets, checked against what the caller may write
+const checkWritableFields = (keys, policy, fields, user) => {
+  for (const key of keys) {
+    const field = key.split('.')[0];
+    if (!fields.has(field)) {
+      return `Unknown field ${key}`;
+    }
+    if (field === '_id' || isHidden(key) || policy.readOnly.includes(field)) {
+      return `${key} can't be changed from a chat`;
+    }
+    if (user.role !== 'admin' && policy.employeeWritable && !policy.employeeWritable.includes(field)) {
+      return `Only admins can change ${key}`;
+    }
+  }
+  return null;
+};
+
+// User ids written to a field, including $push/$addToSet with $each
+const collectIds = (value) => {
+  if (isPlainObject(value) && Array.isArray(value.$each)) {
+    return value.$each;
+  }
+  return Array.isArray(value) ? value : [value];
+};
+
+const checkUserRefs = (values, policy, teamUserIds) => {
+  if (!teamUserIds || !policy.userRefs) {
+    return null;
+  }
+  const team = new Set(teamUserIds.map(id => id.toString()));
+
+  for (const field of policy.userRefs) {
+    if (values[field] === undefined || values[field] === null) continue;
+    if (collectIds(values[field]).some(id => !team.has(String(id)))) {
+      return `${field} must be someone in your team`;
+    }
+  }
+  return null;
+};
+
+const stripTimestamps = (values) => {
+  const result = { ...values };
+  TIMESTAMP_FIELDS.forEach(field => delete result[field]);
+  return result;
+};
+
+const checkData = (data, policy, fields, user, teamUserIds) => {
+  if (!isPlainObject(data)) {
+    return { error: 'Nothing to create' };
+  }
+  const error = checkOperators(data, new Set()) ||
+    checkWritableFields(Object.keys(stripTimestamps(data)), policy, fields, user);
+  if (error) {
+    return { error };
+  }
+
+  const defaults = policy.defaults ? policy.defaults(user) : {};
+  Object.keys(defaults).forEach(key => defaults[key] === undefined && delete defaults[key]);
+  const result = { ...stripTimestamps(data), ...defaults };
+
+  const refError = checkUserRefs(result, policy, teamUserIds);
+  return refError ? { error: refError } : { data: result };
+};
+
+const checkUpdate = (update, policy, fields, user, teamUserIds) => {
+  if (!isPlainObject(update) || Object.keys(update).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+
+  // A plain document is a $set, as Mongoose would treat it
+  const normalized = {};
+  for (const [key, value] of Object.entries(update)) {
+    if (!key.startsWith('$')) {
+      normalized.$set = { ...normalized.$set, [key]: value };
+    } else if (!UPDATE_OPERATORS.has(key)) {
+      return { error: `${key} is not allowed` };
+    } else if (!isPlainObject(value)) {
+      return { error: `${key} needs fields to change` };
+    } else {
+      normalized[key] = { ...normalized[key], ...value };
+    }
+  }
+
+  for (const operator of Object.keys(normalized)) {
+    normalized[operator] = stripTimestamps(normalized[operator]);
+    const values = normalized[operator];
+    const error = checkOperators(values, new Set(['$each', '$in'])) ||
+      checkWritableFields(Object.keys(values), policy, fields, user) ||
+      (operator !== '$unset' && operator !== '$pull' && checkUserRefs(values, policy, teamUserIds));
+    if (error) {
+      return { error };
+    }
+    if (Object.keys(values).length === 0) {
+      delete normalized[operator];
+    }
+  }
+  if (Object.keys(normalized).length === 0) {
+    return { error: 'Nothing to update' };
+  }
+
+  normalized.$set = { ...normalized.$set, updatedAt: new Date() };
+  return { update: normalized };
+};
+
+/**
+ * Check a query from the AI assistant against what the caller may do, and scope it
+ * The model's output is never trusted: team and user scoping is added here, operators and
+ * fields are checked against allow lists, and writes are limited by role and field.
+ * @param {Object} user - User who sent the message
+ * @param {Object} queryResult - model, operation and query from generateMongoDBQuery
+ * @returns {Promise<Object>} Model, operation and the safe filter, pipeline, populate, data or update, or error
+ */
+const applyQueryPolicy = async (user, { model, operation, query }) => {
+  const policy = POLICIES[model];
+  if (!policy) {
+    return { error: `Unknown model ${model}` };
+  }
+  if (!policy.roles[operation]) {
+    return { error: `Unsupported operation ${operation}` };
+  }
+  if (!policy.roles[operation].includes(user.role)) {
+    const action = { read: 'view', write: 'create', update: 'update', delete: 'delete' }[operation];
+    return {
+      error: policy.roles[operation].length === 0
+        ? `${model} records can't be changed from a chat`
+        : `Only admins can ${action} ${model} records`
+    };
+  }
+
+  const { Model } = policy;
+  const fields = getFields(Model);
+  const teamUserIds = user.role === 'admin' && user.team
+    ? await User.find({ team: user.team }).distinct('_id')
+    : null;
+  const scope = policy.scope(user, operation, teamUserIds);
+  query = query || {};
+
+  if (operation === 'write') {
+    const result = checkData(query.data, policy, fields, user, teamUserIds);
+    return result.error ? result : { Model, operation, data: result.data };
+  }
+
+  if (operation === 'read' && Array.isArray(query.pipeline) && query.pipeline.length > 0) {
+    const error = checkPipeline(query.pipeline, fields);
+    return error ? { error } : { Model, operation, pipeline: [{ $match: scope }, ...query.pipeline] };
+  }
+
+  const error = checkFilter(query.filter || {}, fields);
+  if (error) {
+    return { error };
+  }
+  const filter = Object.keys(query.filter || {}).length > 0 ? { $and: [query.filter, scope] } : scope;
+
+  if (operation === 'read') {
+    const populate = normalizePopulate(query.populate || [], Model);
+    return populate.error ? populate : { Model, operation, filter, populate: populate.populate };
+  }
+
+  if (operation === 'update') {
+    const result = checkUpdate(query.update, policy, fields, user, teamUserIds);
+    return result.error ? result : { Model, operation, filter, update: result.update };
+  }
+
+  return { Model, operation, filter };
+};
+
+/**
+ * Plain copies of query results without hidden fields, however they were selected or joined
+ * @param {Array<Object>} results - Documents or aggregation results
+ * @returns {Array<Object>} Safe results
+ */
+const sanitizeResults = (results) => {
+  const strip = (value) => {
+    if (Array.isArray(value)) {
+      return value.map(strip);
+    }
+    if (!isPlainObject(value)) {
+      return value;
+    }
+    return Object.fromEntries(Object.entries(value)
+      .filter(([key]) => !HIDDEN_FIELDS.has(key))
+      .map(([key, child]) => [key, strip(child)]));
+  };
+
+  return results.map(result => strip(result && result.toObject ? result.toObject() : result));
+};
+
+module.exports = {
+  applyQueryPolicy,
+  sanitizeResults
+};
@@ -0,0 +1,190 @@
+const { DAY_MS } = require('./timezone');
+
+// Hard limits so a typo in an end date cannot create thousands of schedules
+const MAX_OCCURRENCES = 400;
+const MAX_SERIES_DAYS = 2 * 366;
+
+const RRULE_DAYS = { SU: 0, MO: 1, TU: 2, WE: 3, TH: 4, FR: 5, SA: 6 };
+const DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// Calendar days are handled as midnight UTC so day arithmetic never meets DST
+const keyToDate = (key) => new Date(`${key}T00:00:00.000Z`);
+const dateToKey = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * Add days to a "YYYY-MM-DD" calendar day
+ * @param {string} key - Calendar day
+ * @param {number} days - Days to add (negative to go back)
+ * @returns {string} Calendar day
+ */
+const addDays = (key, days) => dateToKey(keyToDate(key).getTime() + days * DAY_MS);
+
+const parseWeekday = (value) => {
+  if (typeof value === 'number') {
+    return Number.isInteger(value) && value >= 0 && value <= 6 ? value : null;
+  }
+  const day = RRULE_DAYS[String(value).trim().slice(0, 2).toUpperCase()];
+  return day === undefined ? null : day;
+};
+
+// Read an RRULE string like "FREQ=WEEKLY;BYDAY=MO,TU;UNTIL=20251231" into recurrence input
+const parseRRule = (rule) => {
+  const input = {};
+  for (const part of rule.replace(/^RRULE:/i, '').split(';')) {
+    const [key, value] = part.split('=');
+    if (!value) continue;
+
+    switch (key.trim().toUpperCase()) {
+      case 'FREQ':
+        input.frequency = value.toLowerCase();
+        break;
+      case 'INTERVAL':
+        input.interval = parseInt(value);
+        break;
+      case 'BYDAY':
+        input.byWeekday = value.split(',');
+        break;
+      case 'UNTIL': {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value);
+        input.until = match ? `${match[1]}-${match[2]}-${match[3]}` : value;
+        break;
+      }
+      case 'COUNT':
+        input.count = parseInt(value);
+        break;
+      default:
+        break;
+    }
+  }
+  return input;
+};
+
+/**
+ * Validate recurrence input and turn it into the stored recurrence format
+ * @param {Object|string} input - Recurrence object ({ frequency, interval, byWeekday, until, count }) or RRULE string
+ * @param {string} startKey - First calendar day of the series ("YYYY-MM-DD")
+ * @returns {Object} recurrence, or error with a message
+ */
+const normalizeRecurrence = (input, startKey) => {
+  if (!input) {
+    return { error: 'Recurrence is required' };
+  }
+
+  const raw = typeof input === 'string' ? parseRRule(input) : input;
+  const frequency = String(raw.frequency || '').toLowerCase();
+  if (!['daily', 'weekly'].includes(frequency)) {
+    return { error: 'Recurrence frequency must be daily or weekly' };
+  }
+
+  const interval = raw.interval === undefined ? 1 : parseInt(raw.interval);
+  if (!Number.isInteger(interval) || interval < 1) {
+    return { error: 'Recurrence interval must be a positive whole number' };
+  }
+
+  const recurrence = { frequency, interval, byWeekday: [] };
+
+  if (frequency === 'weekly') {
+    const days = raw.byWeekday && raw.byWeekday.length > 0
+      ? raw.byWeekday.map(parseWeekday)
+      : [keyToDate(startKey).getUTCDay()];
+    if (days.includes(null)) {
+      return { error: 'Invalid weekday in recurrence. Use 0-6 or MO, TU, WE, TH, FR, SA, SU' };
+    }
+    recurrence.byWeekday = [...new Set(days)].sort();
+  }
+
+  if (raw.until) {
+    const until = /^\d{4}-\d{2}-\d{2}$/.test(String(raw.until)) ? keyToDate(raw.until) : new Date(raw.until);
+    if (isNaN(until.getTime())) {
+      return { error: 'Invalid recurrence end date. Please use format like "2025-12-31"' };
+    }
+    recurrence.until = keyToDate(dateToKey(until));
+    if (recurrence.until < keyToDate(startKey)) {
+      return { error: 'Recurrence end date must be on or after the start date' };
+    }
+    if ((recurrence.until - keyToDate(startKey)) / DAY_MS > MAX_SERIES_DAYS) {
+      return { error: `A series can cover at most ${MAX_SERIES_DAYS} days` };
+    }
+  }
+
+  if (raw.count !== undefined && raw.count !== null) {
+    const count = parseInt(raw.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES) {
+      return { error: `Recurrence count must be between 1 and ${MAX_OCCURRENCES}` };
+    }
+    recurrence.count = count;
+  }
+
+  if (!recurrence.until && !recurrence.count) {
+    return { error: 'Recurrence needs an end date (until) or a number of occurrences (count)' };
+  }
+
+  return { recurrence };
+};
+
+/**
+ * List the calendar days a recurrence produces
+ * @param {Object} recurrence - Stored recurrence
+ * @param {string} startKey - First calendar day of the series ("YYYY-MM-DD")
+ * @returns {Array<string>} Calendar days in order
+ */
+const expandRecurrence = (recurrence, startKey) => {
+  const { frequency, interval = 1, byWeekday = [], until, count } = recurrence;
+  const start = keyToDate(startKey);
+  const lastKey = until ? dateToKey(until) : null;
+
+  // Weeks are counted from the Monday of the first week so BYDAY works with INTERVAL
+  const firstMonday = addDays(startKey, -((start.getUTCDay() + 6) % 7));
+
+  const days = [];
+  for (let offset = 0; offset <= MAX_SERIES_DAYS && days.length < MAX_OCCURRENCES; offset++) {
+    const key = addDays(startKey, offset);
+    if (lastKey && key > lastKey) break;
+    if (count && days.length >= count) break;
+
+    if (frequency === 'daily') {
+      if (offset % interval === 0) days.push(key);
+    } else {
+      const week = Math.floor((keyToDate(key) - keyToDate(firstMonday)) / (7 * DAY_MS));
+      if (week % interval === 0 && byWeekday.includes(keyToDate(key).getUTCDay())) {
+        days.push(key);
+      }
+    }
+  }
+
+  return days;
+};
+
+/**
+ * Describe a recurrence for notifications, e.g. "every Mon, Tue until 2025-12-31"
+ * @param {Object} recurrence - Stored recurrence
+ * @returns {string} Human readable description
+ */
+const describeRecurrence = (recurrence) => {
+  const { frequency, interval = 1, byWeekday = [], until, count } = recurrence;
+
+  let text;
+  if (frequency === 'daily') {
+    text = interval === 1 ? 'every day' : `every ${interval} days`;
+  } else {
+    const days = byWeekday.map(day => DAY_NAMES[day]).join(', ');
+    text = interval === 1 ? `every ${days}` : `every ${interval} weeks on ${days}`;
+  }
+
+  if (until) {
+    text += ` until ${dateToKey(until)}`;
+  } else if (count) {
+    text += ` for ${count} occurrence(s)`;
+  }
+  return text;
+};
+
+module.exports = {
+  MAX_OCCURRENCES,
+  keyToDate,
+  dateToKey,
+  addDays,
+  normalizeRecurrence,
+  expandRecurrence,
+  describeRecurrence
+};
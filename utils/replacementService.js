@@ -0,0 +1,366 @@
+const crypto = require('crypto');
+const Absence = require('../models/Absence');
+const Schedule = require('../models/Schedule');
+const User = require('../models/User');
+const HourTracking = require('../models/HourTracking');
+const ReplacementOffer = require('../models/ReplacementOffer');
+const Availability = require('../models/Availability');
+const { acquireLock, releaseLock, logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { snapshotSchedule, describeSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const { BLOCKING_CONFLICTS, findConflicts } = require('./conflictService');
+const { addStagedAssignee } = require('./stagedAssignments');
+const {
+  resolveTimeZone,
+  getWeekRange,
+  formatDateInZone,
+  formatTimeInZone
+} = require('./timezone');
+
+// How long each candidate has to answer before the next one is asked
+const OFFER_TIMEOUT_MINUTES = parseInt(process.env.REPLACEMENT_OFFER_TIMEOUT_MINUTES) || 30;
+
+const generateCode = () => crypto.randomBytes(2).toString('hex').toUpperCase();
+
+const notifyAdmins = async (absence, subject, content) => {
+  const query = { role: 'admin' };
+  if (absence.team) {
+    query.team = absence.team;
+  }
+  const admins = await User.find(query);
+
+  for (const adminUser of admins) {
+    try {
+      await notifyUser(adminUser, {
+        subject,
+        content,
+        relatedTo: 'absence',
+        relatedId: absence._id,
+        team: absence.team,
+        createdBy: absence.user
+      });
+    } catch (err) {
+      logger.error('Replacement admin notification failed', { absenceId: absence._id, error: err.message });
+    }
+  }
+};
+
+/**
+ * Rank the employees who could cover an absent employee's shift
+ * Candidates are in the same team and department, not already on the shift and not asked before.
+ * Anyone with an overlapping shift, approved leave or who is not available is left out; the rest
+ * are ordered by rest-time conflicts, then whether they prefer the shift's location, then by
+ * hours already worked in the week of the shift (fewest first).
+ * @param {Object} schedule - Schedule with location populated
+ * @param {Object} absence - Absence that needs cover
+ * @returns {Promise<Array<Object>>} Ranked candidates: { user, weeklyHours, restConflicts, prefersLocation }
+ */
+const rankCandidates = async (schedule, absence) => {
+  const absentUser = await User.findById(absence.user).select('department');
+  const offered = await ReplacementOffer.find({ absence: absence._id }).distinct('candidate');
+
+  const query = {
+    _id: { $nin: [...schedule.assignedEmployees, absence.user, ...offered] },
+    role: 'employee'
+  };
+  if (schedule.team) {
+    query.team = schedule.team;
+  }
+  if (absentUser && absentUser.department) {
+    query.department = absentUser.department;
+  }
+
+  const candidates = await User.find(query).select('name email phone team department notificationPreferences timezone');
+  if (candidates.length === 0) {
+    return [];
+  }
+
+  const timezone = resolveTimeZone(schedule.location && schedule.location.timezone);
+
+  const conflicts = await findConflicts(
+    candidates.map(candidate => ({
+      employeeIds: [candidate._id],
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      scheduleId: schedule._id,
+      title: schedule.title,
+      timezone
+    })),
+    { excludeScheduleIds: [schedule._id] }
+  );
+
+  // Hours already worked in the week of the shift
+  const { start, end } = getWeekRange(schedule.startTime, timezone, 1);
+  const hours = await HourTracking.aggregate([
+    {
+      $match: {
+        user: { $in: candidates.map(candidate => candidate._id) },
+        date: { $gte: start, $lt: end }
+      }
+    },
+    { $group: { _id: '$user', total: { $sum: '$totalHours' } } }
+  ]);
+  const hoursByUser = new Map(hours.map(entry => [entry._id.toString(), entry.total || 0]));
+
+  const scheduleLocation = schedule.location && (schedule.location._id || schedule.location);
+  const preferring = scheduleLocation
+    ? (await Availability.find({
+      user: { $in: candidates.map(candidate => candidate._id) },
+      preferredLocations: scheduleLocation
+    }).distinct('user')).map(id => id.toString())
+    : [];
+
+  return candidates
+    .map(candidate => {
+      const id = candidate._id.toString();
+      const own = conflicts.filter(conflict => conflict.employee.id === id);
+      return {
+        user: candidate,
+        blocked: own.some(conflict => BLOCKING_CONFLICTS.includes(conflict.type)),
+        restConflicts: own.filter(conflict => conflict.type === 'rest').length,
+        prefersLocation: preferring.includes(id),
+        weeklyHours: Math.round((hoursByUser.get(id) || 0) * 100) / 100
+      };
+    })
+    .filter(candidate => !candidate.blocked)
+    .sort((a, b) =>
+      a.restConflicts - b.restConflicts ||
+      Number(b.prefersLocation) - Number(a.prefersLocation) ||
+      a.weeklyHours - b.weeklyHours ||
+      a.user.name.localeCompare(b.user.name)
+    )
+    .map(({ blocked, ...candidate }) => candidate);
+};
+
+const sendOffer = async (offer, candidate, schedule, absence) => {
+  const timezone = resolveTimeZone(schedule.location && schedule.location.timezone, candidate.timezone);
+  const deadline = `${formatTimeInZone(offer.expiresAt, timezone)} on ${formatDateInZone(offer.expiresAt, timezone)}`;
+
+  let content = `Hello ${candidate.name},\n\n`;
+  content += `A colleague can't work ${describeSchedule(schedule)}. Can you cover this shift?\n\n`;
+  content += `Reply ACCEPT ${offer.code} or DECLINE ${offer.code} on WhatsApp, or answer in the app, before ${deadline}.`;
+
+  await notifyUser(candidate, {
+    subject: `Shift cover request: ${schedule.title}`,
+    content,
+    relatedTo: 'replacement',
+    relatedId: offer._id,
+    team: schedule.team,
+    createdBy: absence.user
+  });
+};
+
+/**
+ * Offer an absence's shift to the next best candidate
+ * Does nothing if the absence is already covered or an offer is still waiting for an answer.
+ * Admins are told when nobody is left to ask.
+ * @param {Object} absence - Absence that needs cover
+ * @returns {Promise<Object|null>} The pending offer, or null if none was made
+ */
+const offerNextCandidate = async (absence) => {
+  const lockName = `replacement:${absence._id}`;
+  if (!(await acquireLock(lockName, 60 * 1000))) {
+    return null;
+  }
+
+  try {
+    const current = await Absence.findById(absence._id);
+    if (!current || current.replacementAssigned || !current.replacementNeeded || current.status === 'rejected') {
+      return null;
+    }
+
+    const pending = await ReplacementOffer.findOne({ absence: current._id, status: 'pending' });
+    if (pending) {
+      return pending;
+    }
+
+    const schedule = await Schedule.findById(current.schedule).populate('location');
+    const now = new Date();
+    if (!schedule || schedule.status === 'cancelled' || schedule.startTime <= now) {
+      return null;
+    }
+
+    const [best] = await rankCandidates(schedule, current);
+    if (!best) {
+      await notifyAdmins(
+        current,
+        `No replacement found: ${schedule.title}`,
+        `Nobody is available to cover ${describeSchedule(schedule)}. Please assign a replacement manually.`
+      );
+      return null;
+    }
+
+    // Never let an offer run past the start of the shift
+    const timeout = new Date(now.getTime() + OFFER_TIMEOUT_MINUTES * 60 * 1000);
+    const offer = new ReplacementOffer({
+      absence: current._id,
+      schedule: schedule._id,
+      candidate: best.user._id,
+      team: schedule.team,
+      code: generateCode(),
+      rank: (await ReplacementOffer.countDocuments({ absence: current._id })) + 1,
+      weeklyHours: best.weeklyHours,
+      expiresAt: timeout < schedule.startTime ? timeout : schedule.startTime
+    });
+    await offer.save();
+
+    await sendOffer(offer, best.user, schedule, current);
+    logger.info('Replacement offer sent', { absenceId: current._id, candidateId: best.user._id, rank: offer.rank });
+
+    return offer;
+  } finally {
+    await releaseLock(lockName);
+  }
+};
+
+/**
+ * Start looking for cover for an absence, if it needs it and its schedule allows auto-replacement
+ * @param {Object} absence - Absence that was reported
+ * @returns {Promise<Object|null>} First offer, or null if none was made
+ */
+const startReplacement = async (absence) => {
+  if (!absence.replacementNeeded) {
+    return null;
+  }
+  const schedule = await Schedule.findById(absence.schedule).select('allowAutoReplacement');
+  if (!schedule || !schedule.allowAutoReplacement) {
+    return null;
+  }
+  return offerNextCandidate(absence);
+};
+
+/**
+ * Withdraw every open offer for an absence (e.g. it was rejected or covered by hand)
+ * @param {ObjectId} absenceId - Absence ID
+ * @returns {Promise<number>} Number of offers cancelled
+ */
+const cancelReplacementOffers = async (absenceId) => {
+  const result = await ReplacementOffer.updateMany(
+    { absence: absenceId, status: 'pending' },
+    { $set: { status: 'cancelled', updatedAt: Date.now() } }
+  );
+  return result.modifiedCount;
+};
+
+/**
+ * Accept or decline a replacement offer
+ * The first acceptance fills absence.replacementUser and adds the candidate to the schedule;
+ * a decline moves straight on to the next candidate.
+ * @param {ObjectId} offerId - Offer ID
+ * @param {ObjectId} userId - Candidate answering
+ * @param {boolean} accept - True to accept, false to decline
+ * @returns {Promise<Object>} offer (and absence and schedule when accepted), or error with a message
+ */
+const respondToOffer = async (offerId, userId, accept) => {
+  const now = new Date();
+  const offer = await ReplacementOffer.findOneAndUpdate(
+    { _id: offerId, candidate: userId, status: 'pending', expiresAt: { $gt: now } },
+    { $set: { status: accept ? 'accepted' : 'declined', respondedAt: now, updatedAt: now } },
+    { new: true }
+  );
+  if (!offer) {
+    return { error: 'This shift cover request is no longer open' };
+  }
+
+  if (!accept) {
+    await offerNextCandidate({ _id: offer.absence });
+    return { offer };
+  }
+
+  const schedule = await Schedule.findById(offer.schedule).populate('location');
+
+  // The candidate may have picked up another shift since the offer went out
+  const conflicts = schedule ? await findConflicts([{
+    employeeIds: [userId],
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    scheduleId: schedule._id,
+    title: schedule.title,
+    timezone: resolveTimeZone(schedule.location && schedule.location.timezone)
+  }], { excludeScheduleIds: [schedule._id] }) : [];
+  const blocking = conflicts.find(conflict => BLOCKING_CONFLICTS.includes(conflict.type));
+
+  if (!schedule || schedule.status === 'cancelled' || blocking) {
+    offer.status = 'cancelled';
+    offer.updatedAt = Date.now();
+    await offer.save();
+    await offerNextCandidate({ _id: offer.absence });
+    return { error: blocking ? `You can't take this shift: ${blocking.message}` : 'This shift is no longer available' };
+  }
+
+  // First acceptance wins
+  const absence = await Absence.findOneAndUpdate(
+    { _id: offer.absence, replacementAssigned: { $ne: true } },
+    { $set: { replacementUser: userId, replacementAssigned: true, updatedAt: now } },
+    { new: true }
+  );
+  if (!absence) {
+    offer.status = 'cancelled';
+    offer.updatedAt = Date.now();
+    await offer.save();
+    return { error: 'This shift has already been covered' };
+  }
+
+  const before = snapshotSchedule(schedule);
+  const updated = await Schedule.findByIdAndUpdate(
+    schedule._id,
+    { $addToSet: { assignedEmployees: userId }, $set: { updatedAt: now } },
+    { new: true }
+  );
+  await addStagedAssignee({ _id: schedule._id }, userId);
+
+  await cancelReplacementOffers(absence._id);
+  await notifyScheduleChanges([{ before, after: snapshotSchedule(updated) }], { createdBy: userId });
+
+  const replacement = await User.findById(userId).select('name');
+  await notifyAdmins(
+    absence,
+    `Shift covered: ${schedule.title}`,
+    `${replacement.name} accepted to cover ${describeSchedule(schedule)}.`
+  );
+
+  logger.info('Replacement offer accepted', { absenceId: absence._id, userId });
+  return { offer, absence, schedule: updated };
+};
+
+/**
+ * Expire unanswered offers and move on to the next candidate (background job)
+ * @returns {Promise<number>} Number of offers expired
+ */
+const expireOffers = async () => {
+  const now = new Date();
+  const offers = await ReplacementOffer.find({ status: 'pending', expiresAt: { $lte: now } });
+
+  let expired = 0;
+  for (const offer of offers) {
+    const result = await ReplacementOffer.updateOne(
+      { _id: offer._id, status: 'pending' },
+      { $set: { status: 'expired', updatedAt: now } }
+    );
+    if (result.modifiedCount === 0) {
+      continue;
+    }
+    expired++;
+
+    try {
+      await offerNextCandidate({ _id: offer.absence });
+    } catch (err) {
+      logger.error('Replacement follow-up offer failed', { absenceId: offer.absence, error: err.message });
+    }
+  }
+
+  if (expired > 0) {
+    logger.info('Replacement offers expired', { count: expired });
+  }
+  return expired;
+};
+
+module.exports = {
+  OFFER_TIMEOUT_MINUTES,
+  rankCandidates,
+  offerNextCandidate,
+  startReplacement,
+  cancelReplacementOffers,
+  respondToOffer,
+  expireOffers
+};
@@ -0,0 +1,375 @@
+const Schedule = require('../models/Schedule');
+const Absence = require('../models/Absence');
+const User = require('../models/User');
+const Location = require('../models/Location');
+const Availability = require('../models/Availability');
+const { MIN_REST_HOURS, findConflicts } = require('./conflictService');
+const { checkAvailability } = require('./availabilityService');
+const { resolveScheduleTimes } = require('./scheduleTime');
+const { snapshotSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const {
+  resolveTimeZone,
+  startOfDay,
+  formatDateKey,
+  parseTimeOfDay,
+  formatTimeInZone
+} = require('./timezone');
+const { toId } = require('./ids');
+
+// Hours an employee may be rostered in one week unless the request sets another limit
+const MAX_WEEKLY_HOURS = parseFloat(process.env.MAX_WEEKLY_HOURS) || 40;
+
+const HOUR_MS = 60 * 60 * 1000;
+
+const roundHours = (hours) => Math.round(hours * 100) / 100;
+
+const toTimeString = ({ hours, minutes }) =>
+  `${String(hours).padStart(2, '0')}:${String(minutes).padStart(2, '0')}`;
+
+/**
+ * Validate a staffing requirement from a request
+ * "24:00" is accepted as the end of the day and stored as "00:00" (the next midnight).
+ * @param {Object} input - title, location, weekdays, startTime, endTime, headcount, department, position, validFrom, validUntil
+ * @returns {Object} Requirement fields, or error with a message
+ */
+const normalizeRequirement = (input) => {
+  const fields = {};
+
+  if (input.weekdays !== undefined) {
+    const weekdays = Array.isArray(input.weekdays) ? input.weekdays.map(day => parseInt(day)) : [];
+    if (weekdays.length === 0 || weekdays.some(day => !Number.isInteger(day) || day < 0 || day > 6)) {
+      return { error: 'Weekdays must be a list of numbers from 0 (Sunday) to 6 (Saturday)' };
+    }
+    fields.weekdays = [...new Set(weekdays)].sort();
+  }
+
+  for (const key of ['startTime', 'endTime']) {
+    if (input[key] === undefined) continue;
+    const value = String(input[key]).trim();
+    const time = value === '24:00' ? { hours: 0, minutes: 0 } : parseTimeOfDay(value);
+    if (!time) {
+      return { error: 'Times must look like "08:00" or "4:00 PM"' };
+    }
+    fields[key] = toTimeString(time);
+  }
+
+  if (input.headcount !== undefined) {
+    const headcount = parseInt(input.headcount);
+    if (!Number.isInteger(headcount) || headcount < 1) {
+      return { error: 'Headcount must be at least 1' };
+    }
+    fields.headcount = headcount;
+  }
+
+  for (const key of ['validFrom', 'validUntil']) {
+    if (input[key] === undefined) continue;
+    if (input[key] === null || input[key] === '') {
+      fields[key] = null;
+      continue;
+    }
+    // Calendar days are stored at midnight UTC, like absences
+    const match = /^(\d{4}-\d{2}-\d{2})/.exec(String(input[key]));
+    if (!match) {
+      return { error: 'Invalid date. Please use format like "2025-06-30"' };
+    }
+    fields[key] = new Date(`${match[1]}T00:00:00.000Z`);
+  }
+
+  ['title', 'location', 'department', 'position', 'active'].forEach(key => {
+    if (input[key] !== undefined) fields[key] = input[key];
+  });
+
+  return { requirement: fields };
+};
+
+// One shift per requirement and matching day of the week
+const expandRequirements = (requirements, days, locations) => {
+  const slots = [];
+
+  for (const requirement of requirements) {
+    const location = locations.get(toId(requirement.location));
+    if (!location) continue;
+    const timezone = resolveTimeZone(location.timezone);
+    const validFrom = requirement.validFrom ? formatDateKey(requirement.validFrom, 'UTC') : null;
+    const validUntil = requirement.validUntil ? formatDateKey(requirement.validUntil, 'UTC') : null;
+
+    for (const day of days) {
+      const weekday = new Date(`${day}T12:00:00.000Z`).getUTCDay();
+      if (!requirement.weekdays.includes(weekday)) continue;
+      if ((validFrom && day < validFrom) || (validUntil && day > validUntil)) continue;
+
+      const times = resolveScheduleTimes({ date: day, startTime: requirement.startTime, endTime: requirement.endTime }, timezone);
+      if (times.error) continue;
+
+      slots.push({
+        requirement,
+        location,
+        timezone,
+        day,
+        date: times.date,
+        startTime: times.startTime,
+        endTime: times.endTime,
+        hours: (times.endTime - times.startTime) / HOUR_MS,
+        assigned: []
+      });
+    }
+  }
+
+  return slots;
+};
+
+/**
+ * Propose a week's rota for a set of staffing requirements
+ * A greedy solver: the hardest shifts to staff (fewest eligible employees) are filled first,
+ * each seat going to the eligible employee with the fewest hours that week, preferring people
+ * who like the location. An employee is eligible when they are in the right department (and
+ * position), have no approved leave that day, are available, would not overlap another shift,
+ * keep MIN_REST_HOURS of rest and stay within the weekly hour limit. Existing schedules count
+ * as bookings, so a draft never clashes with what is already planned.
+ * Nothing is saved; publishDraft turns the result into schedules.
+ * @param {Object} options - Solver options
+ * @param {Array<Object>} options.requirements - Staffing requirements
+ * @param {Array<string>} options.days - Calendar days ("YYYY-MM-DD") of the week
+ * @param {Date} options.startDate - Start of the week
+ * @param {Date} options.endDate - End of the week
+ * @param {ObjectId} [options.team] - Team to take employees from
+ * @param {number} [options.maxWeeklyHours] - Weekly hour limit per employee
+ * @returns {Promise<Object>} shifts (with assignedEmployees and unfilled seats), employees with their hours, and a summary
+ */
+const solveRota = async ({ requirements, days, startDate, endDate, team, maxWeeklyHours = MAX_WEEKLY_HOURS }) => {
+  const locations = new Map(
+    (await Location.find({ _id: { $in: requirements.map(requirement => requirement.location) } }))
+      .map(location => [location._id.toString(), location])
+  );
+  const slots = expandRequirements(requirements, days, locations);
+
+  const employeeQuery = { role: 'employee' };
+  if (team) {
+    employeeQuery.team = team;
+  }
+  const employees = await User.find(employeeQuery)
+    .select('name department position timezone')
+    .sort({ name: 1 });
+  const employeeIds = employees.map(employee => employee._id);
+
+  const restMs = MIN_REST_HOURS * HOUR_MS;
+  const windowStart = new Date(Math.min(startDate.getTime(), ...slots.map(slot => slot.startTime.getTime())) - restMs);
+  const windowEnd = new Date(Math.max(endDate.getTime(), ...slots.map(slot => slot.endTime.getTime())) + restMs);
+
+  const existing = await Schedule.find({
+    assignedEmployees: { $in: employeeIds },
+    status: { $ne: 'cancelled' },
+    startTime: { $lt: windowEnd },
+    endTime: { $gt: windowStart }
+  }).select('startTime endTime assignedEmployees');
+
+  const absences = await Absence.find({
+    user: { $in: employeeIds },
+    status: 'approved',
+    startDate: { $lte: new Date(`${days[days.length - 1]}T00:00:00.000Z`) },
+    endDate: { $gte: new Date(`${days[0]}T00:00:00.000Z`) }
+  });
+
+  const availabilities = await Availability.find({ user: { $in: employeeIds } });
+  const availabilityByUser = new Map(availabilities.map(availability => [availability.user.toString(), availability]));
+
+  // Per employee: shifts booked so far and hours in the week
+  const state = new Map(employees.map(employee => [employee._id.toString(), { employee, bookings: [], hours: 0 }]));
+  for (const schedule of existing) {
+    for (const id of schedule.assignedEmployees.map(toId)) {
+      const entry = state.get(id);
+      if (!entry) continue;
+      entry.bookings.push({ startTime: schedule.startTime, endTime: schedule.endTime });
+      if (schedule.startTime >= startDate && schedule.startTime <= endDate) {
+        entry.hours += (schedule.endTime - schedule.startTime) / HOUR_MS;
+      }
+    }
+  }
+
+  // Department, position, leave and availability do not change while solving
+  for (const slot of slots) {
+    const { requirement } = slot;
+    slot.eligible = employees.filter(employee => {
+      const id = employee._id.toString();
+      if (requirement.department && employee.department !== requirement.department) return false;
+      if (requirement.position && employee.position !== requirement.position) return false;
+
+      const onLeave = absences.some(absence => absence.user.toString() === id &&
+        formatDateKey(absence.startDate, 'UTC') <= slot.day && formatDateKey(absence.endDate, 'UTC') >= slot.day);
+      if (onLeave) return false;
+
+      const timezone = resolveTimeZone(employee.timezone, slot.timezone);
+      return checkAvailability(availabilityByUser.get(id), slot.startTime, slot.endTime, timezone).length === 0;
+    });
+    slot.prefers = new Set(availabilities
+      .filter(availability => availability.preferredLocations.some(location => toId(location) === slot.location._id.toString()))
+      .map(availability => availability.user.toString()));
+  }
+
+  const canWork = (entry, slot) => {
+    if (entry.hours + slot.hours > maxWeeklyHours) return false;
+    return entry.bookings.every(booking => {
+      if (booking.startTime < slot.endTime && booking.endTime > slot.startTime) return false;
+      const gap = booking.startTime >= slot.endTime ? booking.startTime - slot.endTime : slot.startTime - booking.endTime;
+      return gap >= restMs;
+    });
+  };
+
+  const order = [...slots].sort((a, b) => a.eligible.length - b.eligible.length || a.startTime - b.startTime);
+
+  for (const slot of order) {
+    while (slot.assigned.length < slot.requirement.headcount) {
+      const [best] = slot.eligible
+        .map(employee => state.get(employee._id.toString()))
+        .filter(entry => !slot.assigned.includes(entry.employee._id.toString()) && canWork(entry, slot))
+        .sort((a, b) =>
+          a.hours - b.hours ||
+          Number(slot.prefers.has(b.employee._id.toString())) - Number(slot.prefers.has(a.employee._id.toString())) ||
+          a.employee.name.localeCompare(b.employee.name)
+        );
+      if (!best) break;
+
+      slot.assigned.push(best.employee._id.toString());
+      best.bookings.push({ startTime: slot.startTime, endTime: slot.endTime });
+      best.hours += slot.hours;
+    }
+  }
+
+  const shifts = slots
+    .sort((a, b) => a.startTime - b.startTime || a.requirement.title.localeCompare(b.requirement.title))
+    .map(slot => ({
+      requirement: slot.requirement._id,
+      title: slot.requirement.title,
+      location: slot.location._id,
+      locationName: slot.location.name,
+      department: slot.requirement.department,
+      position: slot.requirement.position,
+      date: slot.day,
+      startTime: slot.startTime,
+      endTime: slot.endTime,
+      headcount: slot.requirement.headcount,
+      assignedEmployees: slot.assigned,
+      unfilled: slot.requirement.headcount - slot.assigned.length
+    }));
+
+  const required = shifts.reduce((sum, shift) => sum + shift.headcount, 0);
+  const unfilled = shifts.reduce((sum, shift) => sum + shift.unfilled, 0);
+
+  return {
+    shifts,
+    employees: [...state.values()].map(({ employee, hours }) => ({
+      id: employee._id,
+      name: employee.name,
+      department: employee.department,
+      position: employee.position,
+      weeklyHours: roundHours(hours)
+    })),
+    summary: {
+      shifts: shifts.length,
+      required,
+      filled: required - unfilled,
+      unfilled,
+      maxWeeklyHours
+    }
+  };
+};
+
+/**
+ * Save a reviewed draft as schedules and notify the assigned employees
+ * The draft may have been edited, so it is checked for conflicts again before saving.
+ * @param {Array<Object>} shifts - title, location, startTime, endTime, assignedEmployees and optionally
+ *   headcount and position of each shift
+ * @param {Object} context - Request context
+ * @param {Object} context.user - Admin publishing the rota
+ * @param {boolean} [context.force] - Save even if there are conflicts
+ * @param {boolean} [context.draft] - Save as draft schedules, published later with the rest of the week
+ * @returns {Promise<Object>} schedules and overridden conflicts, or error with a message, status and conflicts
+ */
+const publishDraft = async (shifts, { user, force, draft }) => {
+  if (!Array.isArray(shifts) || shifts.length === 0) {
+    return { error: 'There are no shifts to publish', status: 400 };
+  }
+
+  const locations = new Map(
+    (await Location.find({ _id: { $in: shifts.map(shift => shift.location).filter(Boolean) } }))
+      .map(location => [location._id.toString(), location])
+  );
+
+  const planned = [];
+  for (const shift of shifts) {
+    const location = shift.location && locations.get(toId(shift.location));
+    if (!location) {
+      return { error: 'Location not found', status: 404 };
+    }
+    const startTime = new Date(shift.startTime);
+    const endTime = new Date(shift.endTime);
+    if (!shift.title || isNaN(startTime.getTime()) || isNaN(endTime.getTime()) || endTime <= startTime) {
+      return { error: 'Each shift needs a title and a start time before its end time', status: 400 };
+    }
+
+    const timezone = resolveTimeZone(location.timezone, user.timezone);
+    planned.push({
+      timezone,
+      schedule: {
+        title: shift.title,
+        description: shift.description,
+        date: startOfDay(startTime, timezone),
+        startTime,
+        endTime,
+        startTimeString: formatTimeInZone(startTime, timezone),
+        endTimeString: formatTimeInZone(endTime, timezone),
+        location: location._id,
+        team: user.team,
+        assignedEmployees: [...new Set((shift.assignedEmployees || []).map(toId))],
+        // Keep the requirement's headcount so coverage reports show unfilled seats
+        requiredHeadcount: parseInt(shift.headcount) || undefined,
+        positionRequirements: shift.position && parseInt(shift.headcount)
+          ? [{ position: shift.position, headcount: parseInt(shift.headcount) }]
+          : [],
+        notificationOptions: {
+          sendEmail: true,
+          sendWhatsapp: true,
+          reminderTime: 24
+        },
+        createdBy: user._id,
+        publicationStatus: draft ? 'draft' : 'published',
+        publishedAt: draft ? undefined : new Date()
+      }
+    });
+  }
+
+  const conflicts = await findConflicts(planned.map(({ schedule, timezone }) => ({
+    employeeIds: schedule.assignedEmployees,
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    title: schedule.title,
+    timezone
+  })));
+  if (conflicts.length > 0 && !force) {
+    return { error: 'Scheduling conflicts found. Pass force to save anyway.', status: 409, conflicts };
+  }
+
+  const schedules = await Schedule.insertMany(planned.map(({ schedule }) => {
+    const doc = new Schedule(schedule);
+    if (!draft) doc.publishedSnapshot = snapshotSchedule(doc);
+    return doc;
+  }));
+
+  const staffed = schedules.filter(schedule => schedule.assignedEmployees.length > 0);
+  if (!draft && staffed.length > 0) {
+    await notifyScheduleChanges(
+      staffed.map(schedule => ({ before: null, after: snapshotSchedule(schedule) })),
+      { createdBy: user._id, summary: 'weekly rota' }
+    );
+    await Schedule.updateMany({ _id: { $in: staffed.map(schedule => schedule._id) } }, { $set: { notificationSent: true } });
+  }
+
+  return { schedules, conflicts };
+};
+
+module.exports = {
+  MAX_WEEKLY_HOURS,
+  normalizeRequirement,
+  solveRota,
+  publishDraft
+};
@@ -0,0 +1,179 @@
+const User = require('../models/User');
+const Location = require('../models/Location');
+const { notifyUser } = require('./notificationService');
+const { sendScheduleWhatsApp, sendScheduleChangeWhatsApp } = require('./twilioService');
+const { resolveTimeZone, formatDateInZone, formatTimeInZone } = require('./timezone');
+
+/**
+ * Take a copy of the fields employees are notified about, before a schedule is changed
+ * @param {Object} schedule - Schedule object
+ * @returns {Object} Plain snapshot of the schedule
+ */
+const snapshotSchedule = (schedule) => ({
+  _id: schedule._id,
+  title: schedule.title,
+  startTime: schedule.startTime && new Date(schedule.startTime),
+  endTime: schedule.endTime && new Date(schedule.endTime),
+  location: schedule.location && (schedule.location._id || schedule.location).toString(),
+  status: schedule.status,
+  publicationStatus: schedule.publicationStatus || 'published',
+  assignedEmployees: (schedule.assignedEmployees || []).map(emp => (emp._id || emp).toString())
+});
+
+// Whether a change matters to employees who stay on the schedule
+const hasRelevantChange = (before, after) => {
+  return before.title !== after.title ||
+    before.startTime.getTime() !== after.startTime.getTime() ||
+    before.endTime.getTime() !== after.endTime.getTime() ||
+    before.location !== after.location ||
+    before.status !== after.status;
+};
+
+/**
+ * Describe a shift in one line, e.g. "Morning shift on ... from 08:00 to 16:00 at Depot, 1 Quay Street, Leeds"
+ * @param {Object} schedule - Schedule or snapshot
+ * @param {Object} [location] - Schedule's location, if it isn't populated on the schedule
+ * @returns {string} Description in the location's time zone
+ */
+const describeSchedule = (schedule, location = schedule.location) => {
+  const timezone = resolveTimeZone(location && location.timezone);
+  let text = `${schedule.title} on ${formatDateInZone(schedule.startTime, timezone)} ` +
+    `from ${formatTimeInZone(schedule.startTime, timezone)} to ${formatTimeInZone(schedule.endTime, timezone)}`;
+  if (location && location.name) {
+    text += ` at ${[location.name, location.address, location.city].filter(Boolean).join(', ')}`;
+  }
+  return text;
+};
+
+const describeShifts = (schedules, locations, summary) => {
+  if (schedules.length === 1) {
+    return describeSchedule(schedules[0], locations.get(schedules[0].location));
+  }
+  const first = schedules[0];
+  const location = locations.get(first.location);
+  const timezone = resolveTimeZone(location && location.timezone);
+  return `${schedules.length} shifts of ${first.title}${summary ? ` (${summary})` : ''} starting ${formatDateInZone(first.startTime, timezone)}`;
+};
+
+/**
+ * Notify employees about new, changed, cancelled or removed schedules
+ * Each employee gets a single notification covering every schedule in the batch,
+ * so editing a whole series does not send one message per occurrence. Drafts are skipped.
+ * @param {Array} changes - { before, after } pairs of snapshots; before is null for new schedules, after is null for deleted ones
+ * @param {Object} options - Notification options
+ * @param {ObjectId} options.createdBy - User making the change
+ * @param {string} [options.summary] - Description of the recurrence when several schedules change at once
+ * @returns {Promise<number>} Number of employees notified
+ */
+const notifyScheduleChanges = async (changes, { createdBy, summary } = {}) => {
+  const byEmployee = new Map();
+  const track = (employeeId, kind, schedule) => {
+    if (!byEmployee.has(employeeId)) {
+      byEmployee.set(employeeId, { assigned: [], changed: [], cancelled: [], removed: [] });
+    }
+    byEmployee.get(employeeId)[kind].push(schedule);
+  };
+
+  for (const change of changes) {
+    // Employees never saw drafts, so a draft counts as no schedule at all
+    const before = change.before && change.before.publicationStatus !== 'draft' ? change.before : null;
+    const after = change.after && change.after.publicationStatus !== 'draft' ? change.after : null;
+    if (!before && !after) continue;
+
+    const beforeIds = before ? before.assignedEmployees : [];
+    const afterIds = after ? after.assignedEmployees : [];
+
+    if (!after) {
+      beforeIds.forEach(id => track(id, 'cancelled', before));
+      continue;
+    }
+
+    const cancelled = after.status === 'cancelled' && (!before || before.status !== 'cancelled');
+    for (const id of afterIds) {
+      if (!beforeIds.includes(id)) {
+        if (after.status !== 'cancelled') track(id, 'assigned', after);
+      } else if (cancelled) {
+        track(id, 'cancelled', after);
+      } else if (hasRelevantChange(before, after)) {
+        track(id, 'changed', after);
+      }
+    }
+    beforeIds
+      .filter(id => !afterIds.includes(id))
+      .forEach(id => track(id, 'removed', before));
+  }
+
+  if (byEmployee.size === 0) {
+    return 0;
+  }
+
+  const locationIds = new Set();
+  changes.forEach(({ before, after }) => {
+    [before, after].forEach(schedule => schedule && schedule.location && locationIds.add(schedule.location));
+  });
+  const locations = new Map(
+    (await Location.find({ _id: { $in: [...locationIds] } })).map(location => [location._id.toString(), location])
+  );
+  const employees = await User.find({ _id: { $in: [...byEmployee.keys()] } });
+
+  let notified = 0;
+
+  for (const employee of employees) {
+    const { assigned, changed, cancelled, removed } = byEmployee.get(employee._id.toString());
+
+    const lines = [];
+    if (assigned.length > 0) {
+      lines.push(`You have been assigned to ${describeShifts(assigned, locations, summary)}.`);
+    }
+    if (changed.length > 0) {
+      lines.push(`Updated: ${describeShifts(changed, locations, summary)}.`);
+    }
+    if (cancelled.length > 0) {
+      lines.push(`Cancelled: ${describeShifts(cancelled, locations, summary)}.`);
+    }
+    if (removed.length > 0) {
+      lines.push(`You are no longer assigned to ${describeShifts(removed, locations, summary)}.`);
+    }
+
+    const isNewOnly = changed.length === 0 && cancelled.length === 0 && removed.length === 0;
+    const shifts = [...assigned, ...changed, ...cancelled, ...removed];
+    const schedule = shifts[0];
+    const location = locations.get(schedule.location);
+    const templateSchedule = {
+      ...schedule,
+      date: schedule.startTime,
+      startTimeString: formatTimeInZone(schedule.startTime, resolveTimeZone(location && location.timezone))
+    };
+
+    // The single-shift templates only fit one shift; a batch goes out as the consolidated text
+    const whatsappSender = shifts.length === 1
+      ? (user) => isNewOnly
+        ? sendScheduleWhatsApp(user, templateSchedule, location, true)
+        : sendScheduleChangeWhatsApp(user, templateSchedule, location, true)
+      : undefined;
+
+    try {
+      await notifyUser(employee, {
+        subject: shifts.length > 1
+          ? (isNewOnly ? `New Schedules: ${shifts.length} shifts` : `Schedule Update: ${shifts.length} shifts`)
+          : (isNewOnly ? `New Schedule: ${schedule.title}` : `Schedule Update: ${schedule.title}`),
+        content: `Hello ${employee.name},\n\n${lines.join('\n')}\n\nPlease log in to the system for more details.`,
+        relatedTo: 'schedule',
+        relatedId: schedule._id,
+        createdBy,
+        whatsappSender
+      });
+      notified++;
+    } catch (err) {
+      console.error(`Notification error for employee ${employee._id}:`, err.message);
+    }
+  }
+
+  return notified;
+};
+
+module.exports = {
+  snapshotSchedule,
+  describeSchedule,
+  notifyScheduleChanges
+};
@@ -0,0 +1,123 @@
+const Schedule = require('../models/Schedule');
+const { snapshotSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const { alertOnRemovals } = require('./coverageService');
+const { toObjectId } = require('./stagedAssignments');
+
+// Schedules employees may see; ones created before drafts existed have no status and count as published
+const PUBLISHED = { publicationStatus: { $ne: 'draft' } };
+
+// Schedules a publish would tell employees about
+const UNPUBLISHED = { $or: [{ publicationStatus: 'draft' }, { hasUnpublishedChanges: true }] };
+
+// Fields employees see; staged edits to them wait in pendingChanges until the next publish
+const STAGED_FIELDS = [
+  'title', 'description', 'date', 'startTime', 'endTime', 'startTimeString', 'endTimeString',
+  'location', 'assignedEmployees', 'status'
+];
+
+/**
+ * A schedule as it will be once its staged edits are published
+ * @param {Object} schedule - Schedule document, loaded with +pendingChanges
+ * @returns {Object} Plain schedule with the staged values applied
+ */
+const withPendingChanges = (schedule) => {
+  const { pendingChanges, ...fields } = schedule.toObject();
+  return { ...fields, ...(pendingChanges || {}) };
+};
+
+/**
+ * Apply an edit to a schedule before it is saved
+ * Drafts are edited in place. On a published schedule an edit is either staged in pendingChanges,
+ * leaving what employees see untouched until the next publish, or goes out straight away.
+ * @param {Object} schedule - Schedule document, loaded with +pendingChanges
+ * @param {Object} fields - Field values to set
+ * @param {boolean} stage - Keep the edit until the next publish
+ * @returns {Object|null} { before, after } change to notify now, or null
+ */
+const applyEdit = (schedule, fields, stage) => {
+  if (schedule.publicationStatus === 'draft') {
+    schedule.set(fields);
+    return null;
+  }
+
+  const staged = {};
+  const live = {};
+  for (const [field, value] of Object.entries(fields)) {
+    (stage && STAGED_FIELDS.includes(field) ? staged : live)[field] = value;
+  }
+  if (staged.assignedEmployees) {
+    staged.assignedEmployees = staged.assignedEmployees.map(toObjectId);
+  }
+
+  // A value set straight away replaces a staged value of the same field
+  const pending = { ...(schedule.pendingChanges || {}) };
+  Object.keys(live).forEach(field => delete pending[field]);
+  Object.assign(pending, staged);
+
+  const before = snapshotSchedule(schedule);
+  schedule.set(live);
+  schedule.pendingChanges = Object.keys(pending).length > 0 ? pending : undefined;
+  schedule.markModified('pendingChanges');
+  schedule.hasUnpublishedChanges = !!schedule.pendingChanges;
+  if (stage) {
+    return null;
+  }
+
+  schedule.publishedSnapshot = snapshotSchedule(schedule);
+  schedule.publishedAt = new Date();
+  return { before, after: schedule.publishedSnapshot };
+};
+
+/**
+ * Publish drafts and staged edits, sending each employee one message with their new,
+ * changed and removed shifts, and alert admins about shifts the removals leave understaffed
+ * @param {Array<Object>} schedules - Schedule documents to publish, loaded with +pendingChanges
+ * @param {Object} options - Notification options
+ * @param {ObjectId} options.createdBy - Admin publishing
+ * @param {string} [options.summary] - Description used when several shifts change at once
+ * @returns {Promise<Object>} Number of schedules published and employees notified
+ */
+const publishSchedules = async (schedules, { createdBy, summary }) => {
+  if (schedules.length === 0) {
+    return { published: 0, notified: 0 };
+  }
+
+  const now = new Date();
+  const changes = schedules.map(schedule => {
+    const before = schedule.publicationStatus === 'draft' ? null : snapshotSchedule(schedule);
+    const after = { ...snapshotSchedule(withPendingChanges(schedule)), publicationStatus: 'published' };
+    return { schedule, before, after };
+  });
+
+  await Schedule.bulkWrite(changes.map(({ schedule, after }) => ({
+    updateOne: {
+      filter: { _id: schedule._id },
+      update: {
+        $set: {
+          ...(schedule.pendingChanges || {}),
+          publicationStatus: 'published',
+          publishedAt: now,
+          publishedSnapshot: after,
+          hasUnpublishedChanges: false,
+          notificationSent: true,
+          updatedAt: now
+        },
+        $unset: { pendingChanges: '' }
+      }
+    }
+  })));
+
+  const published = changes.map(({ before, after }) => ({ before, after }));
+  const notified = await notifyScheduleChanges(published, { createdBy, summary });
+  await alertOnRemovals(published, { createdBy });
+
+  return { published: schedules.length, notified };
+};
+
+module.exports = {
+  PUBLISHED,
+  UNPUBLISHED,
+  withPendingChanges,
+  applyEdit,
+  publishSchedules
+};
@@ -0,0 +1,444 @@
+const Schedule = require('../models/Schedule');
+const ScheduleSeries = require('../models/ScheduleSeries');
+const Location = require('../models/Location');
+const {
+  resolveTimeZone,
+  formatDateKey,
+  parseCalendarDate,
+  parseTimeOfDay
+} = require('./timezone');
+const { resolveScheduleTimes } = require('./scheduleTime');
+const {
+  keyToDate,
+  dateToKey,
+  addDays,
+  normalizeRecurrence,
+  expandRecurrence,
+  describeRecurrence
+} = require('./recurrence');
+const { snapshotSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const { findConflicts } = require('./conflictService');
+const { withPendingChanges, applyEdit } = require('./schedulePublication');
+const { normalizeStaffing, alertOnRemovals } = require('./coverageService');
+
+// Edit scopes for an occurrence of a series
+const SCOPES = ['this', 'following', 'series'];
+
+// Occurrences that are being or have been worked are never rewritten by series edits
+const LOCKED_STATUSES = ['in-progress', 'completed'];
+
+const toKey = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Build (without saving) the schedule a series generates for one calendar day
+const buildOccurrence = (series, dayKey, timezone, draft = false) => {
+  const times = resolveScheduleTimes(
+    { date: dayKey, startTime: series.startTimeString, endTime: series.endTimeString },
+    timezone
+  );
+
+  const occurrence = new Schedule({
+    title: series.title,
+    description: series.description,
+    date: times.date,
+    startTime: times.startTime,
+    endTime: times.endTime,
+    startTimeString: series.startTimeString,
+    endTimeString: series.endTimeString,
+    location: series.location,
+    team: series.team,
+    assignedEmployees: series.assignedEmployees,
+    requiredHeadcount: series.requiredHeadcount,
+    positionRequirements: series.positionRequirements,
+    notificationOptions: series.notificationOptions,
+    status: series.status === 'cancelled' ? 'cancelled' : 'scheduled',
+    createdBy: series.createdBy,
+    series: series._id,
+    occurrenceDate: keyToDate(dayKey),
+    publicationStatus: draft ? 'draft' : 'published'
+  });
+
+  if (!draft) {
+    occurrence.publishedAt = Date.now();
+    occurrence.publishedSnapshot = snapshotSchedule(occurrence);
+  }
+  return occurrence;
+};
+
+const validateTimesOfDay = (startTime, endTime) => {
+  for (const value of [startTime, endTime]) {
+    if (value && !parseTimeOfDay(value)) {
+      return 'Times must be times of day like "9:00 AM" for recurring schedules';
+    }
+  }
+  return null;
+};
+
+/**
+ * Create a recurring series and all of its occurrences
+ * @param {Object} input - title, description, startDate, startTime, endTime, location, assignedEmployees,
+ *   requiredHeadcount, positionRequirements, notificationOptions, recurrence (object) or rrule (RRULE string),
+ *   force to save despite conflicts and draft to keep the occurrences unpublished
+ * @param {Object} context - Request context
+ * @param {Object} context.user - Admin creating the series
+ * @param {Object} context.location - Location document
+ * @returns {Promise<Object>} series, schedules and overridden conflicts, or error with a message, status and conflicts
+ */
+const createSeries = async (input, { user, location }) => {
+  const timezone = resolveTimeZone(location.timezone, user.timezone);
+
+  const startDay = parseCalendarDate(input.startDate || input.date, timezone);
+  if (!startDay) {
+    return { error: 'Invalid start date. Please use format like "2025-06-30"' };
+  }
+  const startKey = toKey(startDay);
+
+  if (!input.startTime || !input.endTime) {
+    return { error: 'Start time and end time are required' };
+  }
+  const timeError = validateTimesOfDay(input.startTime, input.endTime);
+  if (timeError) {
+    return { error: timeError };
+  }
+
+  const { recurrence, error } = normalizeRecurrence(input.recurrence || input.rrule, startKey);
+  if (error) {
+    return { error };
+  }
+
+  const days = expandRecurrence(recurrence, startKey);
+  if (days.length === 0) {
+    return { error: 'Recurrence does not produce any occurrences' };
+  }
+
+  const staffing = normalizeStaffing(input);
+  if (staffing.error) {
+    return { error: staffing.error };
+  }
+
+  const series = new ScheduleSeries({
+    title: input.title,
+    description: input.description,
+    startDate: keyToDate(startKey),
+    startTimeString: input.startTime,
+    endTimeString: input.endTime,
+    recurrence,
+    location: location._id,
+    team: user.team,
+    assignedEmployees: input.assignedEmployees || [],
+    ...staffing.fields,
+    notificationOptions: input.notificationOptions || {
+      sendEmail: true,
+      sendWhatsapp: true,
+      reminderTime: 24
+    },
+    createdBy: user._id
+  });
+  const occurrences = days.map(day => buildOccurrence(series, day, timezone, !!input.draft));
+
+  const conflicts = await findConflicts(occurrences.map(occurrence => ({
+    employeeIds: occurrence.assignedEmployees,
+    startTime: occurrence.startTime,
+    endTime: occurrence.endTime,
+    title: occurrence.title,
+    timezone
+  })));
+  if (conflicts.length > 0 && !input.force) {
+    return { error: 'Scheduling conflicts found. Pass force to save anyway.', status: 409, conflicts };
+  }
+
+  await series.save();
+  const schedules = await Schedule.insertMany(occurrences);
+
+  if (!input.draft && series.assignedEmployees.length > 0) {
+    await notifyScheduleChanges(
+      schedules.map(schedule => ({ before: null, after: snapshotSchedule(schedule) })),
+      { createdBy: user._id, summary: describeRecurrence(recurrence) }
+    );
+    await Schedule.updateMany({ series: series._id }, { $set: { notificationSent: true } });
+  }
+
+  return { series, schedules, conflicts };
+};
+
+/**
+ * Edit or cancel an occurrence together with the following occurrences or the whole series
+ * "following" splits the series: the original ends the day before and a new series carries the change.
+ * "series" only rewrites occurrences that have not started yet. Changing the recurrence removes
+ * occurrences that no longer match and creates the missing ones.
+ * @param {Object} schedule - Occurrence the edit was made from
+ * @param {string} scope - 'following' or 'series'
+ * @param {Object} input - title, description, startTime, endTime, location, assignedEmployees,
+ *   requiredHeadcount, positionRequirements, notificationOptions, status, recurrence or rrule,
+ *   force to save despite conflicts and draft to stage the edit until the next publish
+ * @param {Object} context - Request context
+ * @param {Object} context.user - Admin making the change
+ * @returns {Promise<Object>} series, schedules and overridden conflicts, or error with a message, status and conflicts
+ */
+const updateSeriesOccurrences = async (schedule, scope, input, { user }) => {
+  const series = await ScheduleSeries.findById(schedule.series);
+  if (!series) {
+    return { error: 'Schedule series not found', status: 404 };
+  }
+
+  if (input.date) {
+    return { error: 'The date can only be changed for a single occurrence' };
+  }
+  const timeError = validateTimesOfDay(input.startTime, input.endTime);
+  if (timeError) {
+    return { error: timeError };
+  }
+  const staffing = normalizeStaffing(input, series);
+  if (staffing.error) {
+    return { error: staffing.error };
+  }
+
+  const locationDoc = await Location.findById(input.location || series.location);
+  if (input.location && !locationDoc) {
+    return { error: 'Location not found', status: 404 };
+  }
+  const timezone = resolveTimeZone(locationDoc && locationDoc.timezone, user.timezone);
+
+  const seriesStartKey = dateToKey(series.startDate);
+  const occurrenceKey = dateToKey(schedule.occurrenceDate || series.startDate);
+  if (scope === 'following' && occurrenceKey <= seriesStartKey) {
+    scope = 'series';
+  }
+
+  // Split the series so earlier occurrences keep the old definition
+  let target = series;
+  if (scope === 'following') {
+    const remaining = expandRecurrence(series.recurrence, seriesStartKey).filter(key => key >= occurrenceKey);
+    const copy = series.toObject();
+    delete copy._id;
+    delete copy.__v;
+
+    target = new ScheduleSeries({
+      ...copy,
+      startDate: keyToDate(occurrenceKey),
+      recurrence: {
+        ...copy.recurrence,
+        until: keyToDate(remaining.length > 0 ? remaining[remaining.length - 1] : occurrenceKey),
+        count: undefined
+      },
+      createdAt: Date.now()
+    });
+
+    series.recurrence.until = keyToDate(addDays(occurrenceKey, -1));
+    series.recurrence.count = undefined;
+    series.updatedAt = Date.now();
+  }
+
+  const targetStartKey = dateToKey(target.startDate);
+  const recurrenceInput = input.recurrence || input.rrule;
+  if (recurrenceInput) {
+    const { recurrence, error } = normalizeRecurrence(recurrenceInput, targetStartKey);
+    if (error) {
+      return { error };
+    }
+    target.recurrence = recurrence;
+  }
+
+  if (input.title) target.title = input.title;
+  if (input.description !== undefined) target.description = input.description;
+  if (input.startTime) target.startTimeString = input.startTime;
+  if (input.endTime) target.endTimeString = input.endTime;
+  if (input.location) target.location = input.location;
+  if (input.assignedEmployees) target.assignedEmployees = input.assignedEmployees;
+  Object.assign(target, staffing.fields);
+  if (input.notificationOptions) target.notificationOptions = input.notificationOptions;
+  if (input.status) target.status = input.status === 'cancelled' ? 'cancelled' : 'active';
+  target.updatedAt = Date.now();
+
+  // Occurrences in scope: from the chosen one for "following", from today for "series"
+  const todayKey = formatDateKey(new Date(), timezone);
+  const scopeStartKey = scope === 'following' ? occurrenceKey : [seriesStartKey, todayKey].sort()[1];
+  const now = new Date();
+
+  const occurrences = await Schedule.find({
+    series: series._id,
+    occurrenceDate: { $gte: keyToDate(scopeStartKey) }
+  }).select('+pendingChanges').sort({ occurrenceDate: 1 });
+
+  const isEditable = (occurrence) =>
+    !LOCKED_STATUSES.includes(occurrence.status) && (scope === 'following' || occurrence.startTime >= now);
+
+  const wantedKeys = recurrenceInput
+    ? new Set(expandRecurrence(target.recurrence, targetStartKey).filter(key => key >= scopeStartKey))
+    : null;
+
+  // Work out every change in memory first so conflicts can stop the whole edit
+  const removed = [];
+  const updated = [];
+
+  for (const occurrence of occurrences.filter(isEditable)) {
+    if (wantedKeys && !wantedKeys.has(dateToKey(occurrence.occurrenceDate))) {
+      removed.push({ occurrence });
+      continue;
+    }
+
+    // Edits build on earlier staged edits, if any
+    const current = withPendingChanges(occurrence);
+    const before = snapshotSchedule(current);
+
+    const fields = { ...staffing.fields };
+    if (input.title) fields.title = input.title;
+    if (input.description !== undefined) fields.description = input.description;
+    if (input.location) fields.location = input.location;
+    if (input.assignedEmployees) fields.assignedEmployees = input.assignedEmployees;
+    if (input.notificationOptions) fields.notificationOptions = input.notificationOptions;
+    if (input.status) fields.status = input.status;
+
+    if (input.startTime || input.endTime) {
+      const times = resolveScheduleTimes({ startTime: input.startTime, endTime: input.endTime }, timezone, current);
+      if (times.startTime) fields.startTime = times.startTime;
+      if (times.endTime) fields.endTime = times.endTime;
+      if (input.startTime) fields.startTimeString = input.startTime;
+      if (input.endTime) fields.endTimeString = input.endTime;
+    }
+
+    fields.series = target._id;
+    fields.updatedAt = Date.now();
+    const change = applyEdit(occurrence, fields, !!input.draft);
+    updated.push({ occurrence, before, proposed: withPendingChanges(occurrence), change });
+  }
+
+  // Create occurrences a changed recurrence adds
+  // They stay drafts while the series has not been published
+  const existingKeys = new Set(occurrences.map(occurrence => dateToKey(occurrence.occurrenceDate)));
+  const draftSeries = occurrences.some(occurrence => occurrence.publicationStatus === 'draft');
+  const created = wantedKeys
+    ? [...wantedKeys]
+      .filter(key => !existingKeys.has(key))
+      .map(key => buildOccurrence(target, key, timezone, draftSeries || !!input.draft))
+      .filter(occurrence => occurrence.startTime >= now)
+    : [];
+
+  // Check everyone when times, dates or location move, otherwise only newly assigned employees
+  const timesChanged = !!(input.startTime || input.endTime || input.location || recurrenceInput);
+  const proposals = [
+    ...updated.map(({ proposed, before }) => ({
+      occurrence: proposed,
+      employeeIds: proposed.assignedEmployees.map(id => id.toString())
+        .filter(id => timesChanged || !before.assignedEmployees.includes(id))
+    })),
+    ...created.map(occurrence => ({
+      occurrence,
+      employeeIds: occurrence.assignedEmployees.map(id => id.toString())
+    }))
+  ].filter(({ occurrence }) => occurrence.status !== 'cancelled');
+
+  const conflicts = await findConflicts(
+    proposals.map(({ occurrence, employeeIds }) => ({
+      employeeIds,
+      startTime: occurrence.startTime,
+      endTime: occurrence.endTime,
+      scheduleId: occurrence._id,
+      title: occurrence.title,
+      timezone
+    })),
+    { excludeScheduleIds: occurrences.filter(isEditable).map(occurrence => occurrence._id) }
+  );
+  if (conflicts.length > 0 && !input.force) {
+    return { error: 'Scheduling conflicts found. Pass force to save anyway.', status: 409, conflicts };
+  }
+
+  if (target !== series) {
+    await series.save();
+  }
+  await target.save();
+
+  const changes = [];
+
+  for (const { occurrence } of removed) {
+    await Schedule.findByIdAndDelete(occurrence._id);
+    changes.push({ before: snapshotSchedule(occurrence), after: null });
+  }
+
+  for (const { occurrence, change } of updated) {
+    await occurrence.save();
+    if (change) changes.push(change);
+  }
+
+  const inserted = created.length > 0 ? await Schedule.insertMany(created) : [];
+  inserted.forEach(occurrence => changes.push({ before: null, after: snapshotSchedule(occurrence) }));
+
+  await notifyScheduleChanges(changes, {
+    createdBy: user._id,
+    summary: describeRecurrence(target.recurrence)
+  });
+  await alertOnRemovals(changes, { createdBy: user._id });
+
+  const schedules = [...updated.map(({ occurrence }) => occurrence), ...inserted]
+    .sort((a, b) => a.startTime - b.startTime);
+
+  return { series: target, schedules, conflicts };
+};
+
+/**
+ * Delete an occurrence together with the following occurrences or the whole series
+ * Occurrences that have started or been worked are kept, and the series then ends with the last of them.
+ * Employees on upcoming deleted occurrences are told the shifts are cancelled.
+ * @param {Object} schedule - Occurrence the delete was made from
+ * @param {string} scope - 'following' or 'series'
+ * @param {Object} context - Request context
+ * @param {Object} context.user - Admin making the change
+ * @returns {Promise<Object>} Number of deleted schedules, or error with a message and optional status
+ */
+const deleteSeriesOccurrences = async (schedule, scope, { user }) => {
+  const series = await ScheduleSeries.findById(schedule.series);
+  if (!series) {
+    return { error: 'Schedule series not found', status: 404 };
+  }
+
+  const seriesStartKey = dateToKey(series.startDate);
+  const occurrenceKey = dateToKey(schedule.occurrenceDate || series.startDate);
+  if (scope === 'following' && occurrenceKey <= seriesStartKey) {
+    scope = 'series';
+  }
+
+  const query = { series: series._id };
+  if (scope === 'following') {
+    query.occurrenceDate = { $gte: keyToDate(occurrenceKey) };
+  }
+  const occurrences = await Schedule.find(query);
+  const summary = describeRecurrence(series.recurrence);
+
+  const now = new Date();
+  const isDeletable = (occurrence) => !LOCKED_STATUSES.includes(occurrence.status) && occurrence.startTime >= now;
+  const deleted = occurrences.filter(isDeletable);
+  const keptKeys = occurrences
+    .filter(occurrence => !isDeletable(occurrence))
+    .map(occurrence => dateToKey(occurrence.occurrenceDate));
+
+  await Schedule.deleteMany({ _id: { $in: deleted.map(occurrence => occurrence._id) } });
+
+  if (scope === 'series' && keptKeys.length === 0) {
+    await ScheduleSeries.findByIdAndDelete(series._id);
+  } else {
+    const endKeys = scope === 'following' ? [addDays(occurrenceKey, -1), ...keptKeys] : keptKeys;
+    series.recurrence.until = keyToDate(endKeys.sort()[endKeys.length - 1]);
+    series.recurrence.count = undefined;
+    series.updatedAt = Date.now();
+    await series.save();
+  }
+
+  await notifyScheduleChanges(
+    deleted
+      .filter(occurrence => occurrence.status !== 'cancelled')
+      .map(occurrence => ({
+        before: snapshotSchedule(occurrence),
+        after: null
+      })),
+    { createdBy: user._id, summary }
+  );
+
+  return { deleted: deleted.length };
+};
+
+module.exports = {
+  SCOPES,
+  createSeries,
+  updateSeriesOccurrences,
+  deleteSeriesOccurrences
+};
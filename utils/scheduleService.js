@@ -0,0 +1,90 @@
+const Schedule = require('../models/Schedule');
+const { resolveTimeZone } = require('./timezone');
+const { resolveScheduleTimes } = require('./scheduleTime');
+const { snapshotSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const { findConflicts } = require('./conflictService');
+const { normalizeStaffing } = require('./coverageService');
+
+/**
+ * Create a single schedule and tell its employees about it
+ * @param {Object} input - title, description, date, startTime, endTime, assignedEmployees, requiredHeadcount,
+ *   positionRequirements, notificationOptions, force to save despite conflicts and draft to keep it unpublished
+ * @param {Object} context - Request context
+ * @param {Object} context.user - Admin creating the schedule
+ * @param {Object} context.location - Location document
+ * @returns {Promise<Object>} schedule and overridden conflicts, or error with a message, status and conflicts
+ */
+const createSchedule = async (input, { user, location }) => {
+  const { title, description, date, startTime, endTime, assignedEmployees, notificationOptions, force, draft } = input;
+
+  // Parse date and times in the location's time zone
+  const timezone = resolveTimeZone(location.timezone, user.timezone);
+  const times = resolveScheduleTimes({ date, startTime, endTime }, timezone);
+  if (times.error) {
+    return { error: times.error };
+  }
+  if (!times.startTime || !times.endTime) {
+    return { error: 'Start time and end time are required' };
+  }
+
+  const staffing = normalizeStaffing(input);
+  if (staffing.error) {
+    return { error: staffing.error };
+  }
+
+  // Check assigned employees for double-booking, approved leave and rest time
+  const conflicts = await findConflicts([{
+    employeeIds: assignedEmployees || [],
+    startTime: times.startTime,
+    endTime: times.endTime,
+    title,
+    timezone
+  }]);
+  if (conflicts.length > 0 && !force) {
+    return { error: 'Scheduling conflicts found. Pass force to save anyway.', status: 409, conflicts };
+  }
+
+  const newSchedule = new Schedule({
+    title,
+    description,
+    date: times.date,
+    startTime: times.startTime,
+    endTime: times.endTime,
+    startTimeString: startTime,
+    endTimeString: endTime,
+    location: location._id,
+    team: user.team,
+    assignedEmployees: assignedEmployees || [],
+    ...staffing.fields,
+    notificationOptions: notificationOptions || {
+      sendEmail: true,
+      sendWhatsapp: true,
+      reminderTime: 24
+    },
+    createdBy: user._id,
+    publicationStatus: draft ? 'draft' : 'published'
+  });
+  if (!draft) {
+    newSchedule.publishedAt = Date.now();
+    newSchedule.publishedSnapshot = snapshotSchedule(newSchedule);
+  }
+
+  const schedule = await newSchedule.save();
+
+  // Send notifications to assigned employees (drafts wait until they are published)
+  if (!draft && schedule.assignedEmployees.length > 0) {
+    await notifyScheduleChanges(
+      [{ before: null, after: snapshotSchedule(schedule) }],
+      { createdBy: user._id }
+    );
+
+    schedule.notificationSent = true;
+    await schedule.save();
+  }
+
+  return { schedule, conflicts };
+};
+
+module.exports = {
+  createSchedule
+};
@@ -0,0 +1,95 @@
+const {
+  getZonedParts,
+  zonedTimeToUtc,
+  parseCalendarDate,
+  parseTimeOfDay
+} = require('./timezone');
+
+/**
+ * Turn one time value into an instant on a calendar day
+ * @param {Object} calendarDate - year, month and day
+ * @param {string|Date} value - Time of day ("9:00 AM", "17:00") or a full date/ISO string
+ * @param {string} timezone - IANA time zone of the schedule
+ * @returns {Object|null} instant and whether it came from a time of day, or null if invalid
+ */
+const resolveTime = (calendarDate, value, timezone) => {
+  const timeOfDay = typeof value === 'string' ? parseTimeOfDay(value) : null;
+  if (timeOfDay) {
+    return {
+      instant: zonedTimeToUtc({ ...calendarDate, hour: timeOfDay.hours, minute: timeOfDay.minutes }, timezone),
+      isTimeOfDay: true
+    };
+  }
+
+  const instant = new Date(value);
+  if (value === null || value === undefined || isNaN(instant.getTime())) {
+    return null;
+  }
+  return { instant, isTimeOfDay: false };
+};
+
+/**
+ * Work out a schedule's date, startTime and endTime in the schedule's time zone
+ * Missing values fall back to the existing schedule, keeping its local wall-clock times.
+ * An end time at or before the start time is treated as finishing the next day.
+ * @param {Object} input - date, startTime and endTime from the request
+ * @param {string} timezone - IANA time zone of the schedule's location
+ * @param {Object} [existing] - Current schedule when updating
+ * @returns {Object} date, startTime and endTime instants, or error with a message
+ */
+const resolveScheduleTimes = ({ date, startTime, endTime }, timezone, existing) => {
+  let calendarDate;
+  if (date) {
+    calendarDate = parseCalendarDate(date, timezone);
+    if (!calendarDate) {
+      return { error: 'Invalid date. Please use format like "2025-06-30"' };
+    }
+  } else if (existing) {
+    const { year, month, day } = getZonedParts(existing.startTime, timezone);
+    calendarDate = { year, month, day };
+  } else {
+    return { error: 'Date is required' };
+  }
+
+  // Keep the existing local time when only the date changes
+  const localTime = (instant) => {
+    const { hour, minute } = getZonedParts(instant, timezone);
+    return `${hour}:${String(minute).padStart(2, '0')}`;
+  };
+  const startValue = startTime || (existing && date ? localTime(existing.startTime) : null);
+  const endValue = endTime || (existing && date ? localTime(existing.endTime) : null);
+
+  const result = {
+    date: zonedTimeToUtc(calendarDate, timezone)
+  };
+
+  if (startValue) {
+    const start = resolveTime(calendarDate, startValue, timezone);
+    if (!start) {
+      return { error: 'Invalid start time format. Please use format like "9:00 AM"' };
+    }
+    result.startTime = start.instant;
+  }
+
+  if (endValue) {
+    const end = resolveTime(calendarDate, endValue, timezone);
+    if (!end) {
+      return { error: 'Invalid end time format. Please use format like "5:00 PM"' };
+    }
+    result.endTime = end.instant;
+
+    // Overnight shifts such as 4:00 PM - 12:00 AM end on the following day
+    const effectiveStart = result.startTime || (existing && existing.startTime);
+    if (end.isTimeOfDay && effectiveStart && result.endTime <= effectiveStart) {
+      const nextDay = { ...calendarDate, day: calendarDate.day + 1 };
+      const timeOfDay = parseTimeOfDay(endValue);
+      result.endTime = zonedTimeToUtc({ ...nextDay, hour: timeOfDay.hours, minute: timeOfDay.minutes }, timezone);
+    }
+  }
+
+  return result;
+};
+
+module.exports = {
+  resolveScheduleTimes
+};
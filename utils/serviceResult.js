@@ -0,0 +1,15 @@
+/**
+ * Send a service result as JSON, or its error with the status it asked for
+ * @param {Object} res - Express response
+ * @param {Object} result - Service result; error with an optional status and conflicts when it failed
+ */
+const sendResult = (res, result) => {
+  if (result.error) {
+    return res.status(result.status || 400).json({ msg: result.error, conflicts: result.conflicts });
+  }
+  res.json(result);
+};
+
+module.exports = {
+  sendResult
+};
@@ -0,0 +1,529 @@
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const ShiftSwap = require('../models/ShiftSwap');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { snapshotSchedule, describeSchedule, notifyScheduleChanges } = require('./scheduleNotifications');
+const { BLOCKING_CONFLICTS, findConflicts } = require('./conflictService');
+const { alertOnRemovals } = require('./coverageService');
+const { replaceStagedAssignee } = require('./stagedAssignments');
+const { resolveTimeZone } = require('./timezone');
+const { toId } = require('./ids');
+
+const TYPES = ['offer', 'swap', 'pool'];
+
+// Swaps that still hold the shift
+const ACTIVE_STATUSES = ['open', 'pending-approval'];
+
+const loadSchedule = (id) => Schedule.findById(id).populate('location');
+
+const isAssigned = (schedule, employeeId) => schedule.assignedEmployees.some(id => toId(id) === toId(employeeId));
+
+// Only future, scheduled shifts still worked by the expected employee can change hands
+const checkTradable = (schedule, employeeId, label) => {
+  if (!schedule) {
+    return `${label} no longer exists`;
+  }
+  if (schedule.status !== 'scheduled' || schedule.publicationStatus === 'draft' || schedule.startTime <= new Date()) {
+    return `${label} has already started or is no longer scheduled`;
+  }
+  if (!isAssigned(schedule, employeeId)) {
+    return `${label} has been reassigned since it was offered`;
+  }
+  return null;
+};
+
+/**
+ * Whether a colleague may take a shift from the requester
+ * Colleagues must be in the same team and department and not already on the shift.
+ * @param {Object} requester - Employee giving the shift away
+ * @param {Object} colleague - Employee taking it
+ * @param {Object} schedule - Shift being traded
+ * @returns {boolean} True if the colleague qualifies
+ */
+const isQualified = (requester, colleague, schedule) => {
+  if (!colleague || toId(colleague) === toId(requester)) return false;
+  if (requester.team && (!colleague.team || toId(colleague.team) !== toId(requester.team))) return false;
+  if (requester.department && colleague.department !== requester.department) return false;
+  return !isAssigned(schedule, colleague);
+};
+
+// Conflicts the trade would cause for both employees; each leaves the shift they give away
+const checkTradeConflicts = async (swap, schedule, targetSchedule, claimantId) => {
+  const shifts = [{
+    employeeIds: [claimantId],
+    startTime: schedule.startTime,
+    endTime: schedule.endTime,
+    scheduleId: schedule._id,
+    title: schedule.title,
+    timezone: resolveTimeZone(schedule.location && schedule.location.timezone)
+  }];
+  if (targetSchedule) {
+    shifts.push({
+      employeeIds: [swap.requester],
+      startTime: targetSchedule.startTime,
+      endTime: targetSchedule.endTime,
+      scheduleId: targetSchedule._id,
+      title: targetSchedule.title,
+      timezone: resolveTimeZone(targetSchedule.location && targetSchedule.location.timezone)
+    });
+  }
+
+  const excludeScheduleIds = targetSchedule ? [schedule._id, targetSchedule._id] : [schedule._id];
+  const conflicts = await findConflicts(shifts, { excludeScheduleIds });
+  return conflicts.filter(conflict => BLOCKING_CONFLICTS.includes(conflict.type));
+};
+
+const notify = async (user, swap, subject, content) => {
+  try {
+    await notifyUser(user, {
+      subject,
+      content,
+      relatedTo: 'shift-swap',
+      relatedId: swap._id,
+      team: swap.team,
+      createdBy: swap.requester
+    });
+  } catch (err) {
+    logger.error('Shift swap notification failed', { swapId: swap._id, userId: user._id, error: err.message });
+  }
+};
+
+const notifyAdmins = async (swap, subject, content) => {
+  const query = { role: 'admin' };
+  if (swap.team) {
+    query.team = swap.team;
+  }
+  const admins = await User.find(query);
+  for (const adminUser of admins) {
+    await notify(adminUser, swap, subject, content);
+  }
+};
+
+// Replace one employee with another on a schedule, only if the schedule still looks as expected
+const replaceAssignee = async (scheduleId, fromId, toUserId) => {
+  const from = new mongoose.Types.ObjectId(toId(fromId));
+  const to = new mongoose.Types.ObjectId(toId(toUserId));
+
+  const updated = await Schedule.findOneAndUpdate(
+    {
+      _id: scheduleId,
+      status: 'scheduled',
+      startTime: { $gt: new Date() },
+      assignedEmployees: { $in: [from], $nin: [to] }
+    },
+    [{
+      $set: {
+        assignedEmployees: {
+          $map: {
+            input: '$assignedEmployees',
+            as: 'employee',
+            in: { $cond: [{ $eq: ['$$employee', from] }, to, '$$employee'] }
+          }
+        },
+        updatedAt: '$$NOW'
+      }
+    }],
+    { new: true }
+  );
+  if (updated) {
+    await replaceStagedAssignee({ _id: scheduleId }, from, to);
+  }
+  return updated;
+};
+
+/**
+ * Move the shifts between the two employees
+ * Each schedule is updated in a single conditional write; if the second half of a swap
+ * cannot be applied the first one is put back.
+ * @param {Object} swap - Swap with a claimant
+ * @param {ObjectId} decidedBy - User the schedule notifications are attributed to
+ * @returns {Promise<Object>} Updated schedules, or error with a message
+ */
+const applyTrade = async (swap, decidedBy) => {
+  const schedule = await Schedule.findById(swap.schedule);
+  const targetSchedule = swap.targetSchedule ? await Schedule.findById(swap.targetSchedule) : null;
+  if (!schedule || (swap.targetSchedule && !targetSchedule)) {
+    return { error: 'the shift no longer exists' };
+  }
+
+  const before = snapshotSchedule(schedule);
+  const updated = await replaceAssignee(schedule._id, swap.requester, swap.claimant);
+  if (!updated) {
+    return { error: 'the shift has changed since it was offered' };
+  }
+
+  const changes = [{ before, after: snapshotSchedule(updated) }];
+
+  if (targetSchedule) {
+    const targetBefore = snapshotSchedule(targetSchedule);
+    const targetUpdated = await replaceAssignee(targetSchedule._id, swap.claimant, swap.requester);
+    if (!targetUpdated) {
+      await replaceAssignee(schedule._id, swap.claimant, swap.requester);
+      return { error: 'the shift offered in exchange has changed since the swap was proposed' };
+    }
+    changes.push({ before: targetBefore, after: snapshotSchedule(targetUpdated) });
+  }
+
+  await notifyScheduleChanges(changes, { createdBy: decidedBy });
+  // A swap keeps the headcount but can leave a position uncovered
+  await alertOnRemovals(changes, { reason: 'A shift swap changed who works it', createdBy: decidedBy });
+  return { schedules: changes.map(change => change.after) };
+};
+
+/**
+ * Approve a claimed swap and move the shifts
+ * Conflicts are checked again, since both employees' schedules may have changed since the claim.
+ * @param {ObjectId} swapId - Swap ID
+ * @param {ObjectId} decidedBy - Admin approving, or the claimant when the team auto-approves
+ * @returns {Promise<Object>} swap and schedules, or error with a message, status and conflicts
+ */
+const approveSwap = async (swapId, decidedBy) => {
+  // Only one approval can go through
+  const now = new Date();
+  const swap = await ShiftSwap.findOneAndUpdate(
+    { _id: swapId, status: 'pending-approval' },
+    { $set: { status: 'approved', decidedBy, decidedAt: now, updatedAt: now } },
+    { new: true }
+  );
+  if (!swap) {
+    return { error: 'This shift swap is not waiting for approval', status: 409 };
+  }
+
+  const schedule = await loadSchedule(swap.schedule);
+  const targetSchedule = swap.targetSchedule ? await loadSchedule(swap.targetSchedule) : null;
+  const problem = checkTradable(schedule, swap.requester, 'the shift') ||
+    (swap.targetSchedule && checkTradable(targetSchedule, swap.claimant, 'the shift offered in exchange'));
+  const conflicts = problem ? [] : await checkTradeConflicts(swap, schedule, targetSchedule, swap.claimant);
+  const failure = problem || (conflicts.length > 0 ? conflicts[0].message : null);
+  const result = failure ? { error: failure } : await applyTrade(swap, decidedBy);
+
+  if (result.error) {
+    swap.status = 'cancelled';
+    swap.decisionNote = result.error;
+    swap.updatedAt = Date.now();
+    await swap.save();
+
+    const users = await User.find({ _id: { $in: [swap.requester, swap.claimant] } });
+    for (const user of users) {
+      await notify(user, swap, 'Shift swap cancelled',
+        `Hello ${user.name},\n\nThe shift swap for ${schedule ? describeSchedule(schedule) : 'your shift'} could not go ahead: ${result.error}. ` +
+        'Your schedule is unchanged.');
+    }
+    return { error: `This shift swap could not be applied: ${result.error}`, status: 409, conflicts };
+  }
+
+  // The schedule notifications tell both employees which shift they now work
+  logger.info('Shift swap approved', { swapId: swap._id, requester: swap.requester, claimant: swap.claimant });
+  return { swap, schedules: result.schedules };
+};
+
+// Colleagues who could claim a pool shift without a blocking conflict
+const findClaimants = async (swap, schedule, requester) => {
+  const query = { role: 'employee', _id: { $nin: [requester._id, ...schedule.assignedEmployees] } };
+  if (requester.team) query.team = requester.team;
+  if (requester.department) query.department = requester.department;
+
+  const colleagues = await User.find(query);
+  if (colleagues.length === 0) {
+    return [];
+  }
+
+  const conflicts = await findConflicts(
+    colleagues.map(colleague => ({
+      employeeIds: [colleague._id],
+      startTime: schedule.startTime,
+      endTime: schedule.endTime,
+      scheduleId: schedule._id,
+      title: schedule.title,
+      timezone: resolveTimeZone(schedule.location && schedule.location.timezone)
+    })),
+    { excludeScheduleIds: [schedule._id] }
+  );
+  const blocked = new Set(conflicts
+    .filter(conflict => BLOCKING_CONFLICTS.includes(conflict.type))
+    .map(conflict => conflict.employee.id));
+
+  return colleagues.filter(colleague => !blocked.has(colleague._id.toString()));
+};
+
+/**
+ * Offer a shift to a colleague, propose a swap, or release it to the team's pool
+ * @param {Object} input - type, scheduleId, targetUserId, targetScheduleId, note
+ * @param {Object} context - Request context
+ * @param {Object} context.user - Employee giving the shift away
+ * @returns {Promise<Object>} swap, or error with a message, status and conflicts
+ */
+const createSwap = async ({ type, scheduleId, targetUserId, targetScheduleId, note }, { user }) => {
+  if (!TYPES.includes(type)) {
+    return { error: `Type must be one of: ${TYPES.join(', ')}`, status: 400 };
+  }
+
+  const schedule = scheduleId ? await loadSchedule(scheduleId) : null;
+  if (!schedule) {
+    return { error: 'Schedule not found', status: 404 };
+  }
+  if (!isAssigned(schedule, user._id)) {
+    return { error: 'You are not assigned to this shift', status: 403 };
+  }
+  const problem = checkTradable(schedule, user._id, 'This shift');
+  if (problem) {
+    return { error: problem, status: 400 };
+  }
+
+  const existing = await ShiftSwap.findOne({ schedule: schedule._id, requester: user._id, status: { $in: ACTIVE_STATUSES } });
+  if (existing) {
+    return { error: 'You have already offered this shift', status: 400 };
+  }
+
+  let targetUser = null;
+  let targetSchedule = null;
+
+  if (type !== 'pool') {
+    targetUser = targetUserId ? await User.findById(targetUserId) : null;
+    if (!targetUser) {
+      return { error: 'Colleague not found', status: 404 };
+    }
+    if (!isQualified(user, targetUser, schedule)) {
+      return { error: `${targetUser.name} can't take this shift (different team or department, or already on it)`, status: 400 };
+    }
+  }
+
+  if (type === 'swap') {
+    targetSchedule = targetScheduleId ? await loadSchedule(targetScheduleId) : null;
+    if (!targetSchedule) {
+      return { error: 'Shift to swap for not found', status: 404 };
+    }
+    if (!isAssigned(targetSchedule, targetUser._id)) {
+      return { error: `${targetUser.name} is not assigned to the shift to swap for`, status: 400 };
+    }
+    const targetProblem = checkTradable(targetSchedule, targetUser._id, 'The shift to swap for');
+    if (targetProblem) {
+      return { error: targetProblem, status: 400 };
+    }
+    if (isAssigned(targetSchedule, user._id)) {
+      return { error: 'You are already assigned to the shift offered in exchange', status: 400 };
+    }
+  }
+
+  if (targetUser) {
+    const conflicts = await checkTradeConflicts({ requester: user._id }, schedule, targetSchedule, targetUser._id);
+    if (conflicts.length > 0) {
+      return { error: 'This trade would cause scheduling conflicts', status: 409, conflicts };
+    }
+  }
+
+  const swap = new ShiftSwap({
+    type,
+    requester: user._id,
+    schedule: schedule._id,
+    targetUser: targetUser ? targetUser._id : undefined,
+    targetSchedule: targetSchedule ? targetSchedule._id : undefined,
+    team: schedule.team || user.team,
+    note,
+    expiresAt: targetSchedule && targetSchedule.startTime < schedule.startTime ? targetSchedule.startTime : schedule.startTime
+  });
+  await swap.save();
+
+  const noteLine = note ? `\n\nMessage from ${user.name}: ${note}` : '';
+
+  if (type === 'pool') {
+    const colleagues = await findClaimants(swap, schedule, user);
+    for (const colleague of colleagues) {
+      await notify(colleague, swap, `Shift available: ${schedule.title}`,
+        `Hello ${colleague.name},\n\n${user.name} is giving away ${describeSchedule(schedule)}. Claim it in the app if you'd like to work it.${noteLine}`);
+    }
+  } else {
+    const content = type === 'swap'
+      ? `${user.name} would like to swap ${describeSchedule(schedule)} for your shift ${describeSchedule(targetSchedule)}.`
+      : `${user.name} is offering you ${describeSchedule(schedule)}.`;
+    await notify(targetUser, swap, type === 'swap' ? 'Shift swap request' : `Shift offered: ${schedule.title}`,
+      `Hello ${targetUser.name},\n\n${content} Accept or decline it in the app.${noteLine}`);
+  }
+
+  return { swap };
+};
+
+/**
+ * List open swaps an employee can claim: offers and swaps addressed to them,
+ * and pool shifts from their team and department
+ * @param {Object} user - Employee
+ * @returns {Promise<Array<Object>>} Open swaps with schedules populated
+ */
+const listClaimable = async (user) => {
+  const visibility = [{ targetUser: user._id }];
+  if (user.team) {
+    visibility.push({ type: 'pool', team: user.team });
+  }
+
+  const swaps = await ShiftSwap.find({
+    status: 'open',
+    expiresAt: { $gt: new Date() },
+    requester: { $ne: user._id },
+    $or: visibility
+  })
+    .populate('requester', 'name department team')
+    .populate({ path: 'schedule', populate: { path: 'location', select: 'name address city timezone' } })
+    .populate({ path: 'targetSchedule', populate: { path: 'location', select: 'name address city timezone' } })
+    .sort({ expiresAt: 1 });
+
+  return swaps.filter(swap => swap.schedule && swap.requester &&
+    (swap.type !== 'pool' || isQualified(swap.requester, user, swap.schedule)));
+};
+
+/**
+ * Claim an open swap: take a pool shift, or accept an offer or swap addressed to you
+ * The first claim wins. Unless the team auto-approves swaps, the trade waits for an admin.
+ * @param {ObjectId} swapId - Swap ID
+ * @param {Object} user - Employee claiming
+ * @returns {Promise<Object>} swap (and schedules when applied), or error with a message, status and conflicts
+ */
+const claimSwap = async (swapId, user) => {
+  const swap = await ShiftSwap.findById(swapId);
+  if (!swap || swap.status !== 'open' || swap.expiresAt <= new Date()) {
+    return { error: 'This shift is no longer available', status: 409 };
+  }
+
+  const schedule = await loadSchedule(swap.schedule);
+  const targetSchedule = swap.targetSchedule ? await loadSchedule(swap.targetSchedule) : null;
+  const requester = await User.findById(swap.requester);
+  if (!requester || !schedule) {
+    return { error: 'This shift is no longer available', status: 409 };
+  }
+
+  if (swap.type === 'pool') {
+    if (!isQualified(requester, user, schedule)) {
+      return { error: 'You are not eligible to take this shift', status: 403 };
+    }
+  } else if (toId(swap.targetUser) !== toId(user)) {
+    return { error: 'This shift was offered to someone else', status: 403 };
+  }
+
+  const problem = checkTradable(schedule, swap.requester, 'This shift') ||
+    (swap.targetSchedule && checkTradable(targetSchedule, user._id, 'The shift offered in exchange'));
+  if (problem) {
+    return { error: problem, status: 409 };
+  }
+
+  const conflicts = await checkTradeConflicts(swap, schedule, targetSchedule, user._id);
+  if (conflicts.length > 0) {
+    return { error: 'Taking this shift would cause scheduling conflicts', status: 409, conflicts };
+  }
+
+  // First claim wins
+  const now = new Date();
+  const claimed = await ShiftSwap.findOneAndUpdate(
+    { _id: swap._id, status: 'open' },
+    { $set: { status: 'pending-approval', claimant: user._id, claimedAt: now, updatedAt: now } },
+    { new: true }
+  );
+  if (!claimed) {
+    return { error: 'Someone else has already taken this shift', status: 409 };
+  }
+
+  const team = claimed.team ? await Team.findById(claimed.team).select('shiftSwapAutoApprove') : null;
+  if (team && team.shiftSwapAutoApprove) {
+    return approveSwap(claimed._id, user._id);
+  }
+
+  const summary = claimed.type === 'swap'
+    ? `${user.name} agreed to swap ${describeSchedule(targetSchedule)} for ${requester.name}'s ${describeSchedule(schedule)}.`
+    : `${user.name} wants to take ${requester.name}'s ${describeSchedule(schedule)}.`;
+  await notifyAdmins(claimed, 'Shift swap waiting for approval', `${summary}\n\nPlease approve or reject it in the app.`);
+  await notify(requester, claimed, 'Your shift was claimed',
+    `Hello ${requester.name},\n\n${summary} An admin still has to approve it; until then the shift stays yours.`);
+
+  return { swap: claimed };
+};
+
+/**
+ * Decline an offer or swap addressed to you
+ * @param {ObjectId} swapId - Swap ID
+ * @param {Object} user - Colleague declining
+ * @returns {Promise<Object>} swap, or error with a message and status
+ */
+const declineSwap = async (swapId, user) => {
+  const now = new Date();
+  const swap = await ShiftSwap.findOneAndUpdate(
+    { _id: swapId, targetUser: user._id, status: 'open' },
+    { $set: { status: 'declined', decidedAt: now, updatedAt: now } },
+    { new: true }
+  ).populate({ path: 'schedule', populate: { path: 'location' } });
+  if (!swap) {
+    return { error: 'This shift swap is no longer open', status: 409 };
+  }
+
+  const requester = await User.findById(swap.requester);
+  if (requester) {
+    await notify(requester, swap, 'Shift swap declined',
+      `Hello ${requester.name},\n\n${user.name} declined to take ${swap.schedule ? describeSchedule(swap.schedule) : 'your shift'}.`);
+  }
+  return { swap };
+};
+
+/**
+ * Withdraw a swap you created, as long as it hasn't been approved
+ * @param {ObjectId} swapId - Swap ID
+ * @param {Object} user - Requester
+ * @returns {Promise<Object>} swap, or error with a message and status
+ */
+const cancelSwap = async (swapId, user) => {
+  const now = new Date();
+  const swap = await ShiftSwap.findOneAndUpdate(
+    { _id: swapId, requester: user._id, status: { $in: ACTIVE_STATUSES } },
+    { $set: { status: 'cancelled', decidedAt: now, updatedAt: now } },
+    { new: true }
+  ).populate({ path: 'schedule', populate: { path: 'location' } });
+  if (!swap) {
+    return { error: 'This shift swap can no longer be cancelled', status: 409 };
+  }
+
+  const other = swap.claimant || swap.targetUser;
+  const colleague = other ? await User.findById(other) : null;
+  if (colleague) {
+    await notify(colleague, swap, 'Shift swap withdrawn',
+      `Hello ${colleague.name},\n\n${user.name} withdrew ${swap.schedule ? describeSchedule(swap.schedule) : 'their shift'}. Your schedule is unchanged.`);
+  }
+  return { swap };
+};
+
+/**
+ * Reject a claimed swap; the shifts stay as they are
+ * @param {ObjectId} swapId - Swap ID
+ * @param {ObjectId} decidedBy - Admin rejecting
+ * @param {string} [reason] - Reason shown to both employees
+ * @returns {Promise<Object>} swap, or error with a message and status
+ */
+const rejectSwap = async (swapId, decidedBy, reason) => {
+  const now = new Date();
+  const swap = await ShiftSwap.findOneAndUpdate(
+    { _id: swapId, status: 'pending-approval' },
+    { $set: { status: 'rejected', decidedBy, decidedAt: now, decisionNote: reason, updatedAt: now } },
+    { new: true }
+  ).populate({ path: 'schedule', populate: { path: 'location' } });
+  if (!swap) {
+    return { error: 'This shift swap is not waiting for approval', status: 409 };
+  }
+
+  const users = await User.find({ _id: { $in: [swap.requester, swap.claimant] } });
+  for (const user of users) {
+    await notify(user, swap, 'Shift swap rejected',
+      `Hello ${user.name},\n\nThe shift swap for ${swap.schedule ? describeSchedule(swap.schedule) : 'the shift'} was not approved` +
+      `${reason ? `: ${reason}` : ''}. Your schedule is unchanged.`);
+  }
+  return { swap };
+};
+
+module.exports = {
+  TYPES,
+  isQualified,
+  createSwap,
+  listClaimable,
+  claimSwap,
+  declineSwap,
+  cancelSwap,
+  approveSwap,
+  rejectSwap
+};
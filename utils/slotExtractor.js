@@ -0,0 +1,202 @@
+const Location = require('../models/Location');
+const User = require('../models/User');
+const { getZonedParts, getWeekRange, zonedTimeToUtc, parseTimeOfDay } = require('./timezone');
+
+const WEEKDAY_NAMES = {
+  sunday: 0, monday: 1, tuesday: 2, wednesday: 3, thursday: 4, friday: 5, saturday: 6,
+  dimanche: 0, lundi: 1, mardi: 2, mercredi: 3, jeudi: 4, vendredi: 5, samedi: 6
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const MONTH_PATTERN = '(jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?';
+
+const ABSENCE_TYPES = [
+  { type: 'sick', pattern: /\b(sick|ill|unwell|fever|flu|doctor|malade)\b/i },
+  { type: 'vacation', pattern: /\b(vacation|holiday|holidays|vacances|cong[eé]s?|annual leave)\b/i },
+  { type: 'personal', pattern: /\b(personal|family|appointment|wedding|funeral|moving)\b/i }
+];
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Calendar day n days after another, rolling over months and years
+const addDays = ({ year, month, day }, days) => {
+  const date = new Date(Date.UTC(year, month - 1, day + days));
+  return { year: date.getUTCFullYear(), month: date.getUTCMonth() + 1, day: date.getUTCDate() };
+};
+
+const isValidDay = ({ year, month, day }) => {
+  const date = new Date(Date.UTC(year, month - 1, day));
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day;
+};
+
+/**
+ * Find the calendar days a message talks about, in the user's time zone
+ * Understands "today", "tomorrow", weekdays, "this week", "next week", "2025-06-30" and
+ * "June 30" / "30 June". Two or more dates ("from Monday to Wednesday") make a range.
+ * @param {string} message - Message text
+ * @param {string} timezone - User's time zone
+ * @param {Date} [now] - Current time
+ * @returns {Object|null} start and end calendar days ({ year, month, day }), or null if no date is mentioned
+ */
+const extractDates = (message, timezone, now = new Date()) => {
+  const text = message.toLowerCase();
+  const { year, month, day, weekday } = getZonedParts(now, timezone);
+  const today = { year, month, day };
+  const mentions = [];
+  const mention = (match, start, end = start) => mentions.push({ index: match.index, start, end });
+
+  for (const match of text.matchAll(/\b(\d{4})-(\d{2})-(\d{2})\b/g)) {
+    const date = { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) };
+    if (isValidDay(date)) mention(match, date);
+  }
+  for (const match of text.matchAll(/\b(today|tonight|aujourd'hui|ce soir)\b/g)) {
+    mention(match, today);
+  }
+  for (const match of text.matchAll(/\b(tomorrow|demain)\b/g)) {
+    mention(match, addDays(today, 1));
+  }
+  for (const match of text.matchAll(/\b(this|next)\s+week\b/g)) {
+    const { start } = getWeekRange(now, timezone, 1);
+    const monday = addDays(getZonedParts(start, timezone), match[1] === 'next' ? 7 : 0);
+    mention(match, match[1] === 'next' ? monday : today, addDays(monday, 6));
+  }
+  for (const match of text.matchAll(/\b(?:(next)\s+)?(sunday|monday|tuesday|wednesday|thursday|friday|saturday|dimanche|lundi|mardi|mercredi|jeudi|vendredi|samedi)\b/g)) {
+    // The coming one, or a week later if it's today and they said "next"
+    let days = (WEEKDAY_NAMES[match[2]] - weekday + 7) % 7;
+    if (days === 0 && match[1]) days = 7;
+    mention(match, addDays(today, days));
+  }
+  const monthDay = new RegExp(`\\b(\\d{1,2})(?:st|nd|rd|th)?\\s+(?:of\\s+)?${MONTH_PATTERN}|\\b${MONTH_PATTERN}\\s+(\\d{1,2})(?:st|nd|rd|th)?\\b`, 'g');
+  for (const match of text.matchAll(monthDay)) {
+    const date = match[1]
+      ? { year, month: MONTHS.indexOf(match[2]) + 1, day: parseInt(match[1]) }
+      : { year, month: MONTHS.indexOf(match[3]) + 1, day: parseInt(match[4]) };
+    if (isValidDay(date)) mention(match, date);
+  }
+
+  if (mentions.length === 0) {
+    return null;
+  }
+  mentions.sort((a, b) => a.index - b.index);
+  const start = mentions[0].start;
+  const end = mentions[mentions.length - 1].end;
+  const toNumber = ({ year, month, day }) => year * 10000 + month * 100 + day;
+  return toNumber(end) < toNumber(start) ? { start, end: start } : { start, end };
+};
+
+/**
+ * Turn calendar days from extractDates into a [start, end) range of instants
+ * @param {Object} dates - start and end calendar days
+ * @param {string} timezone - User's time zone
+ * @returns {Object} start and end instants
+ */
+const toInstantRange = ({ start, end }, timezone) => ({
+  start: zonedTimeToUtc(start, timezone),
+  end: zonedTimeToUtc(addDays(end, 1), timezone)
+});
+
+/**
+ * Format a calendar day as "YYYY-MM-DD"
+ * @param {Object} day - year, month and day
+ * @returns {string} Date key
+ */
+const formatDay = ({ year, month, day }) =>
+  `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+
+// Records whose name appears in the message, in the order they are mentioned
+const findNamed = (message, records, namesOf) => {
+  const found = [];
+  for (const record of records) {
+    const index = namesOf(record)
+      .filter(Boolean)
+      .map(name => message.search(new RegExp(`\\b${escapeRegExp(name)}(?:'s)?\\b`, 'i')))
+      .filter(position => position >= 0)
+      .sort((a, b) => a - b)[0];
+    if (index !== undefined) {
+      found.push({ record, index });
+    }
+  }
+  return found.sort((a, b) => a.index - b.index).map(({ record }) => record);
+};
+
+/**
+ * Find the team's locations named in a message
+ * @param {string} message - Message text
+ * @param {Object} user - User who sent the message
+ * @returns {Promise<Array<Object>>} Locations in the order they are mentioned
+ */
+const extractLocations = async (message, user) => {
+  const query = { active: { $ne: false } };
+  if (user.team) query.team = user.team;
+  const locations = await Location.find(query).select('name coordinates timezone');
+  return findNamed(message, locations, location => [location.name]);
+};
+
+/**
+ * Find the team's employees named in a message, by full or first name
+ * @param {string} message - Message text
+ * @param {Object} user - User who sent the message
+ * @returns {Promise<Array<Object>>} Employees in the order they are mentioned
+ */
+const extractEmployees = async (message, user) => {
+  const query = { _id: { $ne: user._id } };
+  if (user.team) query.team = user.team;
+  const employees = await User.find(query).select('name timezone phone');
+  return findNamed(message, employees, employee => [employee.name, employee.name.split(' ')[0]]);
+};
+
+/**
+ * Read the kind of absence from a message
+ * @param {string} message - Message text
+ * @returns {string|null} sick, vacation or personal, or null if not said
+ */
+const extractAbsenceType = (message) => {
+  const match = ABSENCE_TYPES.find(({ pattern }) => pattern.test(message));
+  return match ? match.type : null;
+};
+
+// "9am to 5pm", "09:00-17:00", "from 8.30 am until 4 pm"
+const TIME_RANGE = /(?<![\d:.-])(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)\s*(?:-|–|to|until|till|à)\s*(\d{1,2}(?:[:.]\d{2})?\s*(?:am|pm)?)(?![\d:])/gi;
+
+/**
+ * Find a shift's start and end time in a message
+ * Each time needs minutes or AM/PM ("9am", "17:00"), since a bare "9 to 5" is ambiguous.
+ * @param {string} message - Message text
+ * @returns {Object|null} startTime and endTime as accepted by resolveScheduleTimes, or null
+ */
+const extractTimes = (message) => {
+  for (const match of message.matchAll(TIME_RANGE)) {
+    const [startTime, endTime] = [match[1], match[2]].map(value => value.replace('.', ':').replace(/\s+/g, ' ').trim());
+    if (parseTimeOfDay(startTime) && parseTimeOfDay(endTime)) {
+      return { startTime, endTime };
+    }
+  }
+  return null;
+};
+
+/**
+ * Extract the typed slots the intent handlers use from a message
+ * Employee names are only looked up for admins, who are the only ones acting on other people.
+ * @param {string} message - Message text
+ * @param {Object} user - User who sent the message
+ * @param {string} timezone - User's time zone
+ * @returns {Promise<Object>} dates, locations, employees and absenceType
+ */
+const extractSlots = async (message, user, timezone) => ({
+  dates: extractDates(message, timezone),
+  locations: await extractLocations(message, user),
+  employees: user.role === 'admin' ? await extractEmployees(message, user) : [],
+  absenceType: extractAbsenceType(message)
+});
+
+module.exports = {
+  escapeRegExp,
+  extractDates,
+  toInstantRange,
+  formatDay,
+  extractLocations,
+  extractEmployees,
+  extractAbsenceType,
+  extractTimes,
+  extractSlots
+};
@@ -0,0 +1,65 @@
+const mongoose = require('mongoose');
+const Schedule = require('../models/Schedule');
+const { toId } = require('./ids');
+
+// pendingChanges is untyped, so ids are cast before they are stored or matched
+const toObjectId = (id) => new mongoose.Types.ObjectId(toId(id));
+
+// Swaps, replacements, open shift seats and deleted users change who works a schedule straight away;
+// staged assignments get the same change, or the next publish would put the old list back
+
+/**
+ * Add an employee to the staged assignments of the matching schedules that have any
+ * @param {Object} filter - Schedule query
+ * @param {ObjectId} employeeId - Employee added
+ * @returns {Promise<Object>} Update result
+ */
+const addStagedAssignee = (filter, employeeId) => Schedule.updateMany(
+  { ...filter, 'pendingChanges.assignedEmployees': { $exists: true } },
+  { $addToSet: { 'pendingChanges.assignedEmployees': toObjectId(employeeId) } }
+);
+
+/**
+ * Remove an employee from the staged assignments of the matching schedules
+ * @param {Object} filter - Schedule query
+ * @param {ObjectId} employeeId - Employee removed
+ * @returns {Promise<Object>} Update result
+ */
+const removeStagedAssignee = (filter, employeeId) => Schedule.updateMany(
+  { ...filter, 'pendingChanges.assignedEmployees': toObjectId(employeeId) },
+  { $pull: { 'pendingChanges.assignedEmployees': toObjectId(employeeId) } }
+);
+
+/**
+ * Put one employee in another's place in the staged assignments of the matching schedules
+ * @param {Object} filter - Schedule query
+ * @param {ObjectId} fromId - Employee replaced
+ * @param {ObjectId} toUserId - Employee taking their place
+ * @returns {Promise<Object>} Update result
+ */
+const replaceStagedAssignee = (filter, fromId, toUserId) => {
+  const from = toObjectId(fromId);
+  const to = toObjectId(toUserId);
+
+  return Schedule.updateMany(
+    { ...filter, 'pendingChanges.assignedEmployees': { $in: [from], $nin: [to] } },
+    [{
+      $set: {
+        'pendingChanges.assignedEmployees': {
+          $map: {
+            input: '$pendingChanges.assignedEmployees',
+            as: 'employee',
+            in: { $cond: [{ $eq: ['$$employee', from] }, to, '$$employee'] }
+          }
+        }
+      }
+    }]
+  );
+};
+
+module.exports = {
+  toObjectId,
+  addStagedAssignee,
+  removeStagedAssignee,
+  replaceStagedAssignee
+};
@@ -0,0 +1,434 @@
+const Timesheet = require('../models/Timesheet');
+const HourTracking = require('../models/HourTracking');
+const Team = require('../models/Team');
+const User = require('../models/User');
+const { logger } = require('./jobScheduler');
+const { notifyUser } = require('./notificationService');
+const { summarizeHours, WORKED_STATUSES } = require('./labourRules');
+const {
+  DAY_MS,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  parseCalendarDate,
+  formatDateInZone
+} = require('./timezone');
+const { toId } = require('./ids');
+
+const FREQUENCIES = ['weekly', 'biweekly'];
+
+const LOCKED_MESSAGE = 'This pay period is approved and locked. Ask an admin to unlock it first';
+
+// Days since 1970-01-01 of a calendar date; that day was a Thursday
+const dayNumber = ({ year, month, day }) => Math.round(Date.UTC(year, month - 1, day) / DAY_MS);
+const weekdayOf = (number) => ((number + 4) % 7 + 7) % 7;
+
+/**
+ * Validate timesheet period settings from a request
+ * @param {Object} input - frequency ('weekly' or 'biweekly') and anchorDate ("YYYY-MM-DD", a day a
+ *   two-week period starts on)
+ * @returns {Object} period settings, or error with a message
+ */
+const normalizeTimesheetPeriod = (input) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'Timesheet period must be an object' };
+  }
+
+  const period = { frequency: input.frequency || 'weekly' };
+  if (!FREQUENCIES.includes(period.frequency)) {
+    return { error: `Timesheet frequency must be one of: ${FREQUENCIES.join(', ')}` };
+  }
+  if (input.anchorDate) {
+    const anchor = parseCalendarDate(input.anchorDate, 'UTC');
+    if (!anchor) {
+      return { error: 'Timesheet anchor date must be a date like "2025-06-30"' };
+    }
+    period.anchorDate = new Date(Date.UTC(anchor.year, anchor.month - 1, anchor.day));
+  }
+
+  return { period };
+};
+
+/**
+ * Work out the pay period containing an instant
+ * Periods start on the team's week start; two-week periods line up with the anchor date's week.
+ * @param {Date} date - Instant in the period
+ * @param {Object} settings - frequency, anchorDate and weekStartsOn
+ * @param {string} timezone - Employee's time zone
+ * @returns {Object} periodStart and periodEnd (calendar days), startsAt and endsAt (instants)
+ */
+const getPeriod = (date, { frequency = 'weekly', anchorDate, weekStartsOn = 1 }, timezone) => {
+  const today = dayNumber(getZonedParts(date, timezone));
+  let first = today - (weekdayOf(today) - weekStartsOn + 7) % 7;
+  const length = frequency === 'biweekly' ? 14 : 7;
+
+  if (frequency === 'biweekly') {
+    const anchor = anchorDate ? Math.floor(new Date(anchorDate).getTime() / DAY_MS) : 0;
+    const anchorWeek = anchor - (weekdayOf(anchor) - weekStartsOn + 7) % 7;
+    if (((first - anchorWeek) / 7 % 2 + 2) % 2 === 1) {
+      first -= 7;
+    }
+  }
+
+  const toInstant = (number) => {
+    const day = new Date(number * DAY_MS);
+    return zonedTimeToUtc({ year: day.getUTCFullYear(), month: day.getUTCMonth() + 1, day: day.getUTCDate() }, timezone);
+  };
+
+  return {
+    frequency,
+    periodStart: new Date(first * DAY_MS),
+    periodEnd: new Date((first + length - 1) * DAY_MS),
+    startsAt: toInstant(first),
+    endsAt: toInstant(first + length)
+  };
+};
+
+/**
+ * Get the pay period containing a day, from the employee's team settings
+ * @param {Object} user - Employee
+ * @param {Date|string} [date] - Instant or "YYYY-MM-DD" day in the period, now by default
+ * @returns {Promise<Object|null>} Period (see getPeriod) with the time zone used, or null if the date is invalid
+ */
+const getUserPeriod = async (user, date = new Date()) => {
+  const timezone = resolveTimeZone(user.timezone);
+  const day = parseCalendarDate(date, timezone);
+  if (!day) {
+    return null;
+  }
+
+  const team = user.team ? await Team.findById(user.team).select('timesheetPeriod labourRules') : null;
+  const settings = {
+    frequency: team && team.timesheetPeriod ? team.timesheetPeriod.frequency : 'weekly',
+    anchorDate: team && team.timesheetPeriod ? team.timesheetPeriod.anchorDate : undefined,
+    weekStartsOn: team && team.labourRules && team.labourRules.weekStartsOn !== undefined
+      ? team.labourRules.weekStartsOn
+      : 1
+  };
+  return { ...getPeriod(zonedTimeToUtc({ ...day, hour: 12 }, timezone), settings, timezone), timezone };
+};
+
+// Clock records that clocked in during a period, oldest first
+const findPeriodRecords = (userId, period) => HourTracking.find({
+  user: userId,
+  clockInTime: { $gte: period.startsAt, $lt: period.endsAt }
+}).sort({ clockInTime: 1 });
+
+const describePeriod = (timesheet) =>
+  `${formatDateInZone(timesheet.periodStart, 'UTC')} - ${formatDateInZone(timesheet.periodEnd, 'UTC')}`;
+
+// Records that are still clocked in can't go on a timesheet yet
+const checkClockedOut = (records, timezone) => {
+  const active = records.find(record => record.status === 'active');
+  return active
+    ? { error: `The shift clocked in on ${formatDateInZone(active.clockInTime, timezone)} is still open. Clock out first`, status: 400 }
+    : null;
+};
+
+const notify = async (user, timesheet, subject, content, createdBy) => {
+  try {
+    await notifyUser(user, {
+      subject,
+      content,
+      relatedTo: 'timesheet',
+      relatedId: timesheet._id,
+      team: timesheet.team,
+      createdBy
+    });
+  } catch (err) {
+    logger.error('Timesheet notification failed', { timesheetId: timesheet._id, userId: user._id, error: err.message });
+  }
+};
+
+/**
+ * Show an employee's period with the records and hours a timesheet would hold
+ * @param {Object} user - Employee
+ * @param {Date|string} [date] - Day in the period, today by default
+ * @returns {Promise<Object>} Period, records, totals and the timesheet if one was submitted, or error
+ *   with a message and status
+ */
+const previewTimesheet = async (user, date) => {
+  const period = await getUserPeriod(user, date || new Date());
+  if (!period) {
+    return { error: 'Invalid date', status: 400 };
+  }
+
+  const [records, timesheet] = await Promise.all([
+    findPeriodRecords(user._id, period),
+    Timesheet.findOne({ user: user._id, periodStart: period.periodStart })
+  ]);
+
+  return {
+    ...period,
+    records,
+    totals: summarizeHours(records.filter(record => WORKED_STATUSES.includes(record.status))),
+    timesheet
+  };
+};
+
+/**
+ * Submit an employee's timesheet for a period, or resubmit a rejected or unlocked one
+ * @param {Object} user - Employee
+ * @param {Object} [options] - Submission options
+ * @param {Date|string} [options.date] - Day in the period, today by default
+ * @param {string} [options.comments] - Note for the approver
+ * @returns {Promise<Object>} timesheet, or error with a message and status
+ */
+const submitTimesheet = async (user, { date, comments } = {}) => {
+  const period = await getUserPeriod(user, date || new Date());
+  if (!period) {
+    return { error: 'Invalid date', status: 400 };
+  }
+  if (period.startsAt > new Date()) {
+    return { error: 'This pay period has not started yet', status: 400 };
+  }
+
+  const records = await findPeriodRecords(user._id, period);
+  const open = checkClockedOut(records, period.timezone);
+  if (open) {
+    return open;
+  }
+
+  const now = new Date();
+  const worked = records.filter(record => WORKED_STATUSES.includes(record.status));
+  const fields = {
+    status: 'submitted',
+    records: worked.map(record => record._id),
+    totals: summarizeHours(worked),
+    submittedAt: now,
+    comments,
+    updatedAt: now
+  };
+  const entry = { action: 'submitted', by: user._id, at: now, comments };
+
+  let timesheet = await Timesheet.findOneAndUpdate(
+    { user: user._id, periodStart: period.periodStart, status: { $in: ['rejected', 'open'] } },
+    { $set: fields, $unset: { decidedBy: 1, decidedAt: 1 }, $push: { history: entry } },
+    { new: true }
+  );
+
+  if (!timesheet) {
+    const existing = await Timesheet.findOne({ user: user._id, periodStart: period.periodStart });
+    if (existing) {
+      return existing.status === 'approved'
+        ? { error: 'This timesheet is already approved', status: 409 }
+        : { error: 'This timesheet is already waiting for approval', status: 409 };
+    }
+
+    try {
+      timesheet = await new Timesheet({
+        ...period,
+        ...fields,
+        user: user._id,
+        team: user.team,
+        history: [entry]
+      }).save();
+    } catch (err) {
+      // Someone submitted the same period at the same time
+      if (err.code === 11000) {
+        return { error: 'This timesheet is already waiting for approval', status: 409 };
+      }
+      throw err;
+    }
+  }
+
+  const adminQuery = { role: 'admin' };
+  if (user.team) adminQuery.team = user.team;
+  const admins = await User.find(adminQuery);
+  for (const adminUser of admins) {
+    await notify(adminUser, timesheet, `Timesheet submitted: ${user.name}`,
+      `${user.name} submitted their timesheet for ${describePeriod(timesheet)}: ` +
+      `${timesheet.totals.totalHours} hours over ${timesheet.records.length} shifts.` +
+      (comments ? `\n\nComments: ${comments}` : ''),
+      user._id);
+  }
+
+  logger.info('Timesheet submitted', { timesheetId: timesheet._id, userId: user._id });
+  return { timesheet };
+};
+
+// Admins only decide on timesheets of their own team
+const findForAdmin = async (timesheetId, adminUser) => {
+  const timesheet = await Timesheet.findById(timesheetId);
+  const sameTeam = timesheet && (!adminUser.team || (timesheet.team && toId(timesheet.team) === toId(adminUser.team)));
+  return sameTeam ? timesheet : null;
+};
+
+/**
+ * Approve a submitted timesheet and lock its period
+ * The records are gathered again so the approved hours match the clock records.
+ * @param {ObjectId} timesheetId - Timesheet ID
+ * @param {Object} adminUser - Admin approving
+ * @param {string} [comments] - Comments for the employee
+ * @returns {Promise<Object>} timesheet, or error with a message and status
+ */
+const approveTimesheet = async (timesheetId, adminUser, comments) => {
+  const existing = await findForAdmin(timesheetId, adminUser);
+  if (!existing) {
+    return { error: 'Timesheet not found', status: 404 };
+  }
+
+  const records = await findPeriodRecords(existing.user, existing);
+  const open = checkClockedOut(records, existing.timezone);
+  if (open) {
+    return { ...open, status: 409 };
+  }
+
+  const now = new Date();
+  const worked = records.filter(record => WORKED_STATUSES.includes(record.status));
+  const timesheet = await Timesheet.findOneAndUpdate(
+    { _id: existing._id, status: 'submitted' },
+    {
+      $set: {
+        status: 'approved',
+        locked: true,
+        records: worked.map(record => record._id),
+        totals: summarizeHours(worked),
+        decidedBy: adminUser._id,
+        decidedAt: now,
+        comments,
+        updatedAt: now
+      },
+      $push: { history: { action: 'approved', by: adminUser._id, at: now, comments } }
+    },
+    { new: true }
+  );
+  if (!timesheet) {
+    return { error: 'This timesheet is no longer waiting for approval', status: 409 };
+  }
+
+  await HourTracking.updateMany(
+    { user: timesheet.user, clockInTime: { $gte: timesheet.startsAt, $lt: timesheet.endsAt } },
+    { $set: { locked: true } }
+  );
+
+  const employee = await User.findById(timesheet.user);
+  if (employee) {
+    await notify(employee, timesheet, 'Timesheet approved',
+      `Hello ${employee.name},\n\nYour timesheet for ${describePeriod(timesheet)} ` +
+      `(${timesheet.totals.totalHours} hours) was approved.` + (comments ? `\n\nComments: ${comments}` : ''),
+      adminUser._id);
+  }
+
+  logger.info('Timesheet approved', { timesheetId: timesheet._id, decidedBy: adminUser._id });
+  return { timesheet };
+};
+
+/**
+ * Send a submitted timesheet back to the employee
+ * @param {ObjectId} timesheetId - Timesheet ID
+ * @param {Object} adminUser - Admin rejecting
+ * @param {string} comments - What the employee needs to fix
+ * @returns {Promise<Object>} timesheet, or error with a message and status
+ */
+const rejectTimesheet = async (timesheetId, adminUser, comments) => {
+  if (!comments || !comments.trim()) {
+    return { error: 'Please say why the timesheet is rejected', status: 400 };
+  }
+
+  const existing = await findForAdmin(timesheetId, adminUser);
+  if (!existing) {
+    return { error: 'Timesheet not found', status: 404 };
+  }
+
+  const now = new Date();
+  const timesheet = await Timesheet.findOneAndUpdate(
+    { _id: existing._id, status: 'submitted' },
+    {
+      $set: { status: 'rejected', decidedBy: adminUser._id, decidedAt: now, comments, updatedAt: now },
+      $push: { history: { action: 'rejected', by: adminUser._id, at: now, comments } }
+    },
+    { new: true }
+  );
+  if (!timesheet) {
+    return { error: 'This timesheet is no longer waiting for approval', status: 409 };
+  }
+
+  const employee = await User.findById(timesheet.user);
+  if (employee) {
+    await notify(employee, timesheet, 'Timesheet rejected',
+      `Hello ${employee.name},\n\nYour timesheet for ${describePeriod(timesheet)} was sent back: ${comments}\n\n` +
+      'Please check your hours and submit it again.',
+      adminUser._id);
+  }
+
+  logger.info('Timesheet rejected', { timesheetId: timesheet._id, decidedBy: adminUser._id });
+  return { timesheet };
+};
+
+/**
+ * Unlock an approved period so its clock records can be changed
+ * The unlock is kept in the timesheet's history; the employee submits it again afterwards.
+ * @param {ObjectId} timesheetId - Timesheet ID
+ * @param {Object} adminUser - Admin unlocking
+ * @param {string} reason - Why the period is reopened
+ * @returns {Promise<Object>} timesheet, or error with a message and status
+ */
+const unlockTimesheet = async (timesheetId, adminUser, reason) => {
+  if (!reason || !reason.trim()) {
+    return { error: 'Please give a reason for unlocking the timesheet', status: 400 };
+  }
+
+  const existing = await findForAdmin(timesheetId, adminUser);
+  if (!existing) {
+    return { error: 'Timesheet not found', status: 404 };
+  }
+
+  const now = new Date();
+  const timesheet = await Timesheet.findOneAndUpdate(
+    { _id: existing._id, status: 'approved' },
+    {
+      $set: { status: 'open', locked: false, comments: reason, updatedAt: now },
+      $push: { history: { action: 'unlocked', by: adminUser._id, at: now, comments: reason } }
+    },
+    { new: true }
+  );
+  if (!timesheet) {
+    return { error: 'Only approved timesheets can be unlocked', status: 409 };
+  }
+
+  await HourTracking.updateMany(
+    { user: timesheet.user, clockInTime: { $gte: timesheet.startsAt, $lt: timesheet.endsAt } },
+    { $set: { locked: false } }
+  );
+
+  const employee = await User.findById(timesheet.user);
+  if (employee) {
+    await notify(employee, timesheet, 'Timesheet unlocked',
+      `Hello ${employee.name},\n\nYour timesheet for ${describePeriod(timesheet)} was unlocked: ${reason}\n\n` +
+      'Please submit it again once your hours are correct.',
+      adminUser._id);
+  }
+
+  logger.warn('Timesheet unlocked', { timesheetId: timesheet._id, userId: timesheet.user, unlockedBy: adminUser._id, reason });
+  return { timesheet };
+};
+
+/**
+ * Check whether an instant falls in one of an employee's locked periods
+ * @param {ObjectId} userId - Employee
+ * @param {Date} date - Instant, e.g. a clock-in time
+ * @returns {Promise<boolean>} True if clock records at that time can't be changed
+ */
+const isPeriodLocked = async (userId, date) => {
+  const timesheet = await Timesheet.exists({
+    user: userId,
+    locked: true,
+    startsAt: { $lte: date },
+    endsAt: { $gt: date }
+  });
+  return !!timesheet;
+};
+
+module.exports = {
+  LOCKED_MESSAGE,
+  normalizeTimesheetPeriod,
+  getPeriod,
+  getUserPeriod,
+  previewTimesheet,
+  submitTimesheet,
+  approveTimesheet,
+  rejectTimesheet,
+  unlockTimesheet,
+  isPeriodLocked
+};
@@ -0,0 +1,243 @@
+// Time zone helpers built on Intl so every day boundary and wall-clock time
+// is computed in the user's or location's IANA time zone instead of the server's.
+
+const DEFAULT_TIMEZONE = process.env.DEFAULT_TIMEZONE ||
+  Intl.DateTimeFormat().resolvedOptions().timeZone ||
+  'UTC';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const formatters = new Map();
+
+const getFormatter = (timezone) => {
+  if (!formatters.has(timezone)) {
+    formatters.set(timezone, new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      second: '2-digit',
+      weekday: 'short'
+    }));
+  }
+  return formatters.get(timezone);
+};
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+
+/**
+ * Check whether a string is a valid IANA time zone name
+ * @param {string} timezone - Time zone like "Europe/Paris"
+ * @returns {boolean} True if Intl accepts the time zone
+ */
+const isValidTimeZone = (timezone) => {
+  if (!timezone || typeof timezone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+    return true;
+  } catch (err) {
+    return false;
+  }
+};
+
+/**
+ * Pick the time zone to use, falling back to the server default
+ * @param {...string} candidates - Time zones in order of preference (e.g. user, location)
+ * @returns {string} First valid time zone
+ */
+const resolveTimeZone = (...candidates) => {
+  return candidates.find(isValidTimeZone) || DEFAULT_TIMEZONE;
+};
+
+/**
+ * Get the wall-clock parts of an instant in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {Object} year, month (1-12), day, hour, minute, second and weekday (0 = Sunday)
+ */
+const getZonedParts = (date, timezone) => {
+  const parts = {};
+  for (const { type, value } of getFormatter(resolveTimeZone(timezone)).formatToParts(new Date(date))) {
+    parts[type] = value;
+  }
+
+  return {
+    year: parseInt(parts.year),
+    month: parseInt(parts.month),
+    day: parseInt(parts.day),
+    hour: parseInt(parts.hour),
+    minute: parseInt(parts.minute),
+    second: parseInt(parts.second),
+    weekday: WEEKDAYS[parts.weekday]
+  };
+};
+
+// Offset of the time zone from UTC at the given instant, in milliseconds
+const getOffsetMs = (date, timezone) => {
+  const parts = getZonedParts(date, timezone);
+  const asUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  return asUtc - Math.floor(new Date(date).getTime() / 1000) * 1000;
+};
+
+/**
+ * Convert a wall-clock time in a time zone to an instant
+ * Out-of-range values roll over like Date.UTC (e.g. day 32 becomes the 1st of next month).
+ * @param {Object} parts - year, month (1-12), day, and optional hour and minute
+ * @param {string} timezone - IANA time zone
+ * @returns {Date} Instant
+ */
+const zonedTimeToUtc = ({ year, month, day, hour = 0, minute = 0 }, timezone) => {
+  const tz = resolveTimeZone(timezone);
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const firstPass = guess - getOffsetMs(guess, tz);
+
+  // Re-check the offset at the result in case we crossed a DST change
+  return new Date(guess - getOffsetMs(firstPass, tz));
+};
+
+/**
+ * Get midnight of the day containing an instant, in a time zone
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @param {number} [dayOffset=0] - Days to move forward (or back if negative)
+ * @returns {Date} Instant of local midnight
+ */
+const startOfDay = (date, timezone, dayOffset = 0) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return zonedTimeToUtc({ year, month, day: day + dayOffset }, timezone);
+};
+
+/**
+ * Get the local day containing an instant as a [start, end) range
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {Object} start and end instants
+ */
+const getDayRange = (date, timezone) => ({
+  start: startOfDay(date, timezone),
+  end: startOfDay(date, timezone, 1)
+});
+
+/**
+ * Get the local week containing an instant as a [start, end) range
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @param {number} [weekStartsOn=1] - 0 for Sunday, 1 for Monday
+ * @returns {Object} start and end instants
+ */
+const getWeekRange = (date, timezone, weekStartsOn = 1) => {
+  const { weekday } = getZonedParts(date, timezone);
+  const daysSinceStart = (weekday - weekStartsOn + 7) % 7;
+  return {
+    start: startOfDay(date, timezone, -daysSinceStart),
+    end: startOfDay(date, timezone, 7 - daysSinceStart)
+  };
+};
+
+/**
+ * Format the local calendar date of an instant
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {string} Date like "2025-06-30"
+ */
+const formatDateKey = (date, timezone) => {
+  const { year, month, day } = getZonedParts(date, timezone);
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+};
+
+/**
+ * Read the calendar date from a "YYYY-MM-DD" string or a Date
+ * @param {string|Date} value - Date input from a request
+ * @param {string} timezone - Time zone used when value is an instant
+ * @returns {Object|null} year, month and day, or null if the value is not a date
+ */
+const parseCalendarDate = (value, timezone) => {
+  if (typeof value === 'string') {
+    const match = /^(\d{4})-(\d{2})-(\d{2})/.exec(value.trim());
+    if (match) {
+      return { year: parseInt(match[1]), month: parseInt(match[2]), day: parseInt(match[3]) };
+    }
+  }
+
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+
+  const { year, month, day } = getZonedParts(date, timezone);
+  return { year, month, day };
+};
+
+/**
+ * Parse a time of day like "9:00 AM", "9.30pm" or "17:00"
+ * @param {string} value - Time string
+ * @returns {Object|null} hours (0-23) and minutes, or null if not recognised
+ */
+const parseTimeOfDay = (value) => {
+  const clean = String(value).replace(/\s+/g, ' ').trim();
+
+  const twelveHour = clean.match(/^(\d+)[\.:]?(\d*)\s*(AM|PM)$/i);
+  if (twelveHour) {
+    let hours = parseInt(twelveHour[1]);
+    const minutes = twelveHour[2] ? parseInt(twelveHour[2]) : 0;
+    const period = twelveHour[3].toUpperCase();
+
+    if (hours < 1 || hours > 12 || minutes > 59) return null;
+
+    // Adjust hours for PM
+    if (period === 'PM' && hours < 12) {
+      hours += 12;
+    } else if (period === 'AM' && hours === 12) {
+      hours = 0;
+    }
+    return { hours, minutes };
+  }
+
+  const twentyFourHour = clean.match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (twentyFourHour) {
+    return { hours: parseInt(twentyFourHour[1]), minutes: parseInt(twentyFourHour[2]) };
+  }
+
+  return null;
+};
+
+/**
+ * Format an instant as a 12-hour local time
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {string} Time like "9:00 AM"
+ */
+const formatTimeInZone = (date, timezone) => {
+  const { hour, minute } = getZonedParts(date, timezone);
+  const period = hour >= 12 ? 'PM' : 'AM';
+  const formattedHour = hour % 12 === 0 ? 12 : hour % 12;
+  return `${formattedHour}:${String(minute).padStart(2, '0')} ${period}`;
+};
+
+/**
+ * Format an instant as a local date for messages
+ * @param {Date} date - Instant
+ * @param {string} timezone - IANA time zone
+ * @returns {string} Date like "6/30/2025"
+ */
+const formatDateInZone = (date, timezone) => {
+  return new Date(date).toLocaleDateString('en-US', { timeZone: resolveTimeZone(timezone) });
+};
+
+module.exports = {
+  DEFAULT_TIMEZONE,
+  DAY_MS,
+  isValidTimeZone,
+  resolveTimeZone,
+  getZonedParts,
+  zonedTimeToUtc,
+  startOfDay,
+  getDayRange,
+  getWeekRange,
+  formatDateKey,
+  parseCalendarDate,
+  parseTimeOfDay,
+  formatTimeInZone,
+  formatDateInZone
+};
@@ -155,6 +155,8 @@ const sendScheduleWhatsApp = async (user, schedule, location, isOutsideSession =
     logger.info('Schedule WhatsApp message sent', { userId: user._id, phone: user.phone });
   } catch (error) {
     logger.error('Error sending schedule WhatsApp message:', error);
+    // Callers record the notification as failed
+    throw error;
   }
 };
 
@@ -200,6 +202,8 @@ const sendScheduleChangeWhatsApp = async (user, schedule, location, isOutsideSes
     logger.info('Schedule change WhatsApp message sent', { userId: user._id, phone: user.phone });
   } catch (error) {
     logger.error('Error sending schedule change WhatsApp message:', error);
+    // Callers record the notification as failed
+    throw error;
   }
 };
 
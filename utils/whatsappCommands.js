@@ -0,0 +1,144 @@
+const ReplacementOffer = require('../models/ReplacementOffer');
+const Schedule = require('../models/Schedule');
+const { respondToOffer } = require('./replacementService');
+const { listOpenShifts, claimOpenShift, openSeats } = require('./openShiftService');
+const { describeSchedule } = require('./scheduleNotifications');
+const { PUBLISHED } = require('./schedulePublication');
+const { findActiveRecord, startBreak, endBreak } = require('./breakService');
+
+// "ACCEPT", "decline 4F7K", ...
+const REPLACEMENT_REPLY = /^(accept|decline)(?:\s+([a-f0-9]{4}))?[\s.!]*$/i;
+
+// "OPEN SHIFTS", "available shifts?"
+const OPEN_SHIFTS_REQUEST = /^(?:open|available)\s+shifts?[\s.!?]*$/i;
+
+// "CLAIM 4F7K"
+const OPEN_SHIFT_CLAIM = /^claim\s+([a-f0-9]{4})[\s.!]*$/i;
+
+// "BREAK", "start break", "paid break"
+const BREAK_START = /^(?:start(?:ing)?\s+(?:my\s+|a\s+)?)?(paid\s+)?break(?:\s+start)?[\s.!]*$/i;
+
+// "BACK", "end break", "break over"
+const BREAK_END = /^(?:end(?:ing)?\s+(?:my\s+)?break|break\s+(?:end|over|done)|back(?:\s+from\s+break)?)[\s.!]*$/i;
+
+const formatError = (user, error) => `${user.name}, ${error.charAt(0).toLowerCase()}${error.slice(1)}.`;
+
+const handleReplacementReply = async (user, accept, code) => {
+  const query = {
+    candidate: user._id,
+    status: 'pending',
+    expiresAt: { $gt: new Date() }
+  };
+  if (code) {
+    query.code = code.toUpperCase();
+  }
+
+  const offer = await ReplacementOffer.findOne(query)
+    .populate('schedule', 'title')
+    .sort({ offeredAt: -1 });
+
+  if (!offer) {
+    return code
+      ? `${user.name}, there is no open shift cover request with code ${code.toUpperCase()}.`
+      : `${user.name}, you don't have any open shift cover requests.`;
+  }
+
+  const result = await respondToOffer(offer._id, user._id, accept);
+  if (result.error) {
+    return formatError(user, result.error);
+  }
+
+  const title = offer.schedule ? offer.schedule.title : 'the shift';
+  return accept
+    ? `Thanks ${user.name}! You are now assigned to ${title}.`
+    : `Thanks ${user.name}, we'll ask someone else to cover ${title}.`;
+};
+
+const handleOpenShiftsRequest = async (user) => {
+  const schedules = (await listOpenShifts(user)).filter(schedule => openSeats(schedule) > 0);
+  if (schedules.length === 0) {
+    return `${user.name}, there are no open shifts for you right now.`;
+  }
+
+  const lines = schedules.slice(0, 10).map(schedule =>
+    `- ${describeSchedule(schedule)} (${openSeats(schedule)} place(s) left) - reply CLAIM ${schedule.openShift.code}`);
+  return `${user.name}, these shifts are open:\n${lines.join('\n')}`;
+};
+
+const handleOpenShiftClaim = async (user, code) => {
+  const schedule = await Schedule.findOne({
+    'openShift.enabled': true,
+    'openShift.code': code.toUpperCase(),
+    status: 'scheduled',
+    startTime: { $gt: new Date() },
+    ...PUBLISHED
+  });
+  if (!schedule) {
+    return `${user.name}, there is no open shift with code ${code.toUpperCase()}.`;
+  }
+
+  const result = await claimOpenShift(schedule._id, user);
+  if (result.error) {
+    return formatError(user, result.error);
+  }
+
+  return result.claim.status === 'pending'
+    ? `Thanks ${user.name}! Your request for ${schedule.title} has been sent to your manager for approval.`
+    : `Thanks ${user.name}! You are now assigned to ${schedule.title}.`;
+};
+
+const handleBreakPunch = async (user, start, paid) => {
+  const record = await findActiveRecord(user._id);
+  if (!record) {
+    return `${user.name}, you are not clocked in at the moment.`;
+  }
+
+  const result = start ? await startBreak(record._id, user._id, { paid }) : await endBreak(record._id, user._id);
+  if (result.error) {
+    return formatError(user, result.error);
+  }
+
+  return start
+    ? `Enjoy your break, ${user.name}! Reply BACK when you are back at work.`
+    : `Welcome back ${user.name}, your ${result.minutes} minute break has been recorded.`;
+};
+
+/**
+ * Handle WhatsApp replies that answer something the system asked, open shift requests and
+ * break punches, without going through the AI
+ * @param {Object} user - User who sent the message
+ * @param {string} message - Message text
+ * @returns {Promise<string|null>} Reply to send, or null if the message is not a command
+ */
+const handleWhatsAppCommand = async (user, message) => {
+  const text = (message || '').trim();
+
+  const replacementReply = REPLACEMENT_REPLY.exec(text);
+  if (replacementReply) {
+    return handleReplacementReply(user, replacementReply[1].toLowerCase() === 'accept', replacementReply[2]);
+  }
+
+  if (OPEN_SHIFTS_REQUEST.test(text)) {
+    return handleOpenShiftsRequest(user);
+  }
+
+  const openShiftClaim = OPEN_SHIFT_CLAIM.exec(text);
+  if (openShiftClaim) {
+    return handleOpenShiftClaim(user, openShiftClaim[1]);
+  }
+
+  const breakStart = BREAK_START.exec(text);
+  if (breakStart) {
+    return handleBreakPunch(user, true, !!breakStart[1]);
+  }
+
+  if (BREAK_END.test(text)) {
+    return handleBreakPunch(user, false);
+  }
+
+  return null;
+};
+
+module.exports = {
+  handleWhatsAppCommand
+};